@@ -8,9 +8,14 @@ try {
   // ignore if dotenv not available
 }
 
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
 const express = require("express");
 const bodyParser = require("body-parser");
 const axios = require("axios");
+const ExcelJS = require("exceljs");
+const PDFDocument = require("pdfkit");
 const twilio = require("twilio");
 const { Pool } = require("pg");
 
@@ -32,6 +37,84 @@ const {
 
 const DISABLE_TWILIO_SEND = process.env.DISABLE_TWILIO_SEND;
 
+// Send buttons / list pickers as plain text only (e.g. SMS or a sandbox
+// without content templates)
+const DISABLE_INTERACTIVE_MESSAGES = process.env.DISABLE_INTERACTIVE_MESSAGES;
+
+// ⚠️ LOCAL DEVELOPMENT ONLY – skips X-Twilio-Signature checks on
+// /whatsapp/inbound so you can curl/Postman the webhook. Never set in production.
+const DISABLE_TWILIO_SIGNATURE_CHECK =
+  process.env.DISABLE_TWILIO_SIGNATURE_CHECK;
+
+// Public base URL Twilio calls (e.g. https://saka360.onrender.com). Used to
+// rebuild the signed URL; if unset we derive it from X-Forwarded-* / Host.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+
+// Expiry reminders: how often the scheduler wakes up, and how many days
+// before expiry to nudge (0 = the day it lapses).
+const DISABLE_REMINDER_SCHEDULER = process.env.DISABLE_REMINDER_SCHEDULER;
+const REMINDER_INTERVAL_MINUTES =
+  parseInt(process.env.REMINDER_INTERVAL_MINUTES, 10) || 60;
+const REMINDER_OFFSETS_DAYS = (process.env.REMINDER_OFFSETS_DAYS || "30,7,1,0")
+  .split(",")
+  .map((s) => parseInt(s.trim(), 10))
+  .filter((n) => !isNaN(n) && n >= 0)
+  .sort((a, b) => b - a);
+
+// Service due warnings: how close (km or days) before the owner is nudged
+const SERVICE_WARN_KM = parseInt(process.env.SERVICE_WARN_KM, 10) || 500;
+const SERVICE_WARN_DAYS = parseInt(process.env.SERVICE_WARN_DAYS, 10) || 14;
+
+// Multi-step entries (fuel, service, expense, documents) with no reply for
+// this long are parked as drafts (see *drafts* / *continue*)
+const SESSION_IDLE_MINUTES = parseInt(process.env.SESSION_IDLE_MINUTES, 10) || 60;
+
+// Outbound queue: failed sends are retried after OUTBOUND_RETRY_SECONDS,
+// doubling each time, and dead-lettered after OUTBOUND_MAX_ATTEMPTS
+const OUTBOUND_MAX_ATTEMPTS = parseInt(process.env.OUTBOUND_MAX_ATTEMPTS, 10) || 5;
+const OUTBOUND_RETRY_SECONDS = parseInt(process.env.OUTBOUND_RETRY_SECONDS, 10) || 30;
+const OUTBOUND_WORKER_SECONDS = 15;
+
+// Monthly PDF fleet reports are sent automatically once a month closes, on
+// MONTHLY_REPORT_DAY (or the next couple of days if the server was down)
+const DISABLE_MONTHLY_REPORTS = process.env.DISABLE_MONTHLY_REPORTS;
+const MONTHLY_REPORT_DAY = Math.min(
+  Math.max(parseInt(process.env.MONTHLY_REPORT_DAY, 10) || 1, 1),
+  28
+);
+const MONTHLY_REPORT_CATCH_UP_DAYS = 2;
+
+// Calendar "today" for report periods – East African users, whatever the
+// server's own time zone is
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || "Africa/Nairobi";
+
+// Currency every exchange rate is quoted against (1 unit = rate × base)
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || "KES").toUpperCase();
+
+// Reply language for users who haven't picked one ("en" or "sw")
+const DEFAULT_LANGUAGE = ["en", "sw"].includes(process.env.DEFAULT_LANGUAGE)
+  ? process.env.DEFAULT_LANGUAGE
+  : "en";
+
+// WhatsApp numbers allowed to maintain exchange rates (comma separated)
+const ADMIN_WHATSAPP_NUMBERS = (process.env.ADMIN_WHATSAPP_NUMBERS || "")
+  .split(",")
+  .map((n) => n.replace(/\D/g, ""))
+  .filter(Boolean);
+
+// Fastest believable average speed between two odometer readings
+const MAX_KM_PER_HOUR = parseInt(process.env.MAX_KM_PER_HOUR, 10) || 120;
+
+// Fuel anomaly checks: price per litre vs recent average (%) and
+// consumption vs the vehicle's norm (×)
+const FUEL_PRICE_TOLERANCE_PCT =
+  parseInt(process.env.FUEL_PRICE_TOLERANCE_PCT, 10) || 25;
+const FUEL_CONSUMPTION_FACTOR =
+  parseFloat(process.env.FUEL_CONSUMPTION_FACTOR) || 1.5;
+
+// How long after saving an entry "undo" can still remove it
+const UNDO_WINDOW_MINUTES = parseInt(process.env.UNDO_WINDOW_MINUTES, 10) || 15;
+
 const missing = [];
 if (!TWILIO_ACCOUNT_SID) missing.push("TWILIO_ACCOUNT_SID");
 if (!TWILIO_AUTH_TOKEN) missing.push("TWILIO_AUTH_TOKEN");
@@ -50,6 +133,21 @@ if (missing.length) {
   console.log("Using N8N_WEBHOOK_URL:", JSON.stringify(N8N_WEBHOOK_URL));
 }
 
+// Receipt photos: where to keep them ("local" disk for now) and how long
+// the signed download links we hand out stay valid.
+const RECEIPT_STORAGE = process.env.RECEIPT_STORAGE || "local";
+const RECEIPT_STORAGE_DIR =
+  process.env.RECEIPT_STORAGE_DIR || path.join(__dirname, "uploads");
+const FILE_URL_SECRET = process.env.FILE_URL_SECRET || TWILIO_AUTH_TOKEN;
+const FILE_URL_TTL_MINUTES =
+  parseInt(process.env.FILE_URL_TTL_MINUTES, 10) || 60;
+
+if (DISABLE_TWILIO_SIGNATURE_CHECK === "true") {
+  console.warn(
+    "⚠️ DISABLE_TWILIO_SIGNATURE_CHECK=true – inbound webhooks are NOT verified. Local development only!"
+  );
+}
+
 const twilioClient = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
 
 // ====== POSTGRES ======
@@ -70,12 +168,117 @@ async function testDb() {
 }
 testDb();
 
-// ====== TABLE ENSURERS ======
+// ====== SCHEMA MIGRATIONS ======
+// The schema is built by the ordered, numbered steps in MIGRATIONS. Each one
+// runs once, in its own transaction, and is recorded in schema_migrations;
+// startServer() applies whatever is pending before the app takes traffic.
+// Never edit a migration that has shipped – add a new one at the end.
+
+// pg_advisory_lock key, so only one instance migrates at a time
+const MIGRATION_LOCK_ID = 360360;
+
+// Tables the flows used before conversations; their columns are the data keys
+const LEGACY_SESSION_TABLES = {
+  fuel: "fuel_sessions",
+  service: "service_sessions",
+  expense: "expense_sessions",
+  personal_document: "personal_document_sessions",
+  vehicle_document: "vehicle_document_sessions",
+};
+
+// Copy open / parked entries from the old per-flow tables
+async function migrateLegacySessions(client) {
+  for (const [flow, table] of Object.entries(LEGACY_SESSION_TABLES)) {
+    const exists = await client.query(`SELECT to_regclass($1) AS name`, [table]);
+    if (!exists.rows[0].name) continue;
+
+    const res = await client.query(
+      `SELECT * FROM ${table} WHERE UPPER(status) IN ('ACTIVE', 'PARKED') ORDER BY id`
+    );
+    for (const row of res.rows) {
+      const { id, user_whatsapp, step, status, created_at, updated_at, ...fields } = row;
+      const data = {};
+      for (const [key, value] of Object.entries(fields)) {
+        if (value == null) continue;
+        data[key] = value instanceof Date ? toIsoDate(value) : value;
+      }
 
-// chat_turns – memory of conversation
-async function ensureChatTurnsTable() {
-  try {
-    await pool.query(`
+      // A second open entry for the same user comes over as a draft
+      const active = await client.query(
+        `SELECT 1 FROM conversations WHERE user_whatsapp = $1 AND status = 'ACTIVE'`,
+        [user_whatsapp]
+      );
+      const conv = await client.query(
+        `
+        INSERT INTO conversations (user_whatsapp, flow, step, data, status, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+      `,
+        [
+          user_whatsapp,
+          flow,
+          step,
+          JSON.stringify(data),
+          status.toUpperCase() === "ACTIVE" && active.rows.length === 0 ? "ACTIVE" : "PARKED",
+          created_at,
+          updated_at,
+        ]
+      );
+
+      await client.query(
+        `
+        UPDATE receipts
+        SET conversation_id = $1
+        WHERE log_type = $2
+          AND session_id = $3
+          AND log_id IS NULL
+      `,
+        [conv.rows[0].id, flow, id]
+      );
+    }
+
+    await client.query(
+      `UPDATE ${table} SET status = 'MIGRATED' WHERE UPPER(status) IN ('ACTIVE', 'PARKED')`
+    );
+    if (res.rows.length) {
+      console.log("💬 Moved " + res.rows.length + " open entries from " + table);
+    }
+  }
+}
+
+// { version, name, up } – `up` is plain SQL or async (client) => { ... }
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_tables",
+    up: `
+      -- vehicles & drivers – the owner's fleet
+      CREATE TABLE IF NOT EXISTS vehicles (
+        id              SERIAL PRIMARY KEY,
+        owner_whatsapp  TEXT NOT NULL,
+        registration    TEXT NOT NULL,
+        nickname        TEXT,
+        is_default      BOOLEAN NOT NULL DEFAULT FALSE,
+        is_active       BOOLEAN NOT NULL DEFAULT TRUE,
+        driver_id       INTEGER,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS drivers (
+        id                  SERIAL PRIMARY KEY,
+        owner_whatsapp      TEXT NOT NULL,
+        full_name           TEXT NOT NULL,
+        driver_whatsapp     TEXT,
+        license_type        TEXT,
+        license_expiry_date DATE,
+        is_active           BOOLEAN NOT NULL DEFAULT TRUE,
+        accepted_at         TIMESTAMPTZ,
+        created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      -- chat_turns – memory of conversation
       CREATE TABLE IF NOT EXISTS chat_turns (
         id SERIAL PRIMARY KEY,
         user_whatsapp TEXT NOT NULL,
@@ -83,82 +286,45 @@ async function ensureChatTurnsTable() {
         message TEXT NOT NULL,
         created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
       );
-    `);
-    console.log("🧠 chat_turns table is ready.");
-  } catch (err) {
-    console.error("❌ Error ensuring chat_turns table:", err.message);
-  }
-}
-ensureChatTurnsTable();
 
-// vehicle_documents + sessions
-async function ensureVehicleDocumentTables() {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS vehicle_documents (
+      -- reminders + reminder_sends – expiry nudges (documents & driver licences)
+      CREATE TABLE IF NOT EXISTS reminders (
         id              SERIAL PRIMARY KEY,
-        vehicle_id      INTEGER NOT NULL,
+        user_whatsapp   TEXT NOT NULL,
+        cc_whatsapp     TEXT,
+        source_type     TEXT NOT NULL,
+        source_id       INTEGER NOT NULL,
         title           TEXT,
-        cost            NUMERIC,
-        expiry_date     DATE,
-        notes           TEXT,
+        due_date        DATE NOT NULL,
+        status          TEXT NOT NULL DEFAULT 'ACTIVE',
         created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (source_type, source_id)
       );
-    `);
 
-    await pool.query(`
-      ALTER TABLE vehicle_documents
-        ADD COLUMN IF NOT EXISTS vehicle_id INTEGER,
-        ADD COLUMN IF NOT EXISTS title TEXT,
-        ADD COLUMN IF NOT EXISTS cost NUMERIC,
-        ADD COLUMN IF NOT EXISTS expiry_date DATE,
-        ADD COLUMN IF NOT EXISTS notes TEXT,
-        ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
-    `);
+      -- One row per (reminder, offset, due date) – the unique key is what
+      -- stops a restart (or a second instance) from sending the same nudge twice.
+      CREATE TABLE IF NOT EXISTS reminder_sends (
+        id              SERIAL PRIMARY KEY,
+        reminder_id     INTEGER NOT NULL REFERENCES reminders(id) ON DELETE CASCADE,
+        offset_days     INTEGER NOT NULL,
+        due_date        DATE NOT NULL,
+        sent_to         TEXT,
+        sent_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (reminder_id, offset_days, due_date)
+      );
 
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS vehicle_document_sessions (
+      CREATE TABLE IF NOT EXISTS vehicle_documents (
         id              SERIAL PRIMARY KEY,
-        user_whatsapp   TEXT NOT NULL,
         vehicle_id      INTEGER NOT NULL,
-        step            TEXT NOT NULL,
         title           TEXT,
         cost            NUMERIC,
         expiry_date     DATE,
         notes           TEXT,
-        status          TEXT NOT NULL DEFAULT 'active',
         created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
         updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
       );
-    `);
-
-    await pool.query(`
-      ALTER TABLE vehicle_document_sessions
-        ADD COLUMN IF NOT EXISTS user_whatsapp   TEXT,
-        ADD COLUMN IF NOT EXISTS vehicle_id      INTEGER,
-        ADD COLUMN IF NOT EXISTS step            TEXT,
-        ADD COLUMN IF NOT EXISTS title           TEXT,
-        ADD COLUMN IF NOT EXISTS cost            NUMERIC,
-        ADD COLUMN IF NOT EXISTS expiry_date     DATE,
-        ADD COLUMN IF NOT EXISTS notes           TEXT,
-        ADD COLUMN IF NOT EXISTS status          TEXT NOT NULL DEFAULT 'active',
-        ADD COLUMN IF NOT EXISTS created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        ADD COLUMN IF NOT EXISTS updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW();
-    `);
-
-    console.log("📄 vehicle_documents & vehicle_document_sessions tables are ready.");
-  } catch (err) {
-    console.error("❌ Error ensuring vehicle document tables:", err.message);
-  }
-}
-ensureVehicleDocumentTables();
 
-// personal_documents + sessions – FINAL version (with user_whatsapp)
-async function ensurePersonalDocumentsTables() {
-  try {
-    await pool.query(`
       CREATE TABLE IF NOT EXISTS personal_documents (
         id              SERIAL PRIMARY KEY,
         user_whatsapp   TEXT NOT NULL,
@@ -175,147 +341,819 @@ async function ensurePersonalDocumentsTables() {
         created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
         updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
       );
-    `);
 
-    await pool.query(`
-      ALTER TABLE personal_documents
-        ADD COLUMN IF NOT EXISTS user_whatsapp   TEXT,
-        ADD COLUMN IF NOT EXISTS owner_whatsapp  TEXT,
-        ADD COLUMN IF NOT EXISTS driver_whatsapp TEXT,
-        ADD COLUMN IF NOT EXISTS driver_id       INTEGER REFERENCES drivers(id) ON DELETE SET NULL,
-        ADD COLUMN IF NOT EXISTS doc_title       TEXT,
-        ADD COLUMN IF NOT EXISTS doc_type        TEXT,
-        ADD COLUMN IF NOT EXISTS cost_amount     NUMERIC(12,2),
-        ADD COLUMN IF NOT EXISTS currency        TEXT NOT NULL DEFAULT 'KES',
-        ADD COLUMN IF NOT EXISTS expiry_date     DATE,
-        ADD COLUMN IF NOT EXISTS notes           TEXT,
-        ADD COLUMN IF NOT EXISTS reminder_id     INTEGER REFERENCES reminders(id) ON DELETE SET NULL,
-        ADD COLUMN IF NOT EXISTS created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        ADD COLUMN IF NOT EXISTS updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW();
-    `);
+      -- fuel / service / expense logs
+      CREATE TABLE IF NOT EXISTS fuel_logs (
+        id              SERIAL PRIMARY KEY,
+        user_whatsapp   TEXT NOT NULL,
+        vehicle_id      INTEGER,
+        driver_id       INTEGER,
+        amount          NUMERIC(12,2),
+        litres          NUMERIC(12,3),
+        odometer        NUMERIC,
+        station         TEXT,
+        notes           TEXT,
+        message_text    TEXT,
+        submitted_by    TEXT,
+        approval_status TEXT NOT NULL DEFAULT 'approved',
+        currency        TEXT NOT NULL DEFAULT 'KES',
+        reviewed_at     TIMESTAMPTZ,
+        review_note     TEXT,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
 
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS personal_document_sessions (
+      CREATE TABLE IF NOT EXISTS service_logs (
         id              SERIAL PRIMARY KEY,
         user_whatsapp   TEXT NOT NULL,
-        step            TEXT NOT NULL,
-        status          TEXT NOT NULL DEFAULT 'ACTIVE',
-        doc_title       TEXT,
-        doc_type        TEXT,
+        vehicle_id      INTEGER,
+        driver_id       INTEGER,
+        service_type    TEXT,
         cost_amount     NUMERIC(12,2),
-        expiry_date     DATE,
+        odometer        NUMERIC,
         notes           TEXT,
+        message_text    TEXT,
+        submitted_by    TEXT,
+        approval_status TEXT NOT NULL DEFAULT 'approved',
+        currency        TEXT NOT NULL DEFAULT 'KES',
+        reviewed_at     TIMESTAMPTZ,
+        review_note     TEXT,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS expense_logs (
+        id              SERIAL PRIMARY KEY,
+        user_whatsapp   TEXT NOT NULL,
+        vehicle_id      INTEGER,
+        driver_id       INTEGER,
+        title           TEXT,
+        amount          NUMERIC(12,2),
+        odometer        NUMERIC,
+        notes           TEXT,
+        message_text    TEXT,
+        submitted_by    TEXT,
+        approval_status TEXT NOT NULL DEFAULT 'approved',
+        currency        TEXT NOT NULL DEFAULT 'KES',
+        reviewed_at     TIMESTAMPTZ,
+        review_note     TEXT,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      -- service_intervals – per-vehicle "service every X km / Y months"
+      CREATE TABLE IF NOT EXISTS service_intervals (
+        vehicle_id      INTEGER PRIMARY KEY,
+        owner_whatsapp  TEXT NOT NULL,
+        interval_km     NUMERIC,
+        interval_months INTEGER,
         created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
         updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
       );
-    `);
 
-    await pool.query(`
-      ALTER TABLE personal_document_sessions
+      -- One warning per (vehicle, last service, level) so owners aren't spammed
+      CREATE TABLE IF NOT EXISTS service_due_warnings (
+        id              SERIAL PRIMARY KEY,
+        vehicle_id      INTEGER NOT NULL,
+        service_log_id  INTEGER NOT NULL,
+        level           TEXT NOT NULL,
+        sent_to         TEXT,
+        sent_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (vehicle_id, service_log_id, level)
+      );
+
+      -- receipts – photos attached to fuel / service / expense entries
+      CREATE TABLE IF NOT EXISTS receipts (
+        id              SERIAL PRIMARY KEY,
+        user_whatsapp   TEXT NOT NULL,
+        log_type        TEXT NOT NULL,
+        session_id      INTEGER,
+        conversation_id INTEGER,
+        log_id          INTEGER,
+        storage         TEXT NOT NULL,
+        storage_key     TEXT NOT NULL,
+        content_type    TEXT,
+        size_bytes      INTEGER,
+        source_url      TEXT,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS receipts_log_idx
+        ON receipts (log_type, log_id);
+
+      -- log_changes – audit trail of saves, edits and undos; edit_sessions – "edit last …"
+      CREATE TABLE IF NOT EXISTS log_changes (
+        id            SERIAL PRIMARY KEY,
+        user_whatsapp TEXT NOT NULL,
+        log_type      TEXT NOT NULL,
+        log_id        INTEGER NOT NULL,
+        action        TEXT NOT NULL,
+        field         TEXT,
+        old_value     TEXT,
+        new_value     TEXT,
+        snapshot      JSONB,
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS log_changes_user_idx
+        ON log_changes (user_whatsapp, created_at);
+
+      CREATE TABLE IF NOT EXISTS edit_sessions (
+        id            SERIAL PRIMARY KEY,
+        user_whatsapp TEXT NOT NULL,
+        log_type      TEXT NOT NULL,
+        log_id        INTEGER NOT NULL,
+        step          TEXT NOT NULL,
+        field         TEXT,
+        status        TEXT NOT NULL DEFAULT 'ACTIVE',
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      -- entry_approvals – owner review of driver-submitted fuel / service / expense
+      CREATE TABLE IF NOT EXISTS entry_approvals (
+        id              SERIAL PRIMARY KEY,
+        owner_whatsapp  TEXT NOT NULL,
+        driver_whatsapp TEXT NOT NULL,
+        driver_id       INTEGER,
+        log_type        TEXT NOT NULL,
+        log_id          INTEGER NOT NULL,
+        status          TEXT NOT NULL DEFAULT 'pending',
+        reason          TEXT,
+        decided_at      TIMESTAMPTZ,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (log_type, log_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS entry_approvals_owner_idx
+        ON entry_approvals (owner_whatsapp, status);
+
+      -- api_keys – bearer keys for the REST API, one owner each (only the hash is stored)
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id             SERIAL PRIMARY KEY,
+        owner_whatsapp TEXT NOT NULL,
+        key_hash       TEXT NOT NULL UNIQUE,
+        key_prefix     TEXT NOT NULL,
+        last_used_at   TIMESTAMPTZ,
+        revoked_at     TIMESTAMPTZ,
+        created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      -- log_exports – spreadsheet exports handed out as signed download links
+      CREATE TABLE IF NOT EXISTS log_exports (
+        id             SERIAL PRIMARY KEY,
+        owner_whatsapp TEXT NOT NULL,
+        log_type       TEXT NOT NULL,
+        period_from    DATE NOT NULL,
+        period_to      DATE NOT NULL,
+        row_count      INTEGER NOT NULL DEFAULT 0,
+        created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      -- fleet_reports – monthly PDF reports (one row per owner & month)
+      CREATE TABLE IF NOT EXISTS fleet_reports (
+        id             SERIAL PRIMARY KEY,
+        owner_whatsapp TEXT NOT NULL,
+        period_from    DATE NOT NULL,
+        period_to      DATE NOT NULL,
+        auto_sent_at   TIMESTAMPTZ,
+        created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (owner_whatsapp, period_from)
+      );
+
+      -- vehicle_budgets – monthly spend budget per vehicle & category;
+      -- budget_alerts – one 80% / 100% alert per vehicle, category and month
+      CREATE TABLE IF NOT EXISTS vehicle_budgets (
+        id             SERIAL PRIMARY KEY,
+        vehicle_id     INTEGER NOT NULL,
+        owner_whatsapp TEXT NOT NULL,
+        category       TEXT NOT NULL,
+        monthly_amount NUMERIC(12,2) NOT NULL,
+        created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (vehicle_id, category)
+      );
+
+      CREATE TABLE IF NOT EXISTS budget_alerts (
+        id           SERIAL PRIMARY KEY,
+        vehicle_id   INTEGER NOT NULL,
+        category     TEXT NOT NULL,
+        period_from  DATE NOT NULL,
+        level        INTEGER NOT NULL,
+        sent_to      TEXT,
+        sent_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (vehicle_id, category, period_from, level)
+      );
+
+      -- fuel_anomalies – suspicious fuel entries flagged when they were saved
+      CREATE TABLE IF NOT EXISTS fuel_anomalies (
+        id             SERIAL PRIMARY KEY,
+        fuel_log_id    INTEGER NOT NULL,
+        vehicle_id     INTEGER,
+        owner_whatsapp TEXT NOT NULL,
+        kind           TEXT NOT NULL,
+        message        TEXT NOT NULL,
+        created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (fuel_log_id, kind)
+      );
+
+      -- odometer_resets – dashboard / odometer replacements; readings before the
+      -- latest reset no longer count towards a vehicle's odometer timeline
+      CREATE TABLE IF NOT EXISTS odometer_resets (
+        id               SERIAL PRIMARY KEY,
+        vehicle_id       INTEGER NOT NULL,
+        previous_reading NUMERIC,
+        new_reading      NUMERIC NOT NULL,
+        note             TEXT,
+        reset_by         TEXT NOT NULL,
+        created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      -- account_settings – per-account preferences (default currency, language);
+      -- exchange_rates – admin-maintained rates against BASE_CURRENCY
+      CREATE TABLE IF NOT EXISTS account_settings (
+        user_whatsapp TEXT PRIMARY KEY,
+        currency      TEXT,
+        language      TEXT,
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        currency     TEXT PRIMARY KEY,
+        rate_to_base NUMERIC(18,8) NOT NULL,
+        updated_by   TEXT,
+        updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      -- interactive_contents – Twilio content templates created for buttons / lists
+      CREATE TABLE IF NOT EXISTS interactive_contents (
+        content_hash TEXT PRIMARY KEY,
+        content_sid  TEXT NOT NULL,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      -- conversations – the open multi-step entry (fuel, service, expense,
+      -- documents) per user: flow name, current step and the answers so far
+      CREATE TABLE IF NOT EXISTS conversations (
+        id            SERIAL PRIMARY KEY,
+        user_whatsapp TEXT NOT NULL,
+        flow          TEXT NOT NULL,
+        step          TEXT NOT NULL,
+        data          JSONB NOT NULL DEFAULT '{}'::jsonb,
+        status        TEXT NOT NULL DEFAULT 'ACTIVE',
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      -- At most one open conversation per user
+      CREATE UNIQUE INDEX IF NOT EXISTS conversations_active_idx
+        ON conversations (user_whatsapp)
+        WHERE status = 'ACTIVE';
+    `,
+  },
+  {
+    // Databases set up before migrations have older shapes of these tables
+    version: 2,
+    name: "add_columns_missing_from_older_tables",
+    up: `
+      ALTER TABLE drivers
+        ADD COLUMN IF NOT EXISTS accepted_at TIMESTAMPTZ;
+
+      ALTER TABLE vehicle_documents
+        ADD COLUMN IF NOT EXISTS vehicle_id INTEGER,
+        ADD COLUMN IF NOT EXISTS title TEXT,
+        ADD COLUMN IF NOT EXISTS cost NUMERIC,
+        ADD COLUMN IF NOT EXISTS expiry_date DATE,
+        ADD COLUMN IF NOT EXISTS notes TEXT,
+        ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+      ALTER TABLE reminders
         ADD COLUMN IF NOT EXISTS user_whatsapp   TEXT,
-        ADD COLUMN IF NOT EXISTS step            TEXT,
+        ADD COLUMN IF NOT EXISTS cc_whatsapp     TEXT,
+        ADD COLUMN IF NOT EXISTS source_type     TEXT,
+        ADD COLUMN IF NOT EXISTS source_id       INTEGER,
+        ADD COLUMN IF NOT EXISTS title           TEXT,
+        ADD COLUMN IF NOT EXISTS due_date        DATE,
         ADD COLUMN IF NOT EXISTS status          TEXT NOT NULL DEFAULT 'ACTIVE',
+        ADD COLUMN IF NOT EXISTS created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        ADD COLUMN IF NOT EXISTS updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+      ALTER TABLE personal_documents
+        ADD COLUMN IF NOT EXISTS user_whatsapp   TEXT,
+        ADD COLUMN IF NOT EXISTS owner_whatsapp  TEXT,
+        ADD COLUMN IF NOT EXISTS driver_whatsapp TEXT,
+        ADD COLUMN IF NOT EXISTS driver_id       INTEGER REFERENCES drivers(id) ON DELETE SET NULL,
         ADD COLUMN IF NOT EXISTS doc_title       TEXT,
         ADD COLUMN IF NOT EXISTS doc_type        TEXT,
         ADD COLUMN IF NOT EXISTS cost_amount     NUMERIC(12,2),
+        ADD COLUMN IF NOT EXISTS currency        TEXT NOT NULL DEFAULT 'KES',
         ADD COLUMN IF NOT EXISTS expiry_date     DATE,
         ADD COLUMN IF NOT EXISTS notes           TEXT,
+        ADD COLUMN IF NOT EXISTS reminder_id     INTEGER REFERENCES reminders(id) ON DELETE SET NULL,
         ADD COLUMN IF NOT EXISTS created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
         ADD COLUMN IF NOT EXISTS updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW();
-    `);
-
-    console.log("📄 personal_documents & personal_document_sessions tables are ready.");
-  } catch (err) {
-    console.error("❌ Error ensuring personal_documents tables:", err.message);
-  }
-}
-ensurePersonalDocumentsTables();
-
-// expense_logs + sessions
-async function ensureExpenseTables() {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS expense_logs (
-        id            SERIAL PRIMARY KEY,
-        user_whatsapp TEXT NOT NULL,
-        vehicle_id    INTEGER,
-        driver_id     INTEGER,
-        title         TEXT,
-        amount        NUMERIC(12,2),
-        odometer      NUMERIC,
-        notes         TEXT,
-        message_text  TEXT,
-        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
-      );
-    `);
 
-    await pool.query(`
-      ALTER TABLE expense_logs
+      ALTER TABLE fuel_logs
         ADD COLUMN IF NOT EXISTS user_whatsapp TEXT,
         ADD COLUMN IF NOT EXISTS vehicle_id    INTEGER,
         ADD COLUMN IF NOT EXISTS driver_id     INTEGER,
-        ADD COLUMN IF NOT EXISTS title         TEXT,
         ADD COLUMN IF NOT EXISTS amount        NUMERIC(12,2),
+        ADD COLUMN IF NOT EXISTS litres        NUMERIC(12,3),
         ADD COLUMN IF NOT EXISTS odometer      NUMERIC,
+        ADD COLUMN IF NOT EXISTS station       TEXT,
         ADD COLUMN IF NOT EXISTS notes         TEXT,
         ADD COLUMN IF NOT EXISTS message_text  TEXT,
+        ADD COLUMN IF NOT EXISTS submitted_by  TEXT,
+        ADD COLUMN IF NOT EXISTS approval_status TEXT NOT NULL DEFAULT 'approved',
+        ADD COLUMN IF NOT EXISTS currency      TEXT NOT NULL DEFAULT 'KES',
+        ADD COLUMN IF NOT EXISTS reviewed_at   TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS review_note   TEXT,
         ADD COLUMN IF NOT EXISTS created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW();
-    `);
 
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS expense_sessions (
-        id            SERIAL PRIMARY KEY,
-        user_whatsapp TEXT NOT NULL,
-        vehicle_id    INTEGER NOT NULL,
-        step          TEXT NOT NULL,
-        title         TEXT,
-        amount        NUMERIC(12,2),
-        odometer      NUMERIC,
-        notes         TEXT,
-        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
-      );
-    `);
+      ALTER TABLE service_logs
+        ADD COLUMN IF NOT EXISTS user_whatsapp TEXT,
+        ADD COLUMN IF NOT EXISTS vehicle_id    INTEGER,
+        ADD COLUMN IF NOT EXISTS driver_id     INTEGER,
+        ADD COLUMN IF NOT EXISTS service_type  TEXT,
+        ADD COLUMN IF NOT EXISTS cost_amount   NUMERIC(12,2),
+        ADD COLUMN IF NOT EXISTS odometer      NUMERIC,
+        ADD COLUMN IF NOT EXISTS notes         TEXT,
+        ADD COLUMN IF NOT EXISTS message_text  TEXT,
+        ADD COLUMN IF NOT EXISTS submitted_by  TEXT,
+        ADD COLUMN IF NOT EXISTS approval_status TEXT NOT NULL DEFAULT 'approved',
+        ADD COLUMN IF NOT EXISTS currency      TEXT NOT NULL DEFAULT 'KES',
+        ADD COLUMN IF NOT EXISTS reviewed_at   TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS review_note   TEXT,
+        ADD COLUMN IF NOT EXISTS created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW();
 
-    await pool.query(`
-      ALTER TABLE expense_sessions
+      ALTER TABLE expense_logs
         ADD COLUMN IF NOT EXISTS user_whatsapp TEXT,
         ADD COLUMN IF NOT EXISTS vehicle_id    INTEGER,
-        ADD COLUMN IF NOT EXISTS step          TEXT,
+        ADD COLUMN IF NOT EXISTS driver_id     INTEGER,
         ADD COLUMN IF NOT EXISTS title         TEXT,
         ADD COLUMN IF NOT EXISTS amount        NUMERIC(12,2),
         ADD COLUMN IF NOT EXISTS odometer      NUMERIC,
         ADD COLUMN IF NOT EXISTS notes         TEXT,
-        ADD COLUMN IF NOT EXISTS created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        ADD COLUMN IF NOT EXISTS updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW();
-    `);
+        ADD COLUMN IF NOT EXISTS message_text  TEXT,
+        ADD COLUMN IF NOT EXISTS submitted_by  TEXT,
+        ADD COLUMN IF NOT EXISTS approval_status TEXT NOT NULL DEFAULT 'approved',
+        ADD COLUMN IF NOT EXISTS currency      TEXT NOT NULL DEFAULT 'KES',
+        ADD COLUMN IF NOT EXISTS reviewed_at   TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS review_note   TEXT,
+        ADD COLUMN IF NOT EXISTS created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW();
 
-    console.log("💸 expense_logs & expense_sessions tables are ready.");
-  } catch (err) {
-    console.error("❌ Error ensuring expense tables:", err.message);
-  }
-}
-ensureExpenseTables();
+      ALTER TABLE receipts
+        ADD COLUMN IF NOT EXISTS conversation_id INTEGER;
 
-// ====== GENERIC HELPERS ======
-function parseNumber(text) {
-  if (!text) return NaN;
-  const cleaned = String(text).replace(/[^0-9.]/g, "");
-  return parseFloat(cleaned);
-}
+      ALTER TABLE account_settings
+        ADD COLUMN IF NOT EXISTS language TEXT;
+    `,
+  },
+  {
+    // Receipts sent during an open entry move over with it (see migration 2)
+    version: 3,
+    name: "move_legacy_sessions_to_conversations",
+    up: migrateLegacySessions,
+  },
+  {
+    // Lookups by user, vehicle and date that every report / list runs
+    version: 4,
+    name: "add_lookup_indexes",
+    up: `
+      CREATE INDEX IF NOT EXISTS vehicles_owner_idx ON vehicles (owner_whatsapp);
+      CREATE INDEX IF NOT EXISTS drivers_owner_idx ON drivers (owner_whatsapp);
+      CREATE INDEX IF NOT EXISTS drivers_whatsapp_idx ON drivers (driver_whatsapp);
+      CREATE INDEX IF NOT EXISTS chat_turns_user_idx ON chat_turns (user_whatsapp, created_at);
+
+      CREATE INDEX IF NOT EXISTS fuel_logs_user_idx ON fuel_logs (user_whatsapp, created_at);
+      CREATE INDEX IF NOT EXISTS fuel_logs_vehicle_idx ON fuel_logs (vehicle_id, created_at);
+      CREATE INDEX IF NOT EXISTS service_logs_user_idx ON service_logs (user_whatsapp, created_at);
+      CREATE INDEX IF NOT EXISTS service_logs_vehicle_idx ON service_logs (vehicle_id, created_at);
+      CREATE INDEX IF NOT EXISTS expense_logs_user_idx ON expense_logs (user_whatsapp, created_at);
+      CREATE INDEX IF NOT EXISTS expense_logs_vehicle_idx ON expense_logs (vehicle_id, created_at);
+
+      CREATE INDEX IF NOT EXISTS vehicle_documents_vehicle_idx ON vehicle_documents (vehicle_id);
+      CREATE INDEX IF NOT EXISTS personal_documents_user_idx ON personal_documents (user_whatsapp);
+      CREATE INDEX IF NOT EXISTS reminders_user_idx ON reminders (user_whatsapp);
+      CREATE INDEX IF NOT EXISTS reminders_due_idx ON reminders (status, due_date);
+
+      CREATE INDEX IF NOT EXISTS receipts_conversation_idx ON receipts (conversation_id);
+      CREATE INDEX IF NOT EXISTS edit_sessions_user_idx ON edit_sessions (user_whatsapp, status);
+      CREATE INDEX IF NOT EXISTS conversations_user_idx ON conversations (user_whatsapp, status);
+      CREATE INDEX IF NOT EXISTS fuel_anomalies_vehicle_idx ON fuel_anomalies (vehicle_id, created_at);
+      CREATE INDEX IF NOT EXISTS odometer_resets_vehicle_idx ON odometer_resets (vehicle_id, created_at);
+    `,
+  },
+  {
+    // inbound_messages – one row per Twilio MessageSid, so webhook retries
+    // are skipped; chat turns point back at the message they came from
+    version: 5,
+    name: "create_inbound_messages",
+    up: `
+      CREATE TABLE IF NOT EXISTS inbound_messages (
+        message_sid   TEXT PRIMARY KEY,
+        user_whatsapp TEXT NOT NULL,
+        body          TEXT,
+        media_count   INTEGER NOT NULL DEFAULT 0,
+        status        TEXT NOT NULL DEFAULT 'processing',
+        reply         TEXT,
+        error         TEXT,
+        received_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        processed_at  TIMESTAMPTZ
+      );
 
-// ====== VEHICLE HELPERS ======
+      CREATE INDEX IF NOT EXISTS inbound_messages_user_idx
+        ON inbound_messages (user_whatsapp, received_at);
 
-async function getUserVehicles(userWhatsapp) {
-  const res = await pool.query(
-    `
-    SELECT *
-    FROM vehicles
-    WHERE owner_whatsapp = $1
-      AND is_active = TRUE
-    ORDER BY created_at ASC
-  `,
-    [userWhatsapp]
+      ALTER TABLE chat_turns
+        ADD COLUMN IF NOT EXISTS message_sid TEXT;
+    `,
+  },
+  {
+    // outbound_messages – every WhatsApp message we send, its retries and
+    // Twilio's delivery / read state
+    version: 6,
+    name: "create_outbound_messages",
+    up: `
+      CREATE TABLE IF NOT EXISTS outbound_messages (
+        id              SERIAL PRIMARY KEY,
+        to_whatsapp     TEXT NOT NULL,
+        kind            TEXT NOT NULL DEFAULT 'message',
+        body            TEXT,
+        media_url       TEXT,
+        content_sid     TEXT,
+        status          TEXT NOT NULL DEFAULT 'pending',
+        attempts        INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_error      TEXT,
+        twilio_sid      TEXT,
+        delivery_status TEXT,
+        error_code      TEXT,
+        sent_at         TIMESTAMPTZ,
+        delivered_at    TIMESTAMPTZ,
+        read_at         TIMESTAMPTZ,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS outbound_messages_due_idx
+        ON outbound_messages (status, next_attempt_at);
+      CREATE UNIQUE INDEX IF NOT EXISTS outbound_messages_sid_idx
+        ON outbound_messages (twilio_sid);
+      CREATE INDEX IF NOT EXISTS outbound_messages_kind_idx
+        ON outbound_messages (kind, created_at);
+    `,
+  },
+  {
+    // reminders tables from before migrations may lack UNIQUE (source_type,
+    // source_id), which the reminder upserts' ON CONFLICT needs. Keep the
+    // newest row of any duplicates, then add the index.
+    version: 7,
+    name: "add_reminders_source_unique_index",
+    up: `
+      DELETE FROM reminders r
+      USING reminders newer
+      WHERE newer.source_type = r.source_type
+        AND newer.source_id = r.source_id
+        AND newer.id > r.id;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS reminders_source_idx
+        ON reminders (source_type, source_id);
+    `,
+  },
+  {
+    // Enough of each inbound message to run it again after a crash
+    version: 8,
+    name: "add_inbound_message_retry_columns",
+    up: `
+      ALTER TABLE inbound_messages
+        ADD COLUMN IF NOT EXISTS media      JSONB NOT NULL DEFAULT '[]'::jsonb,
+        ADD COLUMN IF NOT EXISTS attempts   INTEGER NOT NULL DEFAULT 1,
+        ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+      CREATE INDEX IF NOT EXISTS inbound_messages_status_idx
+        ON inbound_messages (status, started_at);
+    `,
+  },
+  {
+    // started_at is now set when the handler picks the message up, and
+    // heartbeat_at shows a live process still holds it (queued or running)
+    version: 9,
+    name: "add_inbound_message_heartbeat",
+    up: `
+      ALTER TABLE inbound_messages
+        ALTER COLUMN started_at DROP NOT NULL,
+        ALTER COLUMN started_at DROP DEFAULT,
+        ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+    `,
+  },
+  {
+    // Drivers who set their licence before accepted_at existed had accepted;
+    // record it so a cleared accepted_at (e.g. new number) means "not yet"
+    version: 10,
+    name: "backfill_driver_accepted_at",
+    up: `
+      UPDATE drivers
+      SET accepted_at = COALESCE(updated_at, created_at, NOW())
+      WHERE accepted_at IS NULL
+        AND license_expiry_date IS NOT NULL;
+    `,
+  },
+];
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    INTEGER PRIMARY KEY,
+      name       TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+// Apply every pending migration in order; throws (and rolls that one back)
+// on the first failure so the server never starts on a half-built schema
+async function runMigrations() {
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock($1)`, [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+
+    const res = await client.query(`SELECT version FROM schema_migrations`);
+    const applied = new Set(res.rows.map((r) => r.version));
+
+    let count = 0;
+    for (const migration of MIGRATIONS) {
+      if (applied.has(migration.version)) continue;
+
+      try {
+        await client.query("BEGIN");
+        if (typeof migration.up === "function") {
+          await migration.up(client);
+        } else {
+          await client.query(migration.up);
+        }
+        await client.query(
+          `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+          [migration.version, migration.name]
+        );
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw new Error(
+          "migration " + migration.version + " (" + migration.name + ") failed: " + err.message
+        );
+      }
+
+      count++;
+      console.log("🗄️ Applied migration " + migration.version + " – " + migration.name);
+    }
+
+    console.log(
+      count
+        ? "🗄️ Database schema is at version " + MIGRATIONS[MIGRATIONS.length - 1].version + "."
+        : "🗄️ Database schema is up to date."
+    );
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock($1)`, [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function getMigrationStatus() {
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const res = await client.query(`
+      SELECT version, name, to_char(applied_at, 'YYYY-MM-DD HH24:MI') AS applied_str
+      FROM schema_migrations
+      ORDER BY version
+    `);
+    const applied = new Set(res.rows.map((r) => r.version));
+    return {
+      applied: res.rows,
+      pending: MIGRATIONS.filter((m) => !applied.has(m.version)),
+    };
+  } finally {
+    client.release();
+  }
+}
+
+// "migrations" – admin-only view of which schema versions have run
+async function handleMigrationStatusCommand(userWhatsapp) {
+  const lang = await getUserLanguage(userWhatsapp);
+  if (!isAdminWhatsapp(userWhatsapp)) {
+    return t(lang, "migrations.admin_only");
+  }
+
+  const { applied, pending } = await getMigrationStatus();
+  const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+  const current = applied.length ? applied[applied.length - 1].version : 0;
+
+  let text = t(lang, "migrations.title", { current, latest });
+
+  for (const row of applied) {
+    text += "✅ " + row.version + ". " + row.name + " (" + row.applied_str + ")\n";
+  }
+  for (const m of pending) {
+    text += "⏳ " + m.version + ". " + m.name + t(lang, "migrations.pending") + "\n";
+  }
+
+  text += t(lang, pending.length ? "migrations.footer_pending" : "migrations.footer_done");
+  return text;
+}
+
+// ====== GENERIC HELPERS ======
+function parseNumber(text) {
+  if (!text) return NaN;
+  const cleaned = String(text).replace(/[^0-9.]/g, "");
+  return parseFloat(cleaned);
+}
+
+// Strict YYYY-MM-DD → same string if it's a real calendar date, else null
+function parseIsoDate(text) {
+  const m = String(text || "").trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  if (
+    d.getUTCFullYear() !== +m[1] ||
+    d.getUTCMonth() !== +m[2] - 1 ||
+    d.getUTCDate() !== +m[3]
+  ) {
+    return null;
+  }
+  return m[0];
+}
+
+const MONTH_NAMES = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+/**
+ * Today's date in REPORT_TIMEZONE as a local-midnight Date, so the calendar
+ * helpers below (getFullYear / getMonth / toIsoDate) see the user's date.
+ */
+function appToday(now = new Date()) {
+  const parts = {};
+  for (const p of new Intl.DateTimeFormat("en-US", {
+    timeZone: REPORT_TIMEZONE,
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+  }).formatToParts(now)) {
+    parts[p.type] = parseInt(p.value, 10);
+  }
+  return new Date(parts.year, parts.month - 1, parts.day);
+}
+
+function toIsoDate(date) {
+  return (
+    date.getFullYear() +
+    "-" +
+    String(date.getMonth() + 1).padStart(2, "0") +
+    "-" +
+    String(date.getDate()).padStart(2, "0")
+  );
+}
+
+/**
+ * "march", "mar 2025", "" (this month) → { from, to, label } with inclusive
+ * YYYY-MM-DD bounds. A month later than the current one means last year's.
+ */
+function parseMonthPeriod(text, now = appToday()) {
+  const t = String(text || "").trim().toLowerCase();
+  let month = now.getMonth();
+  let year = now.getFullYear();
+
+  if (t && t !== "this month") {
+    const m = t.match(/^([a-z]+)(?:\s+(\d{4}))?$/);
+    if (!m) return null;
+    const index = MONTH_NAMES.findIndex(
+      (name) => m[1].length >= 3 && name.startsWith(m[1])
+    );
+    if (index === -1) return null;
+    month = index;
+    if (m[2]) {
+      year = parseInt(m[2], 10);
+    } else if (month > now.getMonth()) {
+      year -= 1;
+    }
+  }
+
+  return monthPeriod(year, month);
+}
+
+// 1 → "1st", 22 → "22nd", 13 → "13th"
+function formatDayOfMonth(day) {
+  const suffix =
+    day % 100 >= 11 && day % 100 <= 13 ? "th" : ["th", "st", "nd", "rd"][day % 10] || "th";
+  return day + suffix;
+}
+
+// Calendar month as { from, to, label }; month may overflow (-1 = last December)
+function monthPeriod(year, month) {
+  const start = new Date(year, month, 1);
+  return {
+    from: toIsoDate(start),
+    to: toIsoDate(new Date(start.getFullYear(), start.getMonth() + 1, 0)),
+    label: capitalizeFirst(MONTH_NAMES[start.getMonth()]) + " " + start.getFullYear(),
+  };
+}
+
+// Shift a YYYY-MM-DD date by whole days (calendar math, no time zone drift)
+function addDaysIso(iso, days) {
+  const d = new Date(iso + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetweenIso(from, to) {
+  return Math.round(
+    (Date.parse(to + "T00:00:00Z") - Date.parse(from + "T00:00:00Z")) / 86400000
+  );
+}
+
+/**
+ * Report period from free text → { from, to, label } (inclusive YYYY-MM-DD),
+ * or null when the text isn't a period. Understands "today", "this month",
+ * "last month", "this year", "last 90 days", "2026-01-01 to 2026-03-31" and
+ * month names ("march", "mar 2025"). Periods never run past today.
+ */
+function parseReportPeriod(text, now = appToday()) {
+  const t = String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+  const today = toIsoDate(now);
+  if (!t) return null;
+
+  if (t === "today") {
+    return { from: today, to: today, label: "Today" };
+  }
+  if (t === "this month") {
+    const m = monthPeriod(now.getFullYear(), now.getMonth());
+    return { from: m.from, to: today, label: "This month" };
+  }
+  if (t === "last month") {
+    return monthPeriod(now.getFullYear(), now.getMonth() - 1);
+  }
+  if (t === "this year") {
+    return { from: now.getFullYear() + "-01-01", to: today, label: "This year" };
+  }
+
+  const daysMatch = t.match(/^(?:last|past) (\d{1,4}) days?$/);
+  if (daysMatch) {
+    const days = parseInt(daysMatch[1], 10);
+    if (days < 1) return null;
+    return {
+      from: addDaysIso(today, -(days - 1)),
+      to: today,
+      label: "Last " + days + " day" + (days === 1 ? "" : "s"),
+    };
+  }
+
+  const rangeMatch = t.match(
+    /^(?:from )?(\d{4}-\d{2}-\d{2}) (?:to|-|–|until) (\d{4}-\d{2}-\d{2})$/
+  );
+  if (rangeMatch) {
+    const [, from, to] = rangeMatch;
+    if (!parseIsoDate(from) || !parseIsoDate(to) || from > to) return null;
+    return { from, to, label: from + " → " + to };
+  }
+
+  const month = parseMonthPeriod(t, now);
+  if (!month) return null;
+  if (month.to > today) month.to = today;
+  return month;
+}
+
+// The period of the same length ending the day before `period` starts
+function previousPeriod(period) {
+  const length = daysBetweenIso(period.from, period.to) + 1;
+  const to = addDaysIso(period.from, -1);
+  const from = addDaysIso(to, -(length - 1));
+  return { from, to, label: from + " → " + to };
+}
+
+// ====== VEHICLE HELPERS ======
+
+async function getUserVehicles(userWhatsapp) {
+  const res = await pool.query(
+    `
+    SELECT *
+    FROM vehicles
+    WHERE owner_whatsapp = $1
+      AND is_active = TRUE
+    ORDER BY created_at ASC
+  `,
+    [userWhatsapp]
   );
   return res.rows;
 }
@@ -370,9 +1208,9 @@ async function ensureCurrentVehicle(userWhatsapp) {
   return { status: "NEED_SET_CURRENT", list: vehicles };
 }
 
-function formatVehiclesList(vehicles, withIndices = true) {
+function formatVehiclesList(vehicles, withIndices = true, lang = DEFAULT_LANGUAGE) {
   if (!vehicles || vehicles.length === 0) {
-    return "You don't have any vehicles yet.";
+    return t(lang, "vehicles.none_short");
   }
 
   let text = "";
@@ -380,7 +1218,7 @@ function formatVehiclesList(vehicles, withIndices = true) {
     const idx = index + 1;
     const reg = v.registration;
     const nick = v.nickname ? ` (${v.nickname})` : "";
-    const mark = v.is_default ? " ✅ (current)" : "";
+    const mark = v.is_default ? " ✅ (" + t(lang, "picker.current") + ")" : "";
     if (withIndices) {
       text += `\n${idx}. *${reg}*${nick}${mark}`;
     } else {
@@ -393,22 +1231,15 @@ function formatVehiclesList(vehicles, withIndices = true) {
 async function handleAddVehicleCommand(userWhatsapp, fullText) {
   const base = "add vehicle";
   const lower = fullText.toLowerCase();
+  const lang = await getUserLanguage(userWhatsapp);
 
   if (lower === base) {
-    return (
-      "Let's add a vehicle to your Saka360 account 🚗\n\n" +
-      "Please send your vehicle registration in this format:\n" +
-      "*add vehicle KDA 123A*\n\n" +
-      "Example: *add vehicle KCY 456B*"
-    );
+    return t(lang, "vehicles.add_help");
   }
 
   const regRaw = fullText.slice(base.length).trim();
   if (!regRaw) {
-    return (
-      "Please include the registration after *add vehicle*.\n\n" +
-      "Example: *add vehicle KDA 123A*"
-    );
+    return t(lang, "vehicles.add_missing_reg");
   }
 
   const registration = regRaw.toUpperCase();
@@ -447,11 +1278,7 @@ async function handleAddVehicleCommand(userWhatsapp, fullText) {
         [userWhatsapp, v.id]
       );
     }
-    return (
-      `This vehicle *${registration}* is already on your account.\n` +
-      "I’ve set it as your *current vehicle*.\n\n" +
-      "You can now log with *fuel*, *service* or *expense*."
-    );
+    return t(lang, "vehicles.already_added", { reg: registration });
   }
 
   // Insert new vehicle
@@ -474,43 +1301,31 @@ async function handleAddVehicleCommand(userWhatsapp, fullText) {
       [newVehicle.id]
     );
     newVehicle.is_default = true;
-    return (
-      `✅ Vehicle *${registration}* added and set as your *current vehicle*.\n\n` +
-      "You can now log:\n" +
-      "• *fuel* – log fuel\n" +
-      "• *service* – log service\n" +
-      "• *expense* – log other vehicle expenses"
-    );
+    return t(lang, "vehicles.added_first", { reg: registration });
   }
 
   // Multiple vehicles now; don't force as default
-  return (
-    `✅ Vehicle *${registration}* added.\n\n` +
-    "To use it as your active vehicle, list your vehicles with *my vehicles* " +
-    "then send e.g. *switch to 2*."
-  );
+  return t(lang, "vehicles.added", { reg: registration });
 }
 
 async function handleMyVehiclesCommand(userWhatsapp) {
+  const lang = await getUserLanguage(userWhatsapp);
   const vehicles = await getUserVehicles(userWhatsapp);
   if (vehicles.length === 0) {
-    return (
-      "You don't have any vehicles yet.\n\n" +
-      "Add one with:\n" +
-      "*add vehicle KDA 123A*"
-    );
+    return t(lang, "vehicle.none");
   }
 
-  let text = "🚗 *Your vehicles*:\n\n";
-  text += formatVehiclesList(vehicles, true);
-  text +=
-    "\n\nTo change your current vehicle, reply with e.g. *switch to 1* or *switch to 2*.";
+  let text = t(lang, "vehicles.title");
+  text += formatVehiclesList(vehicles, true, lang);
+  text += t(lang, "vehicles.switch_hint");
 
-  return text;
+  if (vehicles.length < 2) return text;
+  return { body: text, list: vehiclePickerList(vehicles, lang) };
 }
 
 async function handleSwitchVehicleCommand(userWhatsapp, fullText) {
   const lower = fullText.toLowerCase().trim();
+  const lang = await getUserLanguage(userWhatsapp);
   let rest = "";
 
   if (lower.startsWith("switch to")) {
@@ -518,40 +1333,26 @@ async function handleSwitchVehicleCommand(userWhatsapp, fullText) {
   } else if (lower.startsWith("switch")) {
     rest = fullText.slice("switch".length).trim();
   } else {
-    return (
-      "To switch your current vehicle, use:\n" +
-      "*switch to 1* or *switch to 2*\n\n" +
-      "First, see your list with *my vehicles*."
-    );
+    return t(lang, "vehicles.switch_help");
   }
 
   const match = rest.match(/(\d+)/);
   if (!match) {
-    return (
-      "Please include the vehicle number to switch to.\n\n" +
-      "Example: *switch to 1*\n" +
-      "You can see the list with *my vehicles*."
-    );
+    return t(lang, "vehicles.switch_missing_number");
   }
 
   const index = parseInt(match[1], 10);
   if (!index || index < 1) {
-    return "I couldn't understand that number. Please use a positive number like *1* or *2*.";
+    return t(lang, "common.bad_index");
   }
 
   const vehicles = await getUserVehicles(userWhatsapp);
   if (vehicles.length === 0) {
-    return (
-      "You don't have any vehicles yet.\n\n" +
-      "Add one with: *add vehicle KDA 123A*"
-    );
+    return t(lang, "vehicle.none");
   }
 
   if (index > vehicles.length) {
-    return (
-      `You only have *${vehicles.length}* vehicle(s).\n\n` +
-      "See them with *my vehicles* and choose a valid number."
-    );
+    return t(lang, "vehicles.switch_too_high", { count: vehicles.length });
   }
 
   const chosen = vehicles[index - 1];
@@ -567,11 +1368,7 @@ async function handleSwitchVehicleCommand(userWhatsapp, fullText) {
     [chosen.id, userWhatsapp]
   );
 
-  const reg = chosen.registration;
-  return (
-    `✅ Okay, I’ll use *${reg}* as your *current vehicle*.\n\n` +
-    "You can now log with *fuel*, *service*, or *expense*."
-  );
+  return t(lang, "vehicles.switched", { reg: chosen.registration });
 }
 
 // ====== DRIVER HELPERS ======
@@ -590,9 +1387,9 @@ async function getUserDrivers(userWhatsapp) {
   return res.rows;
 }
 
-function formatDriversList(drivers, withIndices = true) {
+function formatDriversList(drivers, withIndices = true, lang = DEFAULT_LANGUAGE) {
   if (!drivers || drivers.length === 0) {
-    return "You don't have any drivers yet.";
+    return t(lang, "drivers.none_short");
   }
 
   const today = new Date();
@@ -601,8 +1398,8 @@ function formatDriversList(drivers, withIndices = true) {
   let text = "";
   drivers.forEach((d, index) => {
     const idx = index + 1;
-    const name = d.full_name || "Driver";
-    const licType = d.license_type || "n/a";
+    const name = d.full_name || t(lang, "driver.default_name");
+    const licType = d.license_type || t(lang, "common.na");
     const expDate = d.license_expiry_date
       ? new Date(d.license_expiry_date)
       : null;
@@ -618,26 +1415,30 @@ function formatDriversList(drivers, withIndices = true) {
 
       if (diffDays < 0) {
         statusIcon = "❌";
-        statusText = `licence expired ${Math.abs(diffDays)} day(s) ago`;
+        statusText = t(lang, "drivers.status_expired", { days: Math.abs(diffDays) });
       } else if (diffDays <= 30) {
         statusIcon = "⚠️";
-        statusText = `licence expires in ${diffDays} day(s)`;
+        statusText = t(lang, "drivers.status_expiring", { days: diffDays });
       } else {
         statusIcon = "✅";
-        statusText = `licence valid, ~${diffDays} day(s) left`;
+        statusText = t(lang, "drivers.status_valid", { days: diffDays });
       }
     } else {
       statusIcon = "⚠️";
-      statusText = "no licence expiry date set";
+      statusText = t(lang, "drivers.status_no_expiry");
     }
 
     const expStr = d.license_expiry_date
       ? String(d.license_expiry_date).slice(0, 10)
-      : "n/a";
-
-    const baseLine =
-      `*${name}* – Type: *${licType}* (exp: ${expStr}) ` +
-      `${statusIcon} ${statusText}`;
+      : t(lang, "common.na");
+
+    const baseLine = t(lang, "drivers.list_line", {
+      name,
+      type: licType,
+      expiry: expStr,
+      icon: statusIcon,
+      status: statusText,
+    });
 
     if (withIndices) {
       text += `\n${idx}. ${baseLine}`;
@@ -649,31 +1450,46 @@ function formatDriversList(drivers, withIndices = true) {
   return text.trim();
 }
 
+// Normalise a typed phone number (07XXXXXXXX, 2547..., +2547...) to whatsapp:+...
+function toWhatsAppNumber(phone) {
+  const trimmed = phone.trim();
+  if (trimmed.startsWith("whatsapp:")) return trimmed;
+  if (trimmed.startsWith("+")) return `whatsapp:${trimmed}`;
+
+  const digits = trimmed.replace(/\D/g, "");
+  // Assume Kenyan 07XXXXXXXX
+  if (digits.length === 10 && digits.startsWith("0")) {
+    return `whatsapp:+254${digits.slice(1)}`;
+  }
+  if (digits.length === 12 && digits.startsWith("254")) {
+    return `whatsapp:+${digits}`;
+  }
+  return `whatsapp:+${digits}`;
+}
+
+async function sendDriverInvite(driverWhatsapp, fullName, ownerWhatsapp) {
+  const lang = await getUserLanguage(driverWhatsapp);
+  await sendWhatsAppMessage(
+    driverWhatsapp,
+    t(lang, "drivers.invite", { name: fullName, owner: ownerWhatsapp }),
+    null,
+    "driver_invite"
+  );
+}
+
 // ADD DRIVER (owner → invite)
 async function handleAddDriverCommand(ownerWhatsapp, fullText) {
   const base = "add driver";
   const lower = fullText.toLowerCase().trim();
+  const lang = await getUserLanguage(ownerWhatsapp);
 
   if (lower === base) {
-    return (
-      "Let's add a driver to your Saka360 account 👨‍✈️\n\n" +
-      "Please send the details in *one line* using this format:\n" +
-      "*add driver Full Name | 07XXXXXXXX*\n\n" +
-      "Example:\n" +
-      "*add driver David Njonjo | 0734852529*\n\n" +
-      "After this, the driver will get a WhatsApp prompt to *accept* and add their *Main Driving Licence*."
-    );
+    return t(lang, "drivers.add_help");
   }
 
   const detailsRaw = fullText.slice(base.length).trim();
   if (!detailsRaw) {
-    return (
-      "Please include the driver details after *add driver*.\n\n" +
-      "Format:\n" +
-      "*add driver Full Name | 07XXXXXXXX*\n\n" +
-      "Example:\n" +
-      "*add driver David Njonjo | 0734852529*"
-    );
+    return t(lang, "drivers.add_missing");
   }
 
   // Split by "|" (preferred), fall back to "," if needed
@@ -684,37 +1500,17 @@ async function handleAddDriverCommand(ownerWhatsapp, fullText) {
   parts = parts.map((p) => p.trim()).filter(Boolean);
 
   if (parts.length < 2) {
-    return (
-      "I need at least: *Name* and *Phone number*.\n\n" +
-      "Format:\n" +
-      "*add driver Full Name | 07XXXXXXXX*"
-    );
+    return t(lang, "drivers.add_need_both");
   }
 
   const fullName = parts[0];
   const rawPhone = parts[1];
 
   if (!fullName) {
-    return "Please provide the driver's *full name* as the first item.";
+    return t(lang, "drivers.add_need_name");
   }
   if (!rawPhone) {
-    return "Please provide the driver's *phone number* as the second item (e.g. 07XXXXXXXX).";
-  }
-
-  function toWhatsAppNumber(phone) {
-    const trimmed = phone.trim();
-    if (trimmed.startsWith("whatsapp:")) return trimmed;
-    if (trimmed.startsWith("+")) return `whatsapp:${trimmed}`;
-
-    const digits = trimmed.replace(/\D/g, "");
-    // Assume Kenyan 07XXXXXXXX
-    if (digits.length === 10 && digits.startsWith("0")) {
-      return `whatsapp:+254${digits.slice(1)}`;
-    }
-    if (digits.length === 12 && digits.startsWith("254")) {
-      return `whatsapp:+${digits}`;
-    }
-    return `whatsapp:+${digits}`;
+    return t(lang, "drivers.add_need_phone");
   }
 
   const driverWhatsapp = toWhatsAppNumber(rawPhone);
@@ -767,51 +1563,12 @@ async function handleAddDriverCommand(ownerWhatsapp, fullText) {
   }
 
   // Notify driver via WhatsApp
-  try {
-    if (DISABLE_TWILIO_SEND === "true") {
-      console.log("🚫 Twilio send disabled, would invite driver:", {
-        driverWhatsapp,
-        fullName,
-        ownerWhatsapp,
-      });
-    } else {
-      await twilioClient.messages.create({
-        from: TWILIO_WHATSAPP_NUMBER,
-        to: driverWhatsapp,
-        body:
-          "Hi " +
-          fullName +
-          " 👋\n\n" +
-          "You’ve been added as a driver in *Saka360* by *" +
-          ownerWhatsapp +
-          "*.\n\n" +
-          "To accept and complete your driving licence compliance, reply here with:\n" +
-          "*accept*\n\n" +
-          "After you add your *Main Driving Licence* expiry date, you’ll be allowed to log *fuel*, *service* and *expenses* for vehicles assigned to you.",
-      });
-    }
-  } catch (err) {
-    console.error(
-      "❌ Error sending driver invite WhatsApp message:",
-      err.message
-    );
-  }
+  await sendDriverInvite(driverWhatsapp, fullName, ownerWhatsapp);
 
-  return (
-    "✅ Driver *" +
-    fullName +
-    "* added.\n\n" +
-    "Invitation sent to: *" +
-    driverWhatsapp.replace("whatsapp:", "") +
-    "*\n\n" +
-    "They must:\n" +
-    "1️⃣ Reply *accept* from their WhatsApp (" +
-    driverWhatsapp.replace("whatsapp:", "") +
-    ")\n" +
-    "2️⃣ Add their *Main Driving Licence* expiry with:\n" +
-    "   *dl main 2026-01-01*\n\n" +
-    "Once they add a valid Main DL, you’ll get a compliance notification and they’ll appear as *compliant* in your *driver report*."
-  );
+  return t(lang, "drivers.added", {
+    name: fullName,
+    phone: driverWhatsapp.replace("whatsapp:", ""),
+  });
 }
 // DRIVER SIDE: accept invitation
 async function handleDriverAccept(driverWhatsapp) {
@@ -827,48 +1584,41 @@ async function handleDriverAccept(driverWhatsapp) {
     [driverWhatsapp]
   );
 
+  const lang = await getUserLanguage(driverWhatsapp);
   if (res.rows.length === 0) {
-    return (
-      "I can't find any pending driver invitation for this WhatsApp number.\n\n" +
-      "Ask your fleet owner to add you with:\n" +
-      "*add driver Your Name | 07XXXXXXXX*"
-    );
+    return t(lang, "drivers.no_invite");
   }
 
   const driver = res.rows[0];
-  const name = driver.full_name || "Driver";
-
-  const hasMain =
-    driver.license_type &&
-    driver.license_type.toLowerCase().includes("main") &&
-    driver.license_expiry_date;
+  const name = driver.full_name || t(lang, "driver.default_name");
 
-  if (hasMain) {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const expDate = new Date(driver.license_expiry_date);
-    expDate.setHours(0, 0, 0, 0);
+  await pool.query(
+    `UPDATE drivers SET accepted_at = COALESCE(accepted_at, NOW()) WHERE id = $1`,
+    [driver.id]
+  );
 
-    if (expDate.getTime() >= today.getTime()) {
-      return (
-        "Hi " +
-        name +
-        " 👋\n\n" +
-        "You’re already *compliant* with a valid Main Driving Licence on file.\n\n" +
-        "You can now log *fuel*, *service* and *expenses* for vehicles assigned to you (once your fleet owner connects your profile)."
-      );
-    }
+  if (isMainLicenceValid(driver)) {
+    const vRes = await pool.query(
+      `
+      SELECT registration
+      FROM vehicles
+      WHERE driver_id = $1
+        AND is_active = TRUE
+      ORDER BY updated_at DESC NULLS LAST, created_at DESC
+      LIMIT 1
+    `,
+      [driver.id]
+    );
+    const assigned = vRes.rows[0];
+    return (
+      t(lang, "drivers.already_compliant", { name }) +
+      (assigned
+        ? t(lang, "drivers.can_log_vehicle", { reg: assigned.registration })
+        : t(lang, "drivers.can_log_once_assigned"))
+    );
   }
 
-  return (
-    "Hi " +
-    name +
-    " 👋\n\n" +
-    "To complete your licence compliance, please send your *Main Driving Licence* expiry date.\n\n" +
-    "Use this format:\n" +
-    "*dl main 2026-01-01*\n\n" +
-    "You must have a *valid Main DL* on Saka360 before you can log *fuel*, *service* or *expenses*."
-  );
+  return t(lang, "drivers.accept_next", { name });
 }
 
 // DRIVER HELPER: find driver by WhatsApp
@@ -887,36 +1637,177 @@ async function findDriverByWhatsapp(driverWhatsapp) {
   return res.rows[0] || null;
 }
 
+function isMainLicenceValid(driver) {
+  if (
+    !driver.license_type ||
+    !driver.license_type.toLowerCase().includes("main") ||
+    !driver.license_expiry_date
+  ) {
+    return false;
+  }
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const expDate = new Date(driver.license_expiry_date);
+  expDate.setHours(0, 0, 0, 0);
+  return expDate.getTime() >= today.getTime();
+}
+
+// Why a driver may not log right now, or null when they may
+function driverLoggingRefusal(driver, lang, kindWord) {
+  const name = driver.full_name || t(lang, "driver.default_name");
+
+  if (!driver.accepted_at) {
+    return t(lang, "driver.accept_first", { name });
+  }
+
+  if (!isMainLicenceValid(driver)) {
+    const expired = !!driver.license_expiry_date;
+    return t(lang, expired ? "driver.licence_expired" : "driver.licence_missing", {
+      kind: kindVars(lang, kindWord).kind,
+    });
+  }
+
+  return null;
+}
+
 /**
- * DRIVER: see my own licence status
+ * Work out which vehicle a fuel / service / expense entry belongs to.
+ * Owners log against their current vehicle; drivers log against the
+ * vehicle their fleet owner assigned to them, and only while compliant.
+ * Returns { vehicle, driver } or { reply } when logging is not possible.
  */
-async function handleMyOwnLicenceStatus(driverWhatsapp) {
-  const driver = await findDriverByWhatsapp(driverWhatsapp);
+async function resolveLoggingVehicle(userWhatsapp, kindWord) {
+  const lang = await getUserLanguage(userWhatsapp);
+  const kind = kindVars(lang, kindWord).kind;
+
+  const vRes = await ensureCurrentVehicle(userWhatsapp);
+  if (vRes.status === "OK") {
+    return { vehicle: vRes.vehicle, driver: null };
+  }
+  if (vRes.status === "NEED_SET_CURRENT") {
+    const list = formatVehiclesList(vRes.list, true, lang);
+    return {
+      reply: {
+        body: t(lang, "vehicle.pick_current", { list, command: kind }),
+        list: vehiclePickerList(vRes.list, lang),
+      },
+    };
+  }
 
+  const driver = await findDriverByWhatsapp(userWhatsapp);
   if (!driver) {
-    return (
-      "I cannot find a driver profile linked to this WhatsApp number.\n\n" +
-      "Ask your fleet owner to add you with:\n" +
-      "*add driver Your Name | 07XXXXXXXX*"
-    );
+    return { reply: t(lang, "vehicle.none") };
   }
 
-  const name = driver.full_name || "Driver";
-  const licType = driver.license_type || "not set";
-  const expRaw = driver.license_expiry_date
-    ? String(driver.license_expiry_date).slice(0, 10)
+  const refusal = driverLoggingRefusal(driver, lang, kindWord);
+  if (refusal) {
+    return { reply: refusal };
+  }
+
+  const name = driver.full_name || t(lang, "driver.default_name");
+  const res = await pool.query(
+    `
+    SELECT *
+    FROM vehicles
+    WHERE driver_id = $1
+      AND owner_whatsapp = $2
+      AND is_active = TRUE
+    ORDER BY updated_at DESC NULLS LAST, created_at DESC
+    LIMIT 1
+  `,
+    [driver.id, driver.owner_whatsapp]
+  );
+  const vehicle = res.rows[0];
+  if (!vehicle) {
+    return { reply: t(lang, "driver.no_vehicle", { name }) };
+  }
+
+  return { vehicle, driver };
+}
+
+/**
+ * Entries are always credited to the vehicle owner's fleet. When a driver
+ * submitted them we keep the driver id and the sender's number, and the
+ * entry waits for the owner's approval before it counts in reports.
+ * Runs at save time, so a driver who was removed, unassigned or whose
+ * licence lapsed since the entry started gets { refusal } instead.
+ */
+async function resolveLogAttribution(senderWhatsapp, vehicleId, lang, kindWord, db = pool) {
+  const vRes = await db.query(
+    `SELECT owner_whatsapp FROM vehicles WHERE id = $1`,
+    [vehicleId]
+  );
+  const ownerWhatsapp =
+    (vRes.rows[0] && vRes.rows[0].owner_whatsapp) || senderWhatsapp;
+
+  if (ownerWhatsapp === senderWhatsapp) {
+    return {
+      ownerWhatsapp,
+      driverId: null,
+      submittedBy: senderWhatsapp,
+      approvalStatus: "approved",
+    };
+  }
+
+  // FOR SHARE holds off a removal until this entry is committed
+  const dRes = await db.query(
+    `
+    SELECT d.*, v.driver_id AS vehicle_driver_id
+    FROM drivers d
+    JOIN vehicles v ON v.id = $3
+    WHERE d.driver_whatsapp = $1
+      AND d.owner_whatsapp = $2
+      AND d.is_active = TRUE
+    ORDER BY d.created_at DESC
+    LIMIT 1
+    FOR SHARE OF d
+  `,
+    [senderWhatsapp, ownerWhatsapp, vehicleId]
+  );
+  const driver = dRes.rows[0];
+  if (!driver) {
+    return { refusal: t(lang, "vehicle.none") };
+  }
+
+  const refusal = driverLoggingRefusal(driver, lang, kindWord);
+  if (refusal) {
+    return { refusal };
+  }
+  if (driver.vehicle_driver_id !== driver.id) {
+    return {
+      refusal: t(lang, "driver.no_vehicle", {
+        name: driver.full_name || t(lang, "driver.default_name"),
+      }),
+    };
+  }
+
+  return {
+    ownerWhatsapp,
+    driverId: driver.id,
+    submittedBy: senderWhatsapp,
+    approvalStatus: "pending",
+  };
+}
+
+/**
+ * DRIVER: see my own licence status
+ */
+async function handleMyOwnLicenceStatus(driverWhatsapp) {
+  const lang = await getUserLanguage(driverWhatsapp);
+  const driver = await findDriverByWhatsapp(driverWhatsapp);
+
+  if (!driver) {
+    return t(lang, "drivers.no_profile");
+  }
+
+  const name = driver.full_name || t(lang, "driver.default_name");
+  const licType = driver.license_type || t(lang, "licence.not_set");
+  const expRaw = driver.license_expiry_date
+    ? String(driver.license_expiry_date).slice(0, 10)
     : null;
 
   if (!licType || !expRaw) {
-    return (
-      "Hi " +
-      name +
-      " 👋\n\n" +
-      "You do not have a *Main Driving Licence* expiry date on Saka360 yet.\n\n" +
-      "To become compliant, send:\n" +
-      "*dl main 2026-01-01*  (use your real expiry date)\n\n" +
-      "After that your fleet owner can safely assign cars to you."
-    );
+    return t(lang, "licence.none", { name });
   }
 
   const today = new Date();
@@ -933,64 +1824,45 @@ async function handleMyOwnLicenceStatus(driverWhatsapp) {
 
   if (diffDays < 0) {
     icon = "❌";
-    statusLine = "Your licence *expired* " + Math.abs(diffDays) + " day(s) ago.";
+    statusLine = t(lang, "licence.expired", { days: Math.abs(diffDays) });
   } else if (diffDays <= 30) {
     icon = "⚠️";
-    statusLine =
-      "Your licence is *expiring soon* in " + diffDays + " day(s).";
+    statusLine = t(lang, "licence.expiring", { days: diffDays });
   } else {
     icon = "✅";
-    statusLine =
-      "Your licence is *valid* with about " + diffDays + " day(s) left.";
+    statusLine = t(lang, "licence.valid", { days: diffDays });
   }
 
-  return (
-    icon +
-    " *Your licence status*\n\n" +
-    "Name: *" +
-    name +
-    "*\n" +
-    "Licence type: *" +
-    licType +
-    "*\n" +
-    "Expiry date: *" +
-    expRaw +
-    "*\n\n" +
-    statusLine +
-    "\n\n" +
-    "If this looks wrong, ask your fleet owner to review your details in Saka360."
-  );
+  return t(lang, "licence.status", {
+    icon,
+    name,
+    type: licType,
+    expiry: expRaw,
+    status: statusLine,
+  });
 }
 
 // DRIVER SIDE: add main driving licence
 async function handleDriverLicenceCommand(driverWhatsapp, fullText) {
   const lower = fullText.toLowerCase().trim();
+  const lang = await getUserLanguage(driverWhatsapp);
 
   // Expect format: dl main YYYY-MM-DD
   const match = lower.match(/^dl\s+(\w+)\s+(\d{4}-\d{2}-\d{2})$/i);
   if (!match) {
-    return (
-      "To set your Main Driving Licence expiry, use:\n\n" +
-      "*dl main 2026-01-01*\n\n" +
-      "Example:\n" +
-      "*dl main 2027-06-30*"
-    );
+    return t(lang, "licence.help");
   }
 
   const typeWord = match[1];
   const expiryText = match[2];
 
   if (typeWord !== "main") {
-    return (
-      "Right now Saka360 only tracks your *Main Driving Licence* for compliance.\n\n" +
-      "Please send it as:\n" +
-      "*dl main 2026-01-01*"
-    );
+    return t(lang, "licence.main_only");
   }
 
   const expDate = new Date(expiryText);
   if (isNaN(expDate.getTime())) {
-    return "That expiry date doesn't look valid. Please use *YYYY-MM-DD* format (e.g. 2026-01-01).";
+    return t(lang, "licence.bad_date");
   }
 
   const today = new Date();
@@ -998,10 +1870,7 @@ async function handleDriverLicenceCommand(driverWhatsapp, fullText) {
   expDate.setHours(0, 0, 0, 0);
 
   if (expDate.getTime() <= today.getTime()) {
-    return (
-      "Your *Main DL* must be *valid* for compliance (expiry must be in the future).\n\n" +
-      "Please send a future date in *YYYY-MM-DD* format."
-    );
+    return t(lang, "licence.past_date");
   }
 
   const res = await pool.query(
@@ -1017,11 +1886,7 @@ async function handleDriverLicenceCommand(driverWhatsapp, fullText) {
   );
 
   if (res.rows.length === 0) {
-    return (
-      "I can't find any driver profile linked to this WhatsApp number.\n\n" +
-      "Ask your fleet owner to add you with:\n" +
-      "*add driver Your Name | 07XXXXXXXX*"
-    );
+    return t(lang, "drivers.no_profile");
   }
 
   const driver = res.rows[0];
@@ -1031,10 +1896,7 @@ async function handleDriverLicenceCommand(driverWhatsapp, fullText) {
     driver.license_type.toLowerCase().includes("main") &&
     driver.license_expiry_date
   ) {
-    return (
-      "Your *Main Driving Licence* is already on file and locked.\n\n" +
-      "If it needs to be changed, ask your fleet owner or admin to update it from their side."
-    );
+    return t(lang, "licence.locked");
   }
 
   const updatedRes = await pool.query(
@@ -1042,6 +1904,7 @@ async function handleDriverLicenceCommand(driverWhatsapp, fullText) {
     UPDATE drivers
     SET license_type = $1,
         license_expiry_date = $2,
+        accepted_at = COALESCE(accepted_at, NOW()),
         updated_at = NOW()
     WHERE id = $3
     RETURNING *
@@ -1050,118 +1913,82 @@ async function handleDriverLicenceCommand(driverWhatsapp, fullText) {
   );
 
   const updated = updatedRes.rows[0];
-  const name = updated.full_name || "Driver";
+  const name = updated.full_name || t(lang, "driver.default_name");
+
+  try {
+    await upsertReminder({
+      userWhatsapp: driverWhatsapp,
+      ccWhatsapp: updated.owner_whatsapp,
+      sourceType: "driver_licence",
+      sourceId: updated.id,
+      title: "Main Driving Licence – " + name,
+      dueDate: expiryText,
+    });
+  } catch (err) {
+    console.error("❌ Error scheduling licence reminder:", err.message);
+  }
 
   const ownerWhatsapp = updated.owner_whatsapp;
   if (ownerWhatsapp) {
-    try {
-      if (DISABLE_TWILIO_SEND === "true") {
-        console.log("🚫 Twilio send disabled, would notify owner:", {
-          ownerWhatsapp,
-          name,
-          expiryText,
-        });
-      } else {
-        await twilioClient.messages.create({
-          from: TWILIO_WHATSAPP_NUMBER,
-          to: ownerWhatsapp,
-          body:
-            "✅ *Driver compliance update*\n\n" +
-            "Driver: *" +
-            name +
-            "*\n" +
-            "Main DL expiry: *" +
-            expiryText +
-            "*\n\n" +
-            "This driver is now *Main DL compliant* and can be allowed to log *fuel*, *service* and *expenses* for vehicles you assign.",
-        });
-      }
-    } catch (err) {
-      console.error(
-        "❌ Error sending compliance notification to owner:",
-        err.message
-      );
-    }
+    const ownerLang = await getUserLanguage(ownerWhatsapp);
+    await sendWhatsAppMessage(
+      ownerWhatsapp,
+      t(ownerLang, "licence.owner_notice", { name, expiry: expiryText }),
+      null,
+      "compliance_notice"
+    );
   }
 
-  return (
-    "✅ Thanks " +
-    name +
-    ".\n\n" +
-    "Your *Main Driving Licence* expiry has been set to *" +
-    expiryText +
-    "*.\n\n" +
-    "You are now *licence compliant* on Saka360.\n" +
-    "Your fleet owner can assign vehicles to you for logging *fuel*, *service* and *expenses*."
-  );
+  return t(lang, "licence.saved", { name, expiry: expiryText });
 }
 
 async function handleMyDriversCommand(userWhatsapp) {
+  const lang = await getUserLanguage(userWhatsapp);
   const drivers = await getUserDrivers(userWhatsapp);
   if (drivers.length === 0) {
-    return (
-      "You don't have any drivers yet.\n\n" +
-      "Add one with:\n" +
-      "*add driver John Doe | 0712345678*"
-    );
+    return t(lang, "drivers.none");
   }
 
-  let text = "👨‍✈️ *Your drivers*:\n\n";
-  text += formatDriversList(drivers, true);
-  text +=
-    "\n\nTo assign a driver to your *current vehicle*, reply with e.g. *assign driver 1*.";
+  let text = t(lang, "drivers.title");
+  text += formatDriversList(drivers, true, lang);
+  text += t(lang, "drivers.assign_hint");
 
-  return text;
+  return { body: text, list: driverPickerList(drivers, lang) };
 }
 
 // Assign driver to CURRENT vehicle
 async function handleAssignDriverCommand(userWhatsapp, fullText) {
+  const lang = await getUserLanguage(userWhatsapp);
   const match = fullText.match(/assign\s+driver\s+(\d+)/i);
   if (!match) {
-    return (
-      "To assign a driver, first see your drivers with *my drivers*.\n\n" +
-      "Then reply with e.g. *assign driver 1* to assign driver 1 to your *current vehicle*."
-    );
+    const text = t(lang, "drivers.assign_help");
+    const drivers = await getUserDrivers(userWhatsapp);
+    if (drivers.length === 0) return text;
+    return { body: text, list: driverPickerList(drivers, lang) };
   }
 
   const index = parseInt(match[1], 10);
   if (!index || index < 1) {
-    return "I couldn't understand that driver number. Please use a positive number like *1* or *2*.";
+    return t(lang, "common.bad_index");
   }
 
   const vRes = await ensureCurrentVehicle(userWhatsapp);
   if (vRes.status === "NO_VEHICLES") {
-    return (
-      "You don't have any vehicles yet.\n\n" +
-      "Add one with: *add vehicle KDA 123A*"
-    );
+    return t(lang, "vehicle.none");
   } else if (vRes.status === "NEED_SET_CURRENT") {
-    const listText = formatVehiclesList(vRes.list, true);
-    return (
-      "You have multiple vehicles. Please choose which one you want to set a driver for.\n\n" +
-      listText +
-      "\n\nReply with e.g. *switch to 1*, then send *assign driver 1* again."
-    );
+    const listText = formatVehiclesList(vRes.list, true, lang);
+    return t(lang, "drivers.assign_pick_vehicle", { list: listText });
   }
 
   const vehicle = vRes.vehicle;
 
   const drivers = await getUserDrivers(userWhatsapp);
   if (drivers.length === 0) {
-    return (
-      "You don't have any drivers yet.\n\n" +
-      "Add one with:\n" +
-      "*add driver John Doe | 0712345678*"
-    );
+    return t(lang, "drivers.none");
   }
 
   if (index > drivers.length) {
-    return (
-      "You only have *" +
-      drivers.length +
-      "* driver(s).\n\n" +
-      "See them with *my drivers* and choose a valid number."
-    );
+    return t(lang, "drivers.too_high", { count: drivers.length });
   }
 
   const chosen = drivers[index - 1];
@@ -1176,31 +2003,24 @@ async function handleAssignDriverCommand(userWhatsapp, fullText) {
     [chosen.id, vehicle.id]
   );
 
-  const name = chosen.full_name || "Driver";
-  const licType = chosen.license_type || "n/a";
   const exp = chosen.license_expiry_date
     ? String(chosen.license_expiry_date).slice(0, 10)
-    : "n/a";
+    : t(lang, "common.na");
 
-  return (
-    "✅ Driver assigned.\n\n" +
-    "Vehicle: *" +
-    vehicle.registration +
-    "*\n" +
-    "Driver: *" +
-    name +
-    "*\n" +
-    "Licence type: *" +
-    licType +
-    "* (exp: " +
-    exp +
-    ")\n\n" +
-    "You can change driver any time with another *assign driver X*."
-  );
+  return t(lang, "drivers.assigned", {
+    reg: vehicle.registration,
+    name: chosen.full_name || t(lang, "driver.default_name"),
+    type: chosen.license_type || t(lang, "common.na"),
+    expiry: exp,
+  });
 }
 
 // Driver licence compliance / report
-async function buildDriverComplianceReport(userWhatsapp) {
+/**
+ * Active drivers split by Main DL status: expired (or missing), expiring
+ * within 30 days, and ok. Used by the driver report and the PDF report.
+ */
+async function getDriverComplianceGroups(userWhatsapp) {
   const res = await pool.query(
     `
     SELECT id, full_name, license_type, license_expiry_date, driver_whatsapp, is_active
@@ -1213,14 +2033,6 @@ async function buildDriverComplianceReport(userWhatsapp) {
   );
 
   const drivers = res.rows;
-  if (drivers.length === 0) {
-    return (
-      "You don't have any drivers yet.\n\n" +
-      "Add one with:\n" +
-      "*add driver John Doe | 0712345678*"
-    );
-  }
-
   const today = new Date();
   today.setHours(0, 0, 0, 0);
 
@@ -1249,316 +2061,140 @@ async function buildDriverComplianceReport(userWhatsapp) {
     }
   }
 
-  let text = "🚦 *Driver licence compliance overview*\n";
+  return { drivers, expired, expiring, ok };
+}
+
+async function buildDriverComplianceReport(userWhatsapp) {
+  const lang = await getUserLanguage(userWhatsapp);
+  const { drivers, expired, expiring, ok } = await getDriverComplianceGroups(
+    userWhatsapp
+  );
+  if (drivers.length === 0) {
+    return t(lang, "drivers.none");
+  }
+
+  const line = (key, item) => {
+    const d = item.driver;
+    return (
+      "\n• " +
+      t(lang, key, {
+        name: d.full_name || t(lang, "driver.default_name"),
+        type: d.license_type || t(lang, "common.na"),
+        expiry: d.license_expiry_date
+          ? String(d.license_expiry_date).slice(0, 10)
+          : t(lang, "common.na"),
+        days: item.diffDays !== null ? Math.abs(item.diffDays) : "?",
+        phone: d.driver_whatsapp || t(lang, "compliance.no_phone"),
+      })
+    );
+  };
+
+  let text = t(lang, "compliance.title");
 
   if (expired.length > 0) {
-    text += "\n❌ *Expired licences*:\n";
-    for (const item of expired) {
-      const d = item.driver;
-      const name = d.full_name || "Driver";
-      const licType = d.license_type || "n/a";
-      const exp = d.license_expiry_date
-        ? String(d.license_expiry_date).slice(0, 10)
-        : "n/a";
-      const days = item.diffDays !== null ? Math.abs(item.diffDays) : "?";
-      const phone = d.driver_whatsapp || "no phone on file";
-      text +=
-        "\n• *" +
-        name +
-        "* – Type: *" +
-        licType +
-        "*, exp: " +
-        exp +
-        " (expired " +
-        days +
-        " day(s) ago) – " +
-        phone;
-    }
+    text += t(lang, "compliance.expired_title");
+    for (const item of expired) text += line("compliance.expired_line", item);
   } else {
-    text += "\n❌ *Expired licences*: none 🎉";
+    text += t(lang, "compliance.expired_none");
   }
 
   if (expiring.length > 0) {
-    text += "\n\n⚠️ *Expiring in next 30 days*:\n";
-    for (const item of expiring) {
-      const d = item.driver;
-      const name = d.full_name || "Driver";
-      const licType = d.license_type || "n/a";
-      const exp = d.license_expiry_date
-        ? String(d.license_expiry_date).slice(0, 10)
-        : "n/a";
-      const days = item.diffDays;
-      const phone = d.driver_whatsapp || "no phone on file";
-      text +=
-        "\n• *" +
-        name +
-        "* – Type: *" +
-        licType +
-        "*, exp: " +
-        exp +
-        " (in " +
-        days +
-        " day(s)) – " +
-        phone;
-    }
+    text += t(lang, "compliance.expiring_title");
+    for (const item of expiring) text += line("compliance.expiring_line", item);
   } else {
-    text += "\n\n⚠️ *Expiring soon (30 days)*: none.";
+    text += t(lang, "compliance.expiring_none");
   }
 
   if (ok.length > 0) {
-    text += "\n\n✅ *Valid (>30 days left)*:\n";
-    for (const item of ok) {
-      const d = item.driver;
-      const name = d.full_name || "Driver";
-      const licType = d.license_type || "n/a";
-      const exp = d.license_expiry_date
-        ? String(d.license_expiry_date).slice(0, 10)
-        : "n/a";
-      const days = item.diffDays;
-      const phone = d.driver_whatsapp || "no phone on file";
-      text +=
-        "\n• *" +
-        name +
-        "* – Type: *" +
-        licType +
-        "*, exp: " +
-        exp +
-        " (~" +
-        days +
-        " day(s) left) – " +
-        phone;
-    }
+    text += t(lang, "compliance.valid_title");
+    for (const item of ok) text += line("compliance.valid_line", item);
   } else {
-    text += "\n\n✅ *Valid licences*: none yet.";
+    text += t(lang, "compliance.valid_none");
   }
 
-  text +=
-    "\n\nYou can add drivers with *add driver ...* and assign them with *assign driver X*.\n" +
-    "Drivers must reply *accept* then *dl main YYYY-MM-DD* to be Main DL compliant.";
+  text += t(lang, "compliance.footer");
 
   return text;
 }
 // ====== PART 4 / 4 – Fuel, Service, Expense, Documents, AI & Main Route ======
 
-// ---------- FUEL & SERVICE TABLES ----------
-
-async function ensureFuelTables() {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS fuel_logs (
-        id            SERIAL PRIMARY KEY,
-        user_whatsapp TEXT NOT NULL,
-        vehicle_id    INTEGER,
-        driver_id     INTEGER,
-        amount        NUMERIC(12,2),
-        litres        NUMERIC(12,3),
-        odometer      NUMERIC,
-        station       TEXT,
-        notes         TEXT,
-        message_text  TEXT,
-        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
-      );
-    `);
-
-    await pool.query(`
-      ALTER TABLE fuel_logs
-        ADD COLUMN IF NOT EXISTS user_whatsapp TEXT,
-        ADD COLUMN IF NOT EXISTS vehicle_id    INTEGER,
-        ADD COLUMN IF NOT EXISTS driver_id     INTEGER,
-        ADD COLUMN IF NOT EXISTS amount        NUMERIC(12,2),
-        ADD COLUMN IF NOT EXISTS litres        NUMERIC(12,3),
-        ADD COLUMN IF NOT EXISTS odometer      NUMERIC,
-        ADD COLUMN IF NOT EXISTS station       TEXT,
-        ADD COLUMN IF NOT EXISTS notes         TEXT,
-        ADD COLUMN IF NOT EXISTS message_text  TEXT,
-        ADD COLUMN IF NOT EXISTS created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW();
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS fuel_sessions (
-        id            SERIAL PRIMARY KEY,
-        user_whatsapp TEXT NOT NULL,
-        vehicle_id    INTEGER NOT NULL,
-        step          TEXT NOT NULL,
-        amount        NUMERIC(12,2),
-        litres        NUMERIC(12,3),
-        odometer      NUMERIC,
-        station       TEXT,
-        notes         TEXT,
-        status        TEXT NOT NULL DEFAULT 'ACTIVE',
-        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
-      );
-    `);
-
-    await pool.query(`
-      ALTER TABLE fuel_sessions
-        ADD COLUMN IF NOT EXISTS user_whatsapp TEXT,
-        ADD COLUMN IF NOT EXISTS vehicle_id    INTEGER,
-        ADD COLUMN IF NOT EXISTS step          TEXT,
-        ADD COLUMN IF NOT EXISTS amount        NUMERIC(12,2),
-        ADD COLUMN IF NOT EXISTS litres        NUMERIC(12,3),
-        ADD COLUMN IF NOT EXISTS odometer      NUMERIC,
-        ADD COLUMN IF NOT EXISTS station       TEXT,
-        ADD COLUMN IF NOT EXISTS notes         TEXT,
-        ADD COLUMN IF NOT EXISTS status        TEXT NOT NULL DEFAULT 'ACTIVE',
-        ADD COLUMN IF NOT EXISTS created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        ADD COLUMN IF NOT EXISTS updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW();
-    `);
-
-    console.log("⛽ fuel_logs & fuel_sessions tables are ready.");
-  } catch (err) {
-    console.error("❌ Error ensuring fuel tables:", err.message);
-  }
-}
-ensureFuelTables();
-
-async function ensureServiceTables() {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS service_logs (
-        id            SERIAL PRIMARY KEY,
-        user_whatsapp TEXT NOT NULL,
-        vehicle_id    INTEGER,
-        driver_id     INTEGER,
-        service_type  TEXT,
-        cost_amount   NUMERIC(12,2),
-        odometer      NUMERIC,
-        notes         TEXT,
-        message_text  TEXT,
-        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
-      );
-    `);
-
-    await pool.query(`
-      ALTER TABLE service_logs
-        ADD COLUMN IF NOT EXISTS user_whatsapp TEXT,
-        ADD COLUMN IF NOT EXISTS vehicle_id    INTEGER,
-        ADD COLUMN IF NOT EXISTS driver_id     INTEGER,
-        ADD COLUMN IF NOT EXISTS service_type  TEXT,
-        ADD COLUMN IF NOT EXISTS cost_amount   NUMERIC(12,2),
-        ADD COLUMN IF NOT EXISTS odometer      NUMERIC,
-        ADD COLUMN IF NOT EXISTS notes         TEXT,
-        ADD COLUMN IF NOT EXISTS message_text  TEXT,
-        ADD COLUMN IF NOT EXISTS created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW();
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS service_sessions (
-        id            SERIAL PRIMARY KEY,
-        user_whatsapp TEXT NOT NULL,
-        vehicle_id    INTEGER NOT NULL,
-        step          TEXT NOT NULL,
-        service_type  TEXT,
-        cost_amount   NUMERIC(12,2),
-        odometer      NUMERIC,
-        notes         TEXT,
-        status        TEXT NOT NULL DEFAULT 'ACTIVE',
-        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
-      );
-    `);
-
-    await pool.query(`
-      ALTER TABLE service_sessions
-        ADD COLUMN IF NOT EXISTS user_whatsapp TEXT,
-        ADD COLUMN IF NOT EXISTS vehicle_id    INTEGER,
-        ADD COLUMN IF NOT EXISTS step          TEXT,
-        ADD COLUMN IF NOT EXISTS service_type  TEXT,
-        ADD COLUMN IF NOT EXISTS cost_amount   NUMERIC(12,2),
-        ADD COLUMN IF NOT EXISTS odometer      NUMERIC,
-        ADD COLUMN IF NOT EXISTS notes         TEXT,
-        ADD COLUMN IF NOT EXISTS status        TEXT NOT NULL DEFAULT 'ACTIVE',
-        ADD COLUMN IF NOT EXISTS created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        ADD COLUMN IF NOT EXISTS updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW();
-    `);
-
-    console.log("🛠️ service_logs & service_sessions tables are ready.");
-  } catch (err) {
-    console.error("❌ Error ensuring service tables:", err.message);
-  }
-}
-ensureServiceTables();
-
-// ---------- SESSION HELPERS (FUEL / SERVICE / EXPENSE / PERSONAL DOC) ----------
-
-async function getActiveFuelSession(userWhatsapp) {
+// ---------- CONVERSATIONS (MULTI-STEP ENTRIES) ----------
+// Every multi-step entry is one row in `conversations`. A flow in
+// CONVERSATION_FLOWS lists its steps in order; each step names the data
+// field it fills, its prompt, how to parse the reply and whether *skip* is
+// allowed. After the last step comes `confirm`, where YES runs the flow's
+// save(c, lang, db) in one transaction with marking the conversation DONE,
+// then afterSave() (if any) for notifications and the reply. A save that
+// returns { refusal } (the sender may no longer log) cancels instead.
+// Statuses: ACTIVE, PARKED (see *drafts*), DONE, CANCELLED, ERROR.
+
+async function getActiveConversation(userWhatsapp) {
   const res = await pool.query(
     `
     SELECT *
-    FROM fuel_sessions
+    FROM conversations
     WHERE user_whatsapp = $1
       AND status = 'ACTIVE'
-    ORDER BY id DESC
-    LIMIT 1
   `,
     [userWhatsapp]
   );
   return res.rows[0] || null;
 }
 
-async function getActiveServiceSession(userWhatsapp) {
+// The fuel / service / expense entry a photo should be attached to, if any
+async function getActiveLoggingConversation(userWhatsapp) {
+  const c = await getActiveConversation(userWhatsapp);
+  return c && CONVERSATION_FLOWS[c.flow].receipts ? c : null;
+}
+
+async function startConversation(userWhatsapp, flow, data = {}, step = null) {
+  // Only one entry is open at a time – park whatever was open before
+  await parkConversations(userWhatsapp);
   const res = await pool.query(
     `
-    SELECT *
-    FROM service_sessions
-    WHERE user_whatsapp = $1
-      AND status = 'ACTIVE'
-    ORDER BY id DESC
-    LIMIT 1
+    INSERT INTO conversations (user_whatsapp, flow, step, data)
+    VALUES ($1, $2, $3, $4)
+    RETURNING *
   `,
-    [userWhatsapp]
+    [userWhatsapp, flow, step || CONVERSATION_FLOWS[flow].steps[0].name, JSON.stringify(data)]
   );
-  return res.rows[0] || null;
+  return res.rows[0];
 }
 
-async function getActiveExpenseSession(userWhatsapp) {
+// Move to `step` and merge `patch` into the collected data
+async function updateConversation(id, step, patch = {}) {
   const res = await pool.query(
     `
-    SELECT *
-    FROM expense_sessions
-    WHERE user_whatsapp = $1
-    ORDER BY id DESC
-    LIMIT 1
+    UPDATE conversations
+    SET step = COALESCE($2, step),
+        data = data || $3::jsonb,
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
   `,
-    [userWhatsapp]
+    [id, step, JSON.stringify(patch)]
   );
-  const s = res.rows[0];
-  if (!s) return null;
-  return s;
+  return res.rows[0];
 }
 
-async function clearExpenseSession(userWhatsapp) {
-  await pool.query(
+async function setConversationStatus(id, status, db = pool) {
+  await db.query(
     `
-    DELETE FROM expense_sessions
-    WHERE user_whatsapp = $1
+    UPDATE conversations
+    SET status = $2,
+        updated_at = NOW()
+    WHERE id = $1
   `,
-    [userWhatsapp]
+    [id, status]
   );
 }
 
-async function getActivePersonalDocumentSession(userWhatsapp) {
-  const res = await pool.query(
+async function cancelConversations(userWhatsapp) {
+  await pool.query(
     `
-    SELECT *
-    FROM personal_document_sessions
-    WHERE user_whatsapp = $1
-      AND status = 'ACTIVE'
-    ORDER BY id DESC
-    LIMIT 1
-  `,
-    [userWhatsapp]
-  );
-  return res.rows[0] || null;
-}
-
-async function clearPersonalDocumentSession(userWhatsapp) {
-  await pool.query(
-    `
-    UPDATE personal_document_sessions
-    SET status = 'CANCELLED',
-        updated_at = NOW()
+    UPDATE conversations
+    SET status = 'CANCELLED',
+        updated_at = NOW()
     WHERE user_whatsapp = $1
       AND status = 'ACTIVE'
   `,
@@ -1566,1882 +2202,9907 @@ async function clearPersonalDocumentSession(userWhatsapp) {
   );
 }
 
-// Cancel all sessions of any type
+// Cancel the open conversation and any edit in progress
 async function clearAllSessions(userWhatsapp) {
-  await Promise.all([
-    clearPersonalDocumentSession(userWhatsapp),
-    clearExpenseSession(userWhatsapp),
-    pool.query(
-      `
-      UPDATE fuel_sessions
-      SET status = 'CANCELLED', updated_at = NOW()
-      WHERE user_whatsapp = $1
-        AND status = 'ACTIVE'
-    `,
-      [userWhatsapp]
-    ),
-    pool.query(
-      `
-      UPDATE service_sessions
-      SET status = 'CANCELLED', updated_at = NOW()
-      WHERE user_whatsapp = $1
-        AND status = 'ACTIVE'
-    `,
-      [userWhatsapp]
-    ),
-    pool.query(
-      `
-      UPDATE vehicle_document_sessions
-      SET status = 'CANCELLED', updated_at = NOW()
-      WHERE user_whatsapp = $1
-        AND status = 'active'
-    `,
-      [userWhatsapp]
-    ),
-  ]);
+  await Promise.all([clearEditSession(userWhatsapp), cancelConversations(userWhatsapp)]);
 }
 
-// ---------- FUEL FLOW ----------
-
-async function handleFuelIntent(userWhatsapp) {
-  const vRes = await ensureCurrentVehicle(userWhatsapp);
-  if (vRes.status === "NO_VEHICLES") {
-    return (
-      "You don't have any vehicles yet.\n\n" +
-      "Add one with:\n" +
-      "*add vehicle KDA 123A*"
-    );
-  }
-  if (vRes.status === "NEED_SET_CURRENT") {
-    const list = formatVehiclesList(vRes.list, true);
-    return (
-      "You have multiple vehicles.\n\n" +
-      list +
-      "\n\nSet one as current with *switch to 1* (for example), then send *fuel* again."
+// Quick entries skip straight to whichever required field is still missing.
+// A field the user answered with *skip* is null, not missing, so it isn't asked again.
+function nextConversationStep(flow, data, afterStep) {
+  if (data.quick_entry) {
+    const missing = flow.steps.find(
+      (s) => s.required && (data[s.field] === undefined || data[s.field] === "")
     );
+    return missing ? missing.name : "confirm";
   }
+  const index = flow.steps.findIndex((s) => s.name === afterStep);
+  return index >= 0 && flow.steps[index + 1] ? flow.steps[index + 1].name : "confirm";
+}
 
-  const vehicle = vRes.vehicle;
-
-  // Create new session
-  await pool.query(
-    `
-    INSERT INTO fuel_sessions (user_whatsapp, vehicle_id, step)
-    VALUES ($1, $2, 'amount')
-  `,
-    [userWhatsapp, vehicle.id]
-  );
-
-  return (
-    "⛽ Let's log fuel for *" +
-    vehicle.registration +
-    "*.\n" +
-    "How much did you pay for this fuel? (KES)\n" +
-    "Example: *3000*"
-  );
+// The question the conversation is waiting on (or the confirm summary)
+async function conversationPrompt(c, lang) {
+  const flow = CONVERSATION_FLOWS[c.flow];
+  if (c.step === "confirm") return flow.confirm(c, lang);
+  const step = flow.steps.find((s) => s.name === c.step);
+  if (!step) return flow.messages.broken(lang);
+  return step.prompt(c, lang);
 }
 
-async function handleFuelSessionStep(userWhatsapp, text, session) {
+async function handleConversationStep(userWhatsapp, text, c) {
+  const flow = CONVERSATION_FLOWS[c.flow];
+  const lang = await getUserLanguage(userWhatsapp);
   const lower = text.trim().toLowerCase();
 
   if (lower === "cancel") {
     await clearAllSessions(userWhatsapp);
-    return (
-      "✅ I’ve cancelled your current entry.\n" +
-      "You can start again with *fuel*, *service*, or *expense*."
-    );
-  }
-
-  if (session.step === "amount") {
-    const amount = parseNumber(text);
-    if (isNaN(amount) || amount <= 0) {
-      return (
-        "Please send the fuel *amount* in KES.\n" +
-        "Example: *3000*"
-      );
-    }
-
-    await pool.query(
-      `
-      UPDATE fuel_sessions
-      SET amount = $1,
-          step = 'litres',
-          updated_at = NOW()
-      WHERE id = $2
-    `,
-      [amount, session.id]
-    );
-
-    return (
-      "How many *litres* did you buy?\n" +
-      "Example: *25*\n\n" +
-      "Reply *skip* if you're not sure."
-    );
-  }
-
-  if (session.step === "litres") {
-    let litres = null;
-    if (lower !== "skip") {
-      litres = parseNumber(text);
-      if (isNaN(litres) || litres <= 0) {
-        return (
-          "Please send the litres as a number.\n" +
-          "Example: *25*\n\n" +
-          "Or reply *skip*."
-        );
-      }
-    }
-
-    await pool.query(
-      `
-      UPDATE fuel_sessions
-      SET litres = $1,
-          step = 'odometer',
-          updated_at = NOW()
-      WHERE id = $2
-    `,
-      [litres, session.id]
-    );
-
-    return (
-      "What was the *odometer reading* at this fuel stop?\n" +
-      "Example: *145000*\n\n" +
-      "Reply *skip* if you don't want to record the odometer."
-    );
-  }
-
-  if (session.step === "odometer") {
-    let odometer = null;
-    if (lower !== "skip") {
-      odometer = parseNumber(text);
-      if (isNaN(odometer) || odometer < 0) {
-        return (
-          "Please send the odometer reading as a number.\n" +
-          "Example: *145000*\n\n" +
-          "Or reply *skip*."
-        );
-      }
-    }
-
-    await pool.query(
-      `
-      UPDATE fuel_sessions
-      SET odometer = $1,
-          step = 'station',
-          updated_at = NOW()
-      WHERE id = $2
-    `,
-      [odometer, session.id]
-    );
-
-    return (
-      "Where did you fuel? (station or place)\n" +
-      "Example: *Shell Yaya* or *Total Mombasa Road*\n\n" +
-      "Reply *skip* to leave blank."
-    );
-  }
-
-  if (session.step === "station") {
-    let station = null;
-    if (lower !== "skip") {
-      station = text.trim();
-    }
-
-    await pool.query(
-      `
-      UPDATE fuel_sessions
-      SET station = $1,
-          step = 'notes',
-          updated_at = NOW()
-      WHERE id = $2
-    `,
-      [station, session.id]
-    );
-
-    return (
-      "Any notes about this fuel stop?\n" +
-      "Example: *Full tank*, *after trip*, etc.\n\n" +
-      "Reply *skip* to leave notes blank."
-    );
-  }
-
-  if (session.step === "notes") {
-    let notes = null;
-    if (lower !== "skip") {
-      notes = text.trim();
-    }
-
-    const res = await pool.query(
-      `
-      UPDATE fuel_sessions
-      SET notes = $1,
-          step = 'confirm',
-          updated_at = NOW()
-      WHERE id = $2
-      RETURNING *
-    `,
-      [notes, session.id]
-    );
-
-    const s = res.rows[0];
-    const vRes = await pool.query(
-      `SELECT registration FROM vehicles WHERE id = $1`,
-      [s.vehicle_id]
-    );
-    const reg = vRes.rows[0] ? vRes.rows[0].registration : "your vehicle";
-
-    const amount = s.amount || 0;
-    const amountStr = Number(amount).toFixed(2);
-    const litres = s.litres != null ? Number(s.litres).toFixed(2) : "n/a";
-    const odo = s.odometer != null ? s.odometer : "n/a";
-    const station = s.station || "n/a";
-    const notesStr = s.notes || "n/a";
-
-    return (
-      "Please confirm this fuel entry:\n" +
-      "Vehicle: *" + reg + "*\n" +
-      "Amount: *" + amountStr + "* KES\n" +
-      "Litres: *" + litres + "*\n" +
-      "Odometer: *" + odo + "*\n" +
-      "Station: *" + station + "*\n" +
-      "Notes: " + notesStr + "\n\n" +
-      "Reply *YES* to save or *NO* to cancel."
-    );
+    return flow.messages.cancelled(lang);
   }
 
-  if (session.step === "confirm") {
+  if (c.step === "confirm") {
     if (lower === "yes") {
-      // Load full latest session
-      const res = await pool.query(
-        `SELECT * FROM fuel_sessions WHERE id = $1`,
-        [session.id]
-      );
-      const s = res.rows[0];
-
+      // The entry and the conversation's DONE land together or not at all,
+      // so a failed save stays on the confirm step and YES retries it
+      // without leaving a duplicate behind
+      const client = await pool.connect();
+      let saved;
       try {
-        await pool.query(
-          `
-          INSERT INTO fuel_logs (
-            user_whatsapp,
-            vehicle_id,
-            driver_id,
-            amount,
-            litres,
-            odometer,
-            station,
-            notes,
-            message_text
-          )
-          VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
-        `,
-          [
-            s.user_whatsapp,
-            s.vehicle_id,
-            null,
-            s.amount,
-            s.litres,
-            s.odometer,
-            s.station,
-            s.notes,
-            null,
-          ]
-        );
+        await client.query("BEGIN");
+        saved = await flow.save(c, lang, client);
+        if (saved && saved.refusal) {
+          await client.query("ROLLBACK");
+        } else {
+          await setConversationStatus(c.id, "DONE", client);
+          await client.query("COMMIT");
+        }
       } catch (err) {
-        console.error("❌ Error saving fuel log:", err.message);
-        await pool.query(
-          `UPDATE fuel_sessions SET status = 'ERROR', updated_at = NOW() WHERE id = $1`,
-          [session.id]
-        );
-        return (
-          "Sorry, I couldn't save that fuel entry due to a system error.\n" +
-          "Please try again later."
-        );
+        await client.query("ROLLBACK").catch(() => {});
+        console.error("❌ Error saving " + c.flow + " entry:", err.message);
+        return { body: flow.messages.saveError(lang), buttons: yesNoButtons(lang) };
+      } finally {
+        client.release();
       }
 
-      await pool.query(
-        `
-        UPDATE fuel_sessions
-        SET status = 'DONE',
-            updated_at = NOW()
-        WHERE id = $1
-      `,
-        [session.id]
-      );
+      // The sender may no longer log (e.g. licence expired) – a retry won't help
+      if (saved && saved.refusal) {
+        await setConversationStatus(c.id, "CANCELLED");
+        return saved.refusal;
+      }
 
-      return "✅ Fuel entry saved.\nYou can log another one any time with *fuel*.";
+      // Notifications and alerts only once the entry is committed
+      return flow.afterSave ? flow.afterSave(c, lang, saved) : saved;
     }
 
     if (lower === "no") {
-      await pool.query(
-        `
-        UPDATE fuel_sessions
-        SET status = 'CANCELLED',
-            updated_at = NOW()
-        WHERE id = $1
-      `,
-        [session.id]
-      );
-      return "Okay, I’ve cancelled that fuel entry.\nYou can start again with *fuel*.";
+      await setConversationStatus(c.id, "CANCELLED");
+      return flow.messages.declined(lang);
     }
 
-    return "Please reply *YES* to save or *NO* to cancel this fuel entry.";
+    return { body: flow.messages.yesNo(lang), buttons: yesNoButtons(lang) };
   }
 
-  // Fallback
-  return "Something went wrong in this fuel entry. Please start again with *fuel*.";
-}
-
-// ---------- SERVICE FLOW ----------
+  const step = flow.steps.find((s) => s.name === c.step);
+  if (!step) return flow.messages.broken(lang);
 
-async function handleServiceIntent(userWhatsapp) {
-  const vRes = await ensureCurrentVehicle(userWhatsapp);
-  if (vRes.status === "NO_VEHICLES") {
-    return (
-      "You don't have any vehicles yet.\n\n" +
-      "Add one with:\n" +
-      "*add vehicle KDA 123A*"
-    );
-  }
-  if (vRes.status === "NEED_SET_CURRENT") {
-    const list = formatVehiclesList(vRes.list, true);
-    return (
-      "You have multiple vehicles.\n\n" +
-      list +
-      "\n\nSet one as current with *switch to 1* (for example), then send *service* again."
-    );
+  let result = { value: null };
+  if (!(step.skippable && lower === "skip")) {
+    result = await step.parse(text, c, lang);
+    if (result.error) return result.error;
   }
 
-  const vehicle = vRes.vehicle;
+  const patch = { ...(result.data || {}), [step.field]: result.value };
+  const next = nextConversationStep(flow, { ...c.data, ...patch }, step.name);
+  const updated = await updateConversation(c.id, next, patch);
+  return conversationPrompt(updated, lang);
+}
 
-  await pool.query(
-    `
-    INSERT INTO service_sessions (user_whatsapp, vehicle_id, step)
-    VALUES ($1, $2, 'type')
-  `,
-    [userWhatsapp, vehicle.id]
-  );
+// ----- Step parsers: return { value, data? } or { error: reply } -----
 
-  return (
-    "🛠️ Let's log a service for *" +
-    vehicle.registration +
-    "*.\n" +
-    "What type of service was this?\n" +
-    "Examples: *Minor service*, *Major service*, *Brake pads*, etc."
-  );
+function parseRequiredText(badKey) {
+  return (text, c, lang) => {
+    const value = text.trim();
+    return value ? { value } : { error: t(lang, badKey) };
+  };
 }
 
-async function handleServiceSessionStep(userWhatsapp, text, session) {
-  const lower = text.trim().toLowerCase();
-
-  if (lower === "cancel") {
-    await clearAllSessions(userWhatsapp);
-    return (
-      "✅ I’ve cancelled your current entry.\n" +
-      "You can start again with *fuel*, *service*, or *expense*."
-    );
-  }
+function parseOptionalText(text) {
+  return { value: text.trim() };
+}
 
-  if (session.step === "type") {
-    const stype = text.trim();
-    if (!stype) {
-      return "Please describe the service, e.g. *Minor service*, *Brake pads*, etc.";
+// "3000", "KES 3000", "150000 UGX" – a currency in the reply overrides the entry's
+function parseMoneyReply(badKey, { allowZero = false } = {}) {
+  return (text, c, lang) => {
+    const { amount, currency } = parseAmountWithCurrency(text);
+    if (isNaN(amount) || amount < 0 || (!allowZero && amount === 0)) {
+      return { error: t(lang, badKey, { currency: c.data.currency || BASE_CURRENCY }) };
     }
+    return { value: amount, data: currency ? { currency } : {} };
+  };
+}
 
-    await pool.query(
-      `
-      UPDATE service_sessions
-      SET service_type = $1,
-          step = 'cost',
-          updated_at = NOW()
-      WHERE id = $2
-    `,
-      [stype, session.id]
-    );
+function parseOdometerReply(example) {
+  return async (text, c, lang) => {
+    const odometer = parseNumber(text);
+    if (isNaN(odometer) || odometer < 0) {
+      return { error: t(lang, "common.bad_odometer", { example }) };
+    }
+    const problem = await validateOdometerStep(c, odometer, lang);
+    if (problem) return { error: problem };
+    return { value: odometer, data: { odometer_check: null } };
+  };
+}
 
-    return (
-      "How much did this service cost? (KES)\n" +
-      "Example: *8000*\n\n" +
-      "Reply *0* if you don't want to record the cost."
-    );
-  }
+function parseLitresReply(text, c, lang) {
+  const litres = parseNumber(text);
+  if (isNaN(litres) || litres <= 0) return { error: t(lang, "fuel.bad_litres") };
+  return { value: litres };
+}
 
-  if (session.step === "cost") {
+// Document costs are always in the account currency
+function parseDocumentCost(example) {
+  return async (text, c, lang) => {
     const amount = parseNumber(text);
     if (isNaN(amount) || amount < 0) {
-      return (
-        "Please send the service cost in KES as a number.\n" +
-        "Example: *8000*\n\n" +
-        "Or *0* if you don't want to record the cost."
-      );
+      return {
+        error: t(lang, "doc.bad_cost", {
+          currency: await getAccountCurrency(c.user_whatsapp),
+          example,
+        }),
+      };
     }
+    return { value: amount };
+  };
+}
 
-    await pool.query(
-      `
-      UPDATE service_sessions
-      SET cost_amount = $1,
-          step = 'odometer',
-          updated_at = NOW()
-      WHERE id = $2
-    `,
-      [amount, session.id]
-    );
-
-    return (
-      "What was the *odometer reading* at this service?\n" +
-      "Example: *150000*\n\n" +
-      "Reply *skip* if you don't want to record the odometer."
-    );
-  }
-
-  if (session.step === "odometer") {
-    let odometer = null;
-    if (lower !== "skip") {
-      odometer = parseNumber(text);
-      if (isNaN(odometer) || odometer < 0) {
-        return (
-          "Please send the odometer reading as a number.\n" +
-          "Example: *150000*\n\n" +
-          "Or reply *skip*."
-        );
-      }
-    }
+function parseExpiryReply(text, c, lang) {
+  const expiry = parseIsoDate(text);
+  if (!expiry) return { error: t(lang, "doc.bad_expiry") };
+  return { value: expiry };
+}
 
-    await pool.query(
-      `
-      UPDATE service_sessions
-      SET odometer = $1,
-          step = 'notes',
-          updated_at = NOW()
-      WHERE id = $2
-    `,
-      [odometer, session.id]
-    );
+// ----- Shared prompts and replies -----
 
-    return (
-      "Any notes about this service?\n" +
-      "Example: *Changed oil + filters*, *Front brake pads*, etc.\n\n" +
-      "Reply *skip* to leave blank."
-    );
-  }
+function promptKey(key) {
+  return (c, lang) => t(lang, key, { currency: c.data.currency || BASE_CURRENCY });
+}
 
-  if (session.step === "notes") {
-    let notes = null;
-    if (lower !== "skip") {
-      notes = text.trim();
-    }
+// Fuel / service / expense replies come from the message catalogue
+function loggingFlowMessages(kind) {
+  return {
+    cancelled: (lang) => t(lang, "common.cancelled"),
+    declined: (lang) => t(lang, "entry.cancelled", kindVars(lang, kind)),
+    yesNo: (lang) => t(lang, "entry.yes_no", kindVars(lang, kind)),
+    saveError: (lang) => t(lang, "entry.save_error", kindVars(lang, kind)),
+    broken: (lang) => t(lang, "entry.broken", kindVars(lang, kind)),
+  };
+}
 
-    const res = await pool.query(
-      `
-      UPDATE service_sessions
-      SET notes = $1,
-          step = 'confirm',
-          updated_at = NOW()
-      WHERE id = $2
-      RETURNING *
-    `,
-      [notes, session.id]
-    );
+// Document replies name the flow's own command (*my document* / *vehicle document*)
+function documentFlowMessages(kind, command) {
+  const vars = (lang) => ({ ...kindVars(lang, kind), command });
+  return {
+    cancelled: (lang) => t(lang, "doc.cancelled", vars(lang)),
+    declined: (lang) => t(lang, "doc.declined", vars(lang)),
+    yesNo: (lang) => t(lang, "entry.yes_no", vars(lang)),
+    saveError: (lang) => t(lang, "doc.save_error", vars(lang)),
+    broken: (lang) => t(lang, "doc.broken", vars(lang)),
+  };
+}
 
-    const s = res.rows[0];
-    const vRes = await pool.query(
-      `SELECT registration FROM vehicles WHERE id = $1`,
-      [s.vehicle_id]
-    );
-    const reg = vRes.rows[0] ? vRes.rows[0].registration : "your vehicle";
+/**
+ * Flow definitions. Steps run in order; `required` fields are the ones a
+ * one-line quick entry must still ask for. `receipts` flows accept photos,
+ * `summary` is the short description shown in *drafts*.
+ */
+const CONVERSATION_FLOWS = {
+  fuel: {
+    receipts: true,
+    steps: [
+      {
+        name: "amount",
+        field: "amount",
+        required: true,
+        prompt: promptKey("fuel.ask_amount"),
+        parse: parseMoneyReply("fuel.bad_amount"),
+      },
+      {
+        name: "litres",
+        field: "litres",
+        required: true,
+        skippable: true,
+        prompt: promptKey("fuel.ask_litres"),
+        parse: parseLitresReply,
+      },
+      {
+        name: "odometer",
+        field: "odometer",
+        required: true,
+        skippable: true,
+        prompt: promptKey("fuel.ask_odometer"),
+        parse: parseOdometerReply("145000"),
+      },
+      {
+        name: "station",
+        field: "station",
+        skippable: true,
+        prompt: promptKey("fuel.ask_station"),
+        parse: parseOptionalText,
+      },
+      {
+        name: "notes",
+        field: "notes",
+        skippable: true,
+        prompt: promptKey("fuel.ask_notes"),
+        parse: parseOptionalText,
+      },
+    ],
+    confirm: buildFuelConfirmMessage,
+    save: saveFuelConversation,
+    afterSave: afterFuelSaved,
+    messages: loggingFlowMessages("fuel"),
+    summary: (d, lang) =>
+      d.amount != null ? formatNumber(d.amount, lang) + " " + (d.currency || BASE_CURRENCY) : null,
+  },
 
-    const cost = s.cost_amount || 0;
-    const costStr = Number(cost).toFixed(2);
-    const odo = s.odometer != null ? s.odometer : "n/a";
-    const notesStr = s.notes || "n/a";
+  service: {
+    receipts: true,
+    steps: [
+      {
+        name: "type",
+        field: "service_type",
+        required: true,
+        prompt: promptKey("service.ask_type"),
+        parse: parseRequiredText("service.bad_type"),
+      },
+      {
+        name: "cost",
+        field: "cost_amount",
+        required: true,
+        prompt: (c, lang) =>
+          promptKey("service.ask_cost")(c, lang) + t(lang, "service.cost_zero_hint"),
+        parse: parseMoneyReply("service.bad_cost", { allowZero: true }),
+      },
+      {
+        name: "odometer",
+        field: "odometer",
+        skippable: true,
+        prompt: promptKey("service.ask_odometer"),
+        parse: parseOdometerReply("150000"),
+      },
+      {
+        name: "notes",
+        field: "notes",
+        skippable: true,
+        prompt: promptKey("service.ask_notes"),
+        parse: parseOptionalText,
+      },
+    ],
+    confirm: buildServiceConfirmMessage,
+    save: saveServiceConversation,
+    afterSave: afterServiceSaved,
+    messages: loggingFlowMessages("service"),
+    summary: (d) => d.service_type || null,
+  },
 
-    return (
-      "Please confirm this service entry:\n" +
-      "Vehicle: *" + reg + "*\n" +
-      "Type: *" + (s.service_type || "Service") + "*\n" +
-      "Cost: *" + costStr + "* KES\n" +
-      "Odometer: *" + odo + "*\n" +
-      "Notes: " + notesStr + "\n\n" +
-      "Reply *YES* to save or *NO* to cancel."
-    );
-  }
+  expense: {
+    receipts: true,
+    steps: [
+      {
+        name: "title",
+        field: "title",
+        required: true,
+        prompt: promptKey("expense.ask_title"),
+        parse: parseRequiredText("expense.bad_title"),
+      },
+      {
+        name: "amount",
+        field: "amount",
+        required: true,
+        prompt: promptKey("expense.ask_amount"),
+        parse: parseMoneyReply("expense.bad_amount"),
+      },
+      {
+        name: "odometer",
+        field: "odometer",
+        skippable: true,
+        prompt: promptKey("expense.ask_odometer"),
+        parse: parseOdometerReply("145000"),
+      },
+      {
+        name: "notes",
+        field: "notes",
+        skippable: true,
+        prompt: promptKey("expense.ask_notes"),
+        parse: parseOptionalText,
+      },
+    ],
+    confirm: buildExpenseConfirmMessage,
+    save: saveExpenseConversation,
+    afterSave: afterExpenseSaved,
+    messages: loggingFlowMessages("expense"),
+    summary: (d) => d.title || null,
+  },
 
-  if (session.step === "confirm") {
-    if (lower === "yes") {
-      const res = await pool.query(
-        `SELECT * FROM service_sessions WHERE id = $1`,
-        [session.id]
-      );
-      const s = res.rows[0];
+  personal_document: {
+    steps: [
+      {
+        name: "title",
+        field: "doc_title",
+        prompt: (c, lang) => t(lang, "doc.personal_ask_title"),
+        parse: parseRequiredText("doc.personal_bad_title"),
+      },
+      {
+        name: "type",
+        field: "doc_type",
+        skippable: true,
+        prompt: (c, lang) => t(lang, "doc.personal_ask_type"),
+        parse: parseOptionalText,
+      },
+      {
+        name: "cost",
+        field: "cost_amount",
+        prompt: async (c, lang) =>
+          t(lang, "doc.personal_ask_cost", { currency: await getAccountCurrency(c.user_whatsapp) }),
+        parse: parseDocumentCost("3500"),
+      },
+      {
+        name: "expiry",
+        field: "expiry_date",
+        skippable: true,
+        prompt: (c, lang) => t(lang, "doc.ask_expiry"),
+        parse: parseExpiryReply,
+      },
+      {
+        name: "notes",
+        field: "notes",
+        skippable: true,
+        prompt: (c, lang) => t(lang, "doc.personal_ask_notes"),
+        parse: parseOptionalText,
+      },
+    ],
+    confirm: buildPersonalDocumentConfirmMessage,
+    save: savePersonalDocumentConversation,
+    messages: documentFlowMessages("personal_document", "my document"),
+    summary: (d) => d.doc_title || null,
+  },
 
-      try {
-        await pool.query(
-          `
-          INSERT INTO service_logs (
-            user_whatsapp,
-            vehicle_id,
-            driver_id,
-            service_type,
-            cost_amount,
-            odometer,
-            notes,
-            message_text
-          )
-          VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
-        `,
-          [
-            s.user_whatsapp,
-            s.vehicle_id,
-            null,
-            s.service_type,
-            s.cost_amount,
-            s.odometer,
-            s.notes,
-            null,
-          ]
-        );
-      } catch (err) {
-        console.error("❌ Error saving service log:", err.message);
-        await pool.query(
-          `UPDATE service_sessions SET status = 'ERROR', updated_at = NOW() WHERE id = $1`,
-          [session.id]
-        );
-        return (
-          "Sorry, I couldn't save that service entry due to a system error.\n" +
-          "Please try again later."
-        );
-      }
+  vehicle_document: {
+    steps: [
+      {
+        name: "title",
+        field: "title",
+        prompt: (c, lang) => t(lang, "doc.vehicle_ask_title"),
+        parse: parseRequiredText("doc.vehicle_bad_title"),
+      },
+      {
+        name: "cost",
+        field: "cost",
+        prompt: async (c, lang) =>
+          t(lang, "doc.vehicle_ask_cost", { currency: await getAccountCurrency(c.user_whatsapp) }),
+        parse: parseDocumentCost("35000"),
+      },
+      {
+        name: "expiry",
+        field: "expiry_date",
+        skippable: true,
+        prompt: (c, lang) => t(lang, "doc.ask_expiry"),
+        parse: parseExpiryReply,
+      },
+      {
+        name: "notes",
+        field: "notes",
+        skippable: true,
+        prompt: (c, lang) => t(lang, "doc.vehicle_ask_notes"),
+        parse: parseOptionalText,
+      },
+    ],
+    confirm: buildVehicleDocumentConfirmMessage,
+    save: saveVehicleDocumentConversation,
+    messages: documentFlowMessages("vehicle_document", "vehicle document"),
+    summary: (d) => d.title || null,
+  },
+};
+
+// ---------- LANGUAGES ----------
+// Bot replies come from MESSAGES by key, in the user's language (set with
+// *language english* / *lugha kiswahili*). A key missing from a language
+// falls back to English, so a new language can be added a few keys at a
+// time: add it to LANGUAGES and give it a MESSAGES entry.
+
+const LANGUAGES = {
+  en: { label: "English", locale: "en-KE", command: "language english" },
+  sw: { label: "Kiswahili", locale: "sw-KE", command: "lugha kiswahili" },
+};
+
+// What people type after *language* / *lugha*
+const LANGUAGE_ALIASES = {
+  en: "en",
+  english: "en",
+  kiingereza: "en",
+  sw: "sw",
+  swahili: "sw",
+  kiswahili: "sw",
+};
+
+const MESSAGES = {
+  en: {
+    "kind.fuel": "fuel",
+    "kind.service": "service",
+    "kind.expense": "expense",
+    "kind.personal_document": "personal document",
+    "kind.vehicle_document": "vehicle document",
+
+    "common.greeting": "Hi 👋 I’m Saka360. Send *help* to see what I can do.",
+    "common.fallback":
+      "Hi 👋 I’m Saka360. How can I help you with your vehicles and drivers today?",
+    "common.cancelled":
+      "✅ I’ve cancelled your current entry.\n" +
+      "You can start again with *fuel*, *service*, or *expense*.",
+    "common.na": "n/a",
+    "common.your_vehicle": "your vehicle",
+    "common.reply_yes_no": "Reply *YES* to save or *NO* to cancel.",
+    "common.receipt_line": "Receipt: 📎 *{count}* photo(s)\n",
+    "common.approval_sent": "⏳ Sent to your fleet owner for approval (ref *#{id}*).\n",
+    "common.bad_odometer":
+      "Please send the odometer reading as a number.\n" +
+      "Example: *{example}*\n\n" +
+      "Or reply *skip*.",
+    "common.quick_one_more": "⚡ Got it – just a bit more for *{reg}*:\n",
+    "common.quick_check": "⚡ Got it – one thing to check for *{reg}*:\n",
+
+    "media.attached":
+      "📎 Got your receipt. I’ll attach it to this *{kind}* entry when you save it.\n" +
+      "Please carry on with the last question (or reply *cancel*).",
+    "media.failed":
+      "Sorry, I couldn't save that attachment. Please send it as a photo (JPG/PNG) or PDF.",
+    "media.no_entry":
+      "📎 I got your photo, but there’s no entry in progress.\n" +
+      "To attach a receipt, start with *fuel*, *service* or *expense* and send the photo during that entry.",
+
+    "vehicle.none":
+      "You don't have any vehicles yet.\n\n" + "Add one with:\n" + "*add vehicle KDA 123A*",
+    "vehicle.pick_current":
+      "You have multiple vehicles.\n\n" +
+      "{list}" +
+      "\n\nSet one as current with *switch to 1* (for example), then send *{command}* again.",
+    "driver.accept_first":
+      "Hi {name} 👋\n\n" + "Please accept your driver invitation first by replying *accept*.",
+    "driver.licence_expired":
+      "🚫 You can't log *{kind}* yet.\n\n" +
+      "Your *Main Driving Licence* on Saka360 has *expired*. Ask your fleet owner to update it.",
+    "driver.licence_missing":
+      "🚫 You can't log *{kind}* yet.\n\n" +
+      "You need a *valid Main Driving Licence* on Saka360 first.\n\n" +
+      "Send it like this:\n" +
+      "*dl main 2026-01-01*",
+    "driver.no_vehicle":
+      "Hi {name} 👋\n\n" +
+      "You don't have a vehicle assigned yet.\n" +
+      "Ask your fleet owner to assign you to a vehicle.",
+
+    "entry.confirm_title": "Please confirm this {kind} entry:",
+    "entry.saved": "✅ {Kind} entry saved.\n",
+    "entry.log_another": "You can log another one any time with *{kind}*.",
+    "entry.cancelled": "Okay, I’ve cancelled that {kind} entry.\nYou can start again with *{kind}*.",
+    "entry.yes_no": "Please reply *YES* to save or *NO* to cancel this {kind} entry.",
+    "entry.broken": "Something went wrong in this {kind} entry. Please start again with *{kind}*.",
+    "entry.save_error":
+      "Sorry, I couldn't save that {kind} entry due to a system error.\n" +
+      "Reply *YES* to try again or *NO* to cancel.",
+
+    "label.vehicle": "Vehicle",
+    "label.amount": "Amount",
+    "label.litres": "Litres",
+    "label.odometer": "Odometer",
+    "label.station": "Station",
+    "label.notes": "Notes",
+    "label.type": "Type",
+    "label.cost": "Cost",
+    "label.title": "Title",
+    "label.expiry": "Expiry",
+
+    "fuel.start": "⛽ Let's log fuel for *{reg}*.\n",
+    "fuel.ask_amount": "How much did you pay for this fuel? ({currency})\nExample: *3000*",
+    "fuel.bad_amount":
+      "Please send the fuel *amount* in {currency}.\n" +
+      "Example: *3000* (or *150000 UGX* for another currency)",
+    "fuel.ask_litres":
+      "How many *litres* did you buy?\n" + "Example: *25*\n\n" + "Reply *skip* if you're not sure.",
+    "fuel.bad_litres":
+      "Please send the litres as a number.\n" + "Example: *25*\n\n" + "Or reply *skip*.",
+    "fuel.ask_odometer":
+      "What was the *odometer reading* at this fuel stop?\n" +
+      "Example: *145000*\n\n" +
+      "Reply *skip* if you don't want to record the odometer.",
+    "fuel.ask_station":
+      "Where did you fuel? (station or place)\n" +
+      "Example: *Shell Yaya* or *Total Mombasa Road*\n\n" +
+      "Reply *skip* to leave blank.",
+    "fuel.ask_notes":
+      "Any notes about this fuel stop?\n" +
+      "Example: *Full tank*, *after trip*, etc.\n\n" +
+      "Reply *skip* to leave notes blank.",
+    "fuel.flagged": (v) =>
+      "🚩 Flagged for review (" + v.count + " warning" + (v.count === 1 ? "" : "s") + ")",
+    "fuel.flagged_own": " – see *fuel alerts*.\n",
+    "fuel.flagged_driver": " – your fleet owner has been told.\n",
+
+    "service.start": "🛠️ Let's log a service for *{reg}*.\n",
+    "service.ask_type":
+      "What type of service was this?\n" +
+      "Examples: *Minor service*, *Major service*, *Brake pads*, etc.",
+    "service.bad_type": "Please describe the service, e.g. *Minor service*, *Brake pads*, etc.",
+    "service.ask_cost": "How much did this service cost? ({currency})\nExample: *8000*",
+    "service.cost_zero_hint": "\n\nReply *0* if you don't want to record the cost.",
+    "service.bad_cost":
+      "Please send the service cost in {currency} as a number.\n" +
+      "Example: *8000* (or *150000 UGX* for another currency)\n\n" +
+      "Or *0* if you don't want to record the cost.",
+    "service.ask_odometer":
+      "What was the *odometer reading* at this service?\n" +
+      "Example: *150000*\n\n" +
+      "Reply *skip* if you don't want to record the odometer.",
+    "service.ask_notes":
+      "Any notes about this service?\n" +
+      "Example: *Changed oil + filters*, *Front brake pads*, etc.\n\n" +
+      "Reply *skip* to leave blank.",
+
+    "expense.start": "💸 Let's log an expense for *{reg}*.\n",
+    "expense.ask_title":
+      "What was this expense for?\n" + "Example: *Parking at Yaya*, *Tyres*, *Car wash*",
+    "expense.bad_title":
+      "Please describe the expense.\n" + "Example: *Parking at Yaya*, *Tyres*, *Car wash*",
+    "expense.ask_amount": "How much did you pay for this expense? ({currency})\nExample: *1500*",
+    "expense.bad_amount":
+      "Please send the expense *amount* in {currency}.\n" +
+      "Example: *1500* (or *150000 UGX* for another currency)",
+    "expense.ask_odometer":
+      "What was the *odometer reading* when this expense happened?\n" +
+      "Example: *145000*\n\n" +
+      "Reply *skip* if the odometer is not relevant.",
+    "expense.ask_notes":
+      "Any notes about this expense?\n" +
+      "Example: *Parking for town meeting*, *New rear tyre*, etc.\n\n" +
+      "Reply *skip* to leave notes blank.",
+
+    "language.current":
+      "🌐 Your language is *{language}*.\n\n" + "Change it with {options}.",
+    "language.set": "✅ Done – I’ll reply in *English* from now on.\nSend *help* to see what I can do.",
+    "language.unknown": "I don’t know that language yet. Choose {options}.",
+
+    "button.yes": "✅ Yes",
+    "button.no": "❌ No",
+    "picker.vehicle": "Choose vehicle",
+    "picker.driver": "Choose driver",
+    "picker.current": "current",
+    "menu.button": "Quick actions",
+    "menu.prompt": "Or tap a quick action 👇",
+    "menu.fuel": "⛽ Log fuel",
+    "menu.service": "🛠️ Log service",
+    "menu.expense": "💸 Log expense",
+    "menu.fuel_report": "📊 Fuel report",
+    "menu.service_report": "📊 Service report",
+    "menu.expense_report": "📊 Expense report",
+    "menu.vehicles": "🚗 My vehicles",
+    "menu.drivers": "👤 My drivers",
+    "menu.pending": "⏳ Pending entries",
+    "menu.reminders": "⏰ My reminders",
+
+    "drafts.parked":
+      "⏸️ Your unfinished *{kind}* entry was parked after {minutes} min without a reply.\n" +
+      "Send *continue* to pick it up, or *drafts* to see all your drafts.",
+    "drafts.parked_now": "⏸️ I’ve parked your open *{kind}* entry – *drafts* lists it.\n",
+    "drafts.none":
+      "You have no parked drafts.\n" +
+      "Unfinished entries (fuel, service, expense, documents) are parked after {minutes} min without a reply.",
+    "drafts.title": "⏸️ *Parked drafts*:\n\n",
+    "drafts.line": "{index}. *{Kind}*{reg}{summary} ({date})",
+    "drafts.footer": "\nSend *continue 1* (for example) to pick one up where you stopped.",
+    "drafts.resumed": "▶️ Picking up your *{kind}* entry for *{reg}*.\n",
+    "drafts.resumed_no_vehicle": "▶️ Picking up your *{kind}* entry.\n",
+    "drafts.bad_index": "You only have *{count}* parked draft(s). Send *drafts* to see them.",
+    "drafts.still_open":
+      "\n\n✏️ Your *{kind}* entry is still open – answer the last question to carry on, or reply *cancel*.",
+    "picker.draft": "Choose draft",
+
+    "period.today": "Today",
+    "period.this_month": "This month",
+    "period.this_year": "This year",
+    "period.last_days": (v) => "Last " + v.count + " day" + (v.count === 1 ? "" : "s"),
+
+    "report.pick_current":
+      "You have multiple vehicles. Please set your current vehicle first.\n\n" +
+      "{list}" +
+      "\n\nUse *switch to 1* (for example), then send *{kind} report* again.",
+    "report.bad_period":
+      "I couldn’t understand the period *{period}*.\n\n" +
+      "Try for example:\n" +
+      "• *{kind} report this month*\n" +
+      "• *{kind} report last 90 days*\n" +
+      "• *{kind} report march*\n" +
+      "• *{kind} report 2026-01-01 to 2026-03-31*\n" +
+      "Dates are YYYY-MM-DD, start before end.\n\n" +
+      "Add *all* after *report* for every vehicle.",
+    "report.scope_vehicle": "current vehicle",
+    "report.scope_all": "all vehicles",
+    "report.none_vehicle": "You have no *{kind}* entries yet for your current vehicle.\n\n",
+    "report.none_vehicle_period":
+      "You have no *{kind}* entries for your current vehicle in *{period}*.\n\n",
+    "report.none_all": "You have no *{kind}* entries yet across your vehicles.\n\n",
+    "report.none_all_period": "You have no *{kind}* entries across your vehicles in *{period}*.\n\n",
+    "report.log_one": "Log one with *{kind}*.",
+    "report.period": "Period",
+    "report.vs_previous": "vs previous period",
+    "report.spend": "Spend",
+    "report.entries": "Entries",
+    "report.litres": "Litres",
+    "report.was": "was",
+    "report.pending_included": (v) =>
+      "⏳ Includes *" +
+      v.count +
+      "* driver entr" +
+      (v.count === 1 ? "y" : "ies") +
+      " still waiting for approval.\n",
+    "report.pending_excluded": (v) =>
+      "⏳ *" +
+      v.count +
+      "* driver entr" +
+      (v.count === 1 ? "y is" : "ies are") +
+      " waiting for approval and not counted. Send *" +
+      v.command +
+      " with pending* to include them.\n",
+    "report.unconverted": (v) =>
+      "⚠️ *" +
+      v.count +
+      "* entr" +
+      (v.count === 1 ? "y" : "ies") +
+      " in other currencies aren’t in the totals – there’s no exchange rate to " +
+      v.currency +
+      " yet. Ask your admin to add one (see *rates*).\n",
+
+    "report.fuel_title": "Fuel summary",
+    "report.fuel_stops": "Fuel stops",
+    "report.fuel_total": "Total fuel spend",
+    "report.fuel_litres": "Total litres",
+    "report.fuel_avg": "Average spend per fuel stop",
+    "report.efficiency": "📈 *Fuel efficiency*:\n",
+    "report.average": "Average",
+    "report.best": "Best",
+    "report.worst": "Worst",
+    "report.cost_per_km": "Cost per km",
+    "report.based_on": (v) =>
+      "Based on *" + v.km + "* km over *" + v.count + "* interval(s) ",
+    "report.method_full_tank": "(full tank to full tank).",
+    "report.method_gap": "(odometer gaps between fills).",
+    "report.full_tank_tip":
+      "Tip: add *full tank* in the notes when you fill up for more accurate figures.\n",
+    "report.efficiency_none":
+      "Not enough data yet. Log *litres* and *odometer* on at least two fuel stops to see km/L.\n",
+    "report.ranked": "🏁 *Vehicles ranked by efficiency*:\n",
+    "report.fuel_recent": "⛽ *Last 5 fuel entries*:\n",
+    "report.fuel_footer":
+      "\nYou can log new fuel any time with *fuel*.\n" +
+      "Use *fuel report* for the current vehicle, or *fuel report all* for your whole fleet.",
+
+    "report.service_title": "Service summary",
+    "report.services": "Services",
+    "report.service_total": "Total service cost",
+    "report.service_avg": "Average per service",
+    "report.set_interval":
+      "🔧 Set a service interval with *service interval 5000 km 6 months* to see when the next service is due.\n",
+    "report.next_services": "🔧 *Next services*:\n",
+    "report.no_service_yet": "no service logged yet",
+    "report.no_odometer_data": "not enough odometer data",
+    "report.service_recent": "🛠️ *Last 5 services*:\n",
+    "report.service_footer":
+      "\nYou can log a new service anytime with *service*.\n" +
+      "Use *service report* for the current vehicle, or *service report all* for your whole fleet.",
+
+    "report.expense_title": "Expense summary",
+    "report.expenses": "Expenses",
+    "report.expense_total": "Total amount",
+    "report.expense_avg": "Average per expense",
+    "report.expense_recent": "💸 *Last 5 expenses*:\n",
+    "report.top_vehicles": "🚗 *Top vehicles by other expenses*:\n",
+    "report.total": "total",
+    "report.unassigned": "Unassigned",
+    "report.expense_footer":
+      "\nYou can log a new expense anytime with *expense*.\n" +
+      "Use *expense report* for the current vehicle, or *expense report all* for your whole fleet.",
+
+    "service_due.none": "🔧 *Next service*: log a *service* first so I know when the last one was.\n\n",
+    "service_due.title": "🔧 *Next service*:\n",
+    "service_due.last": "Last: *{type}* on {date}",
+    "service_due.due_at": "Due at: *{km}* km",
+    "service_due.km_left": " ({km} km to go)",
+    "service_due.km_overdue": " (*overdue by {km} km*)",
+    "service_due.date": "Estimated date: *{date}*",
+    "service_due.days_left": " (in {days} day(s))",
+    "service_due.days_overdue": " (*overdue by {days} day(s)*)",
+    "service_due.usage": "Average use: ~{km} km/day\n",
+    "service_due.need_odometer": "Log *odometer* readings on fuel stops so I can estimate the date.\n",
+
+    "common.bad_index": "I couldn't understand that number. Please use a positive number like *1* or *2*.",
+
+    "vehicles.none_short": "You don't have any vehicles yet.",
+    "vehicles.add_help":
+      "Let's add a vehicle to your Saka360 account 🚗\n\n" +
+      "Please send your vehicle registration in this format:\n" +
+      "*add vehicle KDA 123A*\n\n" +
+      "Example: *add vehicle KCY 456B*",
+    "vehicles.add_missing_reg":
+      "Please include the registration after *add vehicle*.\n\n" + "Example: *add vehicle KDA 123A*",
+    "vehicles.already_added":
+      "This vehicle *{reg}* is already on your account.\n" +
+      "I’ve set it as your *current vehicle*.\n\n" +
+      "You can now log with *fuel*, *service* or *expense*.",
+    "vehicles.added_first":
+      "✅ Vehicle *{reg}* added and set as your *current vehicle*.\n\n" +
+      "You can now log:\n" +
+      "• *fuel* – log fuel\n" +
+      "• *service* – log service\n" +
+      "• *expense* – log other vehicle expenses",
+    "vehicles.added":
+      "✅ Vehicle *{reg}* added.\n\n" +
+      "To use it as your active vehicle, list your vehicles with *my vehicles* " +
+      "then send e.g. *switch to 2*.",
+    "vehicles.title": "🚗 *Your vehicles*:\n\n",
+    "vehicles.switch_hint":
+      "\n\nTo change your current vehicle, reply with e.g. *switch to 1* or *switch to 2*.",
+    "vehicles.switch_help":
+      "To switch your current vehicle, use:\n" +
+      "*switch to 1* or *switch to 2*\n\n" +
+      "First, see your list with *my vehicles*.",
+    "vehicles.switch_missing_number":
+      "Please include the vehicle number to switch to.\n\n" +
+      "Example: *switch to 1*\n" +
+      "You can see the list with *my vehicles*.",
+    "vehicles.switch_too_high":
+      "You only have *{count}* vehicle(s).\n\n" +
+      "See them with *my vehicles* and choose a valid number.",
+    "vehicles.switched":
+      "✅ Okay, I’ll use *{reg}* as your *current vehicle*.\n\n" +
+      "You can now log with *fuel*, *service*, or *expense*.",
+
+    "driver.default_name": "Driver",
+
+    "drivers.none_short": "You don't have any drivers yet.",
+    "drivers.none":
+      "You don't have any drivers yet.\n\n" + "Add one with:\n" + "*add driver John Doe | 0712345678*",
+    "drivers.status_expired": "licence expired {days} day(s) ago",
+    "drivers.status_expiring": "licence expires in {days} day(s)",
+    "drivers.status_valid": "licence valid, ~{days} day(s) left",
+    "drivers.status_no_expiry": "no licence expiry date set",
+    "drivers.list_line": "*{name}* – Type: *{type}* (exp: {expiry}) {icon} {status}",
+    "drivers.invite":
+      "Hi {name} 👋\n\n" +
+      "You’ve been added as a driver in *Saka360* by *{owner}*.\n\n" +
+      "To accept and complete your driving licence compliance, reply here with:\n" +
+      "*accept*\n\n" +
+      "After you add your *Main Driving Licence* expiry date, you’ll be allowed to log *fuel*, *service* and *expenses* for vehicles assigned to you.",
+    "drivers.add_help":
+      "Let's add a driver to your Saka360 account 👨‍✈️\n\n" +
+      "Please send the details in *one line* using this format:\n" +
+      "*add driver Full Name | 07XXXXXXXX*\n\n" +
+      "Example:\n" +
+      "*add driver David Njonjo | 0734852529*\n\n" +
+      "After this, the driver will get a WhatsApp prompt to *accept* and add their *Main Driving Licence*.",
+    "drivers.add_missing":
+      "Please include the driver details after *add driver*.\n\n" +
+      "Format:\n" +
+      "*add driver Full Name | 07XXXXXXXX*\n\n" +
+      "Example:\n" +
+      "*add driver David Njonjo | 0734852529*",
+    "drivers.add_need_both":
+      "I need at least: *Name* and *Phone number*.\n\n" +
+      "Format:\n" +
+      "*add driver Full Name | 07XXXXXXXX*",
+    "drivers.add_need_name": "Please provide the driver's *full name* as the first item.",
+    "drivers.add_need_phone":
+      "Please provide the driver's *phone number* as the second item (e.g. 07XXXXXXXX).",
+    "drivers.added":
+      "✅ Driver *{name}* added.\n\n" +
+      "Invitation sent to: *{phone}*\n\n" +
+      "They must:\n" +
+      "1️⃣ Reply *accept* from their WhatsApp ({phone})\n" +
+      "2️⃣ Add their *Main Driving Licence* expiry with:\n" +
+      "   *dl main 2026-01-01*\n\n" +
+      "Once they add a valid Main DL, you’ll get a compliance notification and they’ll appear as *compliant* in your *driver report*.",
+    "drivers.no_invite":
+      "I can't find any pending driver invitation for this WhatsApp number.\n\n" +
+      "Ask your fleet owner to add you with:\n" +
+      "*add driver Your Name | 07XXXXXXXX*",
+    "drivers.no_profile":
+      "I can't find any driver profile linked to this WhatsApp number.\n\n" +
+      "Ask your fleet owner to add you with:\n" +
+      "*add driver Your Name | 07XXXXXXXX*",
+    "drivers.already_compliant":
+      "Hi {name} 👋\n\n" + "You’re already *compliant* with a valid Main Driving Licence on file.\n\n",
+    "drivers.can_log_vehicle": "You can now log *fuel*, *service* and *expenses* for *{reg}*.",
+    "drivers.can_log_once_assigned":
+      "You can log *fuel*, *service* and *expenses* once your fleet owner assigns you a vehicle.",
+    "drivers.accept_next":
+      "Hi {name} 👋\n\n" +
+      "To complete your licence compliance, please send your *Main Driving Licence* expiry date.\n\n" +
+      "Use this format:\n" +
+      "*dl main 2026-01-01*\n\n" +
+      "You must have a *valid Main DL* on Saka360 before you can log *fuel*, *service* or *expenses*.",
+    "drivers.title": "👨‍✈️ *Your drivers*:\n\n",
+    "drivers.assign_hint":
+      "\n\nTo assign a driver to your *current vehicle*, reply with e.g. *assign driver 1*.",
+    "drivers.assign_help":
+      "To assign a driver, first see your drivers with *my drivers*.\n\n" +
+      "Then reply with e.g. *assign driver 1* to assign driver 1 to your *current vehicle*.",
+    "drivers.assign_pick_vehicle":
+      "You have multiple vehicles. Please choose which one you want to set a driver for.\n\n" +
+      "{list}" +
+      "\n\nReply with e.g. *switch to 1*, then send *assign driver 1* again.",
+    "drivers.too_high":
+      "You only have *{count}* driver(s).\n\n" + "See them with *my drivers* and choose a valid number.",
+    "drivers.assigned":
+      "✅ Driver assigned.\n\n" +
+      "Vehicle: *{reg}*\n" +
+      "Driver: *{name}*\n" +
+      "Licence type: *{type}* (exp: {expiry})\n\n" +
+      "Once they’ve accepted and their Main DL is valid, they can log *fuel*, *service* and *expenses* for this vehicle from their own WhatsApp. Their entries show up in your reports.\n\n" +
+      "You can change driver any time with another *assign driver X*.",
+
+    "licence.none":
+      "Hi {name} 👋\n\n" +
+      "You do not have a *Main Driving Licence* expiry date on Saka360 yet.\n\n" +
+      "To become compliant, send:\n" +
+      "*dl main 2026-01-01*  (use your real expiry date)\n\n" +
+      "After that your fleet owner can safely assign cars to you.",
+    "licence.not_set": "not set",
+    "licence.expired": "Your licence *expired* {days} day(s) ago.",
+    "licence.expiring": "Your licence is *expiring soon* in {days} day(s).",
+    "licence.valid": "Your licence is *valid* with about {days} day(s) left.",
+    "licence.status":
+      "{icon} *Your licence status*\n\n" +
+      "Name: *{name}*\n" +
+      "Licence type: *{type}*\n" +
+      "Expiry date: *{expiry}*\n\n" +
+      "{status}\n\n" +
+      "If this looks wrong, ask your fleet owner to review your details in Saka360.",
+    "licence.help":
+      "To set your Main Driving Licence expiry, use:\n\n" +
+      "*dl main 2026-01-01*\n\n" +
+      "Example:\n" +
+      "*dl main 2027-06-30*",
+    "licence.main_only":
+      "Right now Saka360 only tracks your *Main Driving Licence* for compliance.\n\n" +
+      "Please send it as:\n" +
+      "*dl main 2026-01-01*",
+    "licence.bad_date":
+      "That expiry date doesn't look valid. Please use *YYYY-MM-DD* format (e.g. 2026-01-01).",
+    "licence.past_date":
+      "Your *Main DL* must be *valid* for compliance (expiry must be in the future).\n\n" +
+      "Please send a future date in *YYYY-MM-DD* format.",
+    "licence.locked":
+      "Your *Main Driving Licence* is already on file and locked.\n\n" +
+      "If it needs to be changed, ask your fleet owner or admin to update it from their side.",
+    "licence.owner_notice":
+      "✅ *Driver compliance update*\n\n" +
+      "Driver: *{name}*\n" +
+      "Main DL expiry: *{expiry}*\n\n" +
+      "This driver is now *Main DL compliant* and can be allowed to log *fuel*, *service* and *expenses* for vehicles you assign.",
+    "licence.saved":
+      "✅ Thanks {name}.\n\n" +
+      "Your *Main Driving Licence* expiry has been set to *{expiry}*.\n\n" +
+      "You are now *licence compliant* on Saka360.\n" +
+      "Once your fleet owner assigns you a vehicle, log *fuel*, *service* and *expenses* for it straight from this chat.",
+
+    "compliance.title": "🚦 *Driver licence compliance overview*\n",
+    "compliance.no_phone": "no phone on file",
+    "compliance.expired_title": "\n❌ *Expired licences*:\n",
+    "compliance.expired_line":
+      "*{name}* – Type: *{type}*, exp: {expiry} (expired {days} day(s) ago) – {phone}",
+    "compliance.expired_none": "\n❌ *Expired licences*: none 🎉",
+    "compliance.expiring_title": "\n\n⚠️ *Expiring in next 30 days*:\n",
+    "compliance.expiring_line": "*{name}* – Type: *{type}*, exp: {expiry} (in {days} day(s)) – {phone}",
+    "compliance.expiring_none": "\n\n⚠️ *Expiring soon (30 days)*: none.",
+    "compliance.valid_title": "\n\n✅ *Valid (>30 days left)*:\n",
+    "compliance.valid_line": "*{name}* – Type: *{type}*, exp: {expiry} (~{days} day(s) left) – {phone}",
+    "compliance.valid_none": "\n\n✅ *Valid licences*: none yet.",
+    "compliance.footer":
+      "\n\nYou can add drivers with *add driver ...* and assign them with *assign driver X*.\n" +
+      "Drivers must reply *accept* then *dl main YYYY-MM-DD* to be Main DL compliant.",
+
+    "doc.default_title": "Document",
+    "doc.no_expiry": "No expiry date",
+    "doc.no_notes": "None",
+    "doc.cancelled": "✅ I’ve cancelled this {kind} entry.\nYou can start again with *{command}*.",
+    "doc.declined":
+      "Okay, I’ve cancelled that {kind} entry.\nYou can start again any time with *{command}*.",
+    "doc.save_error":
+      "Sorry, I couldn't save that {kind} due to a system error.\n" +
+      "Reply *YES* to try again or *NO* to cancel.",
+    "doc.broken": "Something went wrong with this {kind}.\nPlease start again with *{command}*.",
+    "doc.bad_cost": "Please send the cost as a number in {currency}.\nExample: *{example}* or *0*",
+    "doc.bad_expiry":
+      "I couldn't understand that date.\n" +
+      "Please use *YYYY-MM-DD* format (e.g. *2026-01-01*),\n" +
+      "or reply *skip* if there is no expiry.",
+    "doc.ask_expiry":
+      "When does this document *expire*?\n" +
+      "Use *YYYY-MM-DD* format (e.g. *2026-01-01*).\n" +
+      "Reply *skip* if there is *no expiry date*.",
+    "doc.personal_start": "📄 Let's add your *personal/driver document*.\n",
+    "doc.personal_ask_title":
+      "What document is this?\n" +
+      "Examples:\n" +
+      "• *DL Main*\n" +
+      "• *PSV Badge*\n" +
+      "• *TSV Certificate*\n" +
+      "• *ID card*",
+    "doc.personal_bad_title":
+      "Please give this document a name.\n" + "Examples: *DL Main*, *PSV Badge*, *TSV Certificate*",
+    "doc.personal_ask_type":
+      "What *type/category* is this document?\n" +
+      "Examples: *DL*, *PSV*, *TSV*, *Badge*, *ID*.\n" +
+      "Reply *skip* if you want to leave this blank.",
+    "doc.personal_ask_cost":
+      "How much did you pay for this document? ({currency})\n" +
+      "Reply *0* if it was free or you don’t want to record the cost.",
+    "doc.personal_ask_notes":
+      "Any notes about this document?\n" +
+      "Examples: *renew every year*, *for Nairobi only*, *attached to employer*, etc.\n" +
+      "Reply *skip* to leave notes blank.",
+    "doc.personal_confirm_title": "Please confirm this personal document:",
+    "doc.personal_saved": "✅ Personal document saved.",
+    "doc.personal_will_remind":
+      "I’ll remind you before it expires. See what’s coming up with *my reminders*.",
+    "doc.personal_no_expiry": "I’ll include this in your *personal compliance* summaries.",
+    "doc.vehicle_start": "📄 Let's add a document for *{reg}*.\n",
+    "doc.vehicle_ask_title":
+      "What document is this?\n" +
+      "Examples:\n" +
+      "• *Insurance*\n" +
+      "• *Inspection*\n" +
+      "• *Road licence*\n" +
+      "• *Speed governor certificate*",
+    "doc.vehicle_bad_title":
+      "Please give this document a name.\n" + "Examples: *Insurance*, *Inspection*, *Road licence*",
+    "doc.vehicle_ask_cost":
+      "How much did you pay for this document? ({currency})\n" +
+      "Example: *35000*\n\n" +
+      "Reply *0* if you don’t want to record the cost.",
+    "doc.vehicle_ask_notes":
+      "Any notes about this document?\n" +
+      "Examples: *policy no. 12345*, *comprehensive cover*, *Jubilee Insurance*, etc.\n" +
+      "Reply *skip* to leave notes blank.",
+    "doc.vehicle_confirm_title": "Please confirm this vehicle document:",
+    "doc.vehicle_saved": "✅ Vehicle document saved for *{reg}*.",
+    "doc.vehicle_will_remind":
+      "I’ll remind you before it expires. See all documents with *vehicle documents*.",
+    "doc.vehicle_see_all": "See all documents with *vehicle documents*.",
+    "doc.report_none_vehicle": "You have no documents yet for your current vehicle.\n\n",
+    "doc.report_none_all": "You have no vehicle documents yet across your vehicles.\n\n",
+    "doc.report_add_one": "Add one with *vehicle document* (e.g. insurance, inspection, road licence).",
+    "doc.report_title": "📄 *Vehicle documents – {reg}*\n",
+    "doc.report_title_all": "📄 *Vehicle documents – all vehicles*\n",
+    "doc.report_line": "• *{title}* (exp: {expiry}) {status}",
+    "doc.status_no_expiry": "no expiry date",
+    "doc.status_expired": "expired {days} day(s) ago",
+    "doc.status_expiring": "expires in {days} day(s)",
+    "doc.status_valid": "valid, ~{days} day(s) left",
+    "doc.report_footer":
+      "\nAdd another with *vehicle document*.\n" +
+      "Use *vehicle documents* for the current vehicle, or *vehicle documents all* for your whole fleet.",
+
+    "odometer.under_an_hour": "under an hour",
+    "odometer.hours": "{count} hour(s)",
+    "odometer.days": "{count} day(s)",
+    "odometer.source_reset": "odometer reset",
+    "odometer.last_reading": "{km} km on {date}, {source}",
+    "odometer.lower":
+      "⚠️ *{km}* km is lower than the last known reading ({last}).\n\n" +
+      "Please send the correct reading, or reply *skip*.\n" +
+      "If the odometer or dashboard was replaced, reply *skip* and the vehicle owner can then record it with *odometer reset {reading}*.",
+    "odometer.high":
+      "🤔 *{km}* km is {more} km more than the last reading ({last}, {elapsed} ago).\n\n" +
+      "Send *{reading}* again to confirm, or send the correct reading.",
+    "odometer.reset_help":
+      "To record a new odometer (e.g. after a dashboard replacement), send the reading it shows now:\n" +
+      "*odometer reset 0*\n" +
+      "*odometer reset 120 new cluster fitted*",
+    "odometer.reset_done":
+      "🧭 Odometer reset recorded for *{reg}*: {from}*{km}* km.\n" +
+      "New readings will be checked from here.",
+    "odometer.help":
+      "Send *odometer* to see the latest reading for *{reg}*, or *odometer reset 0* after a dashboard replacement.",
+    "odometer.none":
+      "No odometer readings for *{reg}* yet.\n" +
+      "Add one when you log *fuel*, *service* or an *expense*.",
+    "odometer.title":
+      "🧭 *Odometer – {reg}*\n" + "Latest: *{km}* km ({date})\n\n" + "*Recent readings*:\n",
+    "odometer.footer": "\nDashboard replaced? Send *odometer reset 0* (or the reading it shows).",
+
+    "interval.usage":
+      "Set how often *{reg}* needs a service, e.g.:\n" +
+      "• *service interval 5000 km*\n" +
+      "• *service interval 6 months*\n" +
+      "• *service interval 5000 km 6 months* (whichever comes first)\n" +
+      "• *service interval off* – stop tracking",
+    "interval.none": "No service interval set yet.\n\n",
+    "interval.current": "🔧 Service interval for *{reg}*: {interval}.\n\n",
+    "interval.removed":
+      "✅ Service interval removed for *{reg}*.\nI won’t predict or warn about its next service.",
+    "interval.bad": "I couldn't understand that interval.\n\n",
+    "interval.saved": "✅ *{reg}* will be serviced {interval}.\n\n",
+    "interval.warn_note":
+      "I’ll warn you when it’s within *{km}* km or *{days}* day(s) of the next service.",
+    "interval.every_km": "every *{km}* km",
+    "interval.every_months": "every *{months}* month(s)",
+    "interval.or": " or ",
+    "interval.first": ", whichever comes first",
+    "service_due.alert_overdue": "❌ *Service overdue* – *{reg}*\n\n",
+    "service_due.alert_soon": "🔧 *Service due soon* – *{reg}*\n\n",
+    "service_due.alert_footer": "Book it in, then log it with *service* to reset the countdown.",
+
+    "budget.category_fuel": "Fuel",
+    "budget.category_service": "Service & repairs",
+    "budget.category_expense": "Other expenses",
+    "budget.alert_exceeded": "🚨 *{category} budget exceeded – {reg}*\n\n",
+    "budget.alert_warning": "⚠️ *{category} budget at {pct}% – {reg}*\n\n",
+    "budget.alert_body":
+      "{period} so far: *{spent}* {currency} of your *{budget}* {currency} budget.\n\n" +
+      "Send *budget report* to see every vehicle.",
+    "budget.usage":
+      "Set a monthly budget for *{reg}*, e.g.:\n" +
+      "• *budget fuel 20000*\n" +
+      "• *budget service 10000*\n" +
+      "• *budget expense 5000*\n" +
+      "• *budget fuel off* – remove it\n" +
+      "• *budget report* – spend vs budget for all vehicles\n\n" +
+      "I’ll alert you at 80% and 100% of each budget.",
+    "budget.none_vehicle": "No budgets set for *{reg}* yet.\n\n",
+    "budget.title": "💰 *Budgets – {reg}* ({period})\n",
+    "budget.bad": "I couldn't understand that budget.\n\n",
+    "budget.removed": "✅ {category} budget removed for *{reg}*.",
+    "budget.bad_amount": "Please give the budget as a number, e.g. *budget {category} 20000*.",
+    "budget.saved":
+      "✅ Monthly {category} budget for *{reg}* set to *{amount}* {currency}.\n\n" + "{period} so far:\n",
+    "budget.saved_footer": "\nI’ll alert you at 80% and 100%.",
+    "budget.report_bad_month":
+      "Please give a month, e.g. *budget report* (this month) or *budget report march*.",
+    "budget.report_none":
+      "You haven’t set any budgets yet.\n\n" +
+      "Set one for your current vehicle with e.g. *budget fuel 20000*.",
+    "budget.report_title": "💰 *Budget report – {period}*\n",
+    "budget.report_total":
+      "\nTotal: *{spent}* / {budget} {currency} ({pct}%)\n" + "Includes driver entries awaiting approval.",
+
+    "anomaly.price_above":
+      "Price *{price}* {currency}/L is {pct}% above the recent average ({avg} {currency}/L).",
+    "anomaly.price_below":
+      "Price *{price}* {currency}/L is {pct}% below the recent average ({avg} {currency}/L).",
+    "anomaly.odometer": "Odometer *{km}* km is lower than the last reading ({last}).",
+    "anomaly.distance":
+      "*{km}* km since the last reading {elapsed} ago is more than the vehicle could have driven.",
+    "anomaly.consumption": "Consumption of *{kmpl}* is far worse than this vehicle’s usual {usual}.",
+    "anomaly.double_check": "⚠️ *Please double-check:*\n",
+    "anomaly.a_driver": "A driver",
+    "anomaly.unknown_vehicle": "unknown vehicle",
+    "anomaly.flag_notice":
+      "🚩 *Suspicious fuel entry #{id}* – {reg}\n{name} logged *{amount}* {currency}{litres}.\n\n",
+    "anomaly.flag_footer": "\nSee all flagged entries with *fuel alerts*.",
+    "anomaly.bad_period":
+      "I couldn’t understand the period *{period}*.\n\n" +
+      "Try *fuel alerts*, *fuel alerts this month* or *fuel alerts last 90 days*.",
+    "anomaly.report_none": "✅ No suspicious fuel entries in *{period}* ({range}).",
+    "anomaly.report_title": "🚩 *Fuel alerts – {period}*\n{range}\n",
+    "anomaly.report_footer":
+      "\nFix a wrong entry with *edit last fuel*, or reject a driver’s with *reject 12 reason*.",
+
+    "field.amount": "Amount",
+    "field.currency": "Currency",
+    "field.litres": "Litres",
+    "field.odometer": "Odometer",
+    "field.station": "Station",
+    "field.notes": "Notes",
+    "field.service_type": "Type",
+    "field.cost_amount": "Cost",
+    "field.title": "Title",
+    "field.doc_title": "Title",
+    "field.doc_type": "Type",
+    "field.expiry_date": "Expiry (YYYY-MM-DD)",
+
+    "edit.entry": "{kind} entry",
+    "edit.row_fuel": "fuel {amount} {currency} on {date}",
+    "edit.row_entry": "{title} {amount} {currency} on {date}",
+    "edit.row_document": "document *{title}* saved {date}",
+    "undo.nothing":
+      "There’s nothing to undo. I can only undo an entry within *{minutes}* minutes of saving it.\n\n" +
+      "To fix an older entry, use *edit last fuel*, *edit last service*, *edit last expense* or *edit last document*.",
+    "undo.already_removed": "That entry has already been removed. There’s nothing else to undo.",
+    "undo.done": "↩️ Undone – I’ve removed your last {entry} ({summary}).",
+    "edit.help":
+      "To change a saved entry, send one of:\n" +
+      "• *edit last fuel*\n" +
+      "• *edit last service*\n" +
+      "• *edit last expense*\n" +
+      "• *edit last document*\n\n" +
+      "To remove the entry you just saved, send *undo*.",
+    "edit.none": "You have no saved {entry} to edit yet.",
+    "edit.start": "✏️ Editing your last {entry} ({summary}):\n",
+    "edit.pick_field": "\n\nReply with the *number* of the field to change, or *done* when finished.",
+    "edit.required": "{field} can’t be left blank.",
+    "edit.bad_money": "Please send the amount as a number, e.g. *3000*.",
+    "edit.bad_currency": "Please send a currency code, e.g. *KES* or *UGX*.",
+    "edit.bad_number": "Please send a number, e.g. *145000*.",
+    "edit.bad_date": "Please use *YYYY-MM-DD* format, e.g. *2026-01-01*.",
+    "edit.bad_text": "Please send some text.",
+    "edit.done":
+      "✅ Done editing. Send *edit last fuel* (or service / expense / document) to change another entry.",
+    "edit.gone": "That entry no longer exists, so there’s nothing to edit.",
+    "edit.bad_field": "Please reply with a field number from the list:",
+    "edit.or_done": "\n\nOr reply *done* to finish.",
+    "edit.ask_value": "Send the new *{field}* (current: *{current}*).",
+    "edit.clear_hint": "\nReply *clear* to leave it blank.",
+    "edit.sent_back": "⏳ Sent back to your fleet owner for approval (ref *#{id}*).\n",
+    "edit.changed": "✅ {field} changed: *{old}* → *{new}*\n",
+    "edit.odometer_lower":
+      "⚠️ *{km}* km is lower than the last known reading ({last}).\n\n" +
+      "Send the correct reading, or *done* to keep *{current}*.",
+    "edit.another": "\n\nReply with another field number, or *done* when finished.",
+    "edit.broken":
+      "Something went wrong with this edit. Please start again with *edit last fuel* (or service / expense / document).",
+
+    "approval.request":
+      "🧾 *Driver entry #{id} needs approval*\n\n" +
+      "Driver: *{driver}*\n" +
+      "Vehicle: *{reg}*\n" +
+      "Type: *{kind}*\n" +
+      "{details}\n\n" +
+      "Reply *approve {id}* or *reject {id} reason*.",
+    "approval.help":
+      "To review a driver entry, reply with its number:\n" +
+      "• *approve 12*\n" +
+      "• *reject 12 wrong amount*\n\n" +
+      "See everything waiting with *pending entries*.",
+    "approval.need_reason":
+      "Please include a short reason so your driver knows what to fix.\n\n" +
+      "Example: *reject {id} wrong amount*",
+    "approval.not_found":
+      "I can't find driver entry *#{id}* on your account.\n\n" +
+      "See entries waiting for you with *pending entries*.",
+    "approval.already": "Driver entry *#{id}* is already *{status}*.",
+    "approval.status_approved": "approved",
+    "approval.status_rejected": "rejected",
+    "approval.status_withdrawn": "withdrawn",
+    "approval.withdrawn": "Driver entry *#{id}* was removed by the driver, so there's nothing to review.",
+    "approval.driver_approved": "✅ Your {entry} ({summary}) was *approved* by your fleet owner.",
+    "approval.driver_rejected":
+      "❌ Your {entry} ({summary}) was *rejected* by your fleet owner.\n" +
+      "Reason: {reason}\n\n" +
+      "You can fix it with *edit last {type}* or log it again.",
+    "approval.approved": "✅ Approved driver entry *#{id}* ({summary}).\nIt now counts in your reports.",
+    "approval.rejected":
+      "❌ Rejected driver entry *#{id}* ({summary}).\nIt won't count in your reports. I’ve let the driver know.",
+    "approval.pending_none": "✅ No driver entries are waiting for your approval.",
+    "approval.pending_title": "⏳ *Driver entries waiting for approval*:\n",
+    "approval.pending_footer": "\n\nReply *approve 12* or *reject 12 reason*.",
+
+    "reminder.source_personal_document": "document",
+    "reminder.source_vehicle_document": "vehicle document",
+    "reminder.source_driver_licence": "driving licence",
+    "reminder.in_days": "expires in *{days}* day(s), on *{date}*.",
+    "reminder.tomorrow": "expires *tomorrow* ({date}).",
+    "reminder.today": "expires *today* ({date}).",
+    "reminder.expired": "*expired* {days} day(s) ago ({date}).",
+    "reminder.message":
+      " *Expiry reminder*\n\n" +
+      "Your {label} *{title}* {line}\n\n" +
+      "Please renew it in time to stay compliant. " +
+      "Send *my reminders* to see everything coming up.",
+    "reminder.none":
+      "You have no upcoming expiry reminders.\n\n" +
+      "Add a document with an expiry date using *my document* and I’ll remind you before it lapses.",
+    "reminder.title": "⏰ *Upcoming expiries*:\n",
+    "reminder.list_expired": "expired {days} day(s) ago",
+    "reminder.list_in": "in {days} day(s)",
+    "reminder.nudge": "\n\nI’ll nudge you {days} day(s) before each expiry.",
+    "reminder.nudge_and_day": "\n\nI’ll nudge you {days} day(s) before each expiry and on the day it lapses.",
+
+    "receipt.help":
+      "To get a receipt back, send:\n" +
+      "• *receipt last fuel*\n" +
+      "• *receipt last service*\n" +
+      "• *receipt last expense*\n\n" +
+      "To attach a receipt, send the photo while logging *fuel*, *service* or *expense*.",
+    "receipt.no_entries": "You have no *{kind}* entries yet.",
+    "receipt.none_attached":
+      "Your last *{kind}* entry ({label}) has no receipt attached.\n\n" +
+      "Next time, send the photo while logging and I’ll keep it with the entry.",
+    "receipt.not_configured": "Sorry, receipt downloads aren't configured on this server yet.",
+    "receipt.caption": "📎 Receipt – {kind} {label}",
+    "receipt.sent": "📎 Sent *{count}* receipt(s) for your last {kind} entry ({label}).",
+
+    "export.help":
+      "To get a spreadsheet of your logs, send e.g.:\n" +
+      "• *export fuel march*\n" +
+      "• *export service this month*\n" +
+      "• *export expense january 2026*\n\n" +
+      "You’ll get CSV and Excel files with vehicle and driver names.",
+    "export.none": "You have no approved *{kind}* entries for *{period}*, so there’s nothing to export.",
+    "export.sent":
+      "📤 *{Kind} export – {period}*\n" +
+      "Entries: *{count}* (approved only)\n\n" +
+      "I’ve sent the Excel and CSV files above. The download links work for *{minutes}* minutes – " +
+      "send the command again for fresh ones.",
+    "pdf.help":
+      "To get a PDF fleet report, send e.g.:\n" +
+      "• *pdf report october*\n" +
+      "• *pdf report this month*\n" +
+      "• *pdf report march 2026*",
+    "pdf.sent":
+      "📑 Your *{period}* fleet report is attached above – fuel, service, expenses, driver compliance " +
+      "and upcoming expiries.\n\n" +
+      "The link works for *{minutes}* minutes. I also send last month’s report automatically on the {dayOrdinal}.",
+    "pdf.monthly_ready":
+      "📑 Your *{period}* Saka360 fleet report is ready. Send *{command}* any time for a fresh copy.",
+
+    "currency.current":
+      "💱 Your default currency is *{currency}*.\n\n" +
+      "Change it with e.g. *currency UGX*. Reports are shown in this currency.\n" +
+      "You can still log a single entry in another currency, e.g. *fuel 150000 UGX*.\n\n" +
+      "Supported: {supported}",
+    "currency.unknown": "I don’t know the currency *{currency}*.\n\nSupported: {supported}",
+    "currency.saved": "✅ Default currency set to *{currency}*.\nNew entries and your reports will use {currency}.",
+    "currency.no_rate":
+      "\n\n⚠️ There’s no exchange rate for {currency} yet, so entries in other currencies can’t be " +
+      "converted until your admin adds one.",
+    "rate.admin_only": "Only a Saka360 admin can change exchange rates. Send *rates* to see them.",
+    "rate.help":
+      "Set how much 1 unit is worth in {base}, e.g. *rate UGX 0.035* or *rate USD 129.5*.\n" +
+      "Remove one with *rate UGX off*.",
+    "rate.removed": "✅ Exchange rate for *{currency}* removed.",
+    "rate.bad": "Please send the rate as a positive number, e.g. *rate {currency} 0.035*.",
+    "rate.saved": "✅ Exchange rate saved: 1 *{currency}* = *{rate}* {base}.",
+    "rate.none": "💱 No exchange rates yet – reports can only add up entries in the same currency.",
+    "rate.none_admin": "\n\nAdd one with *rate UGX 0.035*.",
+    "rate.title": "💱 *Exchange rates* (to {base})\n",
+    "rate.admin_footer": "\nUpdate with *rate UGX 0.035*, remove with *rate UGX off*.",
+    "migrations.admin_only": "Only a Saka360 admin can see the database migration status.",
+    "migrations.title": "🗄️ *Database migrations*\nSchema version: *{current}* of *{latest}*\n\n",
+    "migrations.pending": " – pending",
+    "migrations.footer_pending": "\nPending migrations run when the server next starts.",
+    "migrations.footer_done": "\nEverything is up to date.",
+
+    "apikey.created":
+      "🔑 *Your new Saka360 API key*\n\n{key}\n\n" +
+      "Send it as *Authorization: Bearer <key>* to /api/v1.\n" +
+      "I won’t show it again – keep it safe. Any older key has stopped working.",
+    "apikey.revoked": "✅ Your API key has been revoked. Create a new one any time with *api key new*.",
+    "apikey.none_active": "You don’t have an active API key.",
+    "apikey.title": "🔑 *API access*\n\n",
+    "apikey.active": "Active key: *{prefix}…* (created {created}, last used {used})\n\n",
+    "apikey.never": "never",
+    "apikey.none": "You don’t have an API key yet.\n\n",
+    "apikey.help":
+      "• *api key new* – create a key (replaces the old one)\n" + "• *api key revoke* – switch API access off",
+    "undelivered.admin_only": "Only a Saka360 admin can see undelivered messages.",
+    "undelivered.retrying": "\n\n🔁 *{count}* more still being retried.",
+    "undelivered.none": "✅ Every driver invite and compliance notice from the last 30 days was delivered.",
+    "undelivered.title": "📭 *Undelivered driver invites & compliance notices* (last 30 days):\n",
+    "undelivered.gave_up": "gave up after {attempts} attempt(s) – {error}",
+    "undelivered.send_failed": "send failed",
+    "undelivered.to": "{kind} to {to}",
+    "undelivered.kind_driver_invite": "Driver invite",
+    "undelivered.kind_compliance_notice": "Compliance notice",
+
+    "report.menu":
+      "I can show quick summaries for your data:\n" +
+      "• *fuel report* – fuel spend & efficiency (current vehicle)\n" +
+      "• *fuel report all* – fuel summary across all vehicles\n" +
+      "• *service report* – service spend & next service due (current vehicle)\n" +
+      "• *service report all* – service summary across all vehicles\n" +
+      "• *expense report* – other expenses (current vehicle)\n" +
+      "• *expense report all* – expenses across all vehicles\n" +
+      "• *driver report* – driver licence compliance\n" +
+      "• *budget report* – spend vs monthly budget per vehicle\n" +
+      "• *fuel alerts* – fuel entries flagged as suspicious\n" +
+      "• *pdf report october* – monthly fleet report (PDF)\n" +
+      "Add a period to any report: *this month*, *last month*, *last 90 days*, *march*, " +
+      "*2026-01-01 to 2026-03-31* (e.g. *fuel report all last 90 days*). " +
+      "You’ll see the change vs the previous period.\n" +
+      "Totals are in your default currency – see *currency*.\n" +
+      "Add *with pending* (e.g. *fuel report all with pending*) to include driver entries awaiting approval.\n" +
+      "Please choose one of those.",
+
+    "help.menu":
+      "Hi 👋 I’m Saka360. Here’s what I can do:\n\n" +
+      "🚗 *Vehicles*\n" +
+      "• *add vehicle KDA 123A* – add a car\n" +
+      "• *my vehicles* – list your vehicles\n" +
+      "• *switch to 1* – change current vehicle\n\n" +
+      "⛽ *Fuel / Service / Expense*\n" +
+      "• *fuel* – log fuel\n" +
+      "• *service* – log service\n" +
+      "• *expense* – log other expenses\n" +
+      "• *undo* – remove the entry you just saved\n" +
+      "• *drafts* – unfinished entries; *continue* to pick one up\n" +
+      "• *edit last fuel* (or service / expense / document) – fix a saved entry\n" +
+      "• Quick: *fuel 3000 25L 145200 Shell Yaya*, *service minor 8000 150000*, *expense parking 200*\n" +
+      "• Send a receipt photo while logging – get it back with *receipt last fuel*\n" +
+      "• *service interval 5000 km 6 months* – track when service is due\n" +
+      "• *budget fuel 20000* – monthly budget with 80% / 100% alerts\n" +
+      "• *currency UGX* – your default currency (log another with *fuel 150000 UGX*); *rates* for exchange rates\n" +
+      "• *odometer* – latest reading & history (*odometer reset 0* after a dashboard swap)\n\n" +
+      "📊 *Reports*\n" +
+      "• *fuel report*, *fuel report all*\n" +
+      "• *service report*, *service report all*\n" +
+      "• *expense report*, *expense report all*\n" +
+      "• Add a period: *fuel report this month*, *service report last 90 days*, *expense report march*\n" +
+      "• *driver report*\n" +
+      "• *budget report* – spend vs budget per vehicle\n" +
+      "• *fuel alerts* – suspicious fuel entries (price, odometer, consumption)\n" +
+      "• *export fuel march* – CSV & Excel for your accountant\n" +
+      "• *pdf report october* – monthly fleet report (PDF)\n\n" +
+      "👨‍✈️ *Drivers*\n" +
+      "• *add driver Name | 07XXXXXXXX*\n" +
+      "• *my drivers*\n" +
+      "• *assign driver 1*\n" +
+      "• Drivers: reply *accept*, set *dl main YYYY-MM-DD*, then log *fuel* / *service* / *expense* for the assigned vehicle\n" +
+      "• *pending entries* – driver entries to review, then *approve 12* / *reject 12 reason*\n\n" +
+      "📄 *Documents*\n" +
+      "• *vehicle document* – add insurance, inspection, road licence\n" +
+      "• *vehicle documents* – expiry status (current vehicle)\n" +
+      "• *my document* – add a personal/driver document\n" +
+      "• *my reminders* – upcoming expiries\n\n" +
+      "🔌 *Integrations*\n" +
+      "• *api key* – API access for dashboards & accounting tools\n\n" +
+      "🌐 *lugha kiswahili* – nijibu kwa Kiswahili\n\n" +
+      "You can also type anything and I’ll try to understand it with AI. 😊",
+  },
 
-      await pool.query(
-        `
-        UPDATE service_sessions
-        SET status = 'DONE',
-            updated_at = NOW()
-        WHERE id = $1
-      `,
-        [session.id]
-      );
+  sw: {
+    "kind.fuel": "mafuta",
+    "kind.service": "huduma",
+    "kind.expense": "matumizi",
+    "kind.personal_document": "hati binafsi",
+    "kind.vehicle_document": "hati ya gari",
+
+    "common.greeting": "Habari 👋 Mimi ni Saka360. Tuma *msaada* kuona ninachoweza kufanya.",
+    "common.fallback":
+      "Habari 👋 Mimi ni Saka360. Nikusaidie vipi leo na magari na madereva wako?",
+    "common.cancelled":
+      "✅ Nimeghairi ingizo lako la sasa.\n" +
+      "Unaweza kuanza upya kwa *mafuta*, *huduma* au *matumizi*.",
+    "common.na": "hakuna",
+    "common.your_vehicle": "gari lako",
+    "common.reply_yes_no": "Jibu *NDIYO* kuhifadhi au *HAPANA* kughairi.",
+    "common.receipt_line": "Risiti: 📎 picha *{count}*\n",
+    "common.approval_sent":
+      "⏳ Imetumwa kwa mmiliki wa magari ili aidhinishe (kumb. *#{id}*).\n",
+    "common.bad_odometer":
+      "Tafadhali tuma usomaji wa odomita kama namba.\n" +
+      "Mfano: *{example}*\n\n" +
+      "Au jibu *ruka*.",
+    "common.quick_one_more": "⚡ Nimepokea – maelezo machache zaidi kwa *{reg}*:\n",
+    "common.quick_check": "⚡ Nimepokea – jambo moja la kuhakiki kwa *{reg}*:\n",
+
+    "media.attached":
+      "📎 Nimepokea risiti yako. Nitaiambatisha kwenye ingizo hili la *{kind}* utakapolihifadhi.\n" +
+      "Tafadhali endelea na swali la mwisho (au jibu *ghairi*).",
+    "media.failed":
+      "Samahani, sikuweza kuhifadhi kiambatisho hicho. Tafadhali kitume kama picha (JPG/PNG) au PDF.",
+    "media.no_entry":
+      "📎 Nimepokea picha yako, lakini hakuna ingizo linaloendelea.\n" +
+      "Kuambatisha risiti, anza na *mafuta*, *huduma* au *matumizi* kisha tuma picha wakati wa ingizo hilo.",
+
+    "vehicle.none":
+      "Bado huna gari lolote.\n\n" + "Ongeza moja kwa:\n" + "*ongeza gari KDA 123A*",
+    "vehicle.pick_current":
+      "Una magari kadhaa.\n\n" +
+      "{list}" +
+      "\n\nChagua gari la sasa kwa *switch to 1* (kwa mfano), kisha tuma *{command}* tena.",
+    "driver.accept_first":
+      "Habari {name} 👋\n\n" + "Tafadhali kubali mwaliko wako wa udereva kwanza kwa kujibu *kubali*.",
+    "driver.licence_expired":
+      "🚫 Bado huwezi kuandika *{kind}*.\n\n" +
+      "*Leseni yako kuu ya udereva* kwenye Saka360 *imeisha muda*. Muombe mmiliki wa magari aisasishe.",
+    "driver.licence_missing":
+      "🚫 Bado huwezi kuandika *{kind}*.\n\n" +
+      "Kwanza unahitaji *leseni kuu halali ya udereva* kwenye Saka360.\n\n" +
+      "Itume hivi:\n" +
+      "*dl main 2026-01-01*",
+    "driver.no_vehicle":
+      "Habari {name} 👋\n\n" +
+      "Bado hujapewa gari.\n" +
+      "Muombe mmiliki wa magari akupangie gari.",
+
+    "entry.confirm_title": "Tafadhali thibitisha ingizo hili la {kind}:",
+    "entry.saved": "✅ Ingizo la {kind} limehifadhiwa.\n",
+    "entry.log_another": "Unaweza kuandika jingine wakati wowote kwa *{kind}*.",
+    "entry.cancelled":
+      "Sawa, nimeghairi ingizo hilo la {kind}.\nUnaweza kuanza upya kwa *{kind}*.",
+    "entry.yes_no": "Tafadhali jibu *NDIYO* kuhifadhi au *HAPANA* kughairi ingizo hili la {kind}.",
+    "entry.broken": "Kuna tatizo kwenye ingizo hili la {kind}. Tafadhali anza upya kwa *{kind}*.",
+    "entry.save_error":
+      "Samahani, sikuweza kuhifadhi ingizo hilo la {kind} kwa sababu ya hitilafu ya mfumo.\n" +
+      "Jibu *NDIYO* kujaribu tena au *HAPANA* kughairi.",
+
+    "label.vehicle": "Gari",
+    "label.amount": "Kiasi",
+    "label.litres": "Lita",
+    "label.odometer": "Odomita",
+    "label.station": "Kituo",
+    "label.notes": "Maelezo",
+    "label.type": "Aina",
+    "label.cost": "Gharama",
+    "label.title": "Jina",
+    "label.expiry": "Mwisho",
+
+    "fuel.start": "⛽ Tuandike mafuta ya *{reg}*.\n",
+    "fuel.ask_amount": "Ulilipa kiasi gani kwa mafuta haya? ({currency})\nMfano: *3000*",
+    "fuel.bad_amount":
+      "Tafadhali tuma *kiasi* cha mafuta kwa {currency}.\n" +
+      "Mfano: *3000* (au *150000 UGX* kwa sarafu nyingine)",
+    "fuel.ask_litres":
+      "Ulinunua *lita* ngapi?\n" + "Mfano: *25*\n\n" + "Jibu *ruka* kama huna uhakika.",
+    "fuel.bad_litres":
+      "Tafadhali tuma lita kama namba.\n" + "Mfano: *25*\n\n" + "Au jibu *ruka*.",
+    "fuel.ask_odometer":
+      "*Odomita* ilisoma ngapi ulipoweka mafuta?\n" +
+      "Mfano: *145000*\n\n" +
+      "Jibu *ruka* kama hutaki kuandika odomita.",
+    "fuel.ask_station":
+      "Uliweka mafuta wapi? (kituo au mahali)\n" +
+      "Mfano: *Shell Yaya* au *Total Mombasa Road*\n\n" +
+      "Jibu *ruka* kuacha wazi.",
+    "fuel.ask_notes":
+      "Maelezo yoyote kuhusu mafuta haya?\n" +
+      "Mfano: *Full tank*, *baada ya safari*, n.k.\n\n" +
+      "Jibu *ruka* kuacha maelezo wazi.",
+    "fuel.flagged": (v) =>
+      "🚩 Limewekwa alama likaguliwe (" + (v.count === 1 ? "onyo 1" : "maonyo " + v.count) + ")",
+    "fuel.flagged_own": " – angalia *fuel alerts*.\n",
+    "fuel.flagged_driver": " – mmiliki wa magari amearifiwa.\n",
+
+    "service.start": "🛠️ Tuandike huduma ya *{reg}*.\n",
+    "service.ask_type":
+      "Hii ilikuwa huduma ya aina gani?\n" +
+      "Mifano: *Huduma ndogo*, *Huduma kubwa*, *Breki*, n.k.",
+    "service.bad_type": "Tafadhali eleza huduma, mfano *Huduma ndogo*, *Breki*, n.k.",
+    "service.ask_cost": "Huduma hii iligharimu kiasi gani? ({currency})\nMfano: *8000*",
+    "service.cost_zero_hint": "\n\nJibu *0* kama hutaki kuandika gharama.",
+    "service.bad_cost":
+      "Tafadhali tuma gharama ya huduma kwa {currency} kama namba.\n" +
+      "Mfano: *8000* (au *150000 UGX* kwa sarafu nyingine)\n\n" +
+      "Au *0* kama hutaki kuandika gharama.",
+    "service.ask_odometer":
+      "*Odomita* ilisoma ngapi wakati wa huduma hii?\n" +
+      "Mfano: *150000*\n\n" +
+      "Jibu *ruka* kama hutaki kuandika odomita.",
+    "service.ask_notes":
+      "Maelezo yoyote kuhusu huduma hii?\n" +
+      "Mfano: *Kubadilisha oili na filta*, *Breki za mbele*, n.k.\n\n" +
+      "Jibu *ruka* kuacha wazi.",
+
+    "expense.start": "💸 Tuandike matumizi ya *{reg}*.\n",
+    "expense.ask_title":
+      "Matumizi haya yalikuwa ya nini?\n" + "Mfano: *Maegesho Yaya*, *Matairi*, *Kuosha gari*",
+    "expense.bad_title":
+      "Tafadhali eleza matumizi.\n" + "Mfano: *Maegesho Yaya*, *Matairi*, *Kuosha gari*",
+    "expense.ask_amount": "Ulilipa kiasi gani kwa matumizi haya? ({currency})\nMfano: *1500*",
+    "expense.bad_amount":
+      "Tafadhali tuma *kiasi* cha matumizi kwa {currency}.\n" +
+      "Mfano: *1500* (au *150000 UGX* kwa sarafu nyingine)",
+    "expense.ask_odometer":
+      "*Odomita* ilisoma ngapi matumizi haya yalipotokea?\n" +
+      "Mfano: *145000*\n\n" +
+      "Jibu *ruka* kama odomita haihusiki.",
+    "expense.ask_notes":
+      "Maelezo yoyote kuhusu matumizi haya?\n" +
+      "Mfano: *Maegesho ya mkutano mjini*, *Tairi jipya la nyuma*, n.k.\n\n" +
+      "Jibu *ruka* kuacha maelezo wazi.",
+
+    "language.current":
+      "🌐 Lugha yako ni *{language}*.\n\n" + "Badilisha kwa {options}.",
+    "language.set":
+      "✅ Sawa – nitakujibu kwa *Kiswahili* kuanzia sasa.\nTuma *msaada* kuona ninachoweza kufanya.",
+    "language.unknown": "Sijui lugha hiyo bado. Chagua {options}.",
+
+    "button.yes": "✅ Ndiyo",
+    "button.no": "❌ Hapana",
+    "picker.vehicle": "Chagua gari",
+    "picker.driver": "Chagua dereva",
+    "picker.current": "la sasa",
+    "menu.button": "Vitendo vya haraka",
+    "menu.prompt": "Au gusa kitendo cha haraka 👇",
+    "menu.fuel": "⛽ Andika mafuta",
+    "menu.service": "🛠️ Andika huduma",
+    "menu.expense": "💸 Andika matumizi",
+    "menu.fuel_report": "📊 Ripoti ya mafuta",
+    "menu.service_report": "📊 Ripoti ya huduma",
+    "menu.expense_report": "📊 Ripoti ya matumizi",
+    "menu.vehicles": "🚗 Magari yangu",
+    "menu.drivers": "👤 Madereva wangu",
+    "menu.pending": "⏳ Yanayosubiri",
+    "menu.reminders": "⏰ Vikumbusho vyangu",
+
+    "drafts.parked":
+      "⏸️ Ingizo lako la *{kind}* ambalo halijakamilika limewekwa kando baada ya dakika {minutes} bila jibu.\n" +
+      "Tuma *endelea* kuliendeleza, au *rasimu* kuona rasimu zako zote.",
+    "drafts.parked_now": "⏸️ Nimeweka kando ingizo lako la *{kind}* lililokuwa wazi – *rasimu* inalionyesha.\n",
+    "drafts.none":
+      "Huna rasimu zilizowekwa kando.\n" +
+      "Maingizo yasiyokamilika (mafuta, huduma, matumizi, hati) huwekwa kando baada ya dakika {minutes} bila jibu.",
+    "drafts.title": "⏸️ *Rasimu zilizowekwa kando*:\n\n",
+    "drafts.line": "{index}. *{Kind}*{reg}{summary} ({date})",
+    "drafts.footer": "\nTuma *endelea 1* (kwa mfano) kuendelea ulipoishia.",
+    "drafts.resumed": "▶️ Tunaendelea na ingizo lako la *{kind}* la *{reg}*.\n",
+    "drafts.resumed_no_vehicle": "▶️ Tunaendelea na ingizo lako la *{kind}*.\n",
+    "drafts.bad_index": "Una rasimu *{count}* tu. Tuma *rasimu* kuziona.",
+    "drafts.still_open":
+      "\n\n✏️ Ingizo lako la *{kind}* bado liko wazi – jibu swali la mwisho kuendelea, au jibu *ghairi*.",
+    "picker.draft": "Chagua rasimu",
+
+    "period.today": "Leo",
+    "period.this_month": "Mwezi huu",
+    "period.this_year": "Mwaka huu",
+    "period.last_days": (v) => (v.count === 1 ? "Siku 1 iliyopita" : "Siku " + v.count + " zilizopita"),
+
+    "report.pick_current":
+      "Una magari kadhaa. Tafadhali chagua gari la sasa kwanza.\n\n" +
+      "{list}" +
+      "\n\nTumia *switch to 1* (kwa mfano), kisha tuma *ripoti ya {kind}* tena.",
+    "report.bad_period":
+      "Sikuelewa kipindi *{period}*.\n\n" +
+      "Jaribu kwa mfano:\n" +
+      "• *ripoti ya {kind} mwezi huu*\n" +
+      "• *ripoti ya {kind} siku 90 zilizopita*\n" +
+      "• *ripoti ya {kind} machi*\n" +
+      "• *ripoti ya {kind} 2026-01-01 hadi 2026-03-31*\n" +
+      "Tarehe ni YYYY-MM-DD, mwanzo kabla ya mwisho.\n\n" +
+      "Ongeza *zote* baada ya aina ya ripoti kwa magari yote.",
+    "report.scope_vehicle": "gari la sasa",
+    "report.scope_all": "magari yote",
+    "report.none_vehicle": "Bado huna maingizo ya *{kind}* kwa gari lako la sasa.\n\n",
+    "report.none_vehicle_period":
+      "Huna maingizo ya *{kind}* kwa gari lako la sasa katika *{period}*.\n\n",
+    "report.none_all": "Bado huna maingizo ya *{kind}* kwa magari yako.\n\n",
+    "report.none_all_period": "Huna maingizo ya *{kind}* kwa magari yako katika *{period}*.\n\n",
+    "report.log_one": "Andika moja kwa *{kind}*.",
+    "report.period": "Kipindi",
+    "report.vs_previous": "ukilinganisha na kipindi kilichopita",
+    "report.spend": "Gharama",
+    "report.entries": "Maingizo",
+    "report.litres": "Lita",
+    "report.was": "awali",
+    "report.pending_included": (v) =>
+      "⏳ Inajumuisha maingizo *" + v.count + "* ya madereva yanayosubiri kuidhinishwa.\n",
+    "report.pending_excluded": (v) =>
+      "⏳ Maingizo *" +
+      v.count +
+      "* ya madereva yanasubiri kuidhinishwa na hayajahesabiwa. Tuma *" +
+      v.command +
+      " with pending* kuyajumuisha.\n",
+    "report.unconverted": (v) =>
+      "⚠️ Maingizo *" +
+      v.count +
+      "* kwa sarafu nyingine hayamo kwenye jumla – bado hakuna kiwango cha kubadilisha kwenda " +
+      v.currency +
+      ". Muombe msimamizi aongeze (angalia *rates*).\n",
+
+    "report.fuel_title": "Muhtasari wa mafuta",
+    "report.fuel_stops": "Mara za kuweka mafuta",
+    "report.fuel_total": "Jumla ya gharama ya mafuta",
+    "report.fuel_litres": "Jumla ya lita",
+    "report.fuel_avg": "Wastani kwa kila kuweka mafuta",
+    "report.efficiency": "📈 *Ufanisi wa mafuta*:\n",
+    "report.average": "Wastani",
+    "report.best": "Bora zaidi",
+    "report.worst": "Mbaya zaidi",
+    "report.cost_per_km": "Gharama kwa km",
+    "report.based_on": (v) =>
+      "Kulingana na km *" + v.km + "* katika vipindi *" + v.count + "* ",
+    "report.method_full_tank": "(tangi kamili hadi tangi kamili).",
+    "report.method_gap": "(tofauti za odomita kati ya kuweka mafuta).",
+    "report.full_tank_tip":
+      "Kidokezo: andika *full tank* kwenye maelezo unapojaza tangi upate takwimu sahihi zaidi.\n",
+    "report.efficiency_none":
+      "Bado hakuna data ya kutosha. Andika *lita* na *odomita* angalau mara mbili za kuweka mafuta kuona km/L.\n",
+    "report.ranked": "🏁 *Magari kwa mpangilio wa ufanisi*:\n",
+    "report.fuel_recent": "⛽ *Maingizo 5 ya mwisho ya mafuta*:\n",
+    "report.fuel_footer":
+      "\nUnaweza kuandika mafuta wakati wowote kwa *mafuta*.\n" +
+      "Tumia *ripoti ya mafuta* kwa gari la sasa, au *ripoti ya mafuta zote* kwa magari yako yote.",
+
+    "report.service_title": "Muhtasari wa huduma",
+    "report.services": "Huduma",
+    "report.service_total": "Jumla ya gharama za huduma",
+    "report.service_avg": "Wastani kwa kila huduma",
+    "report.set_interval":
+      "🔧 Weka muda wa huduma kwa *service interval 5000 km 6 months* kuona huduma ijayo itakapohitajika.\n",
+    "report.next_services": "🔧 *Huduma zijazo*:\n",
+    "report.no_service_yet": "bado hakuna huduma iliyoandikwa",
+    "report.no_odometer_data": "hakuna data ya odomita ya kutosha",
+    "report.service_recent": "🛠️ *Huduma 5 za mwisho*:\n",
+    "report.service_footer":
+      "\nUnaweza kuandika huduma mpya wakati wowote kwa *huduma*.\n" +
+      "Tumia *ripoti ya huduma* kwa gari la sasa, au *ripoti ya huduma zote* kwa magari yako yote.",
+
+    "report.expense_title": "Muhtasari wa matumizi",
+    "report.expenses": "Idadi ya matumizi",
+    "report.expense_total": "Jumla ya kiasi",
+    "report.expense_avg": "Wastani kwa kila matumizi",
+    "report.expense_recent": "💸 *Matumizi 5 ya mwisho*:\n",
+    "report.top_vehicles": "🚗 *Magari yenye matumizi mengine makubwa*:\n",
+    "report.total": "jumla",
+    "report.unassigned": "Bila gari",
+    "report.expense_footer":
+      "\nUnaweza kuandika matumizi mapya wakati wowote kwa *matumizi*.\n" +
+      "Tumia *ripoti ya matumizi* kwa gari la sasa, au *ripoti ya matumizi zote* kwa magari yako yote.",
+
+    "service_due.none":
+      "🔧 *Huduma ijayo*: andika *huduma* kwanza ili nijue ya mwisho ilikuwa lini.\n\n",
+    "service_due.title": "🔧 *Huduma ijayo*:\n",
+    "service_due.last": "Ya mwisho: *{type}* tarehe {date}",
+    "service_due.due_at": "Inahitajika kwenye: km *{km}*",
+    "service_due.km_left": " (zimebaki km {km})",
+    "service_due.km_overdue": " (*imepitwa kwa km {km}*)",
+    "service_due.date": "Tarehe inayokadiriwa: *{date}*",
+    "service_due.days_left": " (baada ya siku {days})",
+    "service_due.days_overdue": " (*imepitwa kwa siku {days}*)",
+    "service_due.usage": "Matumizi ya wastani: ~km {km} kwa siku\n",
+    "service_due.need_odometer":
+      "Andika *odomita* unapoweka mafuta ili niweze kukadiria tarehe.\n",
+
+    "common.bad_index": "Sikuelewa namba hiyo. Tafadhali tumia namba chanya kama *1* au *2*.",
+
+    "vehicles.none_short": "Bado huna gari lolote.",
+    "vehicles.add_help":
+      "Tuongeze gari kwenye akaunti yako ya Saka360 🚗\n\n" +
+      "Tafadhali tuma namba ya usajili ya gari kwa mtindo huu:\n" +
+      "*ongeza gari KDA 123A*\n\n" +
+      "Mfano: *ongeza gari KCY 456B*",
+    "vehicles.add_missing_reg":
+      "Tafadhali weka namba ya usajili baada ya *ongeza gari*.\n\n" + "Mfano: *ongeza gari KDA 123A*",
+    "vehicles.already_added":
+      "Gari hili *{reg}* tayari liko kwenye akaunti yako.\n" +
+      "Nimelifanya kuwa *gari lako la sasa*.\n\n" +
+      "Sasa unaweza kuandika *mafuta*, *huduma* au *matumizi*.",
+    "vehicles.added_first":
+      "✅ Gari *{reg}* limeongezwa na kuwa *gari lako la sasa*.\n\n" +
+      "Sasa unaweza kuandika:\n" +
+      "• *mafuta* – andika mafuta\n" +
+      "• *huduma* – andika huduma\n" +
+      "• *matumizi* – andika matumizi mengine ya gari",
+    "vehicles.added":
+      "✅ Gari *{reg}* limeongezwa.\n\n" +
+      "Kulitumia kama gari la sasa, angalia magari yako kwa *magari yangu* " +
+      "kisha tuma k.m. *switch to 2*.",
+    "vehicles.title": "🚗 *Magari yako*:\n\n",
+    "vehicles.switch_hint":
+      "\n\nKubadilisha gari la sasa, jibu k.m. *switch to 1* au *switch to 2*.",
+    "vehicles.switch_help":
+      "Kubadilisha gari lako la sasa, tumia:\n" +
+      "*switch to 1* au *switch to 2*\n\n" +
+      "Kwanza, angalia orodha kwa *magari yangu*.",
+    "vehicles.switch_missing_number":
+      "Tafadhali weka namba ya gari unalotaka kutumia.\n\n" +
+      "Mfano: *switch to 1*\n" +
+      "Unaweza kuona orodha kwa *magari yangu*.",
+    "vehicles.switch_too_high":
+      "Una magari *{count}* tu.\n\n" +
+      "Yaangalie kwa *magari yangu* kisha uchague namba sahihi.",
+    "vehicles.switched":
+      "✅ Sawa, nitatumia *{reg}* kama *gari lako la sasa*.\n\n" +
+      "Sasa unaweza kuandika *mafuta*, *huduma* au *matumizi*.",
+
+    "driver.default_name": "Dereva",
+
+    "drivers.none_short": "Bado huna dereva yeyote.",
+    "drivers.none":
+      "Bado huna dereva yeyote.\n\n" + "Ongeza mmoja kwa:\n" + "*add driver John Doe | 0712345678*",
+    "drivers.status_expired": "leseni iliisha siku {days} zilizopita",
+    "drivers.status_expiring": "leseni inaisha baada ya siku {days}",
+    "drivers.status_valid": "leseni halali, zimebaki siku ~{days}",
+    "drivers.status_no_expiry": "hakuna tarehe ya mwisho ya leseni",
+    "drivers.list_line": "*{name}* – Aina: *{type}* (mwisho: {expiry}) {icon} {status}",
+    "drivers.invite":
+      "Habari {name} 👋\n\n" +
+      "Umeongezwa kama dereva kwenye *Saka360* na *{owner}*.\n\n" +
+      "Kukubali na kukamilisha utiifu wa leseni yako ya udereva, jibu hapa kwa:\n" +
+      "*kubali*\n\n" +
+      "Ukishaongeza tarehe ya mwisho ya *Leseni Kuu ya Udereva*, utaruhusiwa kuandika *mafuta*, *huduma* na *matumizi* ya magari uliyopangiwa.",
+    "drivers.add_help":
+      "Tuongeze dereva kwenye akaunti yako ya Saka360 👨‍✈️\n\n" +
+      "Tafadhali tuma maelezo kwa *mstari mmoja* kwa mtindo huu:\n" +
+      "*add driver Jina Kamili | 07XXXXXXXX*\n\n" +
+      "Mfano:\n" +
+      "*add driver David Njonjo | 0734852529*\n\n" +
+      "Baada ya hapo, dereva atapata ujumbe wa WhatsApp wa *kukubali* na kuongeza *Leseni Kuu ya Udereva*.",
+    "drivers.add_missing":
+      "Tafadhali weka maelezo ya dereva baada ya *add driver*.\n\n" +
+      "Mtindo:\n" +
+      "*add driver Jina Kamili | 07XXXXXXXX*\n\n" +
+      "Mfano:\n" +
+      "*add driver David Njonjo | 0734852529*",
+    "drivers.add_need_both":
+      "Nahitaji angalau: *Jina* na *Namba ya simu*.\n\n" +
+      "Mtindo:\n" +
+      "*add driver Jina Kamili | 07XXXXXXXX*",
+    "drivers.add_need_name": "Tafadhali weka *jina kamili* la dereva kwanza.",
+    "drivers.add_need_phone": "Tafadhali weka *namba ya simu* ya dereva baada ya jina (k.m. 07XXXXXXXX).",
+    "drivers.added":
+      "✅ Dereva *{name}* ameongezwa.\n\n" +
+      "Mwaliko umetumwa kwa: *{phone}*\n\n" +
+      "Anatakiwa:\n" +
+      "1️⃣ Kujibu *kubali* kutoka WhatsApp yake ({phone})\n" +
+      "2️⃣ Kuongeza tarehe ya mwisho ya *Leseni Kuu ya Udereva* kwa:\n" +
+      "   *dl main 2026-01-01*\n\n" +
+      "Akishaongeza leseni kuu halali, utapata taarifa na ataonekana kama *ametimiza masharti* kwenye *ripoti ya madereva*.",
+    "drivers.no_invite":
+      "Sioni mwaliko wowote wa udereva kwa namba hii ya WhatsApp.\n\n" +
+      "Muombe mmiliki wa magari akuongeze kwa:\n" +
+      "*add driver Jina Lako | 07XXXXXXXX*",
+    "drivers.no_profile":
+      "Sioni wasifu wowote wa dereva uliounganishwa na namba hii ya WhatsApp.\n\n" +
+      "Muombe mmiliki wa magari akuongeze kwa:\n" +
+      "*add driver Jina Lako | 07XXXXXXXX*",
+    "drivers.already_compliant":
+      "Habari {name} 👋\n\n" + "Tayari *umetimiza masharti* – leseni kuu halali iko kwenye kumbukumbu.\n\n",
+    "drivers.can_log_vehicle": "Sasa unaweza kuandika *mafuta*, *huduma* na *matumizi* ya *{reg}*.",
+    "drivers.can_log_once_assigned":
+      "Utaweza kuandika *mafuta*, *huduma* na *matumizi* mmiliki wa magari akishakupangia gari.",
+    "drivers.accept_next":
+      "Habari {name} 👋\n\n" +
+      "Kukamilisha utiifu wa leseni, tafadhali tuma tarehe ya mwisho ya *Leseni Kuu ya Udereva*.\n\n" +
+      "Tumia mtindo huu:\n" +
+      "*dl main 2026-01-01*\n\n" +
+      "Lazima uwe na *leseni kuu halali* kwenye Saka360 kabla ya kuandika *mafuta*, *huduma* au *matumizi*.",
+    "drivers.title": "👨‍✈️ *Madereva wako*:\n\n",
+    "drivers.assign_hint":
+      "\n\nKumpangia dereva *gari lako la sasa*, jibu k.m. *assign driver 1*.",
+    "drivers.assign_help":
+      "Kumpangia dereva gari, kwanza angalia madereva wako kwa *madereva wangu*.\n\n" +
+      "Kisha jibu k.m. *assign driver 1* kumpangia dereva 1 *gari lako la sasa*.",
+    "drivers.assign_pick_vehicle":
+      "Una magari kadhaa. Tafadhali chagua gari unalotaka kumpangia dereva.\n\n" +
+      "{list}" +
+      "\n\nJibu k.m. *switch to 1*, kisha tuma *assign driver 1* tena.",
+    "drivers.too_high":
+      "Una madereva *{count}* tu.\n\n" + "Waangalie kwa *madereva wangu* kisha uchague namba sahihi.",
+    "drivers.assigned":
+      "✅ Dereva amepangiwa gari.\n\n" +
+      "Gari: *{reg}*\n" +
+      "Dereva: *{name}*\n" +
+      "Aina ya leseni: *{type}* (mwisho: {expiry})\n\n" +
+      "Akishakubali na leseni kuu yake ikiwa halali, anaweza kuandika *mafuta*, *huduma* na *matumizi* ya gari hili kutoka WhatsApp yake. Maingizo yake yataonekana kwenye ripoti zako.\n\n" +
+      "Unaweza kubadilisha dereva wakati wowote kwa *assign driver X* nyingine.",
+
+    "licence.none":
+      "Habari {name} 👋\n\n" +
+      "Bado huna tarehe ya mwisho ya *Leseni Kuu ya Udereva* kwenye Saka360.\n\n" +
+      "Kutimiza masharti, tuma:\n" +
+      "*dl main 2026-01-01*  (tumia tarehe yako halisi)\n\n" +
+      "Baada ya hapo mmiliki wa magari anaweza kukupangia magari bila wasiwasi.",
+    "licence.not_set": "haijawekwa",
+    "licence.expired": "Leseni yako *iliisha* siku {days} zilizopita.",
+    "licence.expiring": "Leseni yako *inaisha karibuni* – baada ya siku {days}.",
+    "licence.valid": "Leseni yako ni *halali* – zimebaki takriban siku {days}.",
+    "licence.status":
+      "{icon} *Hali ya leseni yako*\n\n" +
+      "Jina: *{name}*\n" +
+      "Aina ya leseni: *{type}*\n" +
+      "Tarehe ya mwisho: *{expiry}*\n\n" +
+      "{status}\n\n" +
+      "Kama si sahihi, muombe mmiliki wa magari akague maelezo yako kwenye Saka360.",
+    "licence.help":
+      "Kuweka tarehe ya mwisho ya Leseni Kuu ya Udereva, tumia:\n\n" +
+      "*dl main 2026-01-01*\n\n" +
+      "Mfano:\n" +
+      "*dl main 2027-06-30*",
+    "licence.main_only":
+      "Kwa sasa Saka360 inafuatilia *Leseni Kuu ya Udereva* pekee.\n\n" +
+      "Tafadhali itume hivi:\n" +
+      "*dl main 2026-01-01*",
+    "licence.bad_date":
+      "Tarehe hiyo ya mwisho haionekani sahihi. Tafadhali tumia mtindo wa *YYYY-MM-DD* (k.m. 2026-01-01).",
+    "licence.past_date":
+      "*Leseni kuu* lazima iwe *halali* (tarehe ya mwisho iwe ya baadaye).\n\n" +
+      "Tafadhali tuma tarehe ya baadaye kwa mtindo wa *YYYY-MM-DD*.",
+    "licence.locked":
+      "*Leseni Kuu ya Udereva* yako tayari iko kwenye kumbukumbu na imefungwa.\n\n" +
+      "Ikihitaji kubadilishwa, muombe mmiliki wa magari au msimamizi aisasishe.",
+    "licence.owner_notice":
+      "✅ *Taarifa ya leseni ya dereva*\n\n" +
+      "Dereva: *{name}*\n" +
+      "Mwisho wa leseni kuu: *{expiry}*\n\n" +
+      "Dereva huyu sasa *ametimiza masharti ya leseni kuu* na anaweza kuruhusiwa kuandika *mafuta*, *huduma* na *matumizi* ya magari utakayompangia.",
+    "licence.saved":
+      "✅ Asante {name}.\n\n" +
+      "Tarehe ya mwisho ya *Leseni Kuu ya Udereva* imewekwa kuwa *{expiry}*.\n\n" +
+      "Sasa *umetimiza masharti ya leseni* kwenye Saka360.\n" +
+      "Mmiliki wa magari akishakupangia gari, andika *mafuta*, *huduma* na *matumizi* yake moja kwa moja kutoka hapa.",
+
+    "compliance.title": "🚦 *Muhtasari wa leseni za madereva*\n",
+    "compliance.no_phone": "hakuna simu",
+    "compliance.expired_title": "\n❌ *Leseni zilizoisha*:\n",
+    "compliance.expired_line":
+      "*{name}* – Aina: *{type}*, mwisho: {expiry} (iliisha siku {days} zilizopita) – {phone}",
+    "compliance.expired_none": "\n❌ *Leseni zilizoisha*: hakuna 🎉",
+    "compliance.expiring_title": "\n\n⚠️ *Zinaisha ndani ya siku 30*:\n",
+    "compliance.expiring_line": "*{name}* – Aina: *{type}*, mwisho: {expiry} (baada ya siku {days}) – {phone}",
+    "compliance.expiring_none": "\n\n⚠️ *Zinaisha karibuni (siku 30)*: hakuna.",
+    "compliance.valid_title": "\n\n✅ *Halali (zaidi ya siku 30)*:\n",
+    "compliance.valid_line": "*{name}* – Aina: *{type}*, mwisho: {expiry} (zimebaki siku ~{days}) – {phone}",
+    "compliance.valid_none": "\n\n✅ *Leseni halali*: bado hakuna.",
+    "compliance.footer":
+      "\n\nUnaweza kuongeza madereva kwa *add driver ...* na kuwapangia magari kwa *assign driver X*.\n" +
+      "Madereva wanatakiwa kujibu *kubali* kisha *dl main YYYY-MM-DD* ili kutimiza masharti ya leseni kuu.",
+
+    "doc.default_title": "Hati",
+    "doc.no_expiry": "Haina tarehe ya mwisho",
+    "doc.no_notes": "Hakuna",
+    "doc.cancelled": "✅ Nimeghairi ingizo hili la {kind}.\nUnaweza kuanza upya kwa *{command}*.",
+    "doc.declined":
+      "Sawa, nimeghairi ingizo hilo la {kind}.\nUnaweza kuanza upya wakati wowote kwa *{command}*.",
+    "doc.save_error":
+      "Samahani, sikuweza kuhifadhi {kind} hiyo kwa sababu ya hitilafu ya mfumo.\n" +
+      "Jibu *NDIYO* kujaribu tena au *HAPANA* kughairi.",
+    "doc.broken": "Kuna tatizo kwenye {kind} hii.\nTafadhali anza upya kwa *{command}*.",
+    "doc.bad_cost": "Tafadhali tuma gharama kama namba kwa {currency}.\nMfano: *{example}* au *0*",
+    "doc.bad_expiry":
+      "Sikuelewa tarehe hiyo.\n" +
+      "Tafadhali tumia mtindo wa *YYYY-MM-DD* (k.m. *2026-01-01*),\n" +
+      "au jibu *ruka* kama haina tarehe ya mwisho.",
+    "doc.ask_expiry":
+      "Hati hii *inaisha muda* lini?\n" +
+      "Tumia mtindo wa *YYYY-MM-DD* (k.m. *2026-01-01*).\n" +
+      "Jibu *ruka* kama *haina tarehe ya mwisho*.",
+    "doc.personal_start": "📄 Tuongeze *hati yako binafsi/ya udereva*.\n",
+    "doc.personal_ask_title":
+      "Hii ni hati gani?\n" +
+      "Mifano:\n" +
+      "• *DL Main*\n" +
+      "• *PSV Badge*\n" +
+      "• *TSV Certificate*\n" +
+      "• *Kitambulisho*",
+    "doc.personal_bad_title":
+      "Tafadhali ipe hati hii jina.\n" + "Mifano: *DL Main*, *PSV Badge*, *TSV Certificate*",
+    "doc.personal_ask_type":
+      "Hati hii ni *aina/kundi* gani?\n" +
+      "Mifano: *DL*, *PSV*, *TSV*, *Badge*, *ID*.\n" +
+      "Jibu *ruka* kama unataka kuacha wazi.",
+    "doc.personal_ask_cost":
+      "Ulilipa kiasi gani kwa hati hii? ({currency})\n" +
+      "Jibu *0* kama ilikuwa bure au hutaki kuandika gharama.",
+    "doc.personal_ask_notes":
+      "Maelezo yoyote kuhusu hati hii?\n" +
+      "Mifano: *huhuishwa kila mwaka*, *kwa Nairobi pekee*, *imeambatishwa na mwajiri*, n.k.\n" +
+      "Jibu *ruka* kuacha maelezo wazi.",
+    "doc.personal_confirm_title": "Tafadhali thibitisha hati hii binafsi:",
+    "doc.personal_saved": "✅ Hati binafsi imehifadhiwa.",
+    "doc.personal_will_remind":
+      "Nitakukumbusha kabla haijaisha muda. Angalia yanayokuja kwa *my reminders*.",
+    "doc.personal_no_expiry": "Nitaijumuisha kwenye muhtasari wako wa *utiifu binafsi*.",
+    "doc.vehicle_start": "📄 Tuongeze hati ya *{reg}*.\n",
+    "doc.vehicle_ask_title":
+      "Hii ni hati gani?\n" +
+      "Mifano:\n" +
+      "• *Bima*\n" +
+      "• *Ukaguzi*\n" +
+      "• *Leseni ya barabara*\n" +
+      "• *Cheti cha kidhibiti mwendo*",
+    "doc.vehicle_bad_title":
+      "Tafadhali ipe hati hii jina.\n" + "Mifano: *Bima*, *Ukaguzi*, *Leseni ya barabara*",
+    "doc.vehicle_ask_cost":
+      "Ulilipa kiasi gani kwa hati hii? ({currency})\n" +
+      "Mfano: *35000*\n\n" +
+      "Jibu *0* kama hutaki kuandika gharama.",
+    "doc.vehicle_ask_notes":
+      "Maelezo yoyote kuhusu hati hii?\n" +
+      "Mifano: *namba ya polisi 12345*, *bima kamili*, *Jubilee Insurance*, n.k.\n" +
+      "Jibu *ruka* kuacha maelezo wazi.",
+    "doc.vehicle_confirm_title": "Tafadhali thibitisha hati hii ya gari:",
+    "doc.vehicle_saved": "✅ Hati ya gari imehifadhiwa kwa *{reg}*.",
+    "doc.vehicle_will_remind":
+      "Nitakukumbusha kabla haijaisha muda. Angalia hati zote kwa *vehicle documents*.",
+    "doc.vehicle_see_all": "Angalia hati zote kwa *vehicle documents*.",
+    "doc.report_none_vehicle": "Bado huna hati zozote za gari lako la sasa.\n\n",
+    "doc.report_none_all": "Bado huna hati zozote za magari yako.\n\n",
+    "doc.report_add_one": "Ongeza moja kwa *vehicle document* (k.m. bima, ukaguzi, leseni ya barabara).",
+    "doc.report_title": "📄 *Hati za gari – {reg}*\n",
+    "doc.report_title_all": "📄 *Hati za magari – magari yote*\n",
+    "doc.report_line": "• *{title}* (mwisho: {expiry}) {status}",
+    "doc.status_no_expiry": "haina tarehe ya mwisho",
+    "doc.status_expired": "iliisha siku {days} zilizopita",
+    "doc.status_expiring": "inaisha baada ya siku {days}",
+    "doc.status_valid": "halali, zimebaki siku ~{days}",
+    "doc.report_footer":
+      "\nOngeza nyingine kwa *vehicle document*.\n" +
+      "Tumia *vehicle documents* kwa gari la sasa, au *vehicle documents all* kwa magari yako yote.",
+
+    "odometer.under_an_hour": "chini ya saa moja",
+    "odometer.hours": "saa {count}",
+    "odometer.days": "siku {count}",
+    "odometer.source_reset": "odomita mpya",
+    "odometer.last_reading": "km {km} tarehe {date}, {source}",
+    "odometer.lower":
+      "⚠️ Km *{km}* ni chini ya usomaji wa mwisho unaojulikana ({last}).\n\n" +
+      "Tafadhali tuma usomaji sahihi, au jibu *ruka*.\n" +
+      "Kama odomita au dashibodi ilibadilishwa, jibu *ruka* kisha mmiliki wa gari anaweza kuiandika kwa *odometer reset {reading}*.",
+    "odometer.high":
+      "🤔 Km *{km}* ni km {more} zaidi ya usomaji wa mwisho ({last}, {elapsed} zilizopita).\n\n" +
+      "Tuma *{reading}* tena kuthibitisha, au tuma usomaji sahihi.",
+    "odometer.reset_help":
+      "Kuandika odomita mpya (k.m. baada ya kubadilisha dashibodi), tuma inachosoma sasa:\n" +
+      "*odometer reset 0*\n" +
+      "*odometer reset 120 dashibodi mpya*",
+    "odometer.reset_done":
+      "🧭 Odomita mpya imeandikwa kwa *{reg}*: {from}km *{km}*.\n" +
+      "Usomaji mpya utakaguliwa kuanzia hapa.",
+    "odometer.help":
+      "Tuma *odometer* kuona usomaji wa mwisho wa *{reg}*, au *odometer reset 0* baada ya kubadilisha dashibodi.",
+    "odometer.none":
+      "Bado hakuna usomaji wa odomita wa *{reg}*.\n" +
+      "Ongeza mmoja unapoandika *mafuta*, *huduma* au *matumizi*.",
+    "odometer.title":
+      "🧭 *Odomita – {reg}*\n" + "Mwisho: km *{km}* ({date})\n\n" + "*Usomaji wa karibuni*:\n",
+    "odometer.footer": "\nDashibodi imebadilishwa? Tuma *odometer reset 0* (au inachosoma).",
+
+    "interval.usage":
+      "Weka mara ngapi *{reg}* inahitaji huduma, k.m.:\n" +
+      "• *service interval 5000 km*\n" +
+      "• *service interval 6 months*\n" +
+      "• *service interval 5000 km 6 months* (kinachotangulia)\n" +
+      "• *service interval off* – acha kufuatilia",
+    "interval.none": "Bado hakuna muda wa huduma uliowekwa.\n\n",
+    "interval.current": "🔧 Muda wa huduma wa *{reg}*: {interval}.\n\n",
+    "interval.removed":
+      "✅ Muda wa huduma wa *{reg}* umeondolewa.\nSitatabiri wala kuonya kuhusu huduma yake ijayo.",
+    "interval.bad": "Sikuelewa muda huo.\n\n",
+    "interval.saved": "✅ *{reg}* itahudumiwa {interval}.\n\n",
+    "interval.warn_note":
+      "Nitakuonya zikibaki km *{km}* au siku *{days}* kabla ya huduma ijayo.",
+    "interval.every_km": "kila km *{km}*",
+    "interval.every_months": "kila miezi *{months}*",
+    "interval.or": " au ",
+    "interval.first": ", kinachotangulia",
+    "service_due.alert_overdue": "❌ *Huduma imechelewa* – *{reg}*\n\n",
+    "service_due.alert_soon": "🔧 *Huduma inakaribia* – *{reg}*\n\n",
+    "service_due.alert_footer": "Panga huduma, kisha iandike kwa *huduma* kuanza hesabu upya.",
+
+    "budget.category_fuel": "Mafuta",
+    "budget.category_service": "Huduma na matengenezo",
+    "budget.category_expense": "Matumizi mengine",
+    "budget.alert_exceeded": "🚨 *Bajeti ya {category} imepitwa – {reg}*\n\n",
+    "budget.alert_warning": "⚠️ *Bajeti ya {category} imefika {pct}% – {reg}*\n\n",
+    "budget.alert_body":
+      "{period} hadi sasa: *{spent}* {currency} kati ya bajeti yako ya *{budget}* {currency}.\n\n" +
+      "Tuma *budget report* kuona kila gari.",
+    "budget.usage":
+      "Weka bajeti ya mwezi ya *{reg}*, k.m.:\n" +
+      "• *budget fuel 20000*\n" +
+      "• *budget service 10000*\n" +
+      "• *budget expense 5000*\n" +
+      "• *budget fuel off* – iondoe\n" +
+      "• *budget report* – matumizi dhidi ya bajeti kwa magari yote\n\n" +
+      "Nitakuarifu kwa 80% na 100% ya kila bajeti.",
+    "budget.none_vehicle": "Bado hakuna bajeti iliyowekwa kwa *{reg}*.\n\n",
+    "budget.title": "💰 *Bajeti – {reg}* ({period})\n",
+    "budget.bad": "Sikuelewa bajeti hiyo.\n\n",
+    "budget.removed": "✅ Bajeti ya {category} imeondolewa kwa *{reg}*.",
+    "budget.bad_amount": "Tafadhali weka bajeti kama namba, k.m. *budget {category} 20000*.",
+    "budget.saved":
+      "✅ Bajeti ya mwezi ya {category} kwa *{reg}* imewekwa *{amount}* {currency}.\n\n" +
+      "{period} hadi sasa:\n",
+    "budget.saved_footer": "\nNitakuarifu kwa 80% na 100%.",
+    "budget.report_bad_month":
+      "Tafadhali taja mwezi, k.m. *budget report* (mwezi huu) au *budget report march*.",
+    "budget.report_none":
+      "Bado hujaweka bajeti yoyote.\n\n" +
+      "Weka moja kwa gari lako la sasa kwa k.m. *budget fuel 20000*.",
+    "budget.report_title": "💰 *Ripoti ya bajeti – {period}*\n",
+    "budget.report_total":
+      "\nJumla: *{spent}* / {budget} {currency} ({pct}%)\n" +
+      "Inajumuisha maingizo ya madereva yanayosubiri idhini.",
+
+    "anomaly.price_above":
+      "Bei *{price}* {currency}/L iko {pct}% juu ya wastani wa karibuni ({avg} {currency}/L).",
+    "anomaly.price_below":
+      "Bei *{price}* {currency}/L iko {pct}% chini ya wastani wa karibuni ({avg} {currency}/L).",
+    "anomaly.odometer": "Odometer *{km}* km iko chini ya usomaji wa mwisho ({last}).",
+    "anomaly.distance":
+      "Km *{km}* tangu usomaji wa mwisho {elapsed} zilizopita ni zaidi ya gari lingeweza kuendesha.",
+    "anomaly.consumption": "Matumizi ya *{kmpl}* ni mabaya sana kuliko kawaida ya gari hili ({usual}).",
+    "anomaly.double_check": "⚠️ *Tafadhali hakiki:*\n",
+    "anomaly.a_driver": "Dereva",
+    "anomaly.unknown_vehicle": "gari lisilojulikana",
+    "anomaly.flag_notice":
+      "🚩 *Ingizo la mafuta lenye shaka #{id}* – {reg}\n{name} ameandika *{amount}* {currency}{litres}.\n\n",
+    "anomaly.flag_footer": "\nOna maingizo yote yaliyotiliwa shaka kwa *fuel alerts*.",
+    "anomaly.bad_period":
+      "Sikuelewa kipindi *{period}*.\n\n" +
+      "Jaribu *fuel alerts*, *fuel alerts this month* au *fuel alerts last 90 days*.",
+    "anomaly.report_none": "✅ Hakuna maingizo ya mafuta yenye shaka katika *{period}* ({range}).",
+    "anomaly.report_title": "🚩 *Tahadhari za mafuta – {period}*\n{range}\n",
+    "anomaly.report_footer":
+      "\nRekebisha ingizo lenye kosa kwa *edit last fuel*, au kataa la dereva kwa *reject 12 sababu*.",
+
+    "field.amount": "Kiasi",
+    "field.currency": "Sarafu",
+    "field.litres": "Lita",
+    "field.odometer": "Odomita",
+    "field.station": "Kituo",
+    "field.notes": "Maelezo",
+    "field.service_type": "Aina",
+    "field.cost_amount": "Gharama",
+    "field.title": "Jina",
+    "field.doc_title": "Jina",
+    "field.doc_type": "Aina",
+    "field.expiry_date": "Mwisho (YYYY-MM-DD)",
+
+    "edit.entry": "ingizo la {kind}",
+    "edit.row_fuel": "mafuta {amount} {currency} tarehe {date}",
+    "edit.row_entry": "{title} {amount} {currency} tarehe {date}",
+    "edit.row_document": "hati *{title}* iliyohifadhiwa {date}",
+    "undo.nothing":
+      "Hakuna cha kutendua. Ninaweza kutendua ingizo ndani ya dakika *{minutes}* tu baada ya kulihifadhi.\n\n" +
+      "Kurekebisha ingizo la zamani, tumia *edit last fuel*, *edit last service*, *edit last expense* au *edit last document*.",
+    "undo.already_removed": "Ingizo hilo limeshaondolewa. Hakuna kingine cha kutendua.",
+    "undo.done": "↩️ Imetenduliwa – nimeondoa ingizo lako la mwisho la {kind} ({summary}).",
+    "edit.help":
+      "Kubadilisha ingizo lililohifadhiwa, tuma mojawapo ya:\n" +
+      "• *edit last fuel*\n" +
+      "• *edit last service*\n" +
+      "• *edit last expense*\n" +
+      "• *edit last document*\n\n" +
+      "Kuondoa ingizo ulilohifadhi sasa hivi, tuma *undo*.",
+    "edit.none": "Bado huna ingizo la {kind} lililohifadhiwa la kuhariri.",
+    "edit.start": "✏️ Unahariri ingizo lako la mwisho la {kind} ({summary}):\n",
+    "edit.pick_field": "\n\nJibu kwa *namba* ya sehemu ya kubadilisha, au *done* ukimaliza.",
+    "edit.required": "{field} haiwezi kuachwa wazi.",
+    "edit.bad_money": "Tafadhali tuma kiasi kama namba, k.m. *3000*.",
+    "edit.bad_currency": "Tafadhali tuma msimbo wa sarafu, k.m. *KES* au *UGX*.",
+    "edit.bad_number": "Tafadhali tuma namba, k.m. *145000*.",
+    "edit.bad_date": "Tafadhali tumia muundo *YYYY-MM-DD*, k.m. *2026-01-01*.",
+    "edit.bad_text": "Tafadhali tuma maandishi.",
+    "edit.done":
+      "✅ Umemaliza kuhariri. Tuma *edit last fuel* (au service / expense / document) kubadilisha ingizo jingine.",
+    "edit.gone": "Ingizo hilo halipo tena, kwa hiyo hakuna cha kuhariri.",
+    "edit.bad_field": "Tafadhali jibu kwa namba ya sehemu kutoka kwenye orodha:",
+    "edit.or_done": "\n\nAu jibu *done* kumaliza.",
+    "edit.ask_value": "Tuma *{field}* mpya (ya sasa: *{current}*).",
+    "edit.clear_hint": "\nJibu *clear* kuiacha wazi.",
+    "edit.sent_back": "⏳ Limerudishwa kwa mmiliki wa magari kwa idhini (kumb. *#{id}*).\n",
+    "edit.changed": "✅ {field} imebadilishwa: *{old}* → *{new}*\n",
+    "edit.odometer_lower":
+      "⚠️ Km *{km}* ni chini ya usomaji wa mwisho unaojulikana ({last}).\n\n" +
+      "Tuma usomaji sahihi, au *done* kubaki na *{current}*.",
+    "edit.another": "\n\nJibu kwa namba nyingine ya sehemu, au *done* ukimaliza.",
+    "edit.broken":
+      "Kuna tatizo kwenye uhariri huu. Tafadhali anza upya kwa *edit last fuel* (au service / expense / document).",
+
+    "approval.request":
+      "🧾 *Ingizo la dereva #{id} linahitaji idhini*\n\n" +
+      "Dereva: *{driver}*\n" +
+      "Gari: *{reg}*\n" +
+      "Aina: *{kind}*\n" +
+      "{details}\n\n" +
+      "Jibu *approve {id}* au *reject {id} sababu*.",
+    "approval.help":
+      "Kukagua ingizo la dereva, jibu kwa namba yake:\n" +
+      "• *approve 12*\n" +
+      "• *reject 12 kiasi si sahihi*\n\n" +
+      "Ona yote yanayosubiri kwa *pending entries*.",
+    "approval.need_reason":
+      "Tafadhali weka sababu fupi ili dereva wako ajue cha kurekebisha.\n\n" +
+      "Mfano: *reject {id} kiasi si sahihi*",
+    "approval.not_found":
+      "Sipati ingizo la dereva *#{id}* kwenye akaunti yako.\n\n" +
+      "Ona maingizo yanayokusubiri kwa *pending entries*.",
+    "approval.already": "Ingizo la dereva *#{id}* tayari {status}.",
+    "approval.status_approved": "limekubaliwa",
+    "approval.status_rejected": "limekataliwa",
+    "approval.status_withdrawn": "limeondolewa",
+    "approval.withdrawn": "Ingizo la dereva *#{id}* liliondolewa na dereva, kwa hiyo hakuna cha kukagua.",
+    "approval.driver_approved": "✅ Ingizo lako la {kind} ({summary}) *limekubaliwa* na mmiliki wa magari.",
+    "approval.driver_rejected":
+      "❌ Ingizo lako la {kind} ({summary}) *limekataliwa* na mmiliki wa magari.\n" +
+      "Sababu: {reason}\n\n" +
+      "Unaweza kulirekebisha kwa *edit last {type}* au kuliandika upya.",
+    "approval.approved":
+      "✅ Ingizo la dereva *#{id}* ({summary}) limekubaliwa.\nSasa linahesabiwa kwenye ripoti zako.",
+    "approval.rejected":
+      "❌ Ingizo la dereva *#{id}* ({summary}) limekataliwa.\n" +
+      "Halitahesabiwa kwenye ripoti zako. Nimemjulisha dereva.",
+    "approval.pending_none": "✅ Hakuna maingizo ya madereva yanayosubiri idhini yako.",
+    "approval.pending_title": "⏳ *Maingizo ya madereva yanayosubiri idhini*:\n",
+    "approval.pending_footer": "\n\nJibu *approve 12* au *reject 12 sababu*.",
+
+    "reminder.source_personal_document": "hati",
+    "reminder.source_vehicle_document": "hati ya gari",
+    "reminder.source_driver_licence": "leseni ya udereva",
+    "reminder.in_days": "inaisha baada ya siku *{days}*, tarehe *{date}*.",
+    "reminder.tomorrow": "inaisha *kesho* ({date}).",
+    "reminder.today": "inaisha *leo* ({date}).",
+    "reminder.expired": "*iliisha* siku {days} zilizopita ({date}).",
+    "reminder.message":
+      " *Kikumbusho cha mwisho wa muda*\n\n" +
+      "{label} yako *{title}* {line}\n\n" +
+      "Tafadhali ihuishe mapema ili ubaki ukitii sheria. " +
+      "Tuma *my reminders* kuona yote yanayokuja.",
+    "reminder.none":
+      "Huna vikumbusho vya mwisho wa muda vinavyokuja.\n\n" +
+      "Ongeza hati yenye tarehe ya mwisho kwa *my document* na nitakukumbusha kabla haijaisha.",
+    "reminder.title": "⏰ *Zinazoisha karibuni*:\n",
+    "reminder.list_expired": "iliisha siku {days} zilizopita",
+    "reminder.list_in": "baada ya siku {days}",
+    "reminder.nudge": "\n\nNitakukumbusha siku {days} kabla ya kila mwisho wa muda.",
+    "reminder.nudge_and_day":
+      "\n\nNitakukumbusha siku {days} kabla ya kila mwisho wa muda na siku yenyewe inapoisha.",
+
+    "receipt.help":
+      "Kupata risiti, tuma:\n" +
+      "• *receipt last fuel*\n" +
+      "• *receipt last service*\n" +
+      "• *receipt last expense*\n\n" +
+      "Kuambatisha risiti, tuma picha unapoandika *mafuta*, *huduma* au *matumizi*.",
+    "receipt.no_entries": "Bado huna maingizo ya *{kind}*.",
+    "receipt.none_attached":
+      "Ingizo lako la mwisho la *{kind}* ({label}) halina risiti.\n\n" +
+      "Wakati ujao, tuma picha unapoandika na nitaihifadhi pamoja na ingizo.",
+    "receipt.not_configured": "Samahani, upakuaji wa risiti bado haujawekwa kwenye seva hii.",
+    "receipt.caption": "📎 Risiti – {kind} {label}",
+    "receipt.sent": "📎 Nimetuma risiti *{count}* za ingizo lako la mwisho la {kind} ({label}).",
+
+    "export.help":
+      "Kupata jedwali la maingizo yako, tuma k.m.:\n" +
+      "• *export fuel march*\n" +
+      "• *export service this month*\n" +
+      "• *export expense january 2026*\n\n" +
+      "Utapata faili za CSV na Excel zenye majina ya magari na madereva.",
+    "export.none": "Huna maingizo ya *{kind}* yaliyokubaliwa kwa *{period}*, kwa hiyo hakuna cha kutoa.",
+    "export.sent":
+      "📤 *Faili ya {kind} – {period}*\n" +
+      "Maingizo: *{count}* (yaliyokubaliwa tu)\n\n" +
+      "Nimetuma faili za Excel na CSV hapo juu. Viungo vya kupakua vinafanya kazi kwa dakika *{minutes}* – " +
+      "tuma amri tena kupata vipya.",
+    "pdf.help":
+      "Kupata ripoti ya PDF ya magari, tuma k.m.:\n" +
+      "• *pdf report october*\n" +
+      "• *pdf report this month*\n" +
+      "• *pdf report march 2026*",
+    "pdf.sent":
+      "📑 Ripoti yako ya magari ya *{period}* imeambatishwa hapo juu – mafuta, huduma, matumizi, " +
+      "utiifu wa madereva na hati zinazoisha karibuni.\n\n" +
+      "Kiungo kinafanya kazi kwa dakika *{minutes}*. Pia natuma ripoti ya mwezi uliopita kila tarehe {day}.",
+    "pdf.monthly_ready":
+      "📑 Ripoti yako ya magari ya Saka360 ya *{period}* iko tayari. Tuma *{command}* wakati wowote kupata nakala mpya.",
+
+    "currency.current":
+      "💱 Sarafu yako kuu ni *{currency}*.\n\n" +
+      "Ibadilishe kwa k.m. *currency UGX*. Ripoti zinaonyeshwa kwa sarafu hii.\n" +
+      "Bado unaweza kuandika ingizo moja kwa sarafu nyingine, k.m. *mafuta 150000 UGX*.\n\n" +
+      "Zinazotumika: {supported}",
+    "currency.unknown": "Sijui sarafu *{currency}*.\n\nZinazotumika: {supported}",
+    "currency.saved":
+      "✅ Sarafu kuu imewekwa *{currency}*.\nMaingizo mapya na ripoti zako zitatumia {currency}.",
+    "currency.no_rate":
+      "\n\n⚠️ Bado hakuna kiwango cha ubadilishaji cha {currency}, kwa hiyo maingizo ya sarafu nyingine " +
+      "hayawezi kubadilishwa hadi msimamizi aongeze kimoja.",
+    "rate.admin_only": "Msimamizi wa Saka360 pekee ndiye anayeweza kubadilisha viwango. Tuma *rates* kuviona.",
+    "rate.help":
+      "Weka thamani ya kipimo 1 kwa {base}, k.m. *rate UGX 0.035* au *rate USD 129.5*.\n" +
+      "Ondoa kimoja kwa *rate UGX off*.",
+    "rate.removed": "✅ Kiwango cha ubadilishaji cha *{currency}* kimeondolewa.",
+    "rate.bad": "Tafadhali tuma kiwango kama namba chanya, k.m. *rate {currency} 0.035*.",
+    "rate.saved": "✅ Kiwango kimehifadhiwa: 1 *{currency}* = *{rate}* {base}.",
+    "rate.none": "💱 Bado hakuna viwango vya ubadilishaji – ripoti zinaweza kujumlisha maingizo ya sarafu moja tu.",
+    "rate.none_admin": "\n\nOngeza kimoja kwa *rate UGX 0.035*.",
+    "rate.title": "💱 *Viwango vya ubadilishaji* (kwa {base})\n",
+    "rate.admin_footer": "\nSasisha kwa *rate UGX 0.035*, ondoa kwa *rate UGX off*.",
+    "migrations.admin_only": "Msimamizi wa Saka360 pekee ndiye anayeweza kuona hali ya uhamishaji wa database.",
+    "migrations.title": "🗄️ *Uhamishaji wa database*\nToleo la schema: *{current}* kati ya *{latest}*\n\n",
+    "migrations.pending": " – inasubiri",
+    "migrations.footer_pending": "\nUhamishaji unaosubiri utaendeshwa seva itakapowashwa tena.",
+    "migrations.footer_done": "\nKila kitu kiko sawa.",
+
+    "apikey.created":
+      "🔑 *Ufunguo wako mpya wa API wa Saka360*\n\n{key}\n\n" +
+      "Utume kama *Authorization: Bearer <key>* kwa /api/v1.\n" +
+      "Sitauonyesha tena – uutunze salama. Ufunguo wowote wa zamani umeacha kufanya kazi.",
+    "apikey.revoked": "✅ Ufunguo wako wa API umefutwa. Unda mpya wakati wowote kwa *api key new*.",
+    "apikey.none_active": "Huna ufunguo wa API unaotumika.",
+    "apikey.title": "🔑 *Ufikiaji wa API*\n\n",
+    "apikey.active": "Ufunguo unaotumika: *{prefix}…* (uliundwa {created}, ulitumika mwisho {used})\n\n",
+    "apikey.never": "haujatumika",
+    "apikey.none": "Bado huna ufunguo wa API.\n\n",
+    "apikey.help":
+      "• *api key new* – unda ufunguo (unachukua nafasi ya wa zamani)\n" +
+      "• *api key revoke* – zima ufikiaji wa API",
+    "undelivered.admin_only": "Msimamizi wa Saka360 pekee ndiye anayeweza kuona ujumbe ambao haukufika.",
+    "undelivered.retrying": "\n\n🔁 *{count}* zaidi bado zinajaribiwa tena.",
+    "undelivered.none": "✅ Mialiko yote ya madereva na taarifa za utiifu za siku 30 zilizopita zilifika.",
+    "undelivered.title": "📭 *Mialiko ya madereva na taarifa za utiifu ambazo hazikufika* (siku 30 zilizopita):\n",
+    "undelivered.gave_up": "imeachwa baada ya majaribio {attempts} – {error}",
+    "undelivered.send_failed": "kutuma kumeshindwa",
+    "undelivered.to": "{kind} kwa {to}",
+    "undelivered.kind_driver_invite": "Mwaliko wa dereva",
+    "undelivered.kind_compliance_notice": "Taarifa ya utiifu",
+
+    "report.menu":
+      "Ninaweza kuonyesha muhtasari wa data yako:\n" +
+      "• *ripoti ya mafuta* – matumizi ya mafuta na ufanisi (gari la sasa)\n" +
+      "• *ripoti ya mafuta zote* – muhtasari wa mafuta kwa magari yote\n" +
+      "• *ripoti ya huduma* – gharama za huduma na huduma ijayo (gari la sasa)\n" +
+      "• *ripoti ya huduma zote* – muhtasari wa huduma kwa magari yote\n" +
+      "• *ripoti ya matumizi* – matumizi mengine (gari la sasa)\n" +
+      "• *ripoti ya matumizi zote* – matumizi kwa magari yote\n" +
+      "• *ripoti ya madereva* – utiifu wa leseni za madereva\n" +
+      "• *budget report* – matumizi dhidi ya bajeti ya mwezi kwa kila gari\n" +
+      "• *fuel alerts* – maingizo ya mafuta yenye shaka\n" +
+      "• *pdf report october* – ripoti ya mwezi ya magari (PDF)\n" +
+      "Ongeza kipindi kwenye ripoti yoyote: *mwezi huu*, *mwezi uliopita*, *siku 90 zilizopita*, *machi*, " +
+      "*2026-01-01 hadi 2026-03-31* (k.m. *ripoti ya mafuta zote siku 90 zilizopita*). " +
+      "Utaona mabadiliko ukilinganisha na kipindi kilichopita.\n" +
+      "Jumla ziko kwa sarafu yako kuu – ona *currency*.\n" +
+      "Ongeza *na zinazosubiri* (k.m. *ripoti ya mafuta zote na zinazosubiri*) kujumuisha maingizo ya madereva " +
+      "yanayosubiri idhini.\n" +
+      "Tafadhali chagua mojawapo.",
+
+    "help.menu":
+      "Habari 👋 Mimi ni Saka360. Haya ndiyo ninayoweza kufanya:\n\n" +
+      "🚗 *Magari*\n" +
+      "• *ongeza gari KDA 123A* – ongeza gari\n" +
+      "• *magari yangu* – orodha ya magari yako\n" +
+      "• *switch to 1* – badilisha gari la sasa\n\n" +
+      "⛽ *Mafuta / Huduma / Matumizi*\n" +
+      "• *mafuta* – andika mafuta\n" +
+      "• *huduma* – andika huduma ya gari\n" +
+      "• *matumizi* – andika matumizi mengine\n" +
+      "• *tendua* – ondoa ingizo ulilohifadhi sasa hivi\n" +
+      "• *rasimu* – maingizo yasiyokamilika; *endelea* kuendeleza\n" +
+      "• *edit last fuel* (au service / expense / document) – rekebisha ingizo lililohifadhiwa\n" +
+      "• Haraka: *mafuta 3000 25L 145200 Shell Yaya*, *huduma minor 8000 150000*, *matumizi maegesho 200*\n" +
+      "• Tuma picha ya risiti unapoandika – ipate tena kwa *receipt last fuel*\n" +
+      "• *service interval 5000 km 6 months* – fuatilia huduma inapohitajika\n" +
+      "• *budget fuel 20000* – bajeti ya mwezi na tahadhari za 80% / 100%\n" +
+      "• *currency UGX* – sarafu yako kuu (andika nyingine kwa *mafuta 150000 UGX*); *rates* kwa viwango vya kubadilisha\n" +
+      "• *odometer* – usomaji wa mwisho na historia\n\n" +
+      "📊 *Ripoti*\n" +
+      "• *ripoti ya mafuta*, *ripoti ya mafuta zote*\n" +
+      "• *ripoti ya huduma*, *ripoti ya huduma zote*\n" +
+      "• *ripoti ya matumizi*, *ripoti ya matumizi zote*\n" +
+      "• Ongeza kipindi: *ripoti ya mafuta mwezi huu*, *ripoti ya huduma siku 90 zilizopita*, *ripoti ya matumizi machi*\n" +
+      "• *ripoti ya madereva*\n" +
+      "• *budget report* – matumizi dhidi ya bajeti kwa kila gari\n" +
+      "• *fuel alerts* – maingizo ya mafuta yenye shaka\n" +
+      "• *export fuel march* – CSV na Excel kwa mhasibu wako\n" +
+      "• *pdf report october* – ripoti ya mwezi (PDF)\n\n" +
+      "👨‍✈️ *Madereva*\n" +
+      "• *add driver Jina | 07XXXXXXXX*\n" +
+      "• *madereva wangu*\n" +
+      "• *assign driver 1*\n" +
+      "• Madereva: jibu *kubali*, weka *dl main YYYY-MM-DD*, kisha andika *mafuta* / *huduma* / *matumizi* kwa gari ulilopewa\n" +
+      "• *pending entries* – maingizo ya madereva ya kukagua, kisha *approve 12* / *reject 12 sababu*\n\n" +
+      "📄 *Nyaraka*\n" +
+      "• *vehicle document* – ongeza bima, ukaguzi, leseni ya barabara\n" +
+      "• *vehicle documents* – hali ya kuisha muda (gari la sasa)\n" +
+      "• *my document* – ongeza nyaraka zako binafsi/za udereva\n" +
+      "• *my reminders* – nyaraka zinazokaribia kuisha muda\n\n" +
+      "🌐 *language english* – reply in English\n\n" +
+      "Unaweza pia kuandika chochote nami nitajaribu kukielewa kwa AI. 😊",
+  },
+};
 
-      return "✅ Service entry saved.\nYou can log another one any time with *service*.";
-    }
+/**
+ * Reply text for `key` in `lang`, falling back to English. Messages are
+ * strings with {name} placeholders, or functions of vars (for plurals).
+ */
+function t(lang, key, vars = {}) {
+  const catalogue = MESSAGES[lang] || MESSAGES.en;
+  const msg = catalogue[key] != null ? catalogue[key] : MESSAGES.en[key];
+  if (msg == null) return key;
+  if (typeof msg === "function") return msg(vars);
+  return msg.replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? String(vars[name]) : m));
+}
 
-    if (lower === "no") {
-      await pool.query(
-        `
-        UPDATE service_sessions
-        SET status = 'CANCELLED',
-            updated_at = NOW()
-        WHERE id = $1
-      `,
-        [session.id]
-      );
-      return "Okay, I’ve cancelled that service entry.\nYou can start again with *service*.";
-    }
+// { kind: "mafuta", Kind: "Mafuta" } for the entry-type messages
+function kindVars(lang, kind) {
+  const word = t(lang, "kind." + kind);
+  return { kind: word, Kind: capitalizeFirst(word) };
+}
 
-    return "Please reply *YES* to save or *NO* to cancel this service entry.";
-  }
+function parseLanguageCode(word) {
+  return LANGUAGE_ALIASES[String(word || "").trim().toLowerCase()] || null;
+}
+
+async function getUserLanguage(userWhatsapp) {
+  const res = await pool.query(
+    `SELECT language FROM account_settings WHERE user_whatsapp = $1`,
+    [userWhatsapp]
+  );
+  const lang = res.rows[0] && res.rows[0].language;
+  return LANGUAGES[lang] ? lang : DEFAULT_LANGUAGE;
+}
 
-  return "Something went wrong in this service entry. Please start again with *service*.";
+function formatNumber(value, lang, decimals = 2) {
+  return new Intl.NumberFormat(LANGUAGES[lang].locale, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  }).format(Number(value || 0));
 }
 
-// ---------- EXPENSE FLOW & REPORT ----------
+// "19 Oct 2026" / "19 Okt 2026"
+function formatDate(value, lang) {
+  if (!value) return "-";
+  const d = value instanceof Date ? value : new Date(String(value).slice(0, 10) + "T00:00:00");
+  return new Intl.DateTimeFormat(LANGUAGES[lang].locale, {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  }).format(d);
+}
 
-async function handleExpenseIntent(userWhatsapp) {
-  const vRes = await ensureCurrentVehicle(userWhatsapp);
-  if (vRes.status === "NO_VEHICLES") {
-    return (
-      "You don't have any vehicles yet.\n\n" +
-      "Add one with:\n" +
-      "*add vehicle KDA 123A*"
+// Report period labels come from parseReportPeriod in English
+function formatPeriodLabel(period, lang) {
+  const label = period.label;
+  if (label === "Today") return t(lang, "period.today");
+  if (label === "This month") return t(lang, "period.this_month");
+  if (label === "This year") return t(lang, "period.this_year");
+  const days = label.match(/^Last (\d+) days?$/);
+  if (days) return t(lang, "period.last_days", { count: parseInt(days[1], 10) });
+  if (/^[A-Z][a-z]+ \d{4}$/.test(label)) {
+    return capitalizeFirst(
+      new Intl.DateTimeFormat(LANGUAGES[lang].locale, { month: "long", year: "numeric" }).format(
+        new Date(period.from + "T00:00:00")
+      )
     );
   }
-  if (vRes.status === "NEED_SET_CURRENT") {
-    const list = formatVehiclesList(vRes.list, true);
-    return (
-      "You have multiple vehicles.\n\n" +
-      list +
-      "\n\nSet one as current with *switch to 1* (for example), then send *expense* again."
-    );
+  return label;
+}
+
+// Swahili command words → the English commands the router understands.
+// Whole-message replies work inside sessions too; command phrases only
+// where a new command is expected.
+const SW_REPLY_WORDS = {
+  ndiyo: "yes",
+  ndio: "yes",
+  hapana: "no",
+  ruka: "skip",
+  ghairi: "cancel",
+  sitisha: "stop",
+  msaada: "help",
+  menyu: "menu",
+  kubali: "accept",
+  tendua: "undo",
+  rasimu: "drafts",
+  endelea: "continue",
+};
+
+const SW_KIND_WORDS = { mafuta: "fuel", huduma: "service", matumizi: "expense" };
+
+const SW_COMMAND_PHRASES = [
+  [/^ripoti (?:ya )?(mafuta|huduma|matumizi)\b/i, (m) => SW_KIND_WORDS[m[1].toLowerCase()] + " report"],
+  [/^ripoti (?:ya )?madereva$/i, () => "driver report"],
+  [/^(mafuta|huduma|matumizi)\b/i, (m) => SW_KIND_WORDS[m[1].toLowerCase()]],
+  [/^magari yangu$/i, () => "my vehicles"],
+  [/^madereva wangu$/i, () => "my drivers"],
+  [/^ongeza gari\b/i, () => "add vehicle"],
+  [/^lugha\b/i, () => "language"],
+];
+
+const SW_MONTHS = [
+  "januari", "februari", "machi", "aprili", "mei", "juni",
+  "julai", "agosti", "septemba", "oktoba", "novemba", "desemba",
+];
+
+// Periods and options after *ripoti ya …*
+const SW_REPORT_WORDS = [
+  [/\bzote\b/gi, "all"],
+  [/\bmwezi huu\b/gi, "this month"],
+  [/\bmwezi uliopita\b/gi, "last month"],
+  [/\bmwaka huu\b/gi, "this year"],
+  [/\bleo\b/gi, "today"],
+  [/\bsiku (\d+) zilizopita\b/gi, "last $1 days"],
+  [/\bhadi\b/gi, "to"],
+  [/\bna zinazosubiri\b/gi, "with pending"],
+  [new RegExp("\\b(" + SW_MONTHS.join("|") + ")\\b", "gi"), (m) => MONTH_NAMES[SW_MONTHS.indexOf(m.toLowerCase())]],
+];
+
+function translateReplyWord(text) {
+  return SW_REPLY_WORDS[text.trim().toLowerCase()] || text;
+}
+
+function translateCommandWords(text) {
+  const trimmed = text.trim();
+  for (const [re, english] of SW_COMMAND_PHRASES) {
+    const m = trimmed.match(re);
+    if (!m) continue;
+    let rest = trimmed.slice(m[0].length);
+    const command = english(m);
+    if (command.endsWith(" report")) {
+      rest = SW_REPORT_WORDS.reduce((r, [word, replacement]) => r.replace(word, replacement), rest);
+    }
+    return command + rest;
   }
+  return trimmed;
+}
 
-  const vehicle = vRes.vehicle;
+// "language", "language english", "lugha kiswahili"
+async function handleLanguageCommand(userWhatsapp, fullText) {
+  const rest = fullText.trim().replace(/^(language|lugha)\b/i, "").trim();
+  const current = await getUserLanguage(userWhatsapp);
+  const options = Object.values(LANGUAGES)
+    .map((l) => "*" + l.command + "*")
+    .join(" / ");
+
+  if (!rest) {
+    return t(current, "language.current", { language: LANGUAGES[current].label, options });
+  }
+
+  const lang = parseLanguageCode(rest);
+  if (!lang) return t(current, "language.unknown", { options });
 
   await pool.query(
     `
-    INSERT INTO expense_sessions (user_whatsapp, vehicle_id, step)
-    VALUES ($1, $2, 'title')
+    INSERT INTO account_settings (user_whatsapp, language)
+    VALUES ($1, $2)
+    ON CONFLICT (user_whatsapp) DO UPDATE
+      SET language   = EXCLUDED.language,
+          updated_at = NOW()
   `,
-    [userWhatsapp, vehicle.id]
+    [userWhatsapp, lang]
   );
+  console.log("🌐 Language updated:", { userWhatsapp, lang });
+  return t(lang, "language.set");
+}
 
-  return (
-    "💸 Let's log an expense for *" +
-    vehicle.registration +
-    "*.\n" +
-    "What was this expense for?\n" +
-    "Example: *Parking at Yaya*, *Tyres*, *Car wash*"
+// ---------- CURRENCIES ----------
+// Every money log stores its currency. Reports convert totals into the
+// account's currency with the admin-maintained exchange_rates table.
+
+const CURRENCY_CODES = [
+  "KES", "UGX", "TZS", "RWF", "BIF", "SSP", "ETB", "CDF", "ZMW", "USD", "EUR", "GBP", "ZAR",
+];
+
+// Everyday spellings → ISO code
+const CURRENCY_ALIASES = {
+  ksh: "KES",
+  kshs: "KES",
+  ush: "UGX",
+  ushs: "UGX",
+  tsh: "TZS",
+  tshs: "TZS",
+};
+
+// Lower-case words the quick-entry parser treats as a currency
+const CURRENCY_WORDS = [
+  ...CURRENCY_CODES.map((c) => c.toLowerCase()),
+  ...Object.keys(CURRENCY_ALIASES),
+];
+
+function parseCurrencyCode(word) {
+  const w = String(word || "").trim().toLowerCase().replace(/\.$/, "");
+  if (CURRENCY_ALIASES[w]) return CURRENCY_ALIASES[w];
+  const code = w.toUpperCase();
+  return CURRENCY_CODES.includes(code) ? code : null;
+}
+
+// "150000 UGX" / "UGX 150,000" → { amount: 150000, currency: "UGX" };
+// anything else is read as before with currency null
+function parseAmountWithCurrency(text) {
+  const m = String(text || "")
+    .trim()
+    .match(/^(?:([a-z]+)\.?\s*)?(\d[\d,]*(?:\.\d+)?)\s*(?:([a-z]+)\.?)?$/i);
+  const currency = m && (m[1] || m[3]) ? parseCurrencyCode(m[1] || m[3]) : null;
+  if (!currency) return { amount: parseNumber(text), currency: null };
+  return { amount: parseFloat(m[2].replace(/,/g, "")), currency };
+}
+
+function isAdminWhatsapp(userWhatsapp) {
+  const digits = String(userWhatsapp || "").replace(/\D/g, "");
+  return !!digits && ADMIN_WHATSAPP_NUMBERS.includes(digits);
+}
+
+// BASE_CURRENCY comes from the environment, so its rate is seeded at startup
+async function seedBaseExchangeRate() {
+  await pool.query(
+    `
+    INSERT INTO exchange_rates (currency, rate_to_base, updated_by)
+    VALUES ($1, 1, 'system')
+    ON CONFLICT (currency) DO NOTHING
+  `,
+    [BASE_CURRENCY]
   );
 }
 
-async function handleExpenseSessionStep(userWhatsapp, text, session) {
-  const lower = text.trim().toLowerCase();
+async function getAccountCurrency(userWhatsapp) {
+  const res = await pool.query(
+    `SELECT currency FROM account_settings WHERE user_whatsapp = $1`,
+    [userWhatsapp]
+  );
+  return (res.rows[0] && res.rows[0].currency) || BASE_CURRENCY;
+}
 
-  if (lower === "cancel") {
-    await clearAllSessions(userWhatsapp);
-    return (
-      "✅ I’ve cancelled your current entry.\n" +
-      "You can start again with *fuel*, *service*, or *expense*."
-    );
-  }
+// Entries belong to the vehicle owner's account, so drivers use its currency
+async function getVehicleCurrency(vehicleId) {
+  const res = await pool.query(
+    `
+    SELECT s.currency
+    FROM vehicles v
+    LEFT JOIN account_settings s
+      ON s.user_whatsapp = v.owner_whatsapp
+    WHERE v.id = $1
+  `,
+    [vehicleId]
+  );
+  return (res.rows[0] && res.rows[0].currency) || BASE_CURRENCY;
+}
 
-  if (session.step === "title") {
-    const title = text.trim();
-    if (!title) {
-      return (
-        "Please describe the expense.\n" +
-        "Example: *Parking at Yaya*, *Tyres*, *Car wash*"
-      );
-    }
+/**
+ * SQL expression for `amountCol` (stored in `currencyCol`) converted to
+ * `target`. NULL when either rate is missing, so SUM() skips it and
+ * COUNT(*) FILTER (WHERE … IS NULL) can report what wasn't converted.
+ */
+function convertAmountSql(amountCol, currencyCol, target) {
+  const code = parseCurrencyCode(target) || BASE_CURRENCY;
+  // fx_code rather than currency, so an unqualified `currencyCol` still
+  // refers to the outer row
+  const rate = (cur) =>
+    `(SELECT fx.rate_to_base FROM (SELECT currency AS fx_code, rate_to_base FROM exchange_rates) fx WHERE fx.fx_code = ${cur})`;
+  return (
+    `(CASE WHEN ${currencyCol} = '${code}' THEN ${amountCol}` +
+    ` ELSE ${amountCol} * ${rate(currencyCol)} / ${rate(`'${code}'`)} END)`
+  );
+}
 
-    await pool.query(
-      `
-      UPDATE expense_sessions
-      SET title = $1,
-          step = 'amount',
-          updated_at = NOW()
-      WHERE id = $2
-    `,
-      [title, session.id]
-    );
+// Report footnote for entries that couldn't be converted
+function unconvertedNote(stats, currency, lang = DEFAULT_LANGUAGE) {
+  if (!stats || !stats.unconverted) return "";
+  return "\n" + t(lang, "report.unconverted", { count: stats.unconverted, currency });
+}
 
-    return (
-      "How much did you pay for this expense? (KES)\n" +
-      "Example: *1500*"
-    );
+// "currency" / "currency UGX" – the account's default currency
+async function handleCurrencyCommand(userWhatsapp, fullText) {
+  const rest = fullText.trim().replace(/^currency\b/i, "").trim();
+  const current = await getAccountCurrency(userWhatsapp);
+  const lang = await getUserLanguage(userWhatsapp);
+  const supported = CURRENCY_CODES.join(", ");
+
+  if (!rest) {
+    return t(lang, "currency.current", { currency: current, supported });
   }
 
-  if (session.step === "amount") {
-    const amount = parseNumber(text);
-    if (isNaN(amount) || amount <= 0) {
-      return (
-        "Please send the expense *amount* in KES.\n" +
-        "Example: *1500*"
-      );
-    }
+  const code = parseCurrencyCode(rest);
+  if (!code) {
+    return t(lang, "currency.unknown", { currency: rest, supported });
+  }
 
-    await pool.query(
-      `
-      UPDATE expense_sessions
-      SET amount = $1,
-          step = 'odometer',
+  await pool.query(
+    `
+    INSERT INTO account_settings (user_whatsapp, currency)
+    VALUES ($1, $2)
+    ON CONFLICT (user_whatsapp) DO UPDATE
+      SET currency   = EXCLUDED.currency,
           updated_at = NOW()
-      WHERE id = $2
-    `,
-      [amount, session.id]
-    );
+  `,
+    [userWhatsapp, code]
+  );
 
-    return (
-      "What was the *odometer reading* when this expense happened?\n" +
-      "Example: *145000*\n\n" +
-      "Reply *skip* if the odometer is not relevant."
-    );
-  }
+  const rate = await pool.query(`SELECT 1 FROM exchange_rates WHERE currency = $1`, [code]);
+  return (
+    t(lang, "currency.saved", { currency: code }) +
+    (rate.rows.length === 0 ? t(lang, "currency.no_rate", { currency: code }) : "")
+  );
+}
 
-  if (session.step === "odometer") {
-    let odometer = null;
-    if (lower !== "skip") {
-      odometer = parseNumber(text);
-      if (isNaN(odometer) || odometer < 0) {
-        return (
-          "Please send the odometer reading as a number.\n" +
-          "Example: *145000*\n\n" +
-          "Or reply *skip*."
-        );
-      }
+// "rates" – list; admins: "rate UGX 0.035" (1 UGX = 0.035 base), "rate UGX off"
+async function handleRateCommand(userWhatsapp, fullText) {
+  const rest = fullText.trim().replace(/^rates?\b/i, "").trim();
+  const lang = await getUserLanguage(userWhatsapp);
+  const base = BASE_CURRENCY;
+
+  if (rest) {
+    if (!isAdminWhatsapp(userWhatsapp)) {
+      return t(lang, "rate.admin_only");
     }
 
-    await pool.query(
-      `
-      UPDATE expense_sessions
-      SET odometer = $1,
-          step = 'notes',
-          updated_at = NOW()
-      WHERE id = $2
-    `,
-      [odometer, session.id]
-    );
+    const m = rest.match(/^([a-z]+)\s+(\S+)$/i);
+    const code = m ? parseCurrencyCode(m[1]) : null;
+    if (!code || code === BASE_CURRENCY) {
+      return t(lang, "rate.help", { base });
+    }
 
-    return (
-      "Any notes about this expense?\n" +
-      "Example: *Parking for town meeting*, *New rear tyre*, etc.\n\n" +
-      "Reply *skip* to leave notes blank."
-    );
-  }
+    if (m[2].toLowerCase() === "off") {
+      await pool.query(`DELETE FROM exchange_rates WHERE currency = $1`, [code]);
+      return t(lang, "rate.removed", { currency: code });
+    }
 
-  if (session.step === "notes") {
-    let notes = null;
-    if (lower !== "skip") {
-      notes = text.trim();
+    const rate = parseNumber(m[2]);
+    if (isNaN(rate) || rate <= 0) {
+      return t(lang, "rate.bad", { currency: code });
     }
 
-    const res = await pool.query(
+    await pool.query(
       `
-      UPDATE expense_sessions
-      SET notes = $1,
-          step = 'confirm',
-          updated_at = NOW()
-      WHERE id = $2
-      RETURNING *
+      INSERT INTO exchange_rates (currency, rate_to_base, updated_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (currency) DO UPDATE
+        SET rate_to_base = EXCLUDED.rate_to_base,
+            updated_by   = EXCLUDED.updated_by,
+            updated_at   = NOW()
     `,
-      [notes, session.id]
-    );
-
-    const s = res.rows[0];
-
-    const vRes = await pool.query(
-      `SELECT registration FROM vehicles WHERE id = $1`,
-      [s.vehicle_id]
+      [code, rate, userWhatsapp]
     );
-    const reg = vRes.rows[0] ? vRes.rows[0].registration : "your vehicle";
+    console.log("💱 Exchange rate updated:", { code, rate, by: userWhatsapp });
+    return t(lang, "rate.saved", { currency: code, rate, base });
+  }
 
-    const amount = s.amount || 0;
-    const amountStr = Number(amount).toFixed(2);
-    const odo = s.odometer != null ? s.odometer : "n/a";
-    const notesStr = s.notes || "n/a";
+  const res = await pool.query(
+    `
+    SELECT currency, rate_to_base, to_char(updated_at, 'YYYY-MM-DD') AS updated
+    FROM exchange_rates
+    WHERE currency <> $1
+    ORDER BY currency
+  `,
+    [BASE_CURRENCY]
+  );
+  if (res.rows.length === 0) {
+    return t(lang, "rate.none") + (isAdminWhatsapp(userWhatsapp) ? t(lang, "rate.none_admin") : "");
+  }
 
-    return (
-      "Please confirm this expense entry:\n" +
-      "Vehicle: *" + reg + "*\n" +
-      "Title: *" + (s.title || "Expense") + "*\n" +
-      "Amount: *" + amountStr + "* KES\n" +
-      "Odometer: *" + odo + "*\n" +
-      "Notes: " + notesStr + "\n\n" +
-      "Reply *YES* to save or *NO* to cancel."
-    );
+  let text = t(lang, "rate.title", { base });
+  for (const r of res.rows) {
+    text +=
+      "• 1 " +
+      r.currency +
+      " = *" +
+      Number(r.rate_to_base) +
+      "* " +
+      BASE_CURRENCY +
+      " (" +
+      formatDate(r.updated, lang) +
+      ")\n";
   }
+  if (isAdminWhatsapp(userWhatsapp)) {
+    text += t(lang, "rate.admin_footer");
+  }
+  return text;
+}
 
-  if (session.step === "confirm") {
-    if (lower === "yes") {
-      const res = await pool.query(
-        `SELECT * FROM expense_sessions WHERE id = $1`,
-        [session.id]
-      );
-      const s = res.rows[0];
+// ---------- QUICK (ONE-LINE) ENTRIES ----------
 
-      try {
-        await pool.query(
-          `
-          INSERT INTO expense_logs (
-            user_whatsapp,
-            vehicle_id,
-            driver_id,
-            title,
-            amount,
-            odometer,
-            notes,
-            message_text
-          )
-          VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
-        `,
-          [
-            s.user_whatsapp,
-            s.vehicle_id,
-            null,
-            s.title,
-            s.amount,
-            s.odometer,
-            s.notes,
-            null,
-          ]
-        );
-      } catch (err) {
-        console.error("❌ Error saving expense log:", err.message);
-        return (
-          "Sorry, I couldn't save that expense entry due to a system error.\n" +
-          "Please try again later."
-        );
-      }
+const SERVICE_SHORT_TYPES = ["minor", "major", "full", "basic", "interim"];
 
-      await clearExpenseSession(userWhatsapp);
+function capitalizeFirst(str) {
+  return str ? str.charAt(0).toUpperCase() + str.slice(1) : str;
+}
 
-      return "✅ Expense entry saved.\nYou can log another one any time with *expense*.";
+/**
+ * Parse "fuel 3000 25L 145200 Shell Yaya", "service minor 8000 150000",
+ * "expense parking 200" into session fields. Tokens can come in any order:
+ *  - 25L / 25 litres          → litres (fuel)
+ *  - 145200km / 145,200 km    → odometer
+ *  - KES 3000 / 3000ksh / 3000/= → amount
+ *  - 150000 UGX / UGX 150000  → amount in that currency
+ *  - two bare numbers         → smaller is the amount, larger the odometer
+ *  - one bare number          → the amount
+ *  - words                    → station / service type / expense title
+ * Returns null if there is nothing after the command word.
+ */
+function parseQuickEntry(kind, fullText) {
+  const rest = fullText.trim().replace(/^\S+\s*/, "");
+  if (!rest) return null;
+
+  const num = "(\\d[\\d,]*(?:\\.\\d+)?)";
+  const cur = "(" + CURRENCY_WORDS.join("|") + ")";
+  // "150000 UGX" binds before "UGX 150000"
+  const normalised = rest
+    .replace(
+      new RegExp(num + "\\s+(l|ltrs?|litres?|liters?|km|kms|" + CURRENCY_WORDS.join("|") + ")\\b", "gi"),
+      "$1$2"
+    )
+    .replace(new RegExp("\\b" + cur + "\\.?\\s*" + num + "(?![\\d,.]*[a-z])", "gi"), "$2$1")
+    .replace(/(\d)\s*\/=/g, "$1/=");
+
+  const toNum = (str) => parseFloat(str.replace(/,/g, ""));
+  let litres = null;
+  let odometer = null;
+  let amount = null;
+  let currency = null;
+  const bare = [];
+  const words = [];
+
+  for (const token of normalised.split(/\s+/)) {
+    const t = token.toLowerCase();
+    let m;
+    if ((m = t.match(new RegExp("^" + num + "(?:l|ltrs?|litres?|liters?)$")))) {
+      litres = toNum(m[1]);
+    } else if ((m = t.match(new RegExp("^" + num + "(?:km|kms)$")))) {
+      odometer = toNum(m[1]);
+    } else if ((m = t.match(new RegExp("^" + num + "(?:/=|" + cur + ")$")))) {
+      amount = toNum(m[1]);
+      if (m[2]) currency = parseCurrencyCode(m[2]);
+    } else if ((m = t.match(new RegExp("^" + num + "$")))) {
+      bare.push(toNum(m[1]));
+    } else {
+      words.push(token);
     }
+  }
 
-    if (lower === "no") {
-      await clearExpenseSession(userWhatsapp);
-      return "Okay, I’ve cancelled that expense entry.\nYou can start again with *expense*.";
+  if (amount == null && odometer == null && bare.length >= 2) {
+    const [a, b] = bare.splice(0, 2);
+    amount = Math.min(a, b);
+    odometer = Math.max(a, b);
+  }
+  if (amount == null && bare.length) amount = bare.shift();
+  if (odometer == null && bare.length) odometer = bare.shift();
+  // Leftover numbers belong to the text (e.g. "Total 24")
+  words.push(...bare.map(String));
+
+  const fields = {};
+  if (odometer != null) fields.odometer = odometer;
+  if (currency) fields.currency = currency;
+
+  if (kind === "fuel") {
+    if (amount != null) fields.amount = amount;
+    if (litres != null) fields.litres = litres;
+    let station = words.join(" ");
+    if (FULL_TANK_RE.test(station)) {
+      fields.notes = "Full tank";
+      station = station.replace(FULL_TANK_RE, "").replace(/\s+/g, " ").trim();
     }
-
-    return "Please reply *YES* to save or *NO* to cancel this expense entry.";
+    if (station) fields.station = station;
+  } else if (kind === "service") {
+    if (amount != null) fields.cost_amount = amount;
+    const stype = words.join(" ");
+    if (stype) {
+      fields.service_type = SERVICE_SHORT_TYPES.includes(stype.toLowerCase())
+        ? capitalizeFirst(stype.toLowerCase()) + " service"
+        : capitalizeFirst(stype);
+    }
+  } else if (kind === "expense") {
+    if (amount != null) fields.amount = amount;
+    const title = words.join(" ");
+    if (title) fields.title = capitalizeFirst(title);
   }
 
-  return "Something went wrong in this expense entry. Please start again with *expense*.";
+  return fields;
 }
 
-async function buildExpenseReport(userWhatsapp, scope) {
-  // scope: "vehicle" | "all"
-  let whereClause = "user_whatsapp = $1";
-  const params = [userWhatsapp];
+// Start a quick entry at its first missing required field, or at confirm
+async function startQuickEntry(kind, userWhatsapp, vehicle, fields) {
+  const flow = CONVERSATION_FLOWS[kind];
+  const lang = await getUserLanguage(userWhatsapp);
+  if (!fields.currency) fields.currency = await getVehicleCurrency(vehicle.id);
+
+  const data = { vehicle_id: vehicle.id, quick_entry: true, ...fields };
+  const c = await startConversation(
+    userWhatsapp,
+    kind,
+    data,
+    nextConversationStep(flow, data)
+  );
 
-  if (scope === "vehicle") {
-    const vRes = await ensureCurrentVehicle(userWhatsapp);
-    if (vRes.status === "NO_VEHICLES") {
-      return (
-        "You don't have any vehicles yet.\n\n" +
-        "Add one with:\n" +
-        "*add vehicle KDA 123A*"
-      );
-    }
-    if (vRes.status === "NEED_SET_CURRENT") {
-      const list = formatVehiclesList(vRes.list, true);
-      return (
-        "You have multiple vehicles. Please set your current vehicle first.\n\n" +
-        list +
-        "\n\nUse *switch to 1* (for example), then send *expense report* again."
-      );
+  // A doubtful odometer sends the entry through the odometer step first
+  if (fields.odometer != null) {
+    const problem = await validateOdometerStep(c, fields.odometer, lang);
+    if (problem) {
+      await updateConversation(c.id, "odometer", { odometer: null });
+      return t(lang, "common.quick_check", { reg: vehicle.registration }) + problem;
     }
-    const vehicle = vRes.vehicle;
-    whereClause += " AND vehicle_id = $2";
-    params.push(vehicle.id);
   }
 
-  const statsSql = `
-    SELECT
-      COUNT(*)::INT AS cnt,
-      COALESCE(SUM(amount),0)::NUMERIC(12,2) AS total,
-      COALESCE(AVG(amount),0)::NUMERIC(12,2) AS avg,
-      MIN(created_at) AS first_ts,
-      MAX(created_at) AS last_ts
-    FROM expense_logs
-    WHERE ${whereClause}
-  `;
+  const reply = await conversationPrompt(c, lang);
+  if (c.step === "confirm") return reply;
+  return t(lang, "common.quick_one_more", { reg: vehicle.registration }) + reply;
+}
 
-  const statsRes = await pool.query(statsSql, params);
-  const stats = statsRes.rows[0];
+// ---------- DRAFTS (PARKED ENTRIES) ----------
+// An entry left without a reply for SESSION_IDLE_MINUTES is parked, so the
+// next message is read as a new command instead of an answer. *drafts*
+// lists parked entries and *continue* picks one up at the step it stopped on.
 
-  if (!stats || stats.cnt === 0) {
-    if (scope === "vehicle") {
-      return (
-        "You have no *expense* entries yet for your current vehicle.\n\n" +
-        "Log one with *expense*."
-      );
-    }
-    return (
-      "You have no *expense* entries yet across your vehicles.\n\n" +
-      "Log one with *expense*."
+/**
+ * Park open entries idle for at least `idleMinutes` (0 parks every open
+ * entry). Returns the flows that were parked, e.g. ["fuel"].
+ */
+async function parkConversations(userWhatsapp, idleMinutes = 0) {
+  const res = await pool.query(
+    `
+    UPDATE conversations
+    SET status = 'PARKED'
+    WHERE user_whatsapp = $1
+      AND status = 'ACTIVE'
+      AND updated_at <= NOW() - $2 * INTERVAL '1 minute'
+    RETURNING flow
+  `,
+    [userWhatsapp, idleMinutes]
+  );
+  return res.rows.map((r) => r.flow);
+}
+
+// Parked entries, most recently touched first – the order *continue N* uses
+async function getParkedConversations(userWhatsapp) {
+  const res = await pool.query(
+    `
+    SELECT c.*, v.registration
+    FROM conversations c
+    LEFT JOIN vehicles v
+      ON v.id = (c.data->>'vehicle_id')::INT
+    WHERE c.user_whatsapp = $1
+      AND c.status = 'PARKED'
+    ORDER BY c.updated_at DESC, c.id DESC
+  `,
+    [userWhatsapp]
+  );
+  return res.rows;
+}
+
+async function handleDraftsCommand(userWhatsapp) {
+  const lang = await getUserLanguage(userWhatsapp);
+  const drafts = await getParkedConversations(userWhatsapp);
+  if (drafts.length === 0) {
+    return t(lang, "drafts.none", { minutes: SESSION_IDLE_MINUTES });
+  }
+
+  let text = t(lang, "drafts.title");
+  const items = drafts.map((d, i) => {
+    const kind = kindVars(lang, d.flow);
+    const summary = CONVERSATION_FLOWS[d.flow].summary(d.data, lang);
+    text +=
+      t(lang, "drafts.line", {
+        index: i + 1,
+        ...kind,
+        reg: d.registration ? " – " + d.registration : "",
+        summary: summary ? " – " + summary : "",
+        date: formatDate(d.updated_at, lang),
+      }) + "\n";
+    return {
+      id: "continue " + (i + 1),
+      title: kind.Kind + (d.registration ? " – " + d.registration : ""),
+      description: summary,
+    };
+  });
+  text += t(lang, "drafts.footer");
+
+  return { body: text, list: { button: t(lang, "picker.draft"), items } };
+}
+
+// "continue" (latest draft) or "continue 2"
+async function handleContinueCommand(userWhatsapp, fullText) {
+  const lang = await getUserLanguage(userWhatsapp);
+  const match = fullText.trim().match(/^(?:continue|endelea)(?:\s+(\d+))?$/i);
+  const index = match && match[1] ? parseInt(match[1], 10) : 1;
+
+  const drafts = await getParkedConversations(userWhatsapp);
+  if (drafts.length === 0) {
+    return t(lang, "drafts.none", { minutes: SESSION_IDLE_MINUTES });
+  }
+  if (index < 1 || index > drafts.length) {
+    return t(lang, "drafts.bad_index", { count: drafts.length });
+  }
+
+  const draft = drafts[index - 1];
+
+  // Only one entry is open at a time – park whatever was open before
+  const parkedNow = await parkConversations(userWhatsapp);
+  await setConversationStatus(draft.id, "ACTIVE");
+  console.log("▶️ Draft resumed:", { userWhatsapp, flow: draft.flow, id: draft.id });
+
+  let text = parkedNow.map((flow) => t(lang, "drafts.parked_now", kindVars(lang, flow))).join("");
+  text += draft.registration
+    ? t(lang, "drafts.resumed", { ...kindVars(lang, draft.flow), reg: draft.registration })
+    : t(lang, "drafts.resumed_no_vehicle", kindVars(lang, draft.flow));
+
+  const prompt = await conversationPrompt(draft, lang);
+  return typeof prompt === "string" ? text + prompt : { ...prompt, body: text + prompt.body };
+}
+
+/**
+ * Commands that work in the middle of an entry without touching it: help,
+ * drafts, continue and language. Returns null for anything else.
+ */
+async function handleGlobalCommand(userWhatsapp, text, lang) {
+  const lower = text.trim().toLowerCase();
+  let reply = null;
+
+  if (lower === "help" || lower === "menu") {
+    reply = {
+      body: t(lang, "help.menu"),
+      list: helpMenuList(lang),
+      prompt: t(lang, "menu.prompt"),
+    };
+  } else if (lower === "drafts") {
+    reply = await handleDraftsCommand(userWhatsapp);
+  } else if (/^(continue|endelea)(\s+\d+)?$/.test(lower)) {
+    return handleContinueCommand(userWhatsapp, text);
+  } else if (/^(language|lugha)\b/.test(lower)) {
+    reply = await handleLanguageCommand(userWhatsapp, text);
+    lang = await getUserLanguage(userWhatsapp);
+  } else {
+    return null;
+  }
+
+  // Remind them the entry they were on is still waiting
+  const active = await getActiveConversation(userWhatsapp);
+  if (!active) return reply;
+  const note = t(lang, "drafts.still_open", kindVars(lang, active.flow));
+  return typeof reply === "string" ? reply + note : { ...reply, body: reply.body + note };
+}
+
+// ---------- ODOMETER TIMELINE ----------
+// One odometer timeline per vehicle from fuel, service and expense logs
+// (rejected entries excluded), starting at the latest odometer reset.
+
+const ODOMETER_SOURCES = [
+  { source: "fuel", table: "fuel_logs" },
+  { source: "service", table: "service_logs" },
+  { source: "expense", table: "expense_logs" },
+];
+
+async function getLastOdometerReset(vehicleId) {
+  const res = await pool.query(
+    `
+    SELECT *
+    FROM odometer_resets
+    WHERE vehicle_id = $1
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  `,
+    [vehicleId]
+  );
+  return res.rows[0] || null;
+}
+
+/**
+ * Readings since the latest reset, oldest first:
+ * [{ source, log_id, odometer, created_at }] – the reset itself is source "reset".
+ * options.before (Date) and options.exclude ({ source, id }) let a saved
+ * entry be checked against everything logged before it.
+ */
+async function getOdometerReadings(vehicleId, options = {}) {
+  const reset = await getLastOdometerReset(vehicleId);
+  const params = [vehicleId, reset ? reset.created_at : new Date(0)];
+  let extra = "";
+  if (options.before) {
+    params.push(options.before);
+    extra += ` AND created_at <= $${params.length}`;
+  }
+
+  const parts = ODOMETER_SOURCES.map(
+    (src) => `
+      SELECT '${src.source}' AS source, id AS log_id, odometer, created_at
+      FROM ${src.table}
+      WHERE vehicle_id = $1
+        AND odometer IS NOT NULL
+        AND approval_status <> 'rejected'
+        AND created_at >= $2${extra}`
+  );
+  const res = await pool.query(
+    `SELECT * FROM (${parts.join("\n      UNION ALL")}\n    ) r ORDER BY created_at ASC, log_id ASC`,
+    params
+  );
+
+  let readings = res.rows;
+  if (options.exclude) {
+    readings = readings.filter(
+      (r) => !(r.source === options.exclude.source && r.log_id === options.exclude.id)
     );
   }
+  if (reset) {
+    readings.unshift({
+      source: "reset",
+      log_id: reset.id,
+      odometer: reset.new_reading,
+      previous_reading: reset.previous_reading,
+      created_at: reset.created_at,
+    });
+  }
+  return readings;
+}
 
-  const last5Sql = `
-    SELECT
-      e.*,
-      v.registration
-    FROM expense_logs e
-    LEFT JOIN vehicles v
-      ON v.id = e.vehicle_id
-    WHERE ${whereClause}
-    ORDER BY e.created_at DESC
-    LIMIT 5
-  `;
+/**
+ * Is `reading` plausible as the vehicle's next odometer value?
+ * → { status: "ok" | "lower" | "high", last, km, hours }
+ * "high" means more distance than MAX_KM_PER_HOUR allows since the last
+ * reading (at least an hour's driving, so back-to-back entries are fine).
+ */
+async function checkOdometerReading(vehicleId, reading, options = {}) {
+  const readings = await getOdometerReadings(vehicleId, options);
+  const last = readings.length ? readings[readings.length - 1] : null;
+  if (!last) return { status: "ok", last: null };
+
+  const at = options.before || new Date();
+  const km = Number(reading) - Number(last.odometer);
+  const hours = (at - new Date(last.created_at)) / 3600000;
+
+  if (km < 0) return { status: "lower", last, km, hours };
+  if (km > Math.max(hours, 1) * MAX_KM_PER_HOUR) {
+    return { status: "high", last, km, hours };
+  }
+  return { status: "ok", last, km, hours };
+}
 
-  const last5Res = await pool.query(last5Sql, params);
-  const rows = last5Res.rows;
+function formatElapsedHours(hours, lang = DEFAULT_LANGUAGE) {
+  if (hours < 1) return t(lang, "odometer.under_an_hour");
+  if (hours < 48) return t(lang, "odometer.hours", { count: Math.round(hours) });
+  return t(lang, "odometer.days", { count: Math.round(hours / 24) });
+}
 
-  let titleLine =
-    scope === "vehicle"
-      ? "💸 *Expense summary – current vehicle*"
-      : "💸 *Expense summary – all vehicles*";
+function describeLastReading(last, lang = DEFAULT_LANGUAGE) {
+  return t(lang, "odometer.last_reading", {
+    km: formatKm(last.odometer),
+    date: toIsoDate(new Date(last.created_at)),
+    source: odometerSourceLabel(last.source, lang),
+  });
+}
 
-  if (scope === "vehicle") {
-    const vRes = await ensureCurrentVehicle(userWhatsapp);
-    if (vRes.status === "OK" && vRes.vehicle) {
-      titleLine =
-        "💸 *Expense summary – " + vRes.vehicle.registration + "*";
+function odometerSourceLabel(source, lang = DEFAULT_LANGUAGE) {
+  return source === "reset" ? t(lang, "odometer.source_reset") : t(lang, "kind." + source);
+}
+
+/**
+ * Shared check for every "odometer" conversation step. Returns a reply when
+ * the reading is refused or needs confirming, or null to accept it. A
+ * reading that looks too high is accepted when the sender repeats it.
+ */
+async function validateOdometerStep(c, odometer, lang = DEFAULT_LANGUAGE) {
+  const check = await checkOdometerReading(c.data.vehicle_id, odometer);
+
+  if (check.status === "lower") {
+    return t(lang, "odometer.lower", {
+      km: formatKm(odometer),
+      last: describeLastReading(check.last, lang),
+      reading: Math.round(odometer),
+    });
+  }
+
+  if (check.status === "high" && Number(c.data.odometer_check) !== odometer) {
+    await updateConversation(c.id, null, { odometer_check: odometer });
+    return t(lang, "odometer.high", {
+      km: formatKm(odometer),
+      more: formatKm(check.km),
+      last: describeLastReading(check.last, lang),
+      elapsed: formatElapsedHours(check.hours, lang),
+      reading: odometer,
+    });
+  }
+
+  return null;
+}
+
+// "odometer" – latest reading and history; "odometer reset 0 new dashboard"
+async function handleOdometerCommand(userWhatsapp, fullText) {
+  const rest = fullText.trim().replace(/^odometer\b/i, "").trim();
+  const lang = await getUserLanguage(userWhatsapp);
+
+  const vRes = await ensureCurrentVehicle(userWhatsapp);
+  if (vRes.status === "NO_VEHICLES") {
+    return t(lang, "vehicle.none");
+  }
+  if (vRes.status === "NEED_SET_CURRENT") {
+    const list = formatVehiclesList(vRes.list, true, lang);
+    return t(lang, "vehicle.pick_current", { list, command: "odometer" });
+  }
+  const vehicle = vRes.vehicle;
+
+  if (/^reset\b/i.test(rest)) {
+    const m = rest.match(/^reset\s+([\d,.]+)\s*(?:km)?\s*(.*)$/i);
+    const reading = m ? parseNumber(m[1]) : NaN;
+    if (!m || isNaN(reading) || reading < 0) {
+      return t(lang, "odometer.reset_help");
     }
+
+    const readings = await getOdometerReadings(vehicle.id);
+    const last = readings.length ? readings[readings.length - 1] : null;
+    await pool.query(
+      `
+      INSERT INTO odometer_resets (vehicle_id, previous_reading, new_reading, note, reset_by)
+      VALUES ($1, $2, $3, $4, $5)
+    `,
+      [vehicle.id, last ? last.odometer : null, reading, m[2] || null, userWhatsapp]
+    );
+
+    return t(lang, "odometer.reset_done", {
+      reg: vehicle.registration,
+      from: last ? formatKm(last.odometer) + " km → " : "",
+      km: formatKm(reading),
+    });
   }
 
-  const periodStart = stats.first_ts
-    ? String(stats.first_ts).slice(0, 10)
-    : "-";
-  const periodEnd = stats.last_ts ? String(stats.last_ts).slice(0, 10) : "-";
-  const totalStr = Number(stats.total || 0).toFixed(2);
-  const avgStr = Number(stats.avg || 0).toFixed(2);
+  if (rest) {
+    return t(lang, "odometer.help", { reg: vehicle.registration });
+  }
 
-  let text = titleLine + "\n";
-  text +=
-    "Period: *" +
-    periodStart +
-    "* → *" +
-    periodEnd +
-    "*\n" +
-    "Expenses: *" +
-    stats.cnt +
-    "*\n" +
-    "Total amount: *" +
-    totalStr +
-    "* KES\n" +
-    "Average per expense: *" +
-    avgStr +
-    "* KES\n";
+  const readings = await getOdometerReadings(vehicle.id);
+  if (readings.length === 0) {
+    return t(lang, "odometer.none", { reg: vehicle.registration });
+  }
 
-  text += "\n💸 *Last 5 expenses*:\n";
-  for (const r of rows) {
-    const d = r.created_at ? String(r.created_at).slice(0, 10) : "";
-    const amtStr = Number(r.amount || 0).toFixed(2);
-    const title = r.title || "Expense";
-    const odo =
-      r.odometer != null && r.odometer !== ""
-        ? " @ *" + Number(r.odometer).toFixed(2) + "* km"
-        : "";
-    const reg = r.registration ? " – " + r.registration : "";
+  const last = readings[readings.length - 1];
+  let text = t(lang, "odometer.title", {
+    reg: vehicle.registration,
+    km: formatKm(last.odometer),
+    date: toIsoDate(new Date(last.created_at)),
+  });
+  for (const r of readings.slice(-10).reverse()) {
     text +=
       "• " +
-      d +
+      toIsoDate(new Date(r.created_at)) +
       " – *" +
-      amtStr +
-      "* KES – " +
-      title +
-      odo +
-      reg +
+      formatKm(r.odometer) +
+      "* km – " +
+      capitalizeFirst(odometerSourceLabel(r.source, lang)) +
       "\n";
   }
+  text += t(lang, "odometer.footer");
+  return text;
+}
 
-  if (scope === "all") {
-    const topSql = `
-      SELECT
-        v.registration,
-        COALESCE(SUM(e.amount),0)::NUMERIC(12,2) AS total
-      FROM expense_logs e
-      LEFT JOIN vehicles v
-        ON v.id = e.vehicle_id
-      WHERE e.user_whatsapp = $1
-      GROUP BY v.registration
-      ORDER BY total DESC
-      LIMIT 5
-    `;
-    const topRes = await pool.query(topSql, [userWhatsapp]);
-    const tops = topRes.rows;
+// ---------- FUEL FLOW ----------
 
-    if (tops.length > 0) {
-      text += "\n🚗 *Top vehicles by other expenses*:\n";
-      for (const t of tops) {
-        const reg = t.registration || "Unassigned";
-        const tStr = Number(t.total || 0).toFixed(2);
-        text += "• *" + reg + "* – *" + tStr + "* KES total\n";
-      }
-    }
+async function handleFuelIntent(userWhatsapp, fullText) {
+  const target = await resolveLoggingVehicle(userWhatsapp, "fuel");
+  if (target.reply) return target.reply;
+
+  const vehicle = target.vehicle;
+
+  // One-line entry, e.g. "fuel 3000 25L 145200 Shell Yaya"
+  const quick = parseQuickEntry("fuel", fullText || "");
+  if (quick) {
+    return startQuickEntry("fuel", userWhatsapp, vehicle, quick);
   }
 
-  text +=
-    "\nYou can log a new expense anytime with *expense*.\n" +
-    "Use *expense report* for the current vehicle, or *expense report all* for your whole fleet.";
+  const c = await startConversation(userWhatsapp, "fuel", {
+    vehicle_id: vehicle.id,
+    currency: await getVehicleCurrency(vehicle.id),
+  });
 
-  return text;
+  const lang = await getUserLanguage(userWhatsapp);
+  return t(lang, "fuel.start", { reg: vehicle.registration }) + (await conversationPrompt(c, lang));
 }
 
-// ---------- SERVICE REPORT ----------
+async function buildFuelConfirmMessage(c) {
+  const s = c.data;
+  const vRes = await pool.query(
+    `SELECT registration FROM vehicles WHERE id = $1`,
+    [s.vehicle_id]
+  );
+  const lang = await getUserLanguage(c.user_whatsapp);
+  const na = t(lang, "common.na");
+  const reg = vRes.rows[0] ? vRes.rows[0].registration : t(lang, "common.your_vehicle");
+
+  const amount = s.amount || 0;
+  const amountStr = formatNumber(amount, lang);
+  const litres = s.litres != null ? formatNumber(s.litres, lang) : na;
+  const odo = s.odometer != null ? s.odometer : na;
+  const station = s.station || na;
+  const notesStr = s.notes || na;
+  const receiptCount = await countConversationReceipts(c.id);
+  const anomalies = await detectFuelAnomalies({
+    vehicle_id: s.vehicle_id,
+    amount: s.amount,
+    currency: s.currency,
+    litres: s.litres,
+    odometer: s.odometer,
+    notes: s.notes,
+  }, lang);
+
+  const body =
+    t(lang, "entry.confirm_title", kindVars(lang, "fuel")) + "\n" +
+    t(lang, "label.vehicle") + ": *" + reg + "*\n" +
+    t(lang, "label.amount") + ": *" + amountStr + "* " + (s.currency || BASE_CURRENCY) + "\n" +
+    t(lang, "label.litres") + ": *" + litres + "*\n" +
+    t(lang, "label.odometer") + ": *" + odo + "*\n" +
+    t(lang, "label.station") + ": *" + station + "*\n" +
+    t(lang, "label.notes") + ": " + notesStr + "\n" +
+    receiptLineForConfirm(receiptCount, lang) + "\n" +
+    (anomalies.length ? formatFuelAnomalyWarnings(anomalies, lang) + "\n" : "") +
+    t(lang, "common.reply_yes_no");
+  return { body, buttons: yesNoButtons(lang) };
+}
 
-async function buildServiceReport(userWhatsapp, scope) {
-  let whereClause = "user_whatsapp = $1";
-  const params = [userWhatsapp];
+// YES on a fuel entry: save the log, then run the budget / anomaly / service checks
+// Runs inside the confirm transaction – database writes only (see afterSave)
+async function saveFuelConversation(c, lang, db) {
+  const s = c.data;
+  const who = await resolveLogAttribution(c.user_whatsapp, s.vehicle_id, lang, "fuel", db);
+  if (who.refusal) return who;
+  const inserted = await db.query(
+    `
+    INSERT INTO fuel_logs (
+      user_whatsapp,
+      vehicle_id,
+      driver_id,
+      amount,
+      litres,
+      odometer,
+      station,
+      notes,
+      message_text,
+      submitted_by,
+      approval_status,
+      currency
+    )
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+    RETURNING id
+  `,
+    [
+      who.ownerWhatsapp,
+      s.vehicle_id,
+      who.driverId,
+      s.amount,
+      s.litres,
+      s.odometer,
+      s.station,
+      s.notes,
+      null,
+      who.submittedBy,
+      who.approvalStatus,
+      s.currency || (await getVehicleCurrency(s.vehicle_id)),
+    ]
+  );
+  const fuelLogId = inserted.rows[0].id;
+  await attachConversationReceipts(c.id, fuelLogId, db);
+  await recordLogChange(
+    {
+      userWhatsapp: c.user_whatsapp,
+      logType: "fuel",
+      logId: fuelLogId,
+      action: "create",
+    },
+    db
+  );
+  const approval =
+    who.approvalStatus === "pending"
+      ? await createApprovalRequest("fuel", fuelLogId, who, db)
+      : null;
 
-  if (scope === "vehicle") {
-    const vRes = await ensureCurrentVehicle(userWhatsapp);
-    if (vRes.status === "NO_VEHICLES") {
-      return (
-        "You don't have any vehicles yet.\n\n" +
-        "Add one with:\n" +
-        "*add vehicle KDA 123A*"
-      );
-    }
-    if (vRes.status === "NEED_SET_CURRENT") {
-      const list = formatVehiclesList(vRes.list, true);
-      return (
-        "You have multiple vehicles. Please set your current vehicle first.\n\n" +
-        list +
-        "\n\nUse *switch to 1* (for example), then send *service report* again."
-      );
+  return { logId: fuelLogId, who, approval };
+}
+
+async function afterFuelSaved(c, lang, { logId: fuelLogId, who, approval }) {
+  const s = c.data;
+  const kind = kindVars(lang, "fuel");
+
+  if (approval) {
+    try {
+      await sendApprovalRequest(approval, "fuel", who);
+    } catch (err) {
+      console.error("❌ Error sending fuel approval request:", err.message);
     }
-    const vehicle = vRes.vehicle;
-    whereClause += " AND vehicle_id = $2";
-    params.push(vehicle.id);
   }
 
-  const statsSql = `
-    SELECT
-      COUNT(*)::INT AS cnt,
-      COALESCE(SUM(cost_amount),0)::NUMERIC(12,2) AS total,
-      COALESCE(AVG(cost_amount),0)::NUMERIC(12,2) AS avg,
-      MIN(created_at) AS first_ts,
-      MAX(created_at) AS last_ts
-    FROM service_logs
-    WHERE ${whereClause}
-  `;
-  const statsRes = await pool.query(statsSql, params);
-  const stats = statsRes.rows[0];
+  try {
+    await checkBudgetAlerts(s.vehicle_id, "fuel");
+  } catch (err) {
+    console.error("❌ Error checking fuel budget:", err.message);
+  }
 
-  if (!stats || stats.cnt === 0) {
-    if (scope === "vehicle") {
-      return (
-        "You have no *service* entries yet for your current vehicle.\n\n" +
-        "Log one with *service*."
-      );
+  let anomalies = [];
+  try {
+    anomalies = await flagFuelAnomalies(fuelLogId, who);
+  } catch (err) {
+    console.error("❌ Error checking fuel anomalies:", err.message);
+  }
+
+  try {
+    await checkServiceDue(s.vehicle_id);
+  } catch (err) {
+    console.error("❌ Error checking service due:", err.message);
+  }
+
+  return (
+    t(lang, "entry.saved", kind) +
+    (approval ? t(lang, "common.approval_sent", { id: approval.id }) : "") +
+    (anomalies.length
+      ? t(lang, "fuel.flagged", { count: anomalies.length }) +
+        t(lang, who.submittedBy === who.ownerWhatsapp ? "fuel.flagged_own" : "fuel.flagged_driver")
+      : "") +
+    t(lang, "entry.log_another", kind)
+  );
+}
+
+// ---------- SERVICE FLOW ----------
+
+async function handleServiceIntent(userWhatsapp, fullText) {
+  const target = await resolveLoggingVehicle(userWhatsapp, "service");
+  if (target.reply) return target.reply;
+
+  const vehicle = target.vehicle;
+
+  // One-line entry, e.g. "service minor 8000 150000"
+  const quick = parseQuickEntry("service", fullText || "");
+  if (quick) {
+    return startQuickEntry("service", userWhatsapp, vehicle, quick);
+  }
+
+  const c = await startConversation(userWhatsapp, "service", {
+    vehicle_id: vehicle.id,
+    currency: await getVehicleCurrency(vehicle.id),
+  });
+
+  const lang = await getUserLanguage(userWhatsapp);
+  return (
+    t(lang, "service.start", { reg: vehicle.registration }) + (await conversationPrompt(c, lang))
+  );
+}
+
+async function buildServiceConfirmMessage(c) {
+  const s = c.data;
+  const vRes = await pool.query(
+    `SELECT registration FROM vehicles WHERE id = $1`,
+    [s.vehicle_id]
+  );
+  const lang = await getUserLanguage(c.user_whatsapp);
+  const kind = kindVars(lang, "service");
+  const na = t(lang, "common.na");
+  const reg = vRes.rows[0] ? vRes.rows[0].registration : t(lang, "common.your_vehicle");
+
+  const cost = s.cost_amount || 0;
+  const costStr = formatNumber(cost, lang);
+  const odo = s.odometer != null ? s.odometer : na;
+  const notesStr = s.notes || na;
+  const receiptCount = await countConversationReceipts(c.id);
+
+  const body =
+    t(lang, "entry.confirm_title", kind) + "\n" +
+    t(lang, "label.vehicle") + ": *" + reg + "*\n" +
+    t(lang, "label.type") + ": *" + (s.service_type || kind.Kind) + "*\n" +
+    t(lang, "label.cost") + ": *" + costStr + "* " + (s.currency || BASE_CURRENCY) + "\n" +
+    t(lang, "label.odometer") + ": *" + odo + "*\n" +
+    t(lang, "label.notes") + ": " + notesStr + "\n" +
+    receiptLineForConfirm(receiptCount, lang) + "\n" +
+    t(lang, "common.reply_yes_no");
+  return { body, buttons: yesNoButtons(lang) };
+}
+
+// Runs inside the confirm transaction – database writes only (see afterSave)
+async function saveServiceConversation(c, lang, db) {
+  const s = c.data;
+  const who = await resolveLogAttribution(c.user_whatsapp, s.vehicle_id, lang, "service", db);
+  if (who.refusal) return who;
+  const inserted = await db.query(
+    `
+    INSERT INTO service_logs (
+      user_whatsapp,
+      vehicle_id,
+      driver_id,
+      service_type,
+      cost_amount,
+      odometer,
+      notes,
+      message_text,
+      submitted_by,
+      approval_status,
+      currency
+    )
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+    RETURNING id
+  `,
+    [
+      who.ownerWhatsapp,
+      s.vehicle_id,
+      who.driverId,
+      s.service_type,
+      s.cost_amount,
+      s.odometer,
+      s.notes,
+      null,
+      who.submittedBy,
+      who.approvalStatus,
+      s.currency || (await getVehicleCurrency(s.vehicle_id)),
+    ]
+  );
+  const serviceLogId = inserted.rows[0].id;
+  await attachConversationReceipts(c.id, serviceLogId, db);
+  await recordLogChange(
+    {
+      userWhatsapp: c.user_whatsapp,
+      logType: "service",
+      logId: serviceLogId,
+      action: "create",
+    },
+    db
+  );
+  const approval =
+    who.approvalStatus === "pending"
+      ? await createApprovalRequest("service", serviceLogId, who, db)
+      : null;
+
+  return { logId: serviceLogId, who, approval };
+}
+
+async function afterServiceSaved(c, lang, { who, approval }) {
+  const s = c.data;
+  const kind = kindVars(lang, "service");
+
+  if (approval) {
+    try {
+      await sendApprovalRequest(approval, "service", who);
+    } catch (err) {
+      console.error("❌ Error sending service approval request:", err.message);
     }
-    return (
-      "You have no *service* entries yet across your vehicles.\n\n" +
-      "Log one with *service*."
-    );
   }
 
-  const last5Sql = `
-    SELECT
-      s.*,
-      v.registration
-    FROM service_logs s
-    LEFT JOIN vehicles v
-      ON v.id = s.vehicle_id
-    WHERE ${whereClause}
-    ORDER BY s.created_at DESC
-    LIMIT 5
-  `;
-  const last5Res = await pool.query(last5Sql, params);
-  const rows = last5Res.rows;
+  try {
+    await checkBudgetAlerts(s.vehicle_id, "service");
+  } catch (err) {
+    console.error("❌ Error checking service budget:", err.message);
+  }
+
+  return (
+    t(lang, "entry.saved", kind) +
+    (approval ? t(lang, "common.approval_sent", { id: approval.id }) : "") +
+    t(lang, "entry.log_another", kind)
+  );
+}
+
+// ---------- EXPENSE FLOW & REPORT ----------
+
+async function handleExpenseIntent(userWhatsapp, fullText) {
+  const target = await resolveLoggingVehicle(userWhatsapp, "expense");
+  if (target.reply) return target.reply;
+
+  const vehicle = target.vehicle;
+
+  // One-line entry, e.g. "expense parking 200"
+  const quick = parseQuickEntry("expense", fullText || "");
+  if (quick) {
+    return startQuickEntry("expense", userWhatsapp, vehicle, quick);
+  }
+
+  const c = await startConversation(userWhatsapp, "expense", {
+    vehicle_id: vehicle.id,
+    currency: await getVehicleCurrency(vehicle.id),
+  });
+
+  const lang = await getUserLanguage(userWhatsapp);
+  return (
+    t(lang, "expense.start", { reg: vehicle.registration }) + (await conversationPrompt(c, lang))
+  );
+}
+
+async function buildExpenseConfirmMessage(c) {
+  const s = c.data;
+  const vRes = await pool.query(
+    `SELECT registration FROM vehicles WHERE id = $1`,
+    [s.vehicle_id]
+  );
+  const lang = await getUserLanguage(c.user_whatsapp);
+  const kind = kindVars(lang, "expense");
+  const na = t(lang, "common.na");
+  const reg = vRes.rows[0] ? vRes.rows[0].registration : t(lang, "common.your_vehicle");
+
+  const amount = s.amount || 0;
+  const amountStr = formatNumber(amount, lang);
+  const odo = s.odometer != null ? s.odometer : na;
+  const notesStr = s.notes || na;
+  const receiptCount = await countConversationReceipts(c.id);
+
+  const body =
+    t(lang, "entry.confirm_title", kind) + "\n" +
+    t(lang, "label.vehicle") + ": *" + reg + "*\n" +
+    t(lang, "label.title") + ": *" + (s.title || kind.Kind) + "*\n" +
+    t(lang, "label.amount") + ": *" + amountStr + "* " + (s.currency || BASE_CURRENCY) + "\n" +
+    t(lang, "label.odometer") + ": *" + odo + "*\n" +
+    t(lang, "label.notes") + ": " + notesStr + "\n" +
+    receiptLineForConfirm(receiptCount, lang) + "\n" +
+    t(lang, "common.reply_yes_no");
+  return { body, buttons: yesNoButtons(lang) };
+}
+
+// Runs inside the confirm transaction – database writes only (see afterSave)
+async function saveExpenseConversation(c, lang, db) {
+  const s = c.data;
+  const who = await resolveLogAttribution(c.user_whatsapp, s.vehicle_id, lang, "expense", db);
+  if (who.refusal) return who;
+  const inserted = await db.query(
+    `
+    INSERT INTO expense_logs (
+      user_whatsapp,
+      vehicle_id,
+      driver_id,
+      title,
+      amount,
+      odometer,
+      notes,
+      message_text,
+      submitted_by,
+      approval_status,
+      currency
+    )
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+    RETURNING id
+  `,
+    [
+      who.ownerWhatsapp,
+      s.vehicle_id,
+      who.driverId,
+      s.title,
+      s.amount,
+      s.odometer,
+      s.notes,
+      null,
+      who.submittedBy,
+      who.approvalStatus,
+      s.currency || (await getVehicleCurrency(s.vehicle_id)),
+    ]
+  );
+  const expenseLogId = inserted.rows[0].id;
+  await attachConversationReceipts(c.id, expenseLogId, db);
+  await recordLogChange(
+    {
+      userWhatsapp: c.user_whatsapp,
+      logType: "expense",
+      logId: expenseLogId,
+      action: "create",
+    },
+    db
+  );
+  const approval =
+    who.approvalStatus === "pending"
+      ? await createApprovalRequest("expense", expenseLogId, who, db)
+      : null;
+
+  return { logId: expenseLogId, who, approval };
+}
+
+async function afterExpenseSaved(c, lang, { who, approval }) {
+  const s = c.data;
+  const kind = kindVars(lang, "expense");
+
+  if (approval) {
+    try {
+      await sendApprovalRequest(approval, "expense", who);
+    } catch (err) {
+      console.error("❌ Error sending expense approval request:", err.message);
+    }
+  }
+
+  try {
+    await checkBudgetAlerts(s.vehicle_id, "expense");
+  } catch (err) {
+    console.error("❌ Error checking expense budget:", err.message);
+  }
+
+  return (
+    t(lang, "entry.saved", kind) +
+    (approval ? t(lang, "common.approval_sent", { id: approval.id }) : "") +
+    t(lang, "entry.log_another", kind)
+  );
+}
+
+// Shared by the WhatsApp expense report and the monthly PDF report.
+// Money totals are in `currency`; see convertAmountSql.
+async function getExpenseStats(whereClause, params, currency = BASE_CURRENCY) {
+  const amount = convertAmountSql("amount", "currency", currency);
+  const statsSql = `
+    SELECT
+      COUNT(*)::INT AS cnt,
+      COALESCE(SUM(${amount}),0)::NUMERIC(12,2) AS total,
+      COALESCE(AVG(${amount}),0)::NUMERIC(12,2) AS avg,
+      COUNT(*) FILTER (WHERE amount IS NOT NULL AND ${amount} IS NULL)::INT AS unconverted,
+      MIN(created_at) AS first_ts,
+      MAX(created_at) AS last_ts
+    FROM expense_logs
+    WHERE ${whereClause}
+  `;
+  const statsRes = await pool.query(statsSql, params);
+  return statsRes.rows[0];
+}
+
+// Newest first; pass limit = null for every matching row
+async function getRecentExpenseLogs(whereClause, params, limit = 5) {
+  const sql = `
+    SELECT
+      e.*,
+      v.registration
+    FROM (SELECT * FROM expense_logs WHERE ${whereClause}) e
+    LEFT JOIN vehicles v
+      ON v.id = e.vehicle_id
+    ORDER BY e.created_at DESC
+    ${limit ? "LIMIT " + Number(limit) : ""}
+  `;
+  const res = await pool.query(sql, params);
+  return res.rows;
+}
+
+async function buildExpenseReport(userWhatsapp, scope, options = {}) {
+  // scope: "vehicle" | "all"; options: { includePending, period } (see applyReportFilters)
+  let whereClause = "user_whatsapp = $1";
+  const params = [userWhatsapp];
+  const lang = await getUserLanguage(userWhatsapp);
+  const kind = kindVars(lang, "expense");
+
+  if (scope === "vehicle") {
+    const vRes = await ensureCurrentVehicle(userWhatsapp);
+    if (vRes.status === "NO_VEHICLES") {
+      return t(lang, "vehicle.none");
+    }
+    if (vRes.status === "NEED_SET_CURRENT") {
+      const list = formatVehiclesList(vRes.list, true, lang);
+      return t(lang, "report.pick_current", { list, ...kind });
+    }
+    const vehicle = vRes.vehicle;
+    whereClause += " AND vehicle_id = $2";
+    params.push(vehicle.id);
+  }
+
+  const currency = await getAccountCurrency(userWhatsapp);
+  const filters = await applyReportFilters(
+    "expense_logs",
+    getExpenseStats,
+    whereClause,
+    params,
+    { ...options, currency }
+  );
+  whereClause = filters.whereClause;
+  const { includePending, pendingCount, period } = filters;
+  const reportCommand = buildReportCommand("expense", scope, period);
+
+  const stats = await getExpenseStats(whereClause, params, currency);
+
+  if (!stats || stats.cnt === 0) {
+    const none =
+      "report.none_" + (scope === "vehicle" ? "vehicle" : "all") + (period ? "_period" : "");
+    return (
+      t(lang, none, { ...kind, period: period && formatPeriodLabel(period, lang) }) +
+      t(lang, "report.log_one", kind) +
+      pendingReportNote(pendingCount, false, reportCommand, lang)
+    );
+  }
+
+
+  const rows = await getRecentExpenseLogs(whereClause, params, 5);
+
+  const title = "💸 *" + t(lang, "report.expense_title") + " – ";
+  let titleLine =
+    title + t(lang, scope === "vehicle" ? "report.scope_vehicle" : "report.scope_all") + "*";
+
+  if (scope === "vehicle") {
+    const vRes = await ensureCurrentVehicle(userWhatsapp);
+    if (vRes.status === "OK" && vRes.vehicle) {
+      titleLine = title + vRes.vehicle.registration + "*";
+    }
+  }
+
+  const periodStart = formatDate(stats.first_ts, lang);
+  const periodEnd = formatDate(stats.last_ts, lang);
+  const totalStr = formatNumber(stats.total, lang);
+  const avgStr = formatNumber(stats.avg, lang);
+
+  let text = titleLine + "\n";
+  if (period) text += formatReportPeriodLine(period, lang);
+  text +=
+    t(lang, "report.period") +
+    ": *" +
+    periodStart +
+    "* → *" +
+    periodEnd +
+    "*\n" +
+    t(lang, "report.expenses") +
+    ": *" +
+    stats.cnt +
+    "*\n" +
+    t(lang, "report.expense_total") +
+    ": *" +
+    totalStr +
+    "* " +
+    currency +
+    "\n" +
+    t(lang, "report.expense_avg") +
+    ": *" +
+    avgStr +
+    "* " +
+    currency +
+    "\n";
+  text += formatPeriodComparison(stats, filters.previous, currency, lang);
+  text += unconvertedNote(stats, currency, lang);
+  text += pendingReportNote(pendingCount, includePending, reportCommand, lang);
+
+  text += "\n" + t(lang, "report.expense_recent");
+  for (const r of rows) {
+    const d = r.created_at ? formatDate(r.created_at, lang) : "";
+    const amtStr = formatNumber(r.amount, lang);
+    const title = r.title || kind.Kind;
+    const odo =
+      r.odometer != null && r.odometer !== ""
+        ? " @ *" + formatNumber(r.odometer, lang) + "* km"
+        : "";
+    const reg = r.registration ? " – " + r.registration : "";
+    text +=
+      "• " +
+      d +
+      " – *" +
+      amtStr +
+      "* " +
+      r.currency +
+      " – " +
+      title +
+      odo +
+      reg +
+      "\n";
+  }
+
+  if (scope === "all") {
+    const topSql = `
+      SELECT
+        v.registration,
+        COALESCE(SUM(${convertAmountSql("e.amount", "e.currency", currency)}),0)::NUMERIC(12,2) AS total
+      FROM (SELECT * FROM expense_logs WHERE ${whereClause}) e
+      LEFT JOIN vehicles v
+        ON v.id = e.vehicle_id
+      GROUP BY v.registration
+      ORDER BY total DESC
+      LIMIT 5
+    `;
+    const topRes = await pool.query(topSql, params);
+    const tops = topRes.rows;
+
+    if (tops.length > 0) {
+      text += "\n" + t(lang, "report.top_vehicles");
+      for (const top of tops) {
+        const reg = top.registration || t(lang, "report.unassigned");
+        const tStr = formatNumber(top.total, lang);
+        text +=
+          "• *" + reg + "* – *" + tStr + "* " + currency + " " + t(lang, "report.total") + "\n";
+      }
+    }
+  }
+
+  text += t(lang, "report.expense_footer");
+
+  return text;
+}
+
+// ---------- SERVICE DUE PREDICTION ----------
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function formatKm(km) {
+  return Math.round(Number(km)).toLocaleString("en-US");
+}
+
+async function handleServiceIntervalCommand(userWhatsapp, fullText) {
+  const rest = fullText.slice("service interval".length).trim().toLowerCase();
+  const lang = await getUserLanguage(userWhatsapp);
+
+  const vRes = await ensureCurrentVehicle(userWhatsapp);
+  if (vRes.status === "NO_VEHICLES") {
+    return t(lang, "vehicle.none");
+  }
+  if (vRes.status === "NEED_SET_CURRENT") {
+    const list = formatVehiclesList(vRes.list, true, lang);
+    return t(lang, "vehicle.pick_current", { list, command: "service interval" });
+  }
+  const vehicle = vRes.vehicle;
+
+  const usage = t(lang, "interval.usage", { reg: vehicle.registration });
+
+  if (!rest) {
+    const current = await pool.query(
+      `SELECT * FROM service_intervals WHERE vehicle_id = $1`,
+      [vehicle.id]
+    );
+    const row = current.rows[0];
+    if (!row) {
+      return t(lang, "interval.none") + usage;
+    }
+    return (
+      t(lang, "interval.current", {
+        reg: vehicle.registration,
+        interval: describeServiceInterval(row, lang),
+      }) + usage
+    );
+  }
+
+  if (rest === "off" || rest === "none" || rest === "clear") {
+    await pool.query(`DELETE FROM service_intervals WHERE vehicle_id = $1`, [
+      vehicle.id,
+    ]);
+    return t(lang, "interval.removed", { reg: vehicle.registration });
+  }
+
+  const kmMatch = rest.match(/([\d,.]+)\s*(k)?\s*km\b/);
+  const monthMatch = rest.match(/(\d+)\s*(months?|mo)\b/);
+  const intervalKm = kmMatch
+    ? parseNumber(kmMatch[1]) * (kmMatch[2] ? 1000 : 1)
+    : null;
+  const intervalMonths = monthMatch ? parseInt(monthMatch[1], 10) : null;
+
+  if ((!intervalKm || intervalKm <= 0) && (!intervalMonths || intervalMonths <= 0)) {
+    return t(lang, "interval.bad") + usage;
+  }
+
+  const saved = await pool.query(
+    `
+    INSERT INTO service_intervals (vehicle_id, owner_whatsapp, interval_km, interval_months)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (vehicle_id) DO UPDATE
+      SET owner_whatsapp  = EXCLUDED.owner_whatsapp,
+          interval_km     = EXCLUDED.interval_km,
+          interval_months = EXCLUDED.interval_months,
+          updated_at      = NOW()
+    RETURNING *
+  `,
+    [vehicle.id, userWhatsapp, intervalKm || null, intervalMonths || null]
+  );
+
+  const prediction = await predictNextService(vehicle.id);
+
+  return (
+    t(lang, "interval.saved", {
+      reg: vehicle.registration,
+      interval: describeServiceInterval(saved.rows[0], lang),
+    }) +
+    (prediction ? formatServicePrediction(prediction, lang) : "") +
+    t(lang, "interval.warn_note", { km: formatKm(SERVICE_WARN_KM), days: SERVICE_WARN_DAYS })
+  );
+}
+
+function describeServiceInterval(row, lang = DEFAULT_LANGUAGE) {
+  const parts = [];
+  if (row.interval_km) parts.push(t(lang, "interval.every_km", { km: formatKm(row.interval_km) }));
+  if (row.interval_months) {
+    parts.push(t(lang, "interval.every_months", { months: row.interval_months }));
+  }
+  return parts.join(t(lang, "interval.or")) + (parts.length > 1 ? t(lang, "interval.first") : "");
+}
+
+/**
+ * Estimate the next service for one vehicle.
+ * Returns null if no interval is set. Otherwise an object with whatever
+ * could be worked out – fields are null when there isn't enough data:
+ *  { interval, lastService, currentOdo, kmPerDay, dueOdo, kmLeft,
+ *    dueDateByTime, dueDateByDistance, dueDate, daysLeft }
+ */
+async function predictNextService(vehicleId) {
+  const intRes = await pool.query(
+    `SELECT * FROM service_intervals WHERE vehicle_id = $1`,
+    [vehicleId]
+  );
+  const interval = intRes.rows[0];
+  if (!interval) return null;
+
+  // Prefer real services (minor/major "service") over one-off repairs
+  const lastRes = await pool.query(
+    `
+    SELECT id, service_type, odometer, created_at
+    FROM service_logs
+    WHERE vehicle_id = $1
+    ORDER BY (service_type ILIKE '%service%') DESC, created_at DESC
+    LIMIT 1
+  `,
+    [vehicleId]
+  );
+  const lastService = lastRes.rows[0] || null;
+
+  const readings = await getOdometerReadings(vehicleId);
+  const latest = readings.length ? readings[readings.length - 1] : null;
+
+  // Average daily distance over the last ~6 months of readings
+  let kmPerDay = null;
+  if (latest) {
+    const since = new Date(latest.created_at).getTime() - 180 * DAY_MS;
+    const first = readings.find(
+      (r) => new Date(r.created_at).getTime() >= since
+    );
+    const days =
+      (new Date(latest.created_at).getTime() -
+        new Date(first.created_at).getTime()) /
+      DAY_MS;
+    const km = Number(latest.odometer) - Number(first.odometer);
+    if (days >= 1 && km > 0) kmPerDay = km / days;
+  }
+
+  const now = Date.now();
+  const result = {
+    interval,
+    lastService,
+    currentOdo: latest ? Number(latest.odometer) : null,
+    kmPerDay,
+    dueOdo: null,
+    kmLeft: null,
+    dueDateByTime: null,
+    dueDateByDistance: null,
+    dueDate: null,
+    daysLeft: null,
+  };
+
+  if (!lastService) return result;
+
+  if (interval.interval_months) {
+    const d = new Date(lastService.created_at);
+    d.setMonth(d.getMonth() + Number(interval.interval_months));
+    result.dueDateByTime = d;
+  }
+
+  // A service before the latest odometer reset is moved onto the new scale
+  let serviceOdo = lastService.odometer != null ? Number(lastService.odometer) : null;
+  const reset = readings.length && readings[0].source === "reset" ? readings[0] : null;
+  if (serviceOdo != null && reset && new Date(lastService.created_at) < new Date(reset.created_at)) {
+    serviceOdo =
+      reset.previous_reading != null
+        ? serviceOdo - Number(reset.previous_reading) + Number(reset.odometer)
+        : null;
+  }
+
+  if (interval.interval_km && serviceOdo != null) {
+    result.dueOdo = serviceOdo + Number(interval.interval_km);
+    if (result.currentOdo != null) {
+      result.kmLeft = result.dueOdo - result.currentOdo;
+      if (kmPerDay) {
+        result.dueDateByDistance = new Date(
+          new Date(latest.created_at).getTime() +
+            (result.kmLeft / kmPerDay) * DAY_MS
+        );
+      }
+    }
+  }
+
+  const candidates = [result.dueDateByTime, result.dueDateByDistance].filter(
+    Boolean
+  );
+  if (candidates.length) {
+    result.dueDate = new Date(Math.min(...candidates.map((d) => d.getTime())));
+    result.daysLeft = Math.ceil((result.dueDate.getTime() - now) / DAY_MS);
+  }
+
+  return result;
+}
+
+function formatServicePrediction(p, lang = DEFAULT_LANGUAGE) {
+  if (!p.lastService) {
+    return t(lang, "service_due.none");
+  }
+
+  let text = t(lang, "service_due.title");
+  text +=
+    t(lang, "service_due.last", {
+      type: p.lastService.service_type || kindVars(lang, "service").Kind,
+      date: formatDate(new Date(p.lastService.created_at), lang),
+    }) +
+    (p.lastService.odometer != null
+      ? " @ " + formatKm(p.lastService.odometer) + " km"
+      : "") +
+    "\n";
+
+  if (p.dueOdo != null) {
+    text += t(lang, "service_due.due_at", { km: formatKm(p.dueOdo) });
+    if (p.kmLeft != null) {
+      text +=
+        p.kmLeft >= 0
+          ? t(lang, "service_due.km_left", { km: formatKm(p.kmLeft) })
+          : t(lang, "service_due.km_overdue", { km: formatKm(-p.kmLeft) });
+    }
+    text += "\n";
+  }
+
+  if (p.dueDate) {
+    text +=
+      t(lang, "service_due.date", { date: formatDate(p.dueDate, lang) }) +
+      (p.daysLeft >= 0
+        ? t(lang, "service_due.days_left", { days: p.daysLeft })
+        : t(lang, "service_due.days_overdue", { days: Math.abs(p.daysLeft) })) +
+      "\n";
+  }
+
+  if (p.kmPerDay) {
+    text += t(lang, "service_due.usage", { km: formatKm(p.kmPerDay) });
+  } else if (p.interval.interval_km) {
+    text += t(lang, "service_due.need_odometer");
+  }
+
+  return text + "\n";
+}
+
+function serviceDueLevel(p) {
+  if (!p || !p.lastService) return null;
+  const daysLeftByTime = p.dueDateByTime
+    ? Math.ceil((p.dueDateByTime.getTime() - Date.now()) / DAY_MS)
+    : null;
+
+  if (
+    (p.kmLeft != null && p.kmLeft <= 0) ||
+    (daysLeftByTime != null && daysLeftByTime <= 0)
+  ) {
+    return "overdue";
+  }
+  if (
+    (p.kmLeft != null && p.kmLeft <= SERVICE_WARN_KM) ||
+    (p.daysLeft != null && p.daysLeft <= SERVICE_WARN_DAYS)
+  ) {
+    return "soon";
+  }
+  return null;
+}
+
+// Warn the owner once per level ("soon", "overdue") for each last service.
+async function checkServiceDue(vehicleId) {
+  const p = await predictNextService(vehicleId);
+  const level = serviceDueLevel(p);
+  if (!level) return;
+
+  const vRes = await pool.query(
+    `SELECT registration, owner_whatsapp FROM vehicles WHERE id = $1`,
+    [vehicleId]
+  );
+  const vehicle = vRes.rows[0];
+  const to = (vehicle && vehicle.owner_whatsapp) || p.interval.owner_whatsapp;
+  if (!to) return;
+
+  const claim = await pool.query(
+    `
+    INSERT INTO service_due_warnings (vehicle_id, service_log_id, level, sent_to)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (vehicle_id, service_log_id, level) DO NOTHING
+    RETURNING id
+  `,
+    [vehicleId, p.lastService.id, level, to]
+  );
+  if (claim.rows.length === 0) return;
+
+  const lang = await getUserLanguage(to);
+  const reg = vehicle ? vehicle.registration : t(lang, "common.your_vehicle");
+  const body =
+    t(lang, level === "overdue" ? "service_due.alert_overdue" : "service_due.alert_soon", { reg }) +
+    formatServicePrediction(p, lang) +
+    t(lang, "service_due.alert_footer");
+
+  await sendWhatsAppMessage(to, body);
+  console.log("🔧 Sent service due warning:", { vehicleId, level, to });
+}
+
+async function runServiceDueChecks() {
+  const res = await pool.query(`SELECT vehicle_id FROM service_intervals`);
+  for (const r of res.rows) {
+    try {
+      await checkServiceDue(r.vehicle_id);
+    } catch (err) {
+      console.error("❌ Error checking service due for", r.vehicle_id, err.message);
+    }
+  }
+}
+
+// ---------- VEHICLE BUDGETS ----------
+// Monthly budgets per vehicle for fuel, service and other expenses. Spend
+// counts approved and pending entries (not rejected) for the calendar month.
+
+// Category names come from MESSAGES ("budget.category_fuel" …)
+const BUDGET_CATEGORIES = {
+  fuel: { table: "fuel_logs", column: "amount" },
+  service: { table: "service_logs", column: "cost_amount" },
+  expense: { table: "expense_logs", column: "amount" },
+};
+
+const BUDGET_CATEGORY_ALIASES = {
+  fuel: "fuel",
+  service: "service",
+  maintenance: "service",
+  repairs: "service",
+  expense: "expense",
+  expenses: "expense",
+  other: "expense",
+};
+
+const BUDGET_ALERT_LEVELS = [100, 80];
+
+// Spend in `currency` (the owner's); entries without an exchange rate are left out
+async function getBudgetSpend(vehicleId, category, period, currency = BASE_CURRENCY) {
+  const def = BUDGET_CATEGORIES[category];
+  const res = await pool.query(
+    `
+    SELECT COALESCE(SUM(${convertAmountSql(def.column, "currency", currency)}), 0)::NUMERIC(12,2) AS total
+    FROM ${def.table}
+    WHERE vehicle_id = $1
+      AND approval_status <> 'rejected'
+      AND created_at >= $2::date
+      AND created_at < $3::date + 1
+  `,
+    [vehicleId, period.from, period.to]
+  );
+  return Number(res.rows[0].total);
+}
+
+function budgetPercent(spent, budget) {
+  return Math.round((spent / Number(budget)) * 100);
+}
+
+function formatBudgetLine(category, spent, budget, currency, lang = DEFAULT_LANGUAGE) {
+  const pct = budgetPercent(spent, budget);
+  const icon = pct >= 100 ? "🚨" : pct >= 80 ? "⚠️" : "✅";
+  return (
+    icon +
+    " " +
+    t(lang, "budget.category_" + category) +
+    ": *" +
+    formatNumber(spent, lang) +
+    "* / " +
+    formatNumber(budget, lang) +
+    " " +
+    currency +
+    " (" +
+    pct +
+    "%)\n"
+  );
+}
+
+/**
+ * Called after a fuel / service / expense entry is saved. Sends the vehicle
+ * owner one alert per month when spend reaches 80% and when it reaches 100%.
+ */
+async function checkBudgetAlerts(vehicleId, category) {
+  if (!vehicleId) return;
+
+  const res = await pool.query(
+    `
+    SELECT b.*, v.registration
+    FROM vehicle_budgets b
+    JOIN vehicles v
+      ON v.id = b.vehicle_id
+    WHERE b.vehicle_id = $1
+      AND b.category = $2
+  `,
+    [vehicleId, category]
+  );
+  const budget = res.rows[0];
+  if (!budget) return;
+
+  const period = parseMonthPeriod("");
+  const currency = await getAccountCurrency(budget.owner_whatsapp);
+  const spent = await getBudgetSpend(vehicleId, category, period, currency);
+  const pct = budgetPercent(spent, budget.monthly_amount);
+  const level = BUDGET_ALERT_LEVELS.find((l) => pct >= l);
+  if (!level) return;
+
+  const claim = await pool.query(
+    `
+    INSERT INTO budget_alerts (vehicle_id, category, period_from, level, sent_to)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (vehicle_id, category, period_from, level) DO NOTHING
+    RETURNING id
+  `,
+    [vehicleId, category, period.from, level, budget.owner_whatsapp]
+  );
+  if (claim.rows.length === 0) return;
+
+  const lang = await getUserLanguage(budget.owner_whatsapp);
+  const vars = {
+    category: t(lang, "budget.category_" + category),
+    reg: budget.registration,
+    pct,
+    period: formatPeriodLabel(period, lang),
+    spent: formatNumber(spent, lang),
+    budget: formatNumber(budget.monthly_amount, lang),
+    currency,
+  };
+  const body =
+    t(lang, level === 100 ? "budget.alert_exceeded" : "budget.alert_warning", vars) +
+    t(lang, "budget.alert_body", vars);
+
+  await sendWhatsAppMessage(budget.owner_whatsapp, body);
+  console.log("💰 Sent budget alert:", { vehicleId, category, level });
+}
+
+// "budget", "budget fuel 20000", "budget service off"
+async function handleBudgetCommand(userWhatsapp, fullText) {
+  const rest = fullText.trim().toLowerCase().replace(/^budgets?\b/, "").trim();
+  const lang = await getUserLanguage(userWhatsapp);
+
+  const vRes = await ensureCurrentVehicle(userWhatsapp);
+  if (vRes.status === "NO_VEHICLES") {
+    return t(lang, "vehicle.none");
+  }
+  if (vRes.status === "NEED_SET_CURRENT") {
+    const list = formatVehiclesList(vRes.list, true, lang);
+    return t(lang, "vehicle.pick_current", { list, command: "budget" });
+  }
+  const vehicle = vRes.vehicle;
+  const currency = await getAccountCurrency(userWhatsapp);
+
+  const usage = t(lang, "budget.usage", { reg: vehicle.registration });
+
+  if (!rest) {
+    const res = await pool.query(
+      `
+      SELECT *
+      FROM vehicle_budgets
+      WHERE vehicle_id = $1
+      ORDER BY array_position(ARRAY['fuel','service','expense'], category)
+    `,
+      [vehicle.id]
+    );
+    if (res.rows.length === 0) {
+      return t(lang, "budget.none_vehicle", { reg: vehicle.registration }) + usage;
+    }
+    const period = parseMonthPeriod("");
+    let text = t(lang, "budget.title", {
+      reg: vehicle.registration,
+      period: formatPeriodLabel(period, lang),
+    });
+    for (const b of res.rows) {
+      const spent = await getBudgetSpend(vehicle.id, b.category, period, currency);
+      text += formatBudgetLine(b.category, spent, b.monthly_amount, currency, lang);
+    }
+    return text + "\n" + usage;
+  }
+
+  const m = rest.match(/^([a-z]+)\s+(.+)$/);
+  const category = m ? BUDGET_CATEGORY_ALIASES[m[1]] : null;
+  if (!category) {
+    return t(lang, "budget.bad") + usage;
+  }
+  const label = t(lang, "budget.category_" + category);
+
+  if (["off", "none", "clear", "0"].includes(m[2].trim())) {
+    await pool.query(
+      `DELETE FROM vehicle_budgets WHERE vehicle_id = $1 AND category = $2`,
+      [vehicle.id, category]
+    );
+    return t(lang, "budget.removed", { category: label, reg: vehicle.registration });
+  }
+
+  const amount = parseNumber(m[2]);
+  if (!amount || amount <= 0) {
+    return t(lang, "budget.bad_amount", { category });
+  }
+
+  await pool.query(
+    `
+    INSERT INTO vehicle_budgets (vehicle_id, owner_whatsapp, category, monthly_amount)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (vehicle_id, category) DO UPDATE
+      SET owner_whatsapp = EXCLUDED.owner_whatsapp,
+          monthly_amount = EXCLUDED.monthly_amount,
+          updated_at     = NOW()
+  `,
+    [vehicle.id, userWhatsapp, category, amount]
+  );
+
+  const period = parseMonthPeriod("");
+  const spent = await getBudgetSpend(vehicle.id, category, period, currency);
+  return (
+    t(lang, "budget.saved", {
+      category: label.toLowerCase(),
+      reg: vehicle.registration,
+      amount: formatNumber(amount, lang),
+      currency,
+      period: formatPeriodLabel(period, lang),
+    }) +
+    formatBudgetLine(category, spent, amount, currency, lang) +
+    t(lang, "budget.saved_footer")
+  );
+}
+
+// "budget report", "budget report march"
+async function buildBudgetReport(userWhatsapp, fullText) {
+  const rest = fullText.trim().toLowerCase().replace(/^budget report\b/, "").trim();
+  const lang = await getUserLanguage(userWhatsapp);
+  const period = parseMonthPeriod(rest);
+  if (!period) {
+    return t(lang, "budget.report_bad_month");
+  }
+
+  const res = await pool.query(
+    `
+    SELECT b.*, v.registration
+    FROM vehicle_budgets b
+    JOIN vehicles v
+      ON v.id = b.vehicle_id
+    WHERE v.owner_whatsapp = $1
+      AND v.is_active = TRUE
+    ORDER BY v.registration, array_position(ARRAY['fuel','service','expense'], b.category)
+  `,
+    [userWhatsapp]
+  );
+  if (res.rows.length === 0) {
+    return t(lang, "budget.report_none");
+  }
+
+  const currency = await getAccountCurrency(userWhatsapp);
+  let text = t(lang, "budget.report_title", { period: formatPeriodLabel(period, lang) });
+  let totalBudget = 0;
+  let totalSpent = 0;
+  let currentReg = null;
+  for (const b of res.rows) {
+    if (b.registration !== currentReg) {
+      currentReg = b.registration;
+      text += "\n🚗 *" + currentReg + "*\n";
+    }
+    const spent = await getBudgetSpend(b.vehicle_id, b.category, period, currency);
+    text += formatBudgetLine(b.category, spent, b.monthly_amount, currency, lang);
+    totalBudget += Number(b.monthly_amount);
+    totalSpent += spent;
+  }
+
+  text += t(lang, "budget.report_total", {
+    spent: formatNumber(totalSpent, lang),
+    budget: formatNumber(totalBudget, lang),
+    currency,
+    pct: budgetPercent(totalSpent, totalBudget),
+  });
+  return text;
+}
+
+// ---------- SERVICE REPORT ----------
+
+// Shared by the WhatsApp service report and the monthly PDF report.
+// Money totals are in `currency`; see convertAmountSql.
+async function getServiceStats(whereClause, params, currency = BASE_CURRENCY) {
+  const cost = convertAmountSql("cost_amount", "currency", currency);
+  const statsSql = `
+    SELECT
+      COUNT(*)::INT AS cnt,
+      COALESCE(SUM(${cost}),0)::NUMERIC(12,2) AS total,
+      COALESCE(AVG(${cost}),0)::NUMERIC(12,2) AS avg,
+      COUNT(*) FILTER (WHERE cost_amount IS NOT NULL AND ${cost} IS NULL)::INT AS unconverted,
+      MIN(created_at) AS first_ts,
+      MAX(created_at) AS last_ts
+    FROM service_logs
+    WHERE ${whereClause}
+  `;
+  const statsRes = await pool.query(statsSql, params);
+  return statsRes.rows[0];
+}
+
+// Newest first; pass limit = null for every matching row
+async function getRecentServiceLogs(whereClause, params, limit = 5) {
+  const sql = `
+    SELECT
+      s.*,
+      v.registration
+    FROM (SELECT * FROM service_logs WHERE ${whereClause}) s
+    LEFT JOIN vehicles v
+      ON v.id = s.vehicle_id
+    ORDER BY s.created_at DESC
+    ${limit ? "LIMIT " + Number(limit) : ""}
+  `;
+  const res = await pool.query(sql, params);
+  return res.rows;
+}
+
+async function buildServiceReport(userWhatsapp, scope, options = {}) {
+  let whereClause = "user_whatsapp = $1";
+  const params = [userWhatsapp];
+  const lang = await getUserLanguage(userWhatsapp);
+  const kind = kindVars(lang, "service");
+
+  if (scope === "vehicle") {
+    const vRes = await ensureCurrentVehicle(userWhatsapp);
+    if (vRes.status === "NO_VEHICLES") {
+      return t(lang, "vehicle.none");
+    }
+    if (vRes.status === "NEED_SET_CURRENT") {
+      const list = formatVehiclesList(vRes.list, true, lang);
+      return t(lang, "report.pick_current", { list, ...kind });
+    }
+    const vehicle = vRes.vehicle;
+    whereClause += " AND vehicle_id = $2";
+    params.push(vehicle.id);
+  }
+
+  const currency = await getAccountCurrency(userWhatsapp);
+  const filters = await applyReportFilters(
+    "service_logs",
+    getServiceStats,
+    whereClause,
+    params,
+    { ...options, currency }
+  );
+  whereClause = filters.whereClause;
+  const { includePending, pendingCount, period } = filters;
+  const reportCommand = buildReportCommand("service", scope, period);
+
+  const stats = await getServiceStats(whereClause, params, currency);
+
+  if (!stats || stats.cnt === 0) {
+    const none =
+      "report.none_" + (scope === "vehicle" ? "vehicle" : "all") + (period ? "_period" : "");
+    return (
+      t(lang, none, { ...kind, period: period && formatPeriodLabel(period, lang) }) +
+      t(lang, "report.log_one", kind) +
+      pendingReportNote(pendingCount, false, reportCommand, lang)
+    );
+  }
+
+
+  const rows = await getRecentServiceLogs(whereClause, params, 5);
+
+  const title = "📊 *" + t(lang, "report.service_title") + " – ";
+  let titleLine =
+    title + t(lang, scope === "vehicle" ? "report.scope_vehicle" : "report.scope_all") + "*";
+
+  if (scope === "vehicle") {
+    const vRes = await ensureCurrentVehicle(userWhatsapp);
+    if (vRes.status === "OK" && vRes.vehicle) {
+      titleLine = title + vRes.vehicle.registration + "*";
+    }
+  }
+
+  const periodStart = formatDate(stats.first_ts, lang);
+  const periodEnd = formatDate(stats.last_ts, lang);
+  const totalStr = formatNumber(stats.total, lang);
+  const avgStr = formatNumber(stats.avg, lang);
+
+  let text = titleLine + "\n";
+  if (period) text += formatReportPeriodLine(period, lang);
+  text +=
+    t(lang, "report.period") +
+    ": *" +
+    periodStart +
+    "* → *" +
+    periodEnd +
+    "*\n" +
+    t(lang, "report.services") +
+    ": *" +
+    stats.cnt +
+    "*\n" +
+    t(lang, "report.service_total") +
+    ": *" +
+    totalStr +
+    "* " +
+    currency +
+    "\n" +
+    t(lang, "report.service_avg") +
+    ": *" +
+    avgStr +
+    "* " +
+    currency +
+    "\n";
+  text += formatPeriodComparison(stats, filters.previous, currency, lang);
+  text += unconvertedNote(stats, currency, lang);
+  text += pendingReportNote(pendingCount, includePending, reportCommand, lang);
+
+  if (scope === "vehicle") {
+    const prediction = await predictNextService(params[1]);
+    text += "\n";
+    text += prediction
+      ? formatServicePrediction(prediction, lang).trimEnd() + "\n"
+      : t(lang, "report.set_interval");
+  } else {
+    const intRes = await pool.query(
+      `
+      SELECT si.vehicle_id, v.registration
+      FROM service_intervals si
+      JOIN vehicles v
+        ON v.id = si.vehicle_id
+      WHERE v.owner_whatsapp = $1
+        AND v.is_active = TRUE
+      ORDER BY v.registration ASC
+    `,
+      [userWhatsapp]
+    );
+    if (intRes.rows.length > 0) {
+      text += "\n" + t(lang, "report.next_services");
+      for (const r of intRes.rows) {
+        const p = await predictNextService(r.vehicle_id);
+        let line;
+        if (!p || !p.lastService) {
+          line = t(lang, "report.no_service_yet");
+        } else if (p.dueDate || p.dueOdo != null) {
+          const level = serviceDueLevel(p);
+          const icon = level === "overdue" ? "❌" : level === "soon" ? "⚠️" : "✅";
+          line =
+            icon +
+            " " +
+            (p.dueDate ? "~" + formatDate(p.dueDate, lang) : "") +
+            (p.dueDate && p.dueOdo != null ? " / " : "") +
+            (p.dueOdo != null ? formatKm(p.dueOdo) + " km" : "");
+        } else {
+          line = t(lang, "report.no_odometer_data");
+        }
+        text += "• *" + r.registration + "* – " + line + "\n";
+      }
+    }
+  }
+
+  text += "\n" + t(lang, "report.service_recent");
+  for (const r of rows) {
+    const d = r.created_at ? formatDate(r.created_at, lang) : "";
+    const amtStr = formatNumber(r.cost_amount, lang);
+    const stype = r.service_type || kind.Kind;
+    const odo =
+      r.odometer != null && r.odometer !== ""
+        ? " @ *" + formatNumber(r.odometer, lang) + "* km"
+        : "";
+    const reg = r.registration ? " – " + r.registration : "";
+    text +=
+      "• " +
+      d +
+      " – *" +
+      amtStr +
+      "* " +
+      r.currency +
+      " – " +
+      stype +
+      odo +
+      reg +
+      "\n";
+  }
+
+  text += t(lang, "report.service_footer");
+
+  return text;
+}
+
+// ---------- FUEL REPORT ----------
+
+const FULL_TANK_RE = /\b(full[\s-]*tank|tank[\s-]*full)\b/i;
+
+/**
+ * Work out consumption for ONE vehicle from its fuel logs (oldest first).
+ *
+ * A "segment" runs from one anchor fill to the next: distance is the
+ * odometer gap, litres/cost are everything bought after the first anchor
+ * up to and including the second. Fills with no odometer just add their
+ * litres to the running segment, so skipped odometers don't break it.
+ *
+ * If the vehicle has at least two fills noted as "full tank", only those
+ * are anchors (full-tank-to-full-tank, partial top-ups in between are
+ * summed). Otherwise every fill with an odometer is an anchor.
+ */
+function computeFuelEfficiency(logs) {
+  const fullTankCount = logs.filter(
+    (l) => l.odometer != null && l.notes && FULL_TANK_RE.test(l.notes)
+  ).length;
+  const method = fullTankCount >= 2 ? "full_tank" : "odometer_gap";
+
+  const isAnchor = (l) =>
+    l.odometer != null &&
+    (method === "odometer_gap" || (l.notes && FULL_TANK_RE.test(l.notes)));
+
+  const segments = [];
+  let anchor = null;
+  let litres = 0;
+  let cost = 0;
+  let litresUnknown = false;
+
+  for (const l of logs) {
+    if (anchor) {
+      if (l.litres == null) {
+        litresUnknown = true;
+      } else {
+        litres += Number(l.litres);
+      }
+      cost += Number(l.amount || 0);
+    }
+
+    if (!isAnchor(l)) continue;
+
+    if (anchor) {
+      const km = Number(l.odometer) - Number(anchor.odometer);
+      if (km > 0 && !litresUnknown && litres > 0) {
+        segments.push({
+          km,
+          litres,
+          cost,
+          kmPerL: km / litres,
+          endDate: l.created_at,
+        });
+      }
+    }
+
+    anchor = l;
+    litres = 0;
+    cost = 0;
+    litresUnknown = false;
+  }
+
+  if (segments.length === 0) return null;
+
+  const totalKm = segments.reduce((sum, s) => sum + s.km, 0);
+  const totalLitres = segments.reduce((sum, s) => sum + s.litres, 0);
+  const totalCost = segments.reduce((sum, s) => sum + s.cost, 0);
+  const sorted = segments.slice().sort((a, b) => b.kmPerL - a.kmPerL);
+
+  return {
+    method,
+    segments,
+    totalKm,
+    totalLitres,
+    avgKmPerL: totalKm / totalLitres,
+    best: sorted[0],
+    worst: sorted[sorted.length - 1],
+    costPerKm: totalCost / totalKm,
+  };
+}
+
+function formatKmPerL(kmPerL) {
+  return (
+    Number(kmPerL).toFixed(2) +
+    " km/L (" +
+    (100 / kmPerL).toFixed(2) +
+    " L/100km)"
+  );
+}
+
+// Amounts are converted to `currency` so cost per km adds up across fills
+async function getFuelEfficiencyByVehicle(whereClause, params, currency = BASE_CURRENCY) {
+  const res = await pool.query(
+    `
+    SELECT
+      f.id,
+      f.vehicle_id,
+      v.registration,
+      ${convertAmountSql("f.amount", "f.currency", currency)} AS amount,
+      f.litres,
+      f.odometer,
+      f.notes,
+      f.created_at
+    FROM (SELECT * FROM fuel_logs WHERE ${whereClause}) f
+    LEFT JOIN vehicles v
+      ON v.id = f.vehicle_id
+    WHERE f.vehicle_id IS NOT NULL
+    ORDER BY f.vehicle_id ASC, f.created_at ASC, f.id ASC
+  `,
+    params
+  );
+
+  const byVehicle = new Map();
+  for (const r of res.rows) {
+    if (!byVehicle.has(r.vehicle_id)) {
+      byVehicle.set(r.vehicle_id, { registration: r.registration, logs: [] });
+    }
+    byVehicle.get(r.vehicle_id).logs.push(r);
+  }
+
+  const results = [];
+  for (const [vehicleId, v] of byVehicle) {
+    const eff = computeFuelEfficiency(v.logs);
+    if (eff) {
+      results.push({ vehicleId, registration: v.registration, ...eff });
+    }
+  }
+  return results;
+}
+
+// Shared by the WhatsApp fuel report and the monthly PDF report.
+// Money totals are in `currency`; see convertAmountSql.
+async function getFuelStats(whereClause, params, currency = BASE_CURRENCY) {
+  const amount = convertAmountSql("amount", "currency", currency);
+  const statsSql = `
+    SELECT
+      COUNT(*)::INT AS cnt,
+      COALESCE(SUM(${amount}),0)::NUMERIC(12,2) AS total,
+      COUNT(*) FILTER (WHERE amount IS NOT NULL AND ${amount} IS NULL)::INT AS unconverted,
+      COALESCE(SUM(litres),0)::NUMERIC(12,3) AS total_litres,
+      MIN(created_at) AS first_ts,
+      MAX(created_at) AS last_ts
+    FROM fuel_logs
+    WHERE ${whereClause}
+  `;
+  const statsRes = await pool.query(statsSql, params);
+  return statsRes.rows[0];
+}
+
+// Newest first; pass limit = null for every matching row
+async function getRecentFuelLogs(whereClause, params, limit = 5) {
+  const sql = `
+    SELECT
+      f.*,
+      v.registration
+    FROM (SELECT * FROM fuel_logs WHERE ${whereClause}) f
+    LEFT JOIN vehicles v
+      ON v.id = f.vehicle_id
+    ORDER BY f.created_at DESC
+    ${limit ? "LIMIT " + Number(limit) : ""}
+  `;
+  const res = await pool.query(sql, params);
+  return res.rows;
+}
+
+async function buildFuelReport(userWhatsapp, scope, options = {}) {
+  let whereClause = "user_whatsapp = $1";
+  const params = [userWhatsapp];
+  const lang = await getUserLanguage(userWhatsapp);
+  const kind = kindVars(lang, "fuel");
+
+  if (scope === "vehicle") {
+    const vRes = await ensureCurrentVehicle(userWhatsapp);
+    if (vRes.status === "NO_VEHICLES") {
+      return t(lang, "vehicle.none");
+    }
+    if (vRes.status === "NEED_SET_CURRENT") {
+      const list = formatVehiclesList(vRes.list, true, lang);
+      return t(lang, "report.pick_current", { list, ...kind });
+    }
+    const vehicle = vRes.vehicle;
+    whereClause += " AND vehicle_id = $2";
+    params.push(vehicle.id);
+  }
+
+  const currency = await getAccountCurrency(userWhatsapp);
+  const filters = await applyReportFilters(
+    "fuel_logs",
+    getFuelStats,
+    whereClause,
+    params,
+    { ...options, currency }
+  );
+  whereClause = filters.whereClause;
+  const { includePending, pendingCount, period } = filters;
+  const reportCommand = buildReportCommand("fuel", scope, period);
+
+  const stats = await getFuelStats(whereClause, params, currency);
+
+  if (!stats || stats.cnt === 0) {
+    const none =
+      "report.none_" + (scope === "vehicle" ? "vehicle" : "all") + (period ? "_period" : "");
+    return (
+      t(lang, none, { ...kind, period: period && formatPeriodLabel(period, lang) }) +
+      t(lang, "report.log_one", kind) +
+      pendingReportNote(pendingCount, false, reportCommand, lang)
+    );
+  }
+
+
+  const rows = await getRecentFuelLogs(whereClause, params, 5);
+
+  const title = "⛽ *" + t(lang, "report.fuel_title") + " – ";
+  let titleLine =
+    title + t(lang, scope === "vehicle" ? "report.scope_vehicle" : "report.scope_all") + "*";
+
+  if (scope === "vehicle") {
+    const vRes = await ensureCurrentVehicle(userWhatsapp);
+    if (vRes.status === "OK" && vRes.vehicle) {
+      titleLine = title + vRes.vehicle.registration + "*";
+    }
+  }
+
+  const periodStart = formatDate(stats.first_ts, lang);
+  const periodEnd = formatDate(stats.last_ts, lang);
+  const totalStr = formatNumber(stats.total, lang);
+  const totalLitres = formatNumber(stats.total_litres, lang);
+  const convertedCnt = stats.cnt - (stats.unconverted || 0);
+  const avgPerFill =
+    convertedCnt > 0
+      ? formatNumber((stats.total || 0) / convertedCnt, lang)
+      : formatNumber(0, lang);
+
+  let text = titleLine + "\n";
+  if (period) text += formatReportPeriodLine(period, lang);
+  text +=
+    t(lang, "report.period") +
+    ": *" +
+    periodStart +
+    "* → *" +
+    periodEnd +
+    "*\n" +
+    t(lang, "report.fuel_stops") +
+    ": *" +
+    stats.cnt +
+    "*\n" +
+    t(lang, "report.fuel_total") +
+    ": *" +
+    totalStr +
+    "* " +
+    currency +
+    "\n" +
+    t(lang, "report.fuel_litres") +
+    ": *" +
+    totalLitres +
+    "*\n" +
+    t(lang, "report.fuel_avg") +
+    ": *" +
+    avgPerFill +
+    "* " +
+    currency +
+    "\n";
+  text += formatPeriodComparison(stats, filters.previous, currency, lang);
+  text += unconvertedNote(stats, currency, lang);
+  text += pendingReportNote(pendingCount, includePending, reportCommand, lang);
+
+  const efficiency = await getFuelEfficiencyByVehicle(whereClause, params, currency);
+
+  if (scope === "vehicle") {
+    const eff = efficiency[0];
+    text += "\n" + t(lang, "report.efficiency");
+    if (eff) {
+      text +=
+        t(lang, "report.average") + ": *" + formatKmPerL(eff.avgKmPerL) + "*\n" +
+        t(lang, "report.best") + ": *" + formatKmPerL(eff.best.kmPerL) + "*\n" +
+        t(lang, "report.worst") + ": *" + formatKmPerL(eff.worst.kmPerL) + "*\n" +
+        (stats.unconverted
+          ? ""
+          : t(lang, "report.cost_per_km") + ": *" + formatNumber(eff.costPerKm, lang) + "* " + currency + "\n") +
+        t(lang, "report.based_on", {
+          km: formatNumber(eff.totalKm, lang, 0),
+          count: eff.segments.length,
+        }) +
+        t(lang, eff.method === "full_tank" ? "report.method_full_tank" : "report.method_gap") +
+        "\n";
+      if (eff.method !== "full_tank") {
+        text += t(lang, "report.full_tank_tip");
+      }
+    } else {
+      text += t(lang, "report.efficiency_none");
+    }
+  } else if (efficiency.length > 0) {
+    efficiency.sort((a, b) => b.avgKmPerL - a.avgKmPerL);
+    text += "\n" + t(lang, "report.ranked");
+    efficiency.forEach((eff, i) => {
+      text +=
+        (i + 1) +
+        ". *" +
+        (eff.registration || t(lang, "report.unassigned")) +
+        "* – *" +
+        formatKmPerL(eff.avgKmPerL) +
+        "*" +
+        (stats.unconverted ? "" : ", " + formatNumber(eff.costPerKm, lang) + " " + currency + "/km") +
+        "\n";
+    });
+  }
+
+  text += "\n" + t(lang, "report.fuel_recent");
+  for (const r of rows) {
+    const d = r.created_at ? formatDate(r.created_at, lang) : "";
+    const amtStr = formatNumber(r.amount, lang);
+    const litresStr =
+      r.litres != null ? formatNumber(r.litres, lang) + " L" : t(lang, "common.na");
+    const odo =
+      r.odometer != null && r.odometer !== ""
+        ? " @ *" + formatNumber(r.odometer, lang) + "* km"
+        : "";
+    const station = r.station || t(lang, "common.na");
+    const reg = r.registration ? " – " + r.registration : "";
+    text +=
+      "• " +
+      d +
+      " – *" +
+      amtStr +
+      "* " +
+      r.currency +
+      " (" +
+      litresStr +
+      ") – " +
+      station +
+      odo +
+      reg +
+      "\n";
+  }
+
+  text += t(lang, "report.fuel_footer");
+
+  return text;
+}
+
+// ---------- FUEL ANOMALY CHECKS ----------
+// Sanity checks on a fuel entry against the vehicle's own history. Used to
+// warn in the confirm message and, once saved, to flag the entry for the owner.
+
+const FUEL_PRICE_SAMPLE = 10;
+const FUEL_PRICE_SAMPLE_DAYS = 90;
+
+/**
+ * entry: { vehicle_id, amount, currency, litres, odometer, notes, created_at?, id? }
+ * Returns [{ kind, message }] – empty when nothing looks off.
+ */
+async function detectFuelAnomalies(entry, lang = DEFAULT_LANGUAGE) {
+  if (!entry.vehicle_id) return [];
+
+  const at = entry.created_at ? new Date(entry.created_at) : new Date();
+  const res = await pool.query(
+    `
+    SELECT id, amount, currency, litres, odometer, notes, created_at
+    FROM fuel_logs
+    WHERE vehicle_id = $1
+      AND approval_status <> 'rejected'
+      AND created_at <= $2
+      AND id <> $3
+    ORDER BY created_at ASC, id ASC
+  `,
+    [entry.vehicle_id, at, entry.id || 0]
+  );
+  const history = res.rows;
+  const anomalies = [];
+
+  const amount = Number(entry.amount || 0);
+  const currency = entry.currency || BASE_CURRENCY;
+  const litres = entry.litres != null ? Number(entry.litres) : null;
+  const odometer = entry.odometer != null ? Number(entry.odometer) : null;
+
+  // Price per litre vs the recent average for this vehicle (same currency)
+  if (amount > 0 && litres > 0) {
+    const since = at.getTime() - FUEL_PRICE_SAMPLE_DAYS * DAY_MS;
+    const prices = history
+      .filter(
+        (l) =>
+          l.currency === currency &&
+          Number(l.litres) > 0 &&
+          Number(l.amount) > 0 &&
+          new Date(l.created_at).getTime() >= since
+      )
+      .slice(-FUEL_PRICE_SAMPLE)
+      .map((l) => Number(l.amount) / Number(l.litres));
+    if (prices.length >= 3) {
+      const avg = prices.reduce((sum, p) => sum + p, 0) / prices.length;
+      const price = amount / litres;
+      const diffPct = Math.round(((price - avg) / avg) * 100);
+      if (Math.abs(diffPct) > FUEL_PRICE_TOLERANCE_PCT) {
+        anomalies.push({
+          kind: "price",
+          message: t(lang, diffPct > 0 ? "anomaly.price_above" : "anomaly.price_below", {
+            price: formatNumber(price, lang),
+            avg: formatNumber(avg, lang),
+            pct: Math.abs(diffPct),
+            currency,
+          }),
+        });
+      }
+    }
+  }
+
+  // Against the vehicle's odometer timeline (fuel, service and expenses)
+  if (odometer != null) {
+    const check = await checkOdometerReading(entry.vehicle_id, odometer, {
+      before: at,
+      exclude: entry.id ? { source: "fuel", id: entry.id } : null,
+    });
+    if (check.status === "lower") {
+      anomalies.push({
+        kind: "odometer",
+        message: t(lang, "anomaly.odometer", {
+          km: formatKm(odometer),
+          last: describeLastReading(check.last, lang),
+        }),
+      });
+    } else if (check.status === "high") {
+      anomalies.push({
+        kind: "distance",
+        message: t(lang, "anomaly.distance", {
+          km: formatKm(check.km),
+          elapsed: formatElapsedHours(check.hours, lang),
+        }),
+      });
+    }
+  }
+
+  // Consumption for the segment this fill closes vs the vehicle's norm
+  if (odometer != null && litres > 0 && !anomalies.some((a) => a.kind === "odometer")) {
+    const norm = computeFuelEfficiency(history);
+    const withEntry = computeFuelEfficiency([
+      ...history,
+      { amount, litres, odometer, notes: entry.notes, created_at: at },
+    ]);
+    if (norm && norm.segments.length >= 2 && withEntry) {
+      const seg = withEntry.segments[withEntry.segments.length - 1];
+      const isThisFill = seg.endDate === at;
+      if (isThisFill && seg.kmPerL * FUEL_CONSUMPTION_FACTOR < norm.avgKmPerL) {
+        anomalies.push({
+          kind: "consumption",
+          message: t(lang, "anomaly.consumption", {
+            kmpl: formatKmPerL(seg.kmPerL),
+            usual: formatKmPerL(norm.avgKmPerL),
+          }),
+        });
+      }
+    }
+  }
+
+  return anomalies;
+}
+
+function formatFuelAnomalyWarnings(anomalies, lang = DEFAULT_LANGUAGE) {
+  if (!anomalies.length) return "";
+  let text = t(lang, "anomaly.double_check");
+  for (const a of anomalies) text += "• " + a.message + "\n";
+  return text;
+}
+
+/**
+ * Re-run the checks on a saved fuel log, store any flags and tell the owner
+ * when someone else (a driver) logged it – owners already saw the warning.
+ */
+async function flagFuelAnomalies(fuelLogId, who) {
+  const res = await pool.query(
+    `
+    SELECT f.*, v.registration
+    FROM fuel_logs f
+    LEFT JOIN vehicles v
+      ON v.id = f.vehicle_id
+    WHERE f.id = $1
+  `,
+    [fuelLogId]
+  );
+  const log = res.rows[0];
+  if (!log) return [];
+
+  // Flags are stored for the owner's fuel alerts, so they're in the owner's language
+  const lang = await getUserLanguage(log.user_whatsapp);
+  const anomalies = await detectFuelAnomalies(log, lang);
+
+  // Flags from before an edit no longer apply – only the fresh ones stay
+  await pool.query(`DELETE FROM fuel_anomalies WHERE fuel_log_id = $1`, [log.id]);
+  for (const a of anomalies) {
+    await pool.query(
+      `
+      INSERT INTO fuel_anomalies (fuel_log_id, vehicle_id, owner_whatsapp, kind, message)
+      VALUES ($1, $2, $3, $4, $5)
+    `,
+      [log.id, log.vehicle_id, log.user_whatsapp, a.kind, a.message]
+    );
+  }
+
+  if (anomalies.length && who.submittedBy !== who.ownerWhatsapp) {
+    const dRes = who.driverId
+      ? await pool.query(`SELECT full_name FROM drivers WHERE id = $1`, [who.driverId])
+      : { rows: [] };
+    const byName = dRes.rows[0] ? dRes.rows[0].full_name : t(lang, "anomaly.a_driver");
+    await sendWhatsAppMessage(
+      log.user_whatsapp,
+      t(lang, "anomaly.flag_notice", {
+        id: log.id,
+        reg: log.registration || t(lang, "anomaly.unknown_vehicle"),
+        name: byName,
+        amount: formatNumber(log.amount || 0, lang),
+        currency: log.currency,
+        litres: log.litres != null ? " (" + formatNumber(log.litres, lang) + " L)" : "",
+      }) +
+        formatFuelAnomalyWarnings(anomalies, lang) +
+        t(lang, "anomaly.flag_footer")
+    );
+  }
+
+  if (anomalies.length) {
+    console.log("🚩 Flagged fuel log:", { fuelLogId, kinds: anomalies.map((a) => a.kind) });
+  }
+  return anomalies;
+}
+
+// "fuel alerts", "fuel alerts last 90 days" – flagged entries across the fleet
+async function buildFuelAlertsReport(userWhatsapp, fullText) {
+  const rest = fullText.trim().toLowerCase().replace(/^fuel alerts?\b/, "").trim();
+  const lang = await getUserLanguage(userWhatsapp);
+  const period = parseReportPeriod(rest || "last 30 days");
+  if (!period) {
+    return t(lang, "anomaly.bad_period", { period: rest });
+  }
+
+  const res = await pool.query(
+    `
+    SELECT
+      f.id,
+      f.amount,
+      f.currency,
+      f.litres,
+      f.odometer,
+      f.approval_status,
+      to_char(f.created_at, 'YYYY-MM-DD') AS entry_date,
+      v.registration,
+      d.full_name AS driver_name,
+      array_agg(a.message ORDER BY a.id) AS messages
+    FROM fuel_anomalies a
+    JOIN fuel_logs f
+      ON f.id = a.fuel_log_id
+    LEFT JOIN vehicles v
+      ON v.id = f.vehicle_id
+    LEFT JOIN drivers d
+      ON d.id = f.driver_id
+    WHERE f.user_whatsapp = $1
+      AND f.approval_status <> 'rejected'
+      AND f.created_at >= $2::date
+      AND f.created_at < $3::date + 1
+    GROUP BY f.id, v.registration, d.full_name
+    ORDER BY f.created_at DESC
+    LIMIT 20
+  `,
+    [userWhatsapp, period.from, period.to]
+  );
+
+  const range = period.from + " → " + period.to;
+  const label = formatPeriodLabel(period, lang);
+  if (res.rows.length === 0) {
+    return t(lang, "anomaly.report_none", { period: label, range });
+  }
+
+  let text = t(lang, "anomaly.report_title", { period: label, range });
+  for (const r of res.rows) {
+    text +=
+      "\n*#" +
+      r.id +
+      "* " +
+      formatDate(r.entry_date, lang) +
+      " – " +
+      (r.registration || t(lang, "anomaly.unknown_vehicle")) +
+      " – *" +
+      formatNumber(r.amount || 0, lang) +
+      "* " +
+      r.currency +
+      (r.litres != null ? " (" + formatNumber(r.litres, lang) + " L)" : "") +
+      (r.driver_name ? " – " + r.driver_name : "") +
+      (r.approval_status === "pending" ? " ⏳" : "") +
+      "\n";
+    for (const m of r.messages) text += "• " + m + "\n";
+  }
+  text += t(lang, "anomaly.report_footer");
+  return text;
+}
+
+// ---------- PERSONAL DOCUMENT FLOW ----------
+
+async function handlePersonalDocumentIntent(userWhatsapp) {
+  const lang = await getUserLanguage(userWhatsapp);
+  const c = await startConversation(userWhatsapp, "personal_document");
+  return t(lang, "doc.personal_start") + (await conversationPrompt(c, lang));
+}
+
+async function buildPersonalDocumentConfirmMessage(c, lang) {
+  const s = c.data;
+  const costNum = s.cost_amount != null ? Number(s.cost_amount) : 0;
+
+  const body =
+    t(lang, "doc.personal_confirm_title") +
+    "\n" +
+    t(lang, "label.title") +
+    ": *" +
+    (s.doc_title || t(lang, "doc.default_title")) +
+    "*\n" +
+    t(lang, "label.type") +
+    ": *" +
+    (s.doc_type || t(lang, "common.na")) +
+    "*\n" +
+    t(lang, "label.cost") +
+    ": *" +
+    formatNumber(costNum, lang) +
+    "* " +
+    (await getAccountCurrency(c.user_whatsapp)) +
+    "\n" +
+    t(lang, "label.expiry") +
+    ": *" +
+    (s.expiry_date ? formatDate(s.expiry_date, lang) : t(lang, "doc.no_expiry")) +
+    "*\n" +
+    t(lang, "label.notes") +
+    ": " +
+    (s.notes || t(lang, "doc.no_notes")) +
+    "\n\n" +
+    t(lang, "common.reply_yes_no");
+  return { body, buttons: yesNoButtons(lang) };
+}
+
+async function savePersonalDocumentConversation(c, lang, db = pool) {
+  const s = c.data;
+  const userWhatsapp = c.user_whatsapp;
+  const costNum = s.cost_amount != null ? Number(s.cost_amount) : 0;
+
+  // Save into personal_documents
+  const insertRes = await db.query(
+    `
+    INSERT INTO personal_documents (
+      user_whatsapp,
+      owner_whatsapp,
+      driver_whatsapp,
+      driver_id,
+      doc_title,
+      doc_type,
+      cost_amount,
+      currency,
+      expiry_date,
+      notes
+    )
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+    RETURNING *
+  `,
+    [
+      userWhatsapp,
+      userWhatsapp,
+      null,
+      null,
+      s.doc_title,
+      s.doc_type,
+      costNum,
+      await getAccountCurrency(userWhatsapp),
+      s.expiry_date,
+      s.notes,
+    ]
+  );
+
+  const docRow = insertRes.rows[0];
+
+  // Schedule expiry nudges and link the reminder back to the document
+  const reminder = await upsertReminder({
+    userWhatsapp,
+    sourceType: "personal_document",
+    sourceId: docRow.id,
+    title: docRow.doc_title || "Document",
+    dueDate: docRow.expiry_date,
+  }, db);
+  if (reminder) {
+    await db.query(
+      `UPDATE personal_documents SET reminder_id = $1 WHERE id = $2`,
+      [reminder.id, docRow.id]
+    );
+  }
+
+  // Also log as an expense for reporting (if cost > 0)
+  let linkedExpenseId = null;
+  if (costNum > 0) {
+    const expRes = await db.query(
+      `
+      INSERT INTO expense_logs (
+        user_whatsapp,
+        vehicle_id,
+        driver_id,
+        title,
+        amount,
+        odometer,
+        notes,
+        message_text,
+        currency
+      )
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+      RETURNING id
+    `,
+      [
+        userWhatsapp,
+        null,
+        null,
+        "Document: " + (docRow.doc_title || "Document"),
+        costNum,
+        null,
+        docRow.notes,
+        null,
+        docRow.currency,
+      ]
+    );
+    linkedExpenseId = expRes.rows[0].id;
+  }
+
+  await recordLogChange({
+    userWhatsapp,
+    logType: "document",
+    logId: docRow.id,
+    action: "create",
+    snapshot: { linked_expense_id: linkedExpenseId },
+  }, db);
+
+  return (
+    t(lang, "doc.personal_saved") +
+    "\n" +
+    t(lang, "label.title") +
+    ": *" +
+    (s.doc_title || t(lang, "doc.default_title")) +
+    "*\n" +
+    t(lang, "label.type") +
+    ": *" +
+    (s.doc_type || t(lang, "common.na")) +
+    "*\n" +
+    t(lang, "label.cost") +
+    ": *" +
+    formatNumber(costNum, lang) +
+    "* " +
+    docRow.currency +
+    "\n" +
+    t(lang, "label.expiry") +
+    ": *" +
+    (s.expiry_date ? formatDate(s.expiry_date, lang) : t(lang, "doc.no_expiry")) +
+    "*\n" +
+    t(lang, "label.notes") +
+    ": " +
+    (s.notes || t(lang, "doc.no_notes")) +
+    "\n\n" +
+    t(lang, s.expiry_date ? "doc.personal_will_remind" : "doc.personal_no_expiry")
+  );
+}
+
+// ---------- VEHICLE DOCUMENT FLOW ----------
+
+async function handleVehicleDocumentIntent(userWhatsapp) {
+  const lang = await getUserLanguage(userWhatsapp);
+  const vRes = await ensureCurrentVehicle(userWhatsapp);
+  if (vRes.status === "NO_VEHICLES") {
+    return t(lang, "vehicle.none");
+  }
+  if (vRes.status === "NEED_SET_CURRENT") {
+    const list = formatVehiclesList(vRes.list, true, lang);
+    return t(lang, "vehicle.pick_current", { list, command: "vehicle document" });
+  }
+
+  const vehicle = vRes.vehicle;
+  const c = await startConversation(userWhatsapp, "vehicle_document", {
+    vehicle_id: vehicle.id,
+  });
+
+  return (
+    t(lang, "doc.vehicle_start", { reg: vehicle.registration }) +
+    (await conversationPrompt(c, lang))
+  );
+}
+
+async function buildVehicleDocumentConfirmMessage(c, lang) {
+  const s = c.data;
+  const vRes = await pool.query(
+    `SELECT registration FROM vehicles WHERE id = $1`,
+    [s.vehicle_id]
+  );
+  const reg = vRes.rows[0] ? vRes.rows[0].registration : t(lang, "common.your_vehicle");
+
+  const costStr = formatNumber(s.cost || 0, lang);
+  const expStr = s.expiry_date ? formatDate(s.expiry_date, lang) : t(lang, "doc.no_expiry");
+  const notesStr = s.notes || t(lang, "doc.no_notes");
+
+  const body =
+    t(lang, "doc.vehicle_confirm_title") + "\n" +
+    t(lang, "label.vehicle") + ": *" + reg + "*\n" +
+    t(lang, "label.title") + ": *" + (s.title || t(lang, "doc.default_title")) + "*\n" +
+    t(lang, "label.cost") + ": *" + costStr + "* " + (await getAccountCurrency(c.user_whatsapp)) + "\n" +
+    t(lang, "label.expiry") + ": *" + expStr + "*\n" +
+    t(lang, "label.notes") + ": " + notesStr + "\n\n" +
+    t(lang, "common.reply_yes_no");
+  return { body, buttons: yesNoButtons(lang) };
+}
+
+async function saveVehicleDocumentConversation(c, lang, db = pool) {
+  const s = c.data;
+  const userWhatsapp = c.user_whatsapp;
+  const costNum = s.cost != null ? Number(s.cost) : 0;
+  const currency = await getAccountCurrency(userWhatsapp);
+
+  const insertRes = await db.query(
+    `
+    INSERT INTO vehicle_documents (
+      vehicle_id,
+      title,
+      cost,
+      expiry_date,
+      notes
+    )
+    VALUES ($1,$2,$3,$4,$5)
+    RETURNING *, to_char(expiry_date, 'YYYY-MM-DD') AS expiry_str
+  `,
+    [s.vehicle_id, s.title, costNum, s.expiry_date, s.notes]
+  );
+  const docRow = insertRes.rows[0];
+
+  const vRes = await db.query(
+    `SELECT registration FROM vehicles WHERE id = $1`,
+    [s.vehicle_id]
+  );
+  const reg = vRes.rows[0] ? vRes.rows[0].registration : t(lang, "common.your_vehicle");
+
+  await upsertReminder({
+    userWhatsapp,
+    sourceType: "vehicle_document",
+    sourceId: docRow.id,
+    title: reg + " – " + (docRow.title || "Document"),
+    dueDate: docRow.expiry_str,
+  }, db);
+
+  // Also log as an expense for reporting (if cost > 0)
+  if (costNum > 0) {
+    await db.query(
+      `
+      INSERT INTO expense_logs (
+        user_whatsapp,
+        vehicle_id,
+        driver_id,
+        title,
+        amount,
+        odometer,
+        notes,
+        message_text,
+        currency
+      )
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+    `,
+      [
+        userWhatsapp,
+        s.vehicle_id,
+        null,
+        "Document: " + (docRow.title || "Document"),
+        costNum,
+        null,
+        docRow.notes,
+        null,
+        currency,
+      ]
+    );
+  }
+
+  return (
+    t(lang, "doc.vehicle_saved", { reg }) +
+    "\n" +
+    t(lang, "label.title") +
+    ": *" +
+    (docRow.title || t(lang, "doc.default_title")) +
+    "*\n" +
+    t(lang, "label.cost") +
+    ": *" +
+    formatNumber(costNum, lang) +
+    "* " +
+    currency +
+    "\n" +
+    t(lang, "label.expiry") +
+    ": *" +
+    (docRow.expiry_str ? formatDate(docRow.expiry_str, lang) : t(lang, "doc.no_expiry")) +
+    "*\n\n" +
+    t(lang, docRow.expiry_str ? "doc.vehicle_will_remind" : "doc.vehicle_see_all")
+  );
+}
+
+async function buildVehicleDocumentsReport(userWhatsapp, scope) {
+  // scope: "vehicle" | "all"
+  const lang = await getUserLanguage(userWhatsapp);
+  let whereClause = "v.owner_whatsapp = $1 AND v.is_active = TRUE";
+  const params = [userWhatsapp];
+
+  if (scope === "vehicle") {
+    const vRes = await ensureCurrentVehicle(userWhatsapp);
+    if (vRes.status === "NO_VEHICLES") {
+      return t(lang, "vehicle.none");
+    }
+    if (vRes.status === "NEED_SET_CURRENT") {
+      const list = formatVehiclesList(vRes.list, true, lang);
+      return t(lang, "vehicle.pick_current", { list, command: "vehicle documents" });
+    }
+    whereClause += " AND v.id = $2";
+    params.push(vRes.vehicle.id);
+  }
+  params.push(REPORT_TIMEZONE);
+
+  const res = await pool.query(
+    `
+    SELECT
+      vd.*,
+      v.registration,
+      to_char(vd.expiry_date, 'YYYY-MM-DD') AS expiry_str,
+      (vd.expiry_date - (NOW() AT TIME ZONE $${params.length})::DATE)::INT AS days_left
+    FROM vehicle_documents vd
+    JOIN vehicles v
+      ON v.id = vd.vehicle_id
+    WHERE ${whereClause}
+    ORDER BY v.registration ASC, vd.expiry_date ASC NULLS LAST, vd.created_at DESC
+  `,
+    params
+  );
+  const rows = res.rows;
+
+  if (rows.length === 0) {
+    return (
+      t(lang, scope === "vehicle" ? "doc.report_none_vehicle" : "doc.report_none_all") +
+      t(lang, "doc.report_add_one")
+    );
+  }
+
+  let text =
+    scope === "vehicle"
+      ? t(lang, "doc.report_title", { reg: rows[0].registration })
+      : t(lang, "doc.report_title_all");
+
+  let lastReg = null;
+  for (const r of rows) {
+    if (scope === "all" && r.registration !== lastReg) {
+      text += "\n🚗 *" + r.registration + "*\n";
+      lastReg = r.registration;
+    }
+
+    let status;
+    if (r.days_left == null) {
+      status = "➖ " + t(lang, "doc.status_no_expiry");
+    } else if (r.days_left < 0) {
+      status = "❌ " + t(lang, "doc.status_expired", { days: Math.abs(r.days_left) });
+    } else if (r.days_left <= 30) {
+      status = "⚠️ " + t(lang, "doc.status_expiring", { days: r.days_left });
+    } else {
+      status = "✅ " + t(lang, "doc.status_valid", { days: r.days_left });
+    }
+
+    text +=
+      t(lang, "doc.report_line", {
+        title: r.title || t(lang, "doc.default_title"),
+        expiry: r.expiry_str || t(lang, "common.na"),
+        status,
+      }) + "\n";
+  }
+
+  text += t(lang, "doc.report_footer");
+
+  return text;
+}
+
+// ---------- UNDO & EDIT SAVED ENTRIES ----------
+
+// What can be edited per log type. type: money | currency | number | text | date
+// Field labels are the export column headers; chat replies use "field.<column>".
+const EDITABLE_LOGS = {
+  fuel: {
+    table: "fuel_logs",
+    // drivers' entries are owned by the fleet owner but edited by the sender
+    sender: "COALESCE(submitted_by, user_whatsapp)",
+    kind: "fuel",
+    fields: [
+      { column: "amount", label: "Amount", type: "money", required: true },
+      { column: "currency", label: "Currency", type: "currency", required: true },
+      { column: "litres", label: "Litres", type: "number", positive: true },
+      { column: "odometer", label: "Odometer", type: "number" },
+      { column: "station", label: "Station", type: "text" },
+      { column: "notes", label: "Notes", type: "text" },
+    ],
+  },
+  service: {
+    table: "service_logs",
+    // drivers' entries are owned by the fleet owner but edited by the sender
+    sender: "COALESCE(submitted_by, user_whatsapp)",
+    kind: "service",
+    fields: [
+      { column: "service_type", label: "Type", type: "text", required: true },
+      { column: "cost_amount", label: "Cost", type: "money", allowZero: true, required: true },
+      { column: "currency", label: "Currency", type: "currency", required: true },
+      { column: "odometer", label: "Odometer", type: "number" },
+      { column: "notes", label: "Notes", type: "text" },
+    ],
+  },
+  expense: {
+    table: "expense_logs",
+    // drivers' entries are owned by the fleet owner but edited by the sender
+    sender: "COALESCE(submitted_by, user_whatsapp)",
+    kind: "expense",
+    fields: [
+      { column: "title", label: "Title", type: "text", required: true },
+      { column: "amount", label: "Amount", type: "money", required: true },
+      { column: "currency", label: "Currency", type: "currency", required: true },
+      { column: "odometer", label: "Odometer", type: "number" },
+      { column: "notes", label: "Notes", type: "text" },
+    ],
+  },
+  document: {
+    table: "personal_documents",
+    sender: "user_whatsapp",
+    kind: "personal_document",
+    fields: [
+      { column: "doc_title", label: "Title", type: "text", required: true },
+      { column: "doc_type", label: "Type", type: "text" },
+      { column: "cost_amount", label: "Cost", type: "money", allowZero: true },
+      { column: "currency", label: "Currency", type: "currency", required: true },
+      { column: "expiry_date", label: "Expiry (YYYY-MM-DD)", type: "date" },
+      { column: "notes", label: "Notes", type: "text" },
+    ],
+  },
+};
+
+const EDIT_TYPE_ALIASES = {
+  fuel: "fuel",
+  service: "service",
+  expense: "expense",
+  document: "document",
+  doc: "document",
+  "my document": "document",
+};
+
+async function recordLogChange({
+  userWhatsapp,
+  logType,
+  logId,
+  action,
+  field = null,
+  oldValue = null,
+  newValue = null,
+  snapshot = null,
+}, db = pool) {
+  try {
+    await db.query(
+      `
+      INSERT INTO log_changes (
+        user_whatsapp,
+        log_type,
+        log_id,
+        action,
+        field,
+        old_value,
+        new_value,
+        snapshot
+      )
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+    `,
+      [
+        userWhatsapp,
+        logType,
+        logId,
+        action,
+        field,
+        oldValue == null ? null : String(oldValue),
+        newValue == null ? null : String(newValue),
+        snapshot,
+      ]
+    );
+  } catch (err) {
+    // Inside a transaction the failed insert has aborted it – let the caller roll back
+    if (db !== pool) throw err;
+    console.error("❌ Error recording log change:", err.message);
+  }
+}
+
+function formatEditValue(field, value, lang = DEFAULT_LANGUAGE) {
+  if (value == null || value === "") return t(lang, "common.na");
+  if (field.type === "date") {
+    return value instanceof Date
+      ? new Date(value.getTime() - value.getTimezoneOffset() * 60000)
+          .toISOString()
+          .slice(0, 10)
+      : String(value).slice(0, 10);
+  }
+  if (field.type === "money") return Number(value).toFixed(2);
+  return String(value);
+}
+
+function describeLogRow(logType, row, lang = DEFAULT_LANGUAGE) {
+  const date = row.created_at ? formatDate(new Date(row.created_at), lang) : "";
+  if (logType === "fuel") {
+    return t(lang, "edit.row_fuel", {
+      amount: formatNumber(row.amount || 0, lang),
+      currency: row.currency,
+      date,
+    });
+  }
+  if (logType === "service" || logType === "expense") {
+    const cost = logType === "service" ? row.cost_amount : row.amount;
+    return t(lang, "edit.row_entry", {
+      title: (logType === "service" ? row.service_type : row.title) || t(lang, "kind." + logType),
+      amount: formatNumber(cost || 0, lang),
+      currency: row.currency,
+      date,
+    });
+  }
+  return t(lang, "edit.row_document", { title: row.doc_title || t(lang, "doc.default_title"), date });
+}
+
+// { entry: "fuel entry", kind: "fuel" } – Swahili puts the possessive in between
+function logKindVars(logType, lang) {
+  const vars = kindVars(lang, EDITABLE_LOGS[logType].kind);
+  return { ...vars, entry: t(lang, "edit.entry", vars) };
+}
+
+function editFieldLabel(field, lang) {
+  return t(lang, "field." + field.column);
+}
+
+async function handleUndoCommand(userWhatsapp) {
+  const lang = await getUserLanguage(userWhatsapp);
+  const res = await pool.query(
+    `
+    SELECT c.*
+    FROM log_changes c
+    WHERE c.user_whatsapp = $1
+      AND c.action = 'create'
+      AND c.created_at >= NOW() - make_interval(mins => $2)
+      AND NOT EXISTS (
+        SELECT 1
+        FROM log_changes d
+        WHERE d.log_type = c.log_type
+          AND d.log_id = c.log_id
+          AND d.action = 'delete'
+      )
+    ORDER BY c.created_at DESC, c.id DESC
+    LIMIT 1
+  `,
+    [userWhatsapp, UNDO_WINDOW_MINUTES]
+  );
+  const change = res.rows[0];
+
+  if (!change) {
+    return t(lang, "undo.nothing", { minutes: UNDO_WINDOW_MINUTES });
+  }
+
+  const def = EDITABLE_LOGS[change.log_type];
+  const delRes = await pool.query(
+    `DELETE FROM ${def.table} WHERE id = $1 AND ${def.sender} = $2 RETURNING *`,
+    [change.log_id, userWhatsapp]
+  );
+  const row = delRes.rows[0];
+  if (!row) {
+    return t(lang, "undo.already_removed");
+  }
+
+  // Tidy up anything hanging off the deleted row
+  if (change.log_type === "document") {
+    await upsertReminder({
+      sourceType: "personal_document",
+      sourceId: row.id,
+      dueDate: null,
+    });
+    const linked = change.snapshot && change.snapshot.linked_expense_id;
+    if (linked) {
+      await pool.query(
+        `DELETE FROM expense_logs WHERE id = $1 AND user_whatsapp = $2`,
+        [linked, userWhatsapp]
+      );
+    }
+  } else {
+    await pool.query(
+      `DELETE FROM receipts WHERE log_type = $1 AND log_id = $2`,
+      [change.log_type, row.id]
+    );
+    if (change.log_type === "fuel") {
+      await pool.query(`DELETE FROM fuel_anomalies WHERE fuel_log_id = $1`, [row.id]);
+    }
+    await pool.query(
+      `
+      UPDATE entry_approvals
+      SET status = 'withdrawn',
+          decided_at = NOW()
+      WHERE log_type = $1
+        AND log_id = $2
+        AND status = 'pending'
+    `,
+      [change.log_type, row.id]
+    );
+  }
+
+  await recordLogChange({
+    userWhatsapp,
+    logType: change.log_type,
+    logId: row.id,
+    action: "delete",
+    snapshot: row,
+  });
+
+  return t(lang, "undo.done", {
+    ...logKindVars(change.log_type, lang),
+    summary: describeLogRow(change.log_type, row, lang),
+  });
+}
+
+async function getActiveEditSession(userWhatsapp) {
+  const res = await pool.query(
+    `
+    SELECT *
+    FROM edit_sessions
+    WHERE user_whatsapp = $1
+      AND status = 'ACTIVE'
+    ORDER BY id DESC
+    LIMIT 1
+  `,
+    [userWhatsapp]
+  );
+  return res.rows[0] || null;
+}
+
+async function clearEditSession(userWhatsapp) {
+  await pool.query(
+    `
+    UPDATE edit_sessions
+    SET status = 'CANCELLED',
+        updated_at = NOW()
+    WHERE user_whatsapp = $1
+      AND status = 'ACTIVE'
+  `,
+    [userWhatsapp]
+  );
+}
+
+function formatEditFields(def, row, lang = DEFAULT_LANGUAGE) {
+  let text = "";
+  def.fields.forEach((f, i) => {
+    text +=
+      "\n" + (i + 1) + ". " + editFieldLabel(f, lang) + ": *" + formatEditValue(f, row[f.column], lang) + "*";
+  });
+  return text;
+}
+
+async function loadEditRow(def, logId, userWhatsapp) {
+  const res = await pool.query(
+    `SELECT * FROM ${def.table} WHERE id = $1 AND ${def.sender} = $2`,
+    [logId, userWhatsapp]
+  );
+  return res.rows[0] || null;
+}
+
+async function handleEditCommand(userWhatsapp, fullText) {
+  const match = fullText
+    .trim()
+    .toLowerCase()
+    .match(/^edit\s+last\s+(.+)$/);
+  const logType = match ? EDIT_TYPE_ALIASES[match[1].trim()] : null;
+  const lang = await getUserLanguage(userWhatsapp);
+
+  if (!logType) {
+    return t(lang, "edit.help");
+  }
+
+  const def = EDITABLE_LOGS[logType];
+  const res = await pool.query(
+    `
+    SELECT *
+    FROM ${def.table}
+    WHERE ${def.sender} = $1
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  `,
+    [userWhatsapp]
+  );
+  const row = res.rows[0];
+  if (!row) {
+    return t(lang, "edit.none", logKindVars(logType, lang));
+  }
+
+  await clearAllSessions(userWhatsapp);
+  await pool.query(
+    `
+    INSERT INTO edit_sessions (user_whatsapp, log_type, log_id, step)
+    VALUES ($1, $2, $3, 'field')
+  `,
+    [userWhatsapp, logType, row.id]
+  );
+
+  return (
+    t(lang, "edit.start", {
+      ...logKindVars(logType, lang),
+      summary: describeLogRow(logType, row, lang),
+    }) +
+    formatEditFields(def, row, lang) +
+    t(lang, "edit.pick_field")
+  );
+}
+
+function parseEditValue(field, text, lang = DEFAULT_LANGUAGE) {
+  const lower = text.trim().toLowerCase();
+  if (lower === "clear" || lower === "skip") {
+    if (field.required) return { error: t(lang, "edit.required", { field: editFieldLabel(field, lang) }) };
+    return { value: null };
+  }
+
+  if (field.type === "money") {
+    const n = parseNumber(text);
+    if (isNaN(n) || n < 0 || (n === 0 && !field.allowZero)) {
+      return { error: t(lang, "edit.bad_money") };
+    }
+    return { value: n };
+  }
+  if (field.type === "currency") {
+    const code = parseCurrencyCode(text);
+    if (!code) {
+      return { error: t(lang, "edit.bad_currency") };
+    }
+    return { value: code };
+  }
+  if (field.type === "number") {
+    const n = parseNumber(text);
+    if (isNaN(n) || n < 0 || (n === 0 && field.positive)) {
+      return { error: t(lang, "edit.bad_number") };
+    }
+    return { value: n };
+  }
+  if (field.type === "date") {
+    const d = parseIsoDate(text);
+    if (!d) return { error: t(lang, "edit.bad_date") };
+    return { value: d };
+  }
+  const value = text.trim();
+  if (!value) return { error: t(lang, "edit.bad_text") };
+  return { value };
+}
+
+async function handleEditSessionStep(userWhatsapp, text, session) {
+  const lower = text.trim().toLowerCase();
+  const def = EDITABLE_LOGS[session.log_type];
+  const lang = await getUserLanguage(userWhatsapp);
+
+  if (lower === "done" || lower === "cancel") {
+    await clearEditSession(userWhatsapp);
+    return t(lang, "edit.done");
+  }
+
+  const row = await loadEditRow(def, session.log_id, userWhatsapp);
+  if (!row) {
+    await clearEditSession(userWhatsapp);
+    return t(lang, "edit.gone");
+  }
+
+  if (session.step === "field") {
+    const index = parseInt(lower, 10);
+    let field = null;
+    if (index >= 1 && index <= def.fields.length) {
+      field = def.fields[index - 1];
+    } else {
+      field = def.fields.find(
+        (f) =>
+          f.column === lower ||
+          f.label.toLowerCase().startsWith(lower) ||
+          editFieldLabel(f, lang).toLowerCase().startsWith(lower)
+      );
+    }
+
+    if (!field) {
+      return t(lang, "edit.bad_field") + formatEditFields(def, row, lang) + t(lang, "edit.or_done");
+    }
+
+    await pool.query(
+      `
+      UPDATE edit_sessions
+      SET step = 'value',
+          field = $1,
+          updated_at = NOW()
+      WHERE id = $2
+    `,
+      [field.column, session.id]
+    );
+
+    return (
+      t(lang, "edit.ask_value", {
+        field: editFieldLabel(field, lang),
+        current: formatEditValue(field, row[field.column], lang),
+      }) + (field.required ? "" : t(lang, "edit.clear_hint"))
+    );
+  }
+
+  if (session.step === "value") {
+    const field = def.fields.find((f) => f.column === session.field);
+    const parsed = parseEditValue(field, text, lang);
+    if (parsed.error) return parsed.error;
+
+    // Same timeline rule as a new entry: never below the reading before it
+    if (field.column === "odometer" && parsed.value != null) {
+      const check = await checkOdometerReading(row.vehicle_id, parsed.value, {
+        before: new Date(row.created_at),
+        exclude: { source: session.log_type, id: row.id },
+      });
+      if (check.status === "lower") {
+        return t(lang, "edit.odometer_lower", {
+          km: formatKm(parsed.value),
+          last: describeLastReading(check.last, lang),
+          current: formatEditValue(field, row[field.column], lang),
+        });
+      }
+    }
+
+    const oldValue = formatEditValue(field, row[field.column]);
+    const updRes = await pool.query(
+      `
+      UPDATE ${def.table}
+      SET ${field.column} = $1
+      WHERE id = $2
+      RETURNING *
+    `,
+      [parsed.value, row.id]
+    );
+    const updated = updRes.rows[0];
+    const newValue = formatEditValue(field, updated[field.column]);
+
+    await recordLogChange({
+      userWhatsapp,
+      logType: session.log_type,
+      logId: row.id,
+      action: "update",
+      field: field.column,
+      oldValue: row[field.column] == null ? null : oldValue,
+      newValue: updated[field.column] == null ? null : newValue,
+    });
+
+    if (session.log_type === "fuel") {
+      try {
+        await flagFuelAnomalies(row.id, {
+          ownerWhatsapp: updated.user_whatsapp,
+          driverId: updated.driver_id,
+          submittedBy: userWhatsapp,
+        });
+      } catch (err) {
+        console.error("❌ Error re-checking fuel anomalies:", err.message);
+      }
+    }
+
+    // A driver changing an entry sends it back to the owner for review
+    let reviewLine = "";
+    if (
+      updated.submitted_by &&
+      updated.submitted_by !== updated.user_whatsapp &&
+      updated.approval_status !== "pending"
+    ) {
+      await pool.query(
+        `UPDATE ${def.table} SET approval_status = 'pending' WHERE id = $1`,
+        [row.id]
+      );
+      const approval = await requestOwnerApproval(session.log_type, row.id, {
+        ownerWhatsapp: updated.user_whatsapp,
+        driverId: updated.driver_id,
+        submittedBy: updated.submitted_by,
+      });
+      if (approval) {
+        reviewLine = t(lang, "edit.sent_back", { id: approval.id });
+      }
+    }
+
+    if (session.log_type === "document" && field.column === "expiry_date") {
+      await upsertReminder({
+        userWhatsapp,
+        sourceType: "personal_document",
+        sourceId: row.id,
+        title: updated.doc_title || "Document",
+        dueDate: parsed.value,
+      });
+    }
+
+    await pool.query(
+      `
+      UPDATE edit_sessions
+      SET step = 'field',
+          field = NULL,
+          updated_at = NOW()
+      WHERE id = $1
+    `,
+      [session.id]
+    );
+
+    return (
+      t(lang, "edit.changed", {
+        field: editFieldLabel(field, lang),
+        old: formatEditValue(field, row[field.column], lang),
+        new: formatEditValue(field, updated[field.column], lang),
+      }) +
+      reviewLine +
+      formatEditFields(def, updated, lang) +
+      t(lang, "edit.another")
+    );
+  }
+
+  await clearEditSession(userWhatsapp);
+  return t(lang, "edit.broken");
+}
+
+// ---------- DRIVER ENTRY APPROVALS ----------
+
+/**
+ * Open (or re-open) an approval for a driver-submitted entry and send the
+ * owner a summary they can answer with *approve 12* / *reject 12 reason*.
+ */
+async function requestOwnerApproval(logType, logId, who) {
+  const approval = await createApprovalRequest(logType, logId, who);
+  await sendApprovalRequest(approval, logType, who);
+  return approval;
+}
+
+async function createApprovalRequest(logType, logId, who, db = pool) {
+  const res = await db.query(
+    `
+    INSERT INTO entry_approvals (
+      owner_whatsapp,
+      driver_whatsapp,
+      driver_id,
+      log_type,
+      log_id
+    )
+    VALUES ($1,$2,$3,$4,$5)
+    ON CONFLICT (log_type, log_id)
+    DO UPDATE SET status = 'pending',
+                  reason = NULL,
+                  decided_at = NULL
+    RETURNING *
+  `,
+    [who.ownerWhatsapp, who.submittedBy, who.driverId, logType, logId]
+  );
+  return res.rows[0];
+}
+
+// Ask the owner to approve or reject a driver's entry
+async function sendApprovalRequest(approval, logType, who) {
+  const def = EDITABLE_LOGS[logType];
+  const logId = approval.log_id;
+
+  const rowRes = await pool.query(
+    `
+    SELECT l.*, v.registration, d.full_name AS driver_name
+    FROM ${def.table} l
+    LEFT JOIN vehicles v
+      ON v.id = l.vehicle_id
+    LEFT JOIN drivers d
+      ON d.id = l.driver_id
+    WHERE l.id = $1
+  `,
+    [logId]
+  );
+  const row = rowRes.rows[0];
+  if (!row) return;
+
+  const lang = await getUserLanguage(who.ownerWhatsapp);
+  const details = def.fields
+    .filter((f) => row[f.column] != null && row[f.column] !== "")
+    .map((f) => editFieldLabel(f, lang) + ": *" + formatEditValue(f, row[f.column], lang) + "*")
+    .join("\n");
+
+  await sendWhatsAppMessage(
+    who.ownerWhatsapp,
+    t(lang, "approval.request", {
+      id: approval.id,
+      driver: row.driver_name || who.submittedBy,
+      reg: row.registration || t(lang, "common.na"),
+      kind: t(lang, "kind." + def.kind),
+      details,
+    })
+  );
+}
+
+async function handleApprovalDecision(userWhatsapp, fullText) {
+  const match = fullText
+    .trim()
+    .match(/^(approve|reject)\s+#?(\d+)(?:\s+([\s\S]+))?$/i);
+  const lang = await getUserLanguage(userWhatsapp);
+  if (!match) {
+    return t(lang, "approval.help");
+  }
+
+  const decision = match[1].toLowerCase() === "approve" ? "approved" : "rejected";
+  const approvalId = parseInt(match[2], 10);
+  const reason = match[3] ? match[3].trim() : null;
+
+  if (decision === "rejected" && !reason) {
+    return t(lang, "approval.need_reason", { id: approvalId });
+  }
+
+  const res = await pool.query(
+    `
+    SELECT *
+    FROM entry_approvals
+    WHERE id = $1
+      AND owner_whatsapp = $2
+  `,
+    [approvalId, userWhatsapp]
+  );
+  const approval = res.rows[0];
+  if (!approval) {
+    return t(lang, "approval.not_found", { id: approvalId });
+  }
+  if (approval.status !== "pending") {
+    return t(lang, "approval.already", {
+      id: approvalId,
+      status: t(lang, "approval.status_" + approval.status),
+    });
+  }
+
+  const def = EDITABLE_LOGS[approval.log_type];
+  const logRes = await pool.query(
+    `
+    UPDATE ${def.table}
+    SET approval_status = $1,
+        reviewed_at = NOW(),
+        review_note = $2
+    WHERE id = $3
+      AND user_whatsapp = $4
+    RETURNING *
+  `,
+    [decision, reason, approval.log_id, userWhatsapp]
+  );
+  const row = logRes.rows[0];
+
+  await pool.query(
+    `
+    UPDATE entry_approvals
+    SET status = $1,
+        reason = $2,
+        decided_at = NOW()
+    WHERE id = $3
+  `,
+    [row ? decision : "withdrawn", reason, approval.id]
+  );
+
+  if (!row) {
+    return t(lang, "approval.withdrawn", { id: approvalId });
+  }
+
+  const driverLang = await getUserLanguage(approval.driver_whatsapp);
+  await sendWhatsAppMessage(
+    approval.driver_whatsapp,
+    t(driverLang, decision === "approved" ? "approval.driver_approved" : "approval.driver_rejected", {
+      ...logKindVars(approval.log_type, driverLang),
+      summary: describeLogRow(approval.log_type, row, driverLang),
+      reason,
+      type: approval.log_type,
+    })
+  );
+
+  return t(lang, decision === "approved" ? "approval.approved" : "approval.rejected", {
+    id: approvalId,
+    summary: describeLogRow(approval.log_type, row, lang),
+  });
+}
+
+async function handlePendingEntriesCommand(userWhatsapp) {
+  const res = await pool.query(
+    `
+    SELECT a.*, d.full_name AS driver_name
+    FROM entry_approvals a
+    LEFT JOIN drivers d
+      ON d.id = a.driver_id
+    WHERE a.owner_whatsapp = $1
+      AND a.status = 'pending'
+    ORDER BY a.created_at ASC
+    LIMIT 20
+  `,
+    [userWhatsapp]
+  );
+  const lang = await getUserLanguage(userWhatsapp);
+
+  if (res.rows.length === 0) {
+    return t(lang, "approval.pending_none");
+  }
+
+  let text = t(lang, "approval.pending_title");
+  for (const a of res.rows) {
+    const def = EDITABLE_LOGS[a.log_type];
+    const logRes = await pool.query(`SELECT * FROM ${def.table} WHERE id = $1`, [
+      a.log_id,
+    ]);
+    const row = logRes.rows[0];
+    if (!row) continue;
+    text +=
+      "\n*#" +
+      a.id +
+      "* – " +
+      (a.driver_name || a.driver_whatsapp) +
+      " – " +
+      describeLogRow(a.log_type, row, lang);
+  }
+
+  text += t(lang, "approval.pending_footer");
+  return text;
+}
+
+/**
+ * Report filter on approval state. Rejected entries never count; pending
+ * driver entries only count when the owner asks for them.
+ */
+function approvalFilterSql(includePending, alias = "") {
+  const col = alias ? alias + ".approval_status" : "approval_status";
+  return includePending ? ` AND ${col} <> 'rejected'` : ` AND ${col} = 'approved'`;
+}
+
+async function countPendingEntries(table, whereClause, params) {
+  const res = await pool.query(
+    `SELECT COUNT(*)::INT AS cnt FROM ${table} WHERE ${whereClause} AND approval_status = 'pending'`,
+    params
+  );
+  return res.rows[0].cnt;
+}
+
+function pendingReportNote(pendingCount, includePending, reportCommand, lang = DEFAULT_LANGUAGE) {
+  if (!pendingCount) return "";
+  return (
+    "\n" +
+    t(lang, includePending ? "report.pending_included" : "report.pending_excluded", {
+      count: pendingCount,
+      command: reportCommand,
+    })
+  );
+}
+
+// ---------- REPORT PERIODS ----------
+// "fuel report last 90 days", "expense report all 2026-01-01 to 2026-03-31":
+// narrow a report to a date range and compare it with the period before.
+
+const REPORT_BUILDERS = {
+  fuel: buildFuelReport,
+  service: buildServiceReport,
+  expense: buildExpenseReport,
+};
+
+// SQL bounds for an inclusive YYYY-MM-DD period; pushes onto params
+function periodWhereSql(period, params, alias = "") {
+  const col = alias ? alias + ".created_at" : "created_at";
+  params.push(period.from, period.to);
+  return (
+    ` AND ${col} >= $${params.length - 1}::date` +
+    ` AND ${col} < $${params.length}::date + 1`
+  );
+}
+
+/**
+ * Applies approval state and (optionally) a period to a report's base
+ * where-clause. With a period, the previous period of the same length is
+ * loaded through getStats (in options.currency) for comparison.
+ * Returns { whereClause, includePending, pendingCount, period, previous }.
+ */
+async function applyReportFilters(table, getStats, baseWhere, params, options = {}) {
+  const includePending = !!options.includePending;
+  const period = options.period || null;
+  const baseParams = params.slice();
+
+  let whereClause = baseWhere;
+  if (period) whereClause += periodWhereSql(period, params);
+  const pendingCount = await countPendingEntries(table, whereClause, params);
+  whereClause += approvalFilterSql(includePending);
+
+  let previous = null;
+  if (period) {
+    const prevPeriod = previousPeriod(period);
+    const prevParams = baseParams.slice();
+    const prevWhere =
+      baseWhere +
+      periodWhereSql(prevPeriod, prevParams) +
+      approvalFilterSql(includePending);
+    previous = {
+      period: prevPeriod,
+      stats: await getStats(prevWhere, prevParams, options.currency),
+    };
+  }
+
+  return { whereClause, includePending, pendingCount, period, previous };
+}
+
+function buildReportCommand(kind, scope, period) {
+  return (
+    kind +
+    " report" +
+    (scope === "all" ? " all" : "") +
+    (period ? " " + period.command : "")
+  );
+}
+
+// { abs, pct } – pct is null when there is nothing to compare against
+function periodChange(current, previous) {
+  const cur = Number(current || 0);
+  const prev = Number(previous || 0);
+  return {
+    abs: Math.round((cur - prev) * 100) / 100,
+    pct: prev === 0 ? null : Math.round(((cur - prev) / prev) * 1000) / 10,
+  };
+}
+
+function formatSigned(value, decimals, lang = DEFAULT_LANGUAGE) {
+  const sign = value > 0 ? "+" : value < 0 ? "−" : "±";
+  return sign + formatNumber(Math.abs(value), lang, decimals);
+}
+
+// "Spend: *+1200.00* KES (+15.0%), was 8,000.00 KES"
+function formatComparisonLine(label, current, previous, decimals, unit, lang = DEFAULT_LANGUAGE) {
+  const change = periodChange(current, previous);
+  const suffix = unit ? " " + unit : "";
+  return (
+    label +
+    ": *" +
+    formatSigned(change.abs, decimals, lang) +
+    "*" +
+    suffix +
+    " (" +
+    (change.pct == null ? t(lang, "common.na") : formatSigned(change.pct, 1, lang) + "%") +
+    "), " +
+    t(lang, "report.was") +
+    " " +
+    formatNumber(previous, lang, decimals) +
+    suffix +
+    "\n"
+  );
+}
+
+function formatPeriodComparison(stats, previous, currency = BASE_CURRENCY, lang = DEFAULT_LANGUAGE) {
+  if (!previous) return "";
+  const prev = previous.stats;
+  let text =
+    "\n↔️ *" +
+    t(lang, "report.vs_previous") +
+    "* (" +
+    formatDate(previous.period.from, lang) +
+    " → " +
+    formatDate(previous.period.to, lang) +
+    ")\n" +
+    formatComparisonLine(t(lang, "report.spend"), stats.total, prev.total, 2, currency, lang) +
+    formatComparisonLine(t(lang, "report.entries"), stats.cnt, prev.cnt, 0, "", lang);
+  if (stats.total_litres != null) {
+    text += formatComparisonLine(
+      t(lang, "report.litres"),
+      stats.total_litres,
+      prev.total_litres,
+      2,
+      "L",
+      lang
+    );
+  }
+  return text;
+}
+
+// "📅 Last 90 days: *22 Jul 2026* → *19 Oct 2026*"
+function formatReportPeriodLine(period, lang = DEFAULT_LANGUAGE) {
+  const range = "*" + formatDate(period.from, lang) + "* → *" + formatDate(period.to, lang) + "*";
+  const custom = period.label === period.from + " → " + period.to;
+  return "📅 " + (custom ? range : formatPeriodLabel(period, lang) + ": " + range) + "\n";
+}
+
+// "fuel report", "service report all last 90 days", "expense report march with pending"
+async function handleReportCommand(userWhatsapp, fullText) {
+  const match = fullText
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .match(/^(fuel|service|expense) report(?: (all))?(.*?)( with pending)?$/);
+  if (!match) return null;
+
+  const [, kind, allWord, rest, pendingWord] = match;
+  const scope = allWord ? "all" : "vehicle";
+  const options = { includePending: !!pendingWord };
+
+  const periodText = rest.trim();
+  if (periodText) {
+    const period = parseReportPeriod(periodText);
+    if (!period) {
+      const lang = await getUserLanguage(userWhatsapp);
+      return t(lang, "report.bad_period", {
+        period: periodText,
+        kind: kindVars(lang, kind).kind,
+      });
+    }
+    period.command = periodText;
+    options.period = period;
+  }
+
+  return REPORT_BUILDERS[kind](userWhatsapp, scope, options);
+}
+
+// ---------- AI + MEMORY HELPERS ----------
+
+async function saveChatTurn(userWhatsapp, role, message, messageSid = null) {
+  try {
+    await pool.query(
+      `
+      INSERT INTO chat_turns (user_whatsapp, role, message, message_sid)
+      VALUES ($1, $2, $3, $4)
+    `,
+      [userWhatsapp, role, message, messageSid]
+    );
+  } catch (err) {
+    console.error("❌ Error saving chat_turn:", err.message);
+  }
+}
+
+async function callN8nAI(from, text, language = DEFAULT_LANGUAGE) {
+  try {
+    console.log("🤖 Calling n8n AI webhook:", N8N_WEBHOOK_URL);
+    const payload = { from, text, language };
+    console.log("🤖 Payload to n8n:", payload);
+
+    const response = await axios.post(N8N_WEBHOOK_URL, payload, {
+      timeout: 10000,
+    });
+
+    const data = response.data || {};
+    if (data.reply && typeof data.reply === "string") {
+      return data.reply;
+    }
+    return null;
+  } catch (err) {
+    console.error("❌ Error calling n8n AI webhook:", err.message);
+    return null;
+  }
+}
+
+// ---------- WHATSAPP SEND WRAPPER ----------
+// Every outbound message is a row in outbound_messages. It is sent straight
+// away; if Twilio can't take it, the outbound worker retries with backoff
+// until OUTBOUND_MAX_ATTEMPTS, then the row is dead-lettered (status
+// 'dead'). Statuses: sending, pending (waiting to retry), sent, dead.
+// Twilio's delivery / read states arrive later on /whatsapp/status.
+
+async function sendWhatsAppMessage(to, body, mediaUrl = null, kind = "message") {
+  if (!to) {
+    console.error("❌ No 'to' provided for WhatsApp message.");
+    return;
+  }
+
+  if (DISABLE_TWILIO_SEND === "true") {
+    console.log("🚫 Twilio send disabled. Would send WhatsApp message:", {
+      to,
+      body,
+      mediaUrl,
+      kind,
+    });
+    return;
+  }
+
+  await queueWhatsAppMessage({ to, body, mediaUrl, kind });
+}
+
+// Throws only when the message could neither be queued nor sent directly
+async function queueWhatsAppMessage({ to, body = null, mediaUrl = null, contentSid = null, kind }) {
+  let msg;
+  try {
+    // Inserted as 'sending' so the worker leaves it alone while we try now
+    const res = await pool.query(
+      `
+      INSERT INTO outbound_messages (to_whatsapp, kind, body, media_url, content_sid, status)
+      VALUES ($1, $2, $3, $4, $5, 'sending')
+      RETURNING *
+    `,
+      [to, kind, body, mediaUrl, contentSid]
+    );
+    msg = res.rows[0];
+  } catch (err) {
+    // No row means no retries – try once without the queue rather than drop it
+    console.error("❌ Error queueing WhatsApp message, sending directly:", {
+      to,
+      kind,
+      error: err.message,
+    });
+    await sendUnqueuedMessage({ to, body, mediaUrl, contentSid, kind }, err);
+    return;
+  }
+
+  await deliverOutboundMessage(msg);
+}
+
+function buildOutboundPayload(msg) {
+  const payload = { from: TWILIO_WHATSAPP_NUMBER, to: msg.to_whatsapp };
+  if (msg.content_sid) {
+    payload.contentSid = msg.content_sid;
+  } else {
+    payload.body = msg.body;
+    if (msg.media_url) payload.mediaUrl = [msg.media_url];
+  }
+  if (PUBLIC_BASE_URL) payload.statusCallback = PUBLIC_BASE_URL + "/whatsapp/status";
+  return payload;
+}
+
+async function sendUnqueuedMessage({ to, body, mediaUrl, contentSid, kind }, queueErr) {
+  const msg = { to_whatsapp: to, body, media_url: mediaUrl, content_sid: contentSid };
+  try {
+    let sent;
+    try {
+      sent = await twilioClient.messages.create(buildOutboundPayload(msg));
+    } catch (err) {
+      // Same text fallback as the queue for rejected buttons / lists
+      if (!contentSid || !body) throw err;
+      sent = await twilioClient.messages.create(
+        buildOutboundPayload({ ...msg, content_sid: null })
+      );
+    }
+    console.warn("📮 Sent WhatsApp message without queueing (not tracked):", {
+      to,
+      kind,
+      twilioSid: sent.sid,
+    });
+  } catch (err) {
+    console.error("❌ WhatsApp message lost – not queued and direct send failed:", {
+      to,
+      kind,
+      queueError: queueErr.message,
+      sendError: err.message,
+    });
+    throw new Error("WhatsApp message to " + to + " could not be queued or sent: " + err.message);
+  }
+}
+
+// Messages Twilio accepted whose 'sent' row update failed, by outbound id.
+// The worker retries only the status write for these and never re-sends them.
+const outboundSentUnrecorded = new Map();
+
+async function deliverOutboundMessage(msg) {
+  let sent;
+  try {
+    sent = await twilioClient.messages.create(buildOutboundPayload(msg));
+  } catch (err) {
+    await recordOutboundFailure(msg, err);
+    return;
+  }
+
+  try {
+    await markOutboundSent(msg.id, sent);
+  } catch (err) {
+    // Already with Twilio – a retry here would deliver it twice
+    outboundSentUnrecorded.set(msg.id, sent);
+    console.error("❌ WhatsApp message " + msg.id + " sent but not marked sent, will retry the update:", {
+      twilioSid: sent.sid,
+      error: err.message,
+    });
+  }
+}
+
+async function markOutboundSent(id, sent) {
+  await pool.query(
+    `
+    UPDATE outbound_messages
+    SET status = 'sent',
+        twilio_sid = $2,
+        delivery_status = $3,
+        attempts = attempts + 1,
+        last_error = NULL,
+        sent_at = NOW(),
+        updated_at = NOW()
+    WHERE id = $1
+  `,
+    [id, sent.sid, sent.status || null]
+  );
+  outboundSentUnrecorded.delete(id);
+}
+
+async function recordOutboundFailure(msg, err) {
+  const attempts = msg.attempts + 1;
+
+  // Buttons / list the channel won't take – send the text instead, right away
+  if (msg.content_sid && msg.body) {
+    console.error("❌ Error sending interactive message, falling back to text:", err.message);
+    const res = await pool.query(
+      `
+      UPDATE outbound_messages
+      SET content_sid = NULL,
+          attempts = $2,
+          last_error = $3,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `,
+      [msg.id, attempts, err.message]
+    );
+    return deliverOutboundMessage(res.rows[0]);
+  }
+
+  // Twilio 4xx (bad number, unknown content…) won't succeed on a retry
+  const permanent =
+    (err.status >= 400 && err.status < 500 && err.status !== 429) ||
+    (msg.content_sid && !msg.body);
+  const dead = permanent || attempts >= OUTBOUND_MAX_ATTEMPTS;
+  const delaySeconds = OUTBOUND_RETRY_SECONDS * Math.pow(2, attempts - 1);
+
+  await pool.query(
+    `
+    UPDATE outbound_messages
+    SET status = $2,
+        attempts = $3,
+        last_error = $4,
+        next_attempt_at = NOW() + make_interval(secs => $5),
+        updated_at = NOW()
+    WHERE id = $1
+  `,
+    [msg.id, dead ? "dead" : "pending", attempts, err.message, delaySeconds]
+  );
+
+  if (dead) {
+    console.error("❌ WhatsApp message dead-lettered:", {
+      id: msg.id,
+      to: msg.to_whatsapp,
+      kind: msg.kind,
+      attempts,
+      error: err.message,
+    });
+  } else {
+    console.error(
+      "❌ Error sending WhatsApp message " + msg.id + ", retry in " + delaySeconds + "s:",
+      err.message
+    );
+  }
+}
+
+// ---------- OUTBOUND WORKER ----------
+
+let outboundTickRunning = false;
+
+async function runOutboundTick() {
+  if (outboundTickRunning) return;
+  outboundTickRunning = true;
+
+  try {
+    for (const [id, sent] of outboundSentUnrecorded) {
+      try {
+        await markOutboundSent(id, sent);
+      } catch (err) {
+        console.error("❌ Still can't mark outbound message " + id + " as sent:", err.message);
+      }
+    }
+
+    // A send that was cut off mid-way (restart / crash) goes back in line,
+    // unless Twilio already has it and only the status write is pending
+    await pool.query(
+      `
+      UPDATE outbound_messages
+      SET status = 'pending', updated_at = NOW()
+      WHERE status = 'sending'
+        AND updated_at < NOW() - INTERVAL '10 minutes'
+        AND id <> ALL($1::int[])
+    `,
+      [Array.from(outboundSentUnrecorded.keys())]
+    );
+
+    // SKIP LOCKED lets several instances share the queue
+    const res = await pool.query(`
+      UPDATE outbound_messages
+      SET status = 'sending', updated_at = NOW()
+      WHERE id IN (
+        SELECT id
+        FROM outbound_messages
+        WHERE status = 'pending'
+          AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at ASC
+        LIMIT 20
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `);
+
+    for (const msg of res.rows) {
+      try {
+        await deliverOutboundMessage(msg);
+      } catch (err) {
+        console.error("❌ Error retrying outbound message", msg.id, err.message);
+      }
+    }
+  } catch (err) {
+    console.error("❌ Error in outbound tick:", err.message);
+  } finally {
+    outboundTickRunning = false;
+  }
+}
+
+function startOutboundWorker() {
+  setInterval(runOutboundTick, OUTBOUND_WORKER_SECONDS * 1000);
+  console.log(
+    "📮 Outbound retry worker started (every " +
+      OUTBOUND_WORKER_SECONDS +
+      "s, up to " +
+      OUTBOUND_MAX_ATTEMPTS +
+      " attempts)."
+  );
+}
+
+// ---------- DELIVERY STATUS ----------
+// Twilio posts each state change for messages sent with a statusCallback.
+// Callbacks can arrive out of order, so a state never moves backwards.
+
+const DELIVERY_STATUS_RANK = {
+  accepted: 0,
+  queued: 1,
+  sending: 2,
+  sent: 3,
+  delivered: 4,
+  undelivered: 4,
+  failed: 4,
+  read: 5,
+};
+
+async function recordDeliveryStatus(twilioSid, status, errorCode) {
+  const rank = DELIVERY_STATUS_RANK[status];
+  if (rank === undefined) return false;
+  const notAhead = Object.keys(DELIVERY_STATUS_RANK).filter(
+    (s) => DELIVERY_STATUS_RANK[s] <= rank
+  );
+
+  const res = await pool.query(
+    `
+    UPDATE outbound_messages
+    SET delivery_status = $2,
+        error_code = COALESCE($3, error_code),
+        delivered_at = CASE WHEN $2 IN ('delivered', 'read')
+                            THEN COALESCE(delivered_at, NOW()) ELSE delivered_at END,
+        read_at = CASE WHEN $2 = 'read' THEN COALESCE(read_at, NOW()) ELSE read_at END,
+        updated_at = NOW()
+    WHERE twilio_sid = $1
+      AND (delivery_status IS NULL OR delivery_status = ANY($4))
+  `,
+    [twilioSid, status, errorCode || null, notAhead]
+  );
+  return res.rowCount > 0;
+}
+
+app.post("/whatsapp/status", verifyTwilioSignature, async (req, res) => {
+  const { MessageSid, MessageStatus, ErrorCode } = req.body;
+  if (!MessageSid || !MessageStatus) return res.sendStatus(400);
+
+  try {
+    const updated = await recordDeliveryStatus(MessageSid, MessageStatus, ErrorCode);
+    if (updated && (MessageStatus === "failed" || MessageStatus === "undelivered")) {
+      console.warn("📭 WhatsApp message not delivered:", { MessageSid, MessageStatus, ErrorCode });
+    }
+  } catch (err) {
+    console.error("❌ Error recording delivery status:", err.message);
+  }
+  return res.sendStatus(200);
+});
+
+// Messages an owner or driver must get – the admin view lists the ones
+// that never arrived. Names are "undelivered.kind_<kind>" in MESSAGES.
+const TRACKED_MESSAGE_KINDS = ["driver_invite", "compliance_notice"];
+
+async function handleUndeliveredCommand(userWhatsapp) {
+  const lang = await getUserLanguage(userWhatsapp);
+  if (!isAdminWhatsapp(userWhatsapp)) {
+    return t(lang, "undelivered.admin_only");
+  }
+
+  const kinds = TRACKED_MESSAGE_KINDS;
+  const res = await pool.query(
+    `
+    SELECT
+      id, kind, to_whatsapp, status, delivery_status, error_code, last_error, attempts,
+      to_char(created_at, 'YYYY-MM-DD HH24:MI') AS created_str
+    FROM outbound_messages
+    WHERE kind = ANY($1)
+      AND (status = 'dead' OR delivery_status IN ('failed', 'undelivered'))
+      AND created_at >= NOW() - INTERVAL '30 days'
+    ORDER BY created_at DESC
+    LIMIT 20
+  `,
+    [kinds]
+  );
+
+  const retrying = await pool.query(
+    `SELECT COUNT(*)::INT AS n FROM outbound_messages WHERE kind = ANY($1) AND status = 'pending'`,
+    [kinds]
+  );
+  const retryLine =
+    retrying.rows[0].n > 0 ? t(lang, "undelivered.retrying", { count: retrying.rows[0].n }) : "";
+
+  if (res.rows.length === 0) {
+    return t(lang, "undelivered.none") + retryLine;
+  }
+
+  let text = t(lang, "undelivered.title");
+  for (const m of res.rows) {
+    const reason =
+      m.status === "dead"
+        ? t(lang, "undelivered.gave_up", {
+            attempts: m.attempts,
+            error: m.last_error || t(lang, "undelivered.send_failed"),
+          })
+        : "Twilio " + m.delivery_status + (m.error_code ? " (error " + m.error_code + ")" : "");
+    text +=
+      "\n• " +
+      m.created_str +
+      " – " +
+      t(lang, "undelivered.to", {
+        kind: t(lang, "undelivered.kind_" + m.kind),
+        to: m.to_whatsapp.replace(/^whatsapp:/, ""),
+      }) +
+      "\n  " +
+      reason;
+  }
+  return text + retryLine;
+}
+
+// ---------- INTERACTIVE MESSAGES ----------
+// Quick-reply buttons and list pickers via Twilio content templates. A
+// handler can return { body, buttons } or { body, list } instead of a string.
+// Button / item ids are the text command they stand for ("yes",
+// "switch to 2"), so a tap is handled exactly as if it had been typed, and
+// the body on its own still works as a plain-text reply.
+
+// WhatsApp limits for in-session interactive messages
+const INTERACTIVE_BODY_LIMIT = 1024;
+const INTERACTIVE_MAX_BUTTONS = 3;
+const INTERACTIVE_MAX_LIST_ITEMS = 10;
+
+function replyText(reply) {
+  return typeof reply === "string" ? reply : reply.body;
+}
+
+function yesNoButtons(lang) {
+  return [
+    { id: "yes", title: t(lang, "button.yes") },
+    { id: "no", title: t(lang, "button.no") },
+  ];
+}
+
+// "switch to N" for each vehicle, in *my vehicles* order
+function vehiclePickerList(vehicles, lang) {
+  return {
+    button: t(lang, "picker.vehicle"),
+    items: vehicles.map((v, i) => ({
+      id: "switch to " + (i + 1),
+      title: v.registration,
+      description: [v.nickname, v.is_default ? t(lang, "picker.current") : null]
+        .filter(Boolean)
+        .join(" – "),
+    })),
+  };
+}
+
+// "assign driver N" for each driver, in *my drivers* order
+function driverPickerList(drivers, lang) {
+  return {
+    button: t(lang, "picker.driver"),
+    items: drivers.map((d, i) => ({
+      id: "assign driver " + (i + 1),
+      title: d.full_name || "Driver " + (i + 1),
+      description: d.driver_whatsapp ? d.driver_whatsapp.replace(/^whatsapp:/, "") : "",
+    })),
+  };
+}
+
+function helpMenuList(lang) {
+  const items = [
+    ["fuel", "menu.fuel"],
+    ["service", "menu.service"],
+    ["expense", "menu.expense"],
+    ["fuel report", "menu.fuel_report"],
+    ["service report", "menu.service_report"],
+    ["expense report", "menu.expense_report"],
+    ["my vehicles", "menu.vehicles"],
+    ["my drivers", "menu.drivers"],
+    ["pending entries", "menu.pending"],
+    ["my reminders", "menu.reminders"],
+  ];
+  return {
+    button: t(lang, "menu.button"),
+    items: items.map(([id, key]) => ({ id, title: t(lang, key) })),
+  };
+}
+
+function buildContentTypes(body, reply) {
+  const types = { "twilio/text": { body } };
+  if (reply.buttons) {
+    types["twilio/quick-reply"] = {
+      body,
+      actions: reply.buttons
+        .slice(0, INTERACTIVE_MAX_BUTTONS)
+        .map((b) => ({ id: b.id, title: b.title.slice(0, 20) })),
+    };
+  } else if (reply.list) {
+    types["twilio/list-picker"] = {
+      body,
+      button: reply.list.button.slice(0, 20),
+      items: reply.list.items.slice(0, INTERACTIVE_MAX_LIST_ITEMS).map((i) => ({
+        id: i.id,
+        item: i.title.slice(0, 24),
+        description: (i.description || "").slice(0, 72),
+      })),
+    };
+  }
+  return types;
+}
+
+/**
+ * Content SID for a template, creating it with the Content API the first
+ * time. Templates are cached by a hash of their content, so the same picker
+ * is only created once.
+ */
+async function getContentSid(types) {
+  const hash = crypto.createHash("sha256").update(JSON.stringify(types)).digest("hex");
+
+  const existing = await pool.query(
+    `SELECT content_sid FROM interactive_contents WHERE content_hash = $1`,
+    [hash]
+  );
+  if (existing.rows[0]) return existing.rows[0].content_sid;
+
+  const response = await axios.post(
+    "https://content.twilio.com/v1/Content",
+    { friendly_name: "saka360_" + hash.slice(0, 16), language: "en", types },
+    {
+      auth: { username: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN },
+      timeout: 10000,
+    }
+  );
+  const contentSid = response.data.sid;
+
+  await pool.query(
+    `
+    INSERT INTO interactive_contents (content_hash, content_sid)
+    VALUES ($1, $2)
+    ON CONFLICT (content_hash) DO NOTHING
+  `,
+    [hash, contentSid]
+  );
+  return contentSid;
+}
+
+/**
+ * Send a handler's reply – plain text, or buttons / a list picker when the
+ * reply has them. Falls back to plain text whenever the interactive message
+ * can't be sent (disabled, channel without support, Content API error).
+ */
+async function sendReply(to, reply) {
+  if (typeof reply === "string") return sendWhatsAppMessage(to, reply);
+  if (DISABLE_INTERACTIVE_MESSAGES === "true") {
+    return sendWhatsAppMessage(to, reply.body);
+  }
+
+  // Long texts (the help menu) go first on their own, then a short picker
+  let body = reply.body;
+  let bodySent = false;
+  if (body.length > INTERACTIVE_BODY_LIMIT) {
+    await sendWhatsAppMessage(to, body);
+    body = reply.prompt || "👇";
+    bodySent = true;
+  }
+
+  const types = buildContentTypes(body, reply);
+  if (DISABLE_TWILIO_SEND === "true") {
+    console.log("🚫 Twilio send disabled. Would send interactive message:", {
+      to,
+      types: JSON.stringify(types),
+    });
+    return;
+  }
+
+  let contentSid;
+  try {
+    contentSid = await getContentSid(types);
+  } catch (err) {
+    console.error("❌ Error creating interactive message, falling back to text:", err.message);
+    if (!bodySent) await sendWhatsAppMessage(to, reply.body);
+    return;
+  }
+
+  // The queue falls back to the plain body if Twilio rejects the template
+  await queueWhatsAppMessage({
+    to,
+    contentSid,
+    body: bodySent ? null : reply.body,
+    kind: "message",
+  });
+}
+
+// ---------- EXPIRY REMINDERS ----------
+
+/**
+ * Create or refresh the reminder for one expiring item.
+ * sourceType: "personal_document" | "vehicle_document" | "driver_licence"
+ * A null dueDate cancels any active reminder for that item.
+ */
+async function upsertReminder({
+  userWhatsapp,
+  ccWhatsapp = null,
+  sourceType,
+  sourceId,
+  title,
+  dueDate,
+}, db = pool) {
+  if (!dueDate) {
+    await db.query(
+      `
+      UPDATE reminders
+      SET status = 'CANCELLED',
+          updated_at = NOW()
+      WHERE source_type = $1
+        AND source_id = $2
+        AND status = 'ACTIVE'
+    `,
+      [sourceType, sourceId]
+    );
+    return null;
+  }
+
+  const res = await db.query(
+    `
+    INSERT INTO reminders (
+      user_whatsapp,
+      cc_whatsapp,
+      source_type,
+      source_id,
+      title,
+      due_date
+    )
+    VALUES ($1,$2,$3,$4,$5,$6)
+    ON CONFLICT (source_type, source_id) DO UPDATE
+      SET user_whatsapp = EXCLUDED.user_whatsapp,
+          cc_whatsapp   = EXCLUDED.cc_whatsapp,
+          title         = EXCLUDED.title,
+          due_date      = EXCLUDED.due_date,
+          status        = 'ACTIVE',
+          updated_at    = NOW()
+    RETURNING *
+  `,
+    [userWhatsapp, ccWhatsapp, sourceType, sourceId, title, dueDate]
+  );
+  return res.rows[0];
+}
+
+// Safety net: make sure every expiring row has a reminder, including rows
+// saved before the scheduler existed or written outside the chat flows.
+async function syncExpiryReminders() {
+  await pool.query(`
+    INSERT INTO reminders (user_whatsapp, source_type, source_id, title, due_date)
+    SELECT d.user_whatsapp, 'personal_document', d.id,
+           COALESCE(d.doc_title, 'Document'), d.expiry_date
+    FROM personal_documents d
+    WHERE d.expiry_date IS NOT NULL
+      AND d.user_whatsapp IS NOT NULL
+    ON CONFLICT (source_type, source_id) DO UPDATE
+      SET due_date = EXCLUDED.due_date,
+          status = 'ACTIVE',
+          updated_at = NOW()
+      WHERE reminders.due_date IS DISTINCT FROM EXCLUDED.due_date
+  `);
+
+  await pool.query(`
+    UPDATE personal_documents d
+    SET reminder_id = r.id
+    FROM reminders r
+    WHERE r.source_type = 'personal_document'
+      AND r.source_id = d.id
+      AND d.reminder_id IS NULL
+  `);
+
+  await pool.query(`
+    INSERT INTO reminders (user_whatsapp, source_type, source_id, title, due_date)
+    SELECT v.owner_whatsapp, 'vehicle_document', vd.id,
+           v.registration || ' – ' || COALESCE(vd.title, 'Document'),
+           vd.expiry_date
+    FROM vehicle_documents vd
+    JOIN vehicles v ON v.id = vd.vehicle_id
+    WHERE vd.expiry_date IS NOT NULL
+    ON CONFLICT (source_type, source_id) DO UPDATE
+      SET due_date = EXCLUDED.due_date,
+          status = 'ACTIVE',
+          updated_at = NOW()
+      WHERE reminders.due_date IS DISTINCT FROM EXCLUDED.due_date
+  `);
+
+  await pool.query(`
+    INSERT INTO reminders (user_whatsapp, cc_whatsapp, source_type, source_id, title, due_date)
+    SELECT d.driver_whatsapp, d.owner_whatsapp, 'driver_licence', d.id,
+           'Main Driving Licence – ' || COALESCE(d.full_name, 'Driver'),
+           d.license_expiry_date
+    FROM drivers d
+    WHERE d.license_expiry_date IS NOT NULL
+      AND d.driver_whatsapp IS NOT NULL
+      AND d.is_active = TRUE
+    ON CONFLICT (source_type, source_id) DO UPDATE
+      SET due_date = EXCLUDED.due_date,
+          status = 'ACTIVE',
+          updated_at = NOW()
+      WHERE reminders.due_date IS DISTINCT FROM EXCLUDED.due_date
+  `);
+}
+
+// Pick the offset a reminder is currently "in": the smallest configured
+// offset that is still >= days left. Returns null if it's too early.
+function pickReminderOffset(daysLeft) {
+  let picked = null;
+  for (const offset of REMINDER_OFFSETS_DAYS) {
+    if (offset >= daysLeft) picked = offset;
+  }
+  if (picked === null && daysLeft < 0 && REMINDER_OFFSETS_DAYS.length) {
+    picked = REMINDER_OFFSETS_DAYS[REMINDER_OFFSETS_DAYS.length - 1];
+  }
+  return picked;
+}
+
+function formatReminderMessage(r, lang = DEFAULT_LANGUAGE) {
+  const vars = {
+    label: t(lang, "reminder.source_" + r.source_type),
+    title: r.title || t(lang, "doc.default_title"),
+    date: formatDate(r.due_str, lang),
+    days: Math.abs(r.days_left),
+  };
+  const days = r.days_left;
+
+  let line;
+  let icon = "⏰";
+  if (days > 1) {
+    line = t(lang, "reminder.in_days", vars);
+  } else if (days === 1) {
+    line = t(lang, "reminder.tomorrow", vars);
+  } else if (days === 0) {
+    icon = "⚠️";
+    line = t(lang, "reminder.today", vars);
+  } else {
+    icon = "❌";
+    line = t(lang, "reminder.expired", vars);
+  }
+
+  return icon + t(lang, "reminder.message", { ...vars, line });
+}
+
+async function processReminder(r) {
+  const offset = pickReminderOffset(r.days_left);
+  if (offset === null) return;
+
+  // Claim the send first; if the row already exists it was sent before.
+  const claim = await pool.query(
+    `
+    INSERT INTO reminder_sends (reminder_id, offset_days, due_date, sent_to)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (reminder_id, offset_days, due_date) DO NOTHING
+    RETURNING id
+  `,
+    [r.id, offset, r.due_date, r.user_whatsapp]
+  );
+
+  if (claim.rows.length > 0) {
+    // Licence expiry nudges are what keep a driver compliant
+    const kind = r.source_type === "driver_licence" ? "compliance_notice" : "reminder";
+    await sendWhatsAppMessage(
+      r.user_whatsapp,
+      formatReminderMessage(r, await getUserLanguage(r.user_whatsapp)),
+      null,
+      kind
+    );
+    if (r.cc_whatsapp && r.cc_whatsapp !== r.user_whatsapp) {
+      await sendWhatsAppMessage(
+        r.cc_whatsapp,
+        formatReminderMessage(r, await getUserLanguage(r.cc_whatsapp)),
+        null,
+        kind
+      );
+    }
+    console.log("⏰ Sent expiry reminder:", {
+      reminderId: r.id,
+      offset,
+      to: r.user_whatsapp,
+    });
+  }
+
+  // Last nudge for this due date – nothing more to send.
+  const lastOffset = REMINDER_OFFSETS_DAYS[REMINDER_OFFSETS_DAYS.length - 1];
+  if (offset === lastOffset && r.days_left <= lastOffset) {
+    await pool.query(
+      `UPDATE reminders SET status = 'DONE', updated_at = NOW() WHERE id = $1`,
+      [r.id]
+    );
+  }
+}
+
+let reminderTickRunning = false;
+
+async function runReminderTick() {
+  if (reminderTickRunning) return;
+  reminderTickRunning = true;
+
+  try {
+    await syncExpiryReminders();
+
+    // Days left count from today where the users are, not the DB's time zone
+    const maxOffset = REMINDER_OFFSETS_DAYS.length ? REMINDER_OFFSETS_DAYS[0] : 0;
+    const res = await pool.query(
+      `
+      SELECT
+        r.*,
+        (r.due_date - (NOW() AT TIME ZONE $2)::DATE)::INT AS days_left,
+        to_char(r.due_date, 'YYYY-MM-DD') AS due_str
+      FROM reminders r
+      WHERE r.status = 'ACTIVE'
+        AND r.due_date - (NOW() AT TIME ZONE $2)::DATE <= $1
+      ORDER BY r.due_date ASC
+    `,
+      [maxOffset, REPORT_TIMEZONE]
+    );
+
+    for (const r of res.rows) {
+      try {
+        await processReminder(r);
+      } catch (err) {
+        console.error("❌ Error processing reminder", r.id, err.message);
+      }
+    }
+
+    // Same heartbeat drives the date-based service due warnings
+    // and the month-end PDF reports
+    await runServiceDueChecks();
+    await runMonthlyReportChecks();
+  } catch (err) {
+    console.error("❌ Error in reminder tick:", err.message);
+  } finally {
+    reminderTickRunning = false;
+  }
+}
+
+function startReminderScheduler() {
+  if (DISABLE_REMINDER_SCHEDULER === "true") {
+    console.log("🚫 Reminder scheduler disabled.");
+    return;
+  }
+
+  // First run shortly after startup
+  setTimeout(runReminderTick, 30 * 1000);
+  setInterval(runReminderTick, REMINDER_INTERVAL_MINUTES * 60 * 1000);
+  console.log(
+    "⏰ Reminder scheduler started (every " +
+      REMINDER_INTERVAL_MINUTES +
+      " min, offsets " +
+      REMINDER_OFFSETS_DAYS.join("/") +
+      " days)."
+  );
+}
+
+async function handleMyRemindersCommand(userWhatsapp) {
+  const res = await pool.query(
+    `
+    SELECT
+      r.*,
+      (r.due_date - (NOW() AT TIME ZONE $2)::DATE)::INT AS days_left,
+      to_char(r.due_date, 'YYYY-MM-DD') AS due_str
+    FROM reminders r
+    WHERE (r.user_whatsapp = $1 OR r.cc_whatsapp = $1)
+      AND r.status = 'ACTIVE'
+    ORDER BY r.due_date ASC
+    LIMIT 10
+  `,
+    [userWhatsapp, REPORT_TIMEZONE]
+  );
+  const lang = await getUserLanguage(userWhatsapp);
+
+  if (res.rows.length === 0) {
+    return t(lang, "reminder.none");
+  }
+
+  let text = t(lang, "reminder.title");
+  for (const r of res.rows) {
+    const label = t(lang, "reminder.source_" + r.source_type);
+    const days = Math.abs(r.days_left);
+    let when;
+    if (r.days_left < 0) {
+      when = "❌ " + t(lang, "reminder.list_expired", { days });
+    } else if (r.days_left <= 30) {
+      when = "⚠️ " + t(lang, "reminder.list_in", { days });
+    } else {
+      when = "✅ " + t(lang, "reminder.list_in", { days });
+    }
+    text +=
+      "\n• *" + (r.title || t(lang, "doc.default_title")) + "* (" + label + ") – " +
+      formatDate(r.due_str, lang) + " – " + when;
+  }
+
+  const before = REMINDER_OFFSETS_DAYS.filter((d) => d > 0);
+  if (before.length) {
+    text += t(
+      lang,
+      REMINDER_OFFSETS_DAYS.includes(0) ? "reminder.nudge_and_day" : "reminder.nudge",
+      { days: before.join(", ") }
+    );
+  }
+
+  return text;
+}
+
+// ---------- RECEIPTS (PHOTO ATTACHMENTS) ----------
+
+// Storage backends: save(key, buffer, contentType) and read(key) → Buffer.
+// Pick one with RECEIPT_STORAGE; add cloud backends (S3, GCS…) here.
+const receiptStorageBackends = {
+  local: {
+    async save(key, buffer) {
+      const filePath = path.join(RECEIPT_STORAGE_DIR, key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    async read(key) {
+      return fs.promises.readFile(path.join(RECEIPT_STORAGE_DIR, key));
+    },
+  },
+};
+
+function getReceiptStorage(name) {
+  const backend = receiptStorageBackends[name || RECEIPT_STORAGE];
+  if (!backend) {
+    throw new Error("Unknown receipt storage: " + (name || RECEIPT_STORAGE));
+  }
+  return backend;
+}
+
+const RECEIPT_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/jpg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/heic": "heic",
+  "application/pdf": "pdf",
+};
+
+// Twilio posts NumMedia + MediaUrlN / MediaContentTypeN for each attachment
+function getInboundMedia(body) {
+  const count = parseInt(body.NumMedia, 10) || 0;
+  const media = [];
+  for (let i = 0; i < count; i++) {
+    const url = body["MediaUrl" + i];
+    const contentType = body["MediaContentType" + i] || "";
+    if (url) media.push({ url, contentType });
+  }
+  return media;
+}
+
+async function saveInboundReceipts(userWhatsapp, logType, conversationId, media) {
+  const storage = getReceiptStorage();
+  let saved = 0;
+
+  for (const m of media) {
+    const ext = RECEIPT_EXTENSIONS[m.contentType.toLowerCase()];
+    if (!ext) {
+      console.log("📎 Ignoring unsupported attachment:", m.contentType);
+      continue;
+    }
+
+    try {
+      // Twilio media URLs need the account credentials
+      const response = await axios.get(m.url, {
+        responseType: "arraybuffer",
+        auth: { username: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN },
+        maxContentLength: 10 * 1024 * 1024,
+        timeout: 15000,
+      });
+      const buffer = Buffer.from(response.data);
+
+      const now = new Date();
+      const key =
+        "receipts/" +
+        now.toISOString().slice(0, 7) +
+        "/" +
+        crypto.randomUUID() +
+        "." +
+        ext;
+      await storage.save(key, buffer, m.contentType);
+
+      await pool.query(
+        `
+        INSERT INTO receipts (
+          user_whatsapp,
+          log_type,
+          conversation_id,
+          storage,
+          storage_key,
+          content_type,
+          size_bytes,
+          source_url
+        )
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+      `,
+        [
+          userWhatsapp,
+          logType,
+          conversationId,
+          RECEIPT_STORAGE,
+          key,
+          m.contentType,
+          buffer.length,
+          m.url,
+        ]
+      );
+      saved++;
+    } catch (err) {
+      console.error("❌ Error saving receipt attachment:", err.message);
+    }
+  }
+
+  return saved;
+}
+
+async function countConversationReceipts(conversationId) {
+  const res = await pool.query(
+    `
+    SELECT COUNT(*)::INT AS cnt
+    FROM receipts
+    WHERE conversation_id = $1
+      AND log_id IS NULL
+  `,
+    [conversationId]
+  );
+  return res.rows[0].cnt;
+}
+
+// Called right after a conversation is saved as a log row
+async function attachConversationReceipts(conversationId, logId, db = pool) {
+  await db.query(
+    `
+    UPDATE receipts
+    SET log_id = $1
+    WHERE conversation_id = $2
+      AND log_id IS NULL
+  `,
+    [logId, conversationId]
+  );
+}
+
+function receiptLineForConfirm(count, lang = DEFAULT_LANGUAGE) {
+  return count > 0 ? t(lang, "common.receipt_line", { count }) : "";
+}
+
+// Signed, expiring links so Twilio (and only people we send them to) can
+// fetch files the backend serves itself.
+function signFilePath(filePath, exp) {
+  return crypto
+    .createHmac("sha256", FILE_URL_SECRET || "")
+    .update(filePath + ":" + exp)
+    .digest("hex");
+}
+
+function buildSignedFileUrl(filePath, ttlMinutes = FILE_URL_TTL_MINUTES) {
+  const exp = Math.floor(Date.now() / 1000) + ttlMinutes * 60;
+  return (
+    PUBLIC_BASE_URL +
+    "/files/" +
+    filePath +
+    "?exp=" +
+    exp +
+    "&sig=" +
+    signFilePath(filePath, exp)
+  );
+}
+
+function isValidFileSignature(filePath, exp, sig) {
+  if (!FILE_URL_SECRET || !exp || !sig) return false;
+  if (Number(exp) < Math.floor(Date.now() / 1000)) return false;
+  const expected = Buffer.from(signFilePath(filePath, exp));
+  const given = Buffer.from(String(sig));
+  return (
+    expected.length === given.length &&
+    crypto.timingSafeEqual(expected, given)
+  );
+}
+
+const RECEIPT_LOG_TABLES = {
+  fuel: "fuel_logs",
+  service: "service_logs",
+  expense: "expense_logs",
+};
+
+async function handleReceiptCommand(userWhatsapp, fullText) {
+  const match = fullText
+    .toLowerCase()
+    .match(/^receipts?\s+last\s+(fuel|service|expense)$/);
+  const lang = await getUserLanguage(userWhatsapp);
+  if (!match) {
+    return t(lang, "receipt.help");
+  }
+
+  const logType = match[1];
+  const vars = kindVars(lang, logType);
+  const table = RECEIPT_LOG_TABLES[logType];
+
+  const logRes = await pool.query(
+    `
+    SELECT l.*, v.registration
+    FROM ${table} l
+    LEFT JOIN vehicles v
+      ON v.id = l.vehicle_id
+    WHERE (l.user_whatsapp = $1 OR l.submitted_by = $1)
+    ORDER BY l.created_at DESC, l.id DESC
+    LIMIT 1
+  `,
+    [userWhatsapp]
+  );
+  const log = logRes.rows[0];
+  if (!log) {
+    return t(lang, "receipt.no_entries", vars);
+  }
+
+  const when = formatDate(new Date(log.created_at), lang);
+  const amount = formatNumber(logType === "service" ? log.cost_amount : log.amount, lang);
+  const label =
+    when +
+    " – *" +
+    amount +
+    "* " +
+    log.currency +
+    (log.registration ? " – " + log.registration : "");
+
+  const recRes = await pool.query(
+    `
+    SELECT id
+    FROM receipts
+    WHERE log_type = $1
+      AND log_id = $2
+    ORDER BY id ASC
+  `,
+    [logType, log.id]
+  );
+
+  if (recRes.rows.length === 0) {
+    return t(lang, "receipt.none_attached", { ...vars, label });
+  }
+
+  if (!PUBLIC_BASE_URL) {
+    console.error("❌ PUBLIC_BASE_URL is not set – can't build receipt links.");
+    return t(lang, "receipt.not_configured");
+  }
+
+  for (const r of recRes.rows) {
+    await sendWhatsAppMessage(
+      userWhatsapp,
+      t(lang, "receipt.caption", { ...vars, label }),
+      buildSignedFileUrl("receipts/" + r.id)
+    );
+  }
+
+  return t(lang, "receipt.sent", { ...vars, label, count: recRes.rows.length });
+}
+
+app.get("/files/receipts/:id", async (req, res) => {
+  const filePath = "receipts/" + req.params.id;
+  if (!isValidFileSignature(filePath, req.query.exp, req.query.sig)) {
+    return res.sendStatus(403);
+  }
+
+  try {
+    const recRes = await pool.query(`SELECT * FROM receipts WHERE id = $1`, [
+      parseInt(req.params.id, 10),
+    ]);
+    const receipt = recRes.rows[0];
+    if (!receipt) return res.sendStatus(404);
+
+    const buffer = await getReceiptStorage(receipt.storage).read(
+      receipt.storage_key
+    );
+    res.set("Content-Type", receipt.content_type || "application/octet-stream");
+    return res.send(buffer);
+  } catch (err) {
+    console.error("❌ Error serving receipt:", err.message);
+    return res.sendStatus(500);
+  }
+});
+
+// ---------- EXPORTS (CSV / XLSX) ----------
+// Approved fuel / service / expense logs for a period as spreadsheets. Files
+// are built on request and served from /files/exports behind signed links.
+
+const EXPORT_LOG_TYPES = {
+  fuel: { table: "fuel_logs", title: "Fuel" },
+  service: { table: "service_logs", title: "Service" },
+  expense: { table: "expense_logs", title: "Expenses" },
+};
+
+// Date / vehicle / driver, then the same fields the edit flow knows about
+function getExportColumns(logType) {
+  return [
+    { column: "entry_date", label: "Date", type: "date" },
+    { column: "registration", label: "Vehicle", type: "text" },
+    { column: "driver_name", label: "Driver", type: "text" },
+    ...EDITABLE_LOGS[logType].fields,
+  ];
+}
+
+async function loadExportRows(ownerWhatsapp, logType, from, to, filters = {}) {
+  const params = [ownerWhatsapp, from, to];
+  const clauses = [];
+  if (filters.vehicleId) {
+    params.push(filters.vehicleId);
+    clauses.push(`AND l.vehicle_id = $${params.length}`);
+  }
+  if (filters.driverId) {
+    params.push(filters.driverId);
+    clauses.push(`AND l.driver_id = $${params.length}`);
+  }
+
+  const res = await pool.query(
+    `
+    SELECT
+      l.*,
+      to_char(l.created_at, 'YYYY-MM-DD') AS entry_date,
+      v.registration,
+      d.full_name AS driver_name
+    FROM ${EXPORT_LOG_TYPES[logType].table} l
+    LEFT JOIN vehicles v
+      ON v.id = l.vehicle_id
+    LEFT JOIN drivers d
+      ON d.id = l.driver_id
+    WHERE l.user_whatsapp = $1
+      AND l.approval_status = 'approved'
+      AND l.created_at >= $2::date
+      AND l.created_at < $3::date + 1
+      ${clauses.join("\n      ")}
+    ORDER BY l.created_at ASC, l.id ASC
+  `,
+    params
+  );
+  return res.rows;
+}
+
+function exportCellValue(field, value) {
+  if (value == null || value === "") return null;
+  if (field.type === "money" || field.type === "number") return Number(value);
+  if (field.type === "date") return formatEditValue(field, value);
+  return String(value);
+}
+
+function buildExportCsv(logType, rows) {
+  const columns = getExportColumns(logType);
+  const escape = (value) => {
+    if (value == null) return "";
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+  };
+
+  const lines = [columns.map((c) => escape(c.label)).join(",")];
+  for (const row of rows) {
+    lines.push(
+      columns.map((c) => escape(exportCellValue(c, row[c.column]))).join(",")
+    );
+  }
+  // BOM so Excel opens UTF-8 names correctly
+  return Buffer.from("\uFEFF" + lines.join("\r\n") + "\r\n", "utf8");
+}
+
+async function buildExportXlsx(logType, rows, periodLabel) {
+  const columns = getExportColumns(logType);
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "Saka360";
+
+  const sheet = workbook.addWorksheet(EXPORT_LOG_TYPES[logType].title);
+  sheet.columns = columns.map((c) => ({
+    header: c.label,
+    key: c.column,
+    width: c.type === "text" ? 24 : 14,
+    style: c.type === "money" ? { numFmt: "#,##0.00" } : {},
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+
+  for (const row of rows) {
+    const values = {};
+    for (const c of columns) values[c.column] = exportCellValue(c, row[c.column]);
+    sheet.addRow(values);
+  }
+
+  // Only total a single-currency sheet; mixed amounts don't add up
+  const moneyField = columns.find((c) => c.type === "money");
+  const currencies = new Set(rows.map((r) => r.currency));
+  if (moneyField && rows.length > 0 && currencies.size === 1) {
+    const totalRow = sheet.addRow({
+      [columns[0].column]: "Total " + periodLabel + " (" + rows[0].currency + ")",
+      [moneyField.column]: rows.reduce(
+        (sum, r) => sum + Number(r[moneyField.column] || 0),
+        0
+      ),
+    });
+    totalRow.font = { bold: true };
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", build: buildExportCsv },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    build: buildExportXlsx,
+  },
+};
+
+function exportFileName(logType, from, format) {
+  return "saka360-" + logType + "-" + from.slice(0, 7) + "." + format;
+}
+
+async function handleExportCommand(userWhatsapp, fullText) {
+  const match = fullText
+    .trim()
+    .toLowerCase()
+    .match(/^export\s+(fuel|service|expenses?)\b\s*(.*)$/);
+  const period = match ? parseMonthPeriod(match[2]) : null;
+  const lang = await getUserLanguage(userWhatsapp);
+
+  if (!match || !period) {
+    return t(lang, "export.help");
+  }
+
+  const logType = match[1].startsWith("expense") ? "expense" : match[1];
+  const vars = { ...kindVars(lang, logType), period: formatPeriodLabel(period, lang) };
+  const rows = await loadExportRows(userWhatsapp, logType, period.from, period.to);
+  if (rows.length === 0) {
+    return t(lang, "export.none", vars);
+  }
+
+  const res = await pool.query(
+    `
+    INSERT INTO log_exports (owner_whatsapp, log_type, period_from, period_to, row_count)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id
+  `,
+    [userWhatsapp, logType, period.from, period.to, rows.length]
+  );
+  const exportId = res.rows[0].id;
+
+  for (const format of ["xlsx", "csv"]) {
+    await sendWhatsAppMessage(
+      userWhatsapp,
+      "📎 " + exportFileName(logType, period.from, format),
+      buildSignedFileUrl("exports/" + exportId + "." + format)
+    );
+  }
+
+  return t(lang, "export.sent", { ...vars, count: rows.length, minutes: FILE_URL_TTL_MINUTES });
+}
+
+async function sendExportFile(res, { logType, from, to, format, ownerWhatsapp, filters, label }) {
+  const rows = await loadExportRows(ownerWhatsapp, logType, from, to, filters);
+  const fmt = EXPORT_FORMATS[format];
+  const buffer = await fmt.build(logType, rows, label);
+
+  res.set("Content-Type", fmt.contentType);
+  res.set(
+    "Content-Disposition",
+    'attachment; filename="' + exportFileName(logType, from, format) + '"'
+  );
+  return res.send(buffer);
+}
+
+app.get("/files/exports/:file", async (req, res) => {
+  const filePath = "exports/" + req.params.file;
+  if (!isValidFileSignature(filePath, req.query.exp, req.query.sig)) {
+    return res.sendStatus(403);
+  }
+
+  const m = req.params.file.match(/^(\d+)\.(csv|xlsx)$/);
+  if (!m) return res.sendStatus(404);
+
+  try {
+    const expRes = await pool.query(
+      `
+      SELECT *,
+             to_char(period_from, 'YYYY-MM-DD') AS from_str,
+             to_char(period_to, 'YYYY-MM-DD') AS to_str
+      FROM log_exports
+      WHERE id = $1
+    `,
+      [parseInt(m[1], 10)]
+    );
+    const exp = expRes.rows[0];
+    if (!exp) return res.sendStatus(404);
+
+    return await sendExportFile(res, {
+      logType: exp.log_type,
+      from: exp.from_str,
+      to: exp.to_str,
+      format: m[2],
+      ownerWhatsapp: exp.owner_whatsapp,
+      label: exp.from_str + " → " + exp.to_str,
+    });
+  } catch (err) {
+    console.error("❌ Error serving export:", err.message);
+    return res.sendStatus(500);
+  }
+});
+
+// ---------- MONTHLY PDF FLEET REPORT ----------
+// One PDF per owner and month, built from the same queries as the WhatsApp
+// reports. Sent on request (*pdf report october*) and automatically once a
+// month has closed, via a signed /files/reports link.
+
+const PDF_UPCOMING_EXPIRY_DAYS = 60;
+
+function pdfMoney(value) {
+  return Number(value || 0).toLocaleString("en-KE", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+function pdfHeading(doc, title) {
+  if (doc.y > doc.page.height - 140) doc.addPage();
+  doc.moveDown(1);
+  doc.font("Helvetica-Bold").fontSize(13).fillColor("#111111").text(title, 50);
+  doc.moveDown(0.3);
+}
+
+/**
+ * Minimal table: columns are { label, width, align }, rows are arrays of
+ * strings. Starts a new page (and repeats the header) when space runs out.
+ */
+function pdfTable(doc, columns, rows, emptyText) {
+  if (rows.length === 0) {
+    doc.font("Helvetica-Oblique").fontSize(10).fillColor("#555555").text(emptyText, 50);
+    return;
+  }
+
+  const drawRow = (cells, bold) => {
+    if (doc.y > doc.page.height - 70) {
+      doc.addPage();
+      if (!bold) drawRow(columns.map((c) => c.label), true);
+    }
+    const y = doc.y;
+    let x = 50;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9).fillColor("#111111");
+    cells.forEach((cell, i) => {
+      doc.text(String(cell == null ? "" : cell), x, y, {
+        width: columns[i].width - 6,
+        align: columns[i].align || "left",
+        height: 11,
+        ellipsis: true,
+      });
+      x += columns[i].width;
+    });
+    doc.y = y + 15;
+  };
+
+  drawRow(columns.map((c) => c.label), true);
+  rows.forEach((cells) => drawRow(cells, cells.bold));
+}
+
+async function buildFleetReportPdf(ownerWhatsapp, period) {
+  const whereClause =
+    "user_whatsapp = $1 AND created_at >= $2::date AND created_at < $3::date + 1" +
+    approvalFilterSql(false);
+  const params = [ownerWhatsapp, period.from, period.to];
+
+  const currency = await getAccountCurrency(ownerWhatsapp);
+  const vehicles = await getUserVehicles(ownerWhatsapp);
+  const efficiency = await getFuelEfficiencyByVehicle(whereClause, params, currency);
+
+  const fuelRows = [];
+  for (const v of vehicles) {
+    const stats = await getFuelStats(
+      whereClause + " AND vehicle_id = $4",
+      [...params, v.id],
+      currency
+    );
+    if (!stats || stats.cnt === 0) continue;
+    const eff = efficiency.find((e) => e.vehicleId === v.id);
+    fuelRows.push([
+      v.registration,
+      stats.cnt,
+      Number(stats.total_litres || 0).toFixed(2),
+      pdfMoney(stats.total),
+      eff ? eff.avgKmPerL.toFixed(2) + " km/L" : "n/a",
+    ]);
+  }
+  const fuelTotals = await getFuelStats(whereClause, params, currency);
+  if (fuelRows.length > 0) {
+    const totalRow = [
+      "Total",
+      fuelTotals.cnt,
+      Number(fuelTotals.total_litres || 0).toFixed(2),
+      pdfMoney(fuelTotals.total),
+      "",
+    ];
+    totalRow.bold = true;
+    fuelRows.push(totalRow);
+  }
+
+  const services = (await getRecentServiceLogs(whereClause, params, null)).reverse();
+  const serviceTotals = await getServiceStats(whereClause, params, currency);
+  const expenses = (await getRecentExpenseLogs(whereClause, params, null)).reverse();
+  const expenseTotals = await getExpenseStats(whereClause, params, currency);
+  const unconverted =
+    fuelTotals.unconverted + serviceTotals.unconverted + expenseTotals.unconverted;
+  // Entries in another currency keep their own amount, with the code after it
+  const entryMoney = (value, entryCurrency) =>
+    pdfMoney(value) + (entryCurrency !== currency ? " " + entryCurrency : "");
+  const compliance = await getDriverComplianceGroups(ownerWhatsapp);
+
+  const expiryRes = await pool.query(
+    `
+    SELECT title, source_type, to_char(due_date, 'YYYY-MM-DD') AS due_str,
+           (due_date - (NOW() AT TIME ZONE $3)::DATE)::INT AS days_left
+    FROM reminders
+    WHERE (user_whatsapp = $1 OR cc_whatsapp = $1)
+      AND status = 'ACTIVE'
+      AND due_date >= (NOW() AT TIME ZONE $3)::DATE
+      AND due_date <= (NOW() AT TIME ZONE $3)::DATE + $2::INT
+    ORDER BY due_date ASC
+  `,
+    [ownerWhatsapp, PDF_UPCOMING_EXPIRY_DAYS, REPORT_TIMEZONE]
+  );
+
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  doc.font("Helvetica-Bold").fontSize(20).fillColor("#111111").text("Saka360 fleet report");
+  doc.font("Helvetica").fontSize(12).text(period.label);
+  doc
+    .fontSize(9)
+    .fillColor("#555555")
+    .text(
+      "Owner: " +
+        ownerWhatsapp.replace("whatsapp:", "") +
+        "   ·   Period: " +
+        period.from +
+        " to " +
+        period.to +
+        "   ·   Generated: " +
+        toIsoDate(new Date())
+    );
+  doc.text(
+    "Approved entries only. Totals in " +
+      currency +
+      "." +
+      (unconverted > 0
+        ? " " + unconverted + " entries in other currencies have no exchange rate and are left out of the totals."
+        : "")
+  );
+
+  doc.moveDown(0.5);
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(11)
+    .fillColor("#111111")
+    .text(
+      "Fuel " +
+        pdfMoney(fuelTotals.total) +
+        "   ·   Service " +
+        pdfMoney(serviceTotals.total) +
+        "   ·   Other expenses " +
+        pdfMoney(expenseTotals.total) +
+        "   ·   Total " +
+        pdfMoney(
+          Number(fuelTotals.total) + Number(serviceTotals.total) + Number(expenseTotals.total)
+        )
+    );
+
+  pdfHeading(doc, "Fuel by vehicle");
+  pdfTable(
+    doc,
+    [
+      { label: "Vehicle", width: 140 },
+      { label: "Fill-ups", width: 60, align: "right" },
+      { label: "Litres", width: 80, align: "right" },
+      { label: "Spend (" + currency + ")", width: 100, align: "right" },
+      { label: "Efficiency", width: 115, align: "right" },
+    ],
+    fuelRows,
+    "No fuel logged this month."
+  );
+
+  pdfHeading(doc, "Service history");
+  pdfTable(
+    doc,
+    [
+      { label: "Date", width: 70 },
+      { label: "Vehicle", width: 85 },
+      { label: "Service", width: 170 },
+      { label: "Cost", width: 85, align: "right" },
+      { label: "Odometer", width: 85, align: "right" },
+    ],
+    services.map((r) => [
+      toIsoDate(new Date(r.created_at)),
+      r.registration || "",
+      r.service_type || "Service",
+      entryMoney(r.cost_amount, r.currency),
+      r.odometer != null ? formatKm(r.odometer) : "",
+    ]),
+    "No services logged this month."
+  );
+
+  pdfHeading(doc, "Other expenses");
+  pdfTable(
+    doc,
+    [
+      { label: "Date", width: 70 },
+      { label: "Vehicle", width: 85 },
+      { label: "Expense", width: 255 },
+      { label: "Amount", width: 85, align: "right" },
+    ],
+    expenses.map((r) => [
+      toIsoDate(new Date(r.created_at)),
+      r.registration || "",
+      r.title || "Expense",
+      entryMoney(r.amount, r.currency),
+    ]),
+    "No other expenses logged this month."
+  );
+
+  pdfHeading(doc, "Driver licence compliance");
+  const complianceRows = [];
+  const addCompliance = (items, status) => {
+    for (const item of items) {
+      const d = item.driver;
+      complianceRows.push([
+        d.full_name || "Driver",
+        d.license_type || "n/a",
+        d.license_expiry_date ? formatEditValue({ type: "date" }, d.license_expiry_date) : "n/a",
+        status(item),
+      ]);
+    }
+  };
+  addCompliance(compliance.expired, (item) =>
+    item.diffDays === null ? "No licence on file" : "Expired " + Math.abs(item.diffDays) + " day(s) ago"
+  );
+  addCompliance(compliance.expiring, (item) => "Expires in " + item.diffDays + " day(s)");
+  addCompliance(compliance.ok, () => "Valid");
+  pdfTable(
+    doc,
+    [
+      { label: "Driver", width: 150 },
+      { label: "Licence", width: 100 },
+      { label: "Expiry", width: 85 },
+      { label: "Status", width: 160 },
+    ],
+    complianceRows,
+    "No drivers on this account."
+  );
+
+  pdfHeading(doc, "Upcoming expiries (next " + PDF_UPCOMING_EXPIRY_DAYS + " days)");
+  pdfTable(
+    doc,
+    [
+      { label: "Due", width: 85 },
+      { label: "Item", width: 250 },
+      { label: "Type", width: 100 },
+      { label: "Days left", width: 60, align: "right" },
+    ],
+    expiryRes.rows.map((r) => [
+      r.due_str,
+      r.title || "",
+      t(DEFAULT_LANGUAGE, "reminder.source_" + r.source_type),
+      r.days_left,
+    ]),
+    "Nothing expires in the next " + PDF_UPCOMING_EXPIRY_DAYS + " days."
+  );
+
+  doc.end();
+  return done;
+}
+
+// Create (or reuse) the report row that the signed download link points at
+async function getFleetReportRecord(ownerWhatsapp, period) {
+  const res = await pool.query(
+    `
+    INSERT INTO fleet_reports (owner_whatsapp, period_from, period_to)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (owner_whatsapp, period_from)
+    DO UPDATE SET period_to = EXCLUDED.period_to
+    RETURNING *
+  `,
+    [ownerWhatsapp, period.from, period.to]
+  );
+  return res.rows[0];
+}
+
+function fleetReportFileName(period) {
+  return "saka360-fleet-report-" + period.from.slice(0, 7) + ".pdf";
+}
+
+async function sendFleetReport(ownerWhatsapp, period, report) {
+  await sendWhatsAppMessage(
+    ownerWhatsapp,
+    "📑 " + fleetReportFileName(period),
+    buildSignedFileUrl("reports/" + report.id + ".pdf")
+  );
+}
+
+async function handlePdfReportCommand(userWhatsapp, fullText) {
+  const rest = fullText.trim().replace(/^pdf\s+report\b/i, "");
+  const lang = await getUserLanguage(userWhatsapp);
+  const period = parseMonthPeriod(rest);
+  if (!period) {
+    return t(lang, "pdf.help");
+  }
+
+  const vehicles = await getUserVehicles(userWhatsapp);
+  if (vehicles.length === 0) {
+    return t(lang, "vehicle.none");
+  }
+
+  const report = await getFleetReportRecord(userWhatsapp, period);
+  await sendFleetReport(userWhatsapp, period, report);
+
+  return t(lang, "pdf.sent", {
+    period: formatPeriodLabel(period, lang),
+    minutes: FILE_URL_TTL_MINUTES,
+    day: MONTHLY_REPORT_DAY,
+    dayOrdinal: formatDayOfMonth(MONTHLY_REPORT_DAY),
+  });
+}
+
+/**
+ * Once a month has closed, send every owner who logged anything in it their
+ * report on MONTHLY_REPORT_DAY. A few days' catch-up covers downtime, but a
+ * deploy mid-month doesn't send last month's report late. The auto_sent_at
+ * claim makes this safe to run every tick.
+ */
+async function runMonthlyReportChecks() {
+  if (DISABLE_MONTHLY_REPORTS === "true") return;
+
+  const today = appToday();
+  const day = today.getDate();
+  if (day < MONTHLY_REPORT_DAY || day > MONTHLY_REPORT_DAY + MONTHLY_REPORT_CATCH_UP_DAYS) {
+    return;
+  }
+  const period = monthPeriod(today.getFullYear(), today.getMonth() - 1);
+
+  try {
+    const ownersRes = await pool.query(
+      `
+      SELECT DISTINCT user_whatsapp AS owner_whatsapp
+      FROM (
+        SELECT user_whatsapp, created_at FROM fuel_logs
+        UNION ALL
+        SELECT user_whatsapp, created_at FROM service_logs
+        UNION ALL
+        SELECT user_whatsapp, created_at FROM expense_logs
+      ) logs
+      WHERE created_at >= $1::date
+        AND created_at < $2::date + 1
+        AND user_whatsapp IS NOT NULL
+    `,
+      [period.from, period.to]
+    );
+
+    for (const { owner_whatsapp: ownerWhatsapp } of ownersRes.rows) {
+      const report = await getFleetReportRecord(ownerWhatsapp, period);
+      const claim = await pool.query(
+        `
+        UPDATE fleet_reports
+        SET auto_sent_at = NOW()
+        WHERE id = $1
+          AND auto_sent_at IS NULL
+        RETURNING id
+      `,
+        [report.id]
+      );
+      if (claim.rows.length === 0) continue;
+
+      const lang = await getUserLanguage(ownerWhatsapp);
+      await sendWhatsAppMessage(
+        ownerWhatsapp,
+        t(lang, "pdf.monthly_ready", {
+          period: formatPeriodLabel(period, lang),
+          command: "pdf report " + period.label.toLowerCase(),
+        })
+      );
+      await sendFleetReport(ownerWhatsapp, period, report);
+    }
+  } catch (err) {
+    console.error("❌ Error sending monthly reports:", err.message);
+  }
+}
+
+app.get("/files/reports/:file", async (req, res) => {
+  const filePath = "reports/" + req.params.file;
+  if (!isValidFileSignature(filePath, req.query.exp, req.query.sig)) {
+    return res.sendStatus(403);
+  }
+
+  const m = req.params.file.match(/^(\d+)\.pdf$/);
+  if (!m) return res.sendStatus(404);
+
+  try {
+    const repRes = await pool.query(
+      `
+      SELECT *,
+             to_char(period_from, 'YYYY-MM-DD') AS from_str,
+             to_char(period_to, 'YYYY-MM-DD') AS to_str
+      FROM fleet_reports
+      WHERE id = $1
+    `,
+      [parseInt(m[1], 10)]
+    );
+    const report = repRes.rows[0];
+    if (!report) return res.sendStatus(404);
+
+    const period = monthPeriod(
+      parseInt(report.from_str.slice(0, 4), 10),
+      parseInt(report.from_str.slice(5, 7), 10) - 1
+    );
+    const buffer = await buildFleetReportPdf(report.owner_whatsapp, period);
+
+    res.set("Content-Type", "application/pdf");
+    res.set(
+      "Content-Disposition",
+      'inline; filename="' + fleetReportFileName(period) + '"'
+    );
+    return res.send(buffer);
+  } catch (err) {
+    console.error("❌ Error serving fleet report:", err.message);
+    return res.sendStatus(500);
+  }
+});
+
+// ---------- TWILIO WEBHOOK SIGNATURE ----------
+
+// The URL Twilio signed: the public URL it was configured with, not what
+// Express sees behind Render's proxy (http, internal host).
+function getTwilioWebhookUrl(req) {
+  if (PUBLIC_BASE_URL) {
+    return PUBLIC_BASE_URL + req.originalUrl;
+  }
+  const proto = String(req.headers["x-forwarded-proto"] || req.protocol)
+    .split(",")[0]
+    .trim();
+  const host = String(req.headers["x-forwarded-host"] || req.headers.host || "")
+    .split(",")[0]
+    .trim();
+  return proto + "://" + host + req.originalUrl;
+}
+
+function verifyTwilioSignature(req, res, next) {
+  if (DISABLE_TWILIO_SIGNATURE_CHECK === "true") {
+    return next();
+  }
+
+  const signature = req.headers["x-twilio-signature"];
+  const url = getTwilioWebhookUrl(req);
+
+  const valid =
+    !!TWILIO_AUTH_TOKEN &&
+    !!signature &&
+    twilio.validateRequest(TWILIO_AUTH_TOKEN, signature, url, req.body || {});
+
+  if (!valid) {
+    console.warn("🚨 Rejected inbound webhook – invalid Twilio signature:", {
+      url,
+      hasSignature: !!signature,
+      from: req.body && (req.body.From || req.body.from),
+      ip: req.headers["x-forwarded-for"] || req.ip,
+    });
+    return res.sendStatus(403);
+  }
+
+  return next();
+}
+
+// ---------- INBOUND MESSAGES ----------
+// Twilio retries a webhook that is slow to answer, so every MessageSid is
+// recorded before anything runs and a repeat is acknowledged and dropped.
+// The route answers 200 straight away and the message is processed in the
+// background; the row then holds its outcome (done / failed) and the reply.
+// Once acknowledged, Twilio never sends it again. While a process holds a
+// message (waiting in its sender's chain or running) it keeps heartbeat_at
+// fresh; a row still 'processing' with no heartbeat for INBOUND_STALE_MINUTES
+// was cut off (crash / restart) and is re-run.
+
+const INBOUND_STALE_MINUTES = 5;
+const INBOUND_MAX_ATTEMPTS = 3;
+
+// false when this MessageSid has been seen before
+async function recordInboundMessage(messageSid, userWhatsapp, body, media) {
+  const res = await pool.query(
+    `
+    INSERT INTO inbound_messages (message_sid, user_whatsapp, body, media_count, media)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (message_sid) DO NOTHING
+  `,
+    [messageSid, userWhatsapp, body, media.length, JSON.stringify(media)]
+  );
+  return res.rowCount > 0;
+}
+
+async function resumeStaleInboundMessages() {
+  try {
+    const held = [...inboundInFlight];
+    if (held.length) {
+      await pool.query(
+        `UPDATE inbound_messages SET heartbeat_at = NOW() WHERE message_sid = ANY($1)`,
+        [held]
+      );
+    }
+
+    const failed = await pool.query(
+      `
+      UPDATE inbound_messages
+      SET status = 'failed',
+          error = 'interrupted ' || attempts || ' time(s), not retried again',
+          processed_at = NOW()
+      WHERE status = 'processing'
+        AND heartbeat_at < NOW() - make_interval(mins => $1)
+        AND attempts >= $2
+        AND message_sid <> ALL($3)
+      RETURNING message_sid
+    `,
+      [INBOUND_STALE_MINUTES, INBOUND_MAX_ATTEMPTS, held]
+    );
+    for (const row of failed.rows) {
+      console.error("❌ Giving up on interrupted inbound message:", row.message_sid);
+    }
+
+    // Claiming bumps heartbeat_at, so another instance won't pick it up too
+    const res = await pool.query(
+      `
+      UPDATE inbound_messages
+      SET attempts = attempts + 1,
+          started_at = NULL,
+          heartbeat_at = NOW()
+      WHERE status = 'processing'
+        AND heartbeat_at < NOW() - make_interval(mins => $1)
+        AND message_sid <> ALL($2)
+      RETURNING *
+    `,
+      [INBOUND_STALE_MINUTES, held]
+    );
+    for (const row of res.rows) {
+      console.log("🔁 Resuming interrupted inbound message:", row.message_sid);
+      enqueueInboundMessage({
+        from: row.user_whatsapp,
+        messageSid: row.message_sid,
+        text: row.body || "",
+        media: row.media || [],
+      });
+    }
+  } catch (err) {
+    console.error("❌ Error resuming inbound messages:", err.message);
+  }
+}
+
+function startInboundRecovery() {
+  resumeStaleInboundMessages();
+  setInterval(resumeStaleInboundMessages, 60 * 1000);
+}
+
+async function finishInboundMessage(messageSid, status, reply, error = null) {
+  if (!messageSid) return;
+  try {
+    await pool.query(
+      `
+      UPDATE inbound_messages
+      SET status = $2,
+          reply = $3,
+          error = $4,
+          processed_at = NOW()
+      WHERE message_sid = $1
+    `,
+      [messageSid, status, reply, error]
+    );
+  } catch (err) {
+    console.error("❌ Error updating inbound message:", err.message);
+  }
+}
+
+async function runInboundMessage(message) {
+  try {
+    if (message.messageSid) {
+      await pool.query(
+        `
+        UPDATE inbound_messages
+        SET started_at = NOW(),
+            heartbeat_at = NOW()
+        WHERE message_sid = $1
+      `,
+        [message.messageSid]
+      );
+    }
+    const reply = await processInboundMessage(message);
+    await finishInboundMessage(message.messageSid, "done", reply || null);
+  } catch (err) {
+    console.error("❌ Error processing inbound message:", message.messageSid, err.message);
+    await finishInboundMessage(message.messageSid, "failed", null, err.message);
+  }
+}
+
+// One chain per sender: a quick second reply waits for the first to finish
+// instead of racing it through the same conversation step
+const inboundChains = new Map();
+// MessageSids this process holds (queued or running) – never resumed as stale
+const inboundInFlight = new Set();
+
+function enqueueInboundMessage(message) {
+  if (message.messageSid) inboundInFlight.add(message.messageSid);
+  const previous = inboundChains.get(message.from) || Promise.resolve();
+  const next = previous.then(() => runInboundMessage(message));
+  inboundChains.set(message.from, next);
+  next.then(() => {
+    inboundInFlight.delete(message.messageSid);
+    if (inboundChains.get(message.from) === next) inboundChains.delete(message.from);
+  });
+}
+
+// ---------- MAIN INBOUND ROUTE ----------
+
+app.post("/whatsapp/inbound", verifyTwilioSignature, async (req, res) => {
+  const from = req.body.From || req.body.from;
+  const messageSid = req.body.MessageSid || req.body.SmsMessageSid || null;
+  // Button / list taps carry the command they stand for
+  const textRaw =
+    req.body.ButtonPayload ||
+    req.body.ListId ||
+    req.body.Body ||
+    req.body.body ||
+    req.body.text ||
+    "";
+  const text = (textRaw || "").trim();
+
+  const media = getInboundMedia(req.body);
+
+  console.log("📩 Incoming:", { from, text, media: media.length, messageSid });
+
+  if (!from) {
+    console.error("❌ Missing 'from' in incoming payload");
+    return res.sendStatus(400);
+  }
+
+  if (messageSid) {
+    try {
+      const isNew = await recordInboundMessage(messageSid, from, text, media);
+      if (!isNew) {
+        console.log("🔁 Duplicate webhook skipped:", messageSid);
+        return res.sendStatus(200);
+      }
+    } catch (err) {
+      // Better to risk a duplicate than to drop the message
+      console.error("❌ Error recording inbound message:", err.message);
+    }
+  }
+
+  // Acknowledge now – Twilio retries slow webhooks
+  res.sendStatus(200);
+  enqueueInboundMessage({ from, messageSid, text, media });
+});
+
+// Everything a message triggers; returns the reply that was sent (if any)
+async function processInboundMessage({ from, messageSid, text, media }) {
+  let lang = DEFAULT_LANGUAGE;
+  try {
+    lang = await getUserLanguage(from);
+  } catch (err) {
+    console.error("❌ Error loading user language:", err.message);
+  }
+
+  // Entries left hanging too long become drafts – say so before anything else
+  try {
+    const parked = await parkConversations(from, SESSION_IDLE_MINUTES);
+    for (const kind of parked) {
+      const notice = t(lang, "drafts.parked", {
+        ...kindVars(lang, kind),
+        minutes: SESSION_IDLE_MINUTES,
+      });
+      console.log("⏸️ Parked idle session:", { from, kind });
+      await sendWhatsAppMessage(from, notice);
+      await saveChatTurn(from, "assistant", notice, messageSid);
+    }
+  } catch (err) {
+    console.error("❌ Error parking idle sessions:", err.message);
+  }
+
+  // Receipt photos: keep them with whatever entry is being logged
+  if (media.length > 0) {
+    let mediaReply = null;
+    try {
+      const active = await getActiveLoggingConversation(from);
+      if (active) {
+        const saved = await saveInboundReceipts(from, active.flow, active.id, media);
+        mediaReply = saved
+          ? t(lang, "media.attached", kindVars(lang, active.flow))
+          : t(lang, "media.failed");
+      } else {
+        mediaReply = t(lang, "media.no_entry");
+      }
+    } catch (err) {
+      console.error("❌ Error handling inbound media:", err.message);
+    }
+
+    // Photo only (no caption) – just acknowledge it
+    if (!text && mediaReply) {
+      console.log("💬 Reply (media):", mediaReply);
+      await sendWhatsAppMessage(from, mediaReply);
+      await saveChatTurn(from, "user", "[" + media.length + " attachment(s)]", messageSid);
+      await saveChatTurn(from, "assistant", mediaReply, messageSid);
+      return mediaReply;
+    }
+  }
+
+  if (!text) {
+    const greeting = t(lang, "common.greeting");
+    await sendWhatsAppMessage(from, greeting);
+    return greeting;
+  }
+
+  // Swahili one-word replies (*ndiyo*, *ruka*, *ghairi*) work everywhere
+  const input = translateReplyWord(text);
+  let lower = input.toLowerCase();
+
+  // Global cancel
+  if (lower === "cancel" || lower === "stop") {
+    await clearAllSessions(from);
+    const reply = t(lang, "common.cancelled");
+    console.log("💬 Reply (global cancel):", replyText(reply));
+    await sendReply(from, reply);
+    await saveChatTurn(from, "user", text, messageSid);
+    await saveChatTurn(from, "assistant", replyText(reply), messageSid);
+    return replyText(reply);
+  }
+
+  // help / drafts / continue / language work mid-entry and leave it open
+  try {
+    const reply = await handleGlobalCommand(from, input, lang);
+    if (reply) {
+      console.log("💬 Reply (global command):", replyText(reply));
+      await sendReply(from, reply);
+      await saveChatTurn(from, "user", text, messageSid);
+      await saveChatTurn(from, "assistant", replyText(reply), messageSid);
+      return replyText(reply);
+    }
+  } catch (err) {
+    console.error("❌ Error in global command:", err.message);
+  }
+
+  // An edit in progress, then the open conversation
+  try {
+    const editSession = await getActiveEditSession(from);
+    if (editSession) {
+      const reply = await handleEditSessionStep(from, input, editSession);
+      console.log("💬 Reply (edit session):", replyText(reply));
+      await sendReply(from, reply);
+      await saveChatTurn(from, "user", text, messageSid);
+      await saveChatTurn(from, "assistant", replyText(reply), messageSid);
+      return replyText(reply);
+    }
+
+    const conversation = await getActiveConversation(from);
+    if (conversation) {
+      const reply = await handleConversationStep(from, input, conversation);
+      console.log("💬 Reply (" + conversation.flow + " conversation):", replyText(reply));
+      await sendReply(from, reply);
+      await saveChatTurn(from, "user", text, messageSid);
+      await saveChatTurn(from, "assistant", replyText(reply), messageSid);
+      return replyText(reply);
+    }
+  } catch (err) {
+    console.error("❌ Error in session routing:", err.message);
+  }
+
+  // No active sessions – interpret commands (Swahili ones as their English twin)
+  const command = translateCommandWords(input);
+  lower = command.toLowerCase();
+  let reply = null;
+
+  try {
+    // Vehicle commands
+    if (lower.startsWith("add vehicle")) {
+      reply = await handleAddVehicleCommand(from, command);
+    } else if (lower === "my vehicles") {
+      reply = await handleMyVehiclesCommand(from);
+    } else if (lower.startsWith("switch")) {
+      reply = await handleSwitchVehicleCommand(from, command);
+    }
+
+    // Driver commands (owner side)
+    else if (lower.startsWith("add driver")) {
+      reply = await handleAddDriverCommand(from, command);
+    } else if (lower === "my drivers") {
+      reply = await handleMyDriversCommand(from);
+    } else if (lower.startsWith("assign driver")) {
+      reply = await handleAssignDriverCommand(from, command);
+    } else if (lower === "driver report") {
+      reply = await buildDriverComplianceReport(from);
+    }
+
+    // Driver commands (driver side)
+    else if (lower === "accept") {
+      reply = await handleDriverAccept(from);
+    } else if (lower.startsWith("dl ")) {
+      reply = await handleDriverLicenceCommand(from, command);
+    } else if (lower === "my licence" || lower === "my license") {
+      reply = await handleMyOwnLicenceStatus(from);
+    }
+
+    // Logging commands
+    else if (lower === "fuel") {
+      reply = await handleFuelIntent(from);
+    } else if (lower === "service") {
+      reply = await handleServiceIntent(from);
+    } else if (lower === "expense") {
+      reply = await handleExpenseIntent(from);
+    } else if (
+      lower === "my document" ||
+      lower === "my documents"
+    ) {
+      reply = await handlePersonalDocumentIntent(from);
+    } else if (lower === "vehicle document") {
+      reply = await handleVehicleDocumentIntent(from);
+    } else if (lower === "vehicle documents") {
+      reply = await buildVehicleDocumentsReport(from, "vehicle");
+    } else if (lower === "vehicle documents all") {
+      reply = await buildVehicleDocumentsReport(from, "all");
+    } else if (lower === "undo") {
+      reply = await handleUndoCommand(from);
+    } else if (lower.startsWith("edit ")) {
+      reply = await handleEditCommand(from, command);
+    } else if (lower.startsWith("receipt")) {
+      reply = await handleReceiptCommand(from, command);
+    } else if (lower === "my reminders" || lower === "reminders") {
+      reply = await handleMyRemindersCommand(from);
+    }
+
+    // Monthly PDF fleet report
+    else if (lower.startsWith("pdf report")) {
+      reply = await handlePdfReportCommand(from, command);
+    }
+
+    // Spreadsheet exports
+    else if (lower.startsWith("export ") || lower === "export") {
+      reply = await handleExportCommand(from, command);
+    }
+
+    // REST API keys
+    else if (lower === "api key" || lower.startsWith("api key ")) {
+      reply = await handleApiKeyCommand(from, command);
+    }
+
+    // Owner review of driver entries
+    else if (/^(approve|reject)\s+#?\d+/.test(lower)) {
+      reply = await handleApprovalDecision(from, command);
+    } else if (lower === "pending entries" || lower === "pending") {
+      reply = await handlePendingEntriesCommand(from);
+    }
+
+    // Odometer timeline / reset
+    else if (lower === "odometer" || lower.startsWith("odometer ")) {
+      reply = await handleOdometerCommand(from, command);
+    }
+
+    // Suspicious fuel entries
+    else if (/^fuel alerts?\b/.test(lower)) {
+      reply = await buildFuelAlertsReport(from, command);
+    }
+
+    // Monthly budgets
+    else if (lower === "budget report" || lower.startsWith("budget report ")) {
+      reply = await buildBudgetReport(from, command);
+    } else if (/^budgets?\b/.test(lower)) {
+      reply = await handleBudgetCommand(from, command);
+    }
+
+    // Currencies & exchange rates
+    else if (/^currency\b/.test(lower)) {
+      reply = await handleCurrencyCommand(from, command);
+    } else if (/^rates?\b/.test(lower)) {
+      reply = await handleRateCommand(from, command);
+    }
+
+    // Database schema & undelivered messages (admins)
+    else if (lower === "migrations" || lower === "migration status") {
+      reply = await handleMigrationStatusCommand(from);
+    } else if (lower === "undelivered" || lower === "undelivered messages") {
+      reply = await handleUndeliveredCommand(from);
+    }
+
+    // Service interval / due prediction
+    else if (lower.startsWith("service interval")) {
+      reply = await handleServiceIntervalCommand(from, command);
+    }
+
+    // Reports
+    else if (/^(fuel|service|expense) report\b/.test(lower)) {
+      reply = await handleReportCommand(from, command);
+    } else if (lower === "report" || lower === "reports") {
+      reply = t(lang, "report.menu");
+    }
+
+    // One-line entries: "fuel 3000 25L 145200 Shell Yaya", "expense parking 200"
+    else if (/^(fuel|service|expense)\s+(?!report\b)/.test(lower)) {
+      const kind = lower.split(/\s+/)[0];
+      if (kind === "fuel") reply = await handleFuelIntent(from, command);
+      else if (kind === "service") reply = await handleServiceIntent(from, command);
+      else reply = await handleExpenseIntent(from, command);
+    }
+  } catch (err) {
+    console.error("❌ Error in command handling:", err.message);
+  }
+
+  // If we have a direct reply, send it
+  if (reply) {
+    console.log("💬 Reply:", replyText(reply));
+    await sendReply(from, reply);
+    await saveChatTurn(from, "user", text, messageSid);
+    await saveChatTurn(from, "assistant", replyText(reply), messageSid);
+    return replyText(reply);
+  }
+
+  // Fallback to AI via n8n
+  const aiReply = await callN8nAI(from, text, lang);
+  const finalReply = aiReply || t(lang, "common.fallback");
+
+  console.log("💬 Reply:", finalReply);
+  await sendWhatsAppMessage(from, finalReply);
+  await saveChatTurn(from, "user", text, messageSid);
+  await saveChatTurn(from, "assistant", finalReply, messageSid);
+
+  return finalReply;
+}
+
+// ---------- REST API (v1) ----------
+// JSON API for the dashboard and accounting tools. Every request carries an
+// owner's API key (created on WhatsApp with *api key new*) and only ever sees
+// that owner's fleet. Field validation reuses the WhatsApp edit rules.
+
+const API_PAGE_SIZE = 50;
+const API_MAX_PAGE_SIZE = 200;
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+async function handleApiKeyCommand(userWhatsapp, fullText) {
+  const lower = fullText.trim().toLowerCase();
+  const lang = await getUserLanguage(userWhatsapp);
+
+  if (lower === "api key new") {
+    await pool.query(
+      `
+      UPDATE api_keys
+      SET revoked_at = NOW()
+      WHERE owner_whatsapp = $1
+        AND revoked_at IS NULL
+    `,
+      [userWhatsapp]
+    );
+
+    const key = "sk360_" + crypto.randomBytes(24).toString("hex");
+    await pool.query(
+      `
+      INSERT INTO api_keys (owner_whatsapp, key_hash, key_prefix)
+      VALUES ($1, $2, $3)
+    `,
+      [userWhatsapp, hashApiKey(key), key.slice(0, 12)]
+    );
+
+    return t(lang, "apikey.created", { key });
+  }
+
+  if (lower === "api key revoke") {
+    const res = await pool.query(
+      `
+      UPDATE api_keys
+      SET revoked_at = NOW()
+      WHERE owner_whatsapp = $1
+        AND revoked_at IS NULL
+    `,
+      [userWhatsapp]
+    );
+    return t(lang, res.rowCount > 0 ? "apikey.revoked" : "apikey.none_active");
+  }
+
+  const res = await pool.query(
+    `
+    SELECT key_prefix,
+           to_char(created_at, 'YYYY-MM-DD') AS created_str,
+           to_char(last_used_at, 'YYYY-MM-DD') AS last_used_str
+    FROM api_keys
+    WHERE owner_whatsapp = $1
+      AND revoked_at IS NULL
+    ORDER BY created_at DESC
+    LIMIT 1
+  `,
+    [userWhatsapp]
+  );
+  const active = res.rows[0];
+
+  return (
+    t(lang, "apikey.title") +
+    (active
+      ? t(lang, "apikey.active", {
+          prefix: active.key_prefix,
+          created: formatDate(active.created_str, lang),
+          used: active.last_used_str ? formatDate(active.last_used_str, lang) : t(lang, "apikey.never"),
+        })
+      : t(lang, "apikey.none")) +
+    t(lang, "apikey.help")
+  );
+}
+
+async function requireApiKey(req, res, next) {
+  const auth = req.get("authorization") || "";
+  const match = auth.match(/^Bearer\s+(\S+)$/i);
+  const key = match ? match[1] : req.get("x-api-key");
 
-  let titleLine =
-    scope === "vehicle"
-      ? "📊 *Service summary – current vehicle*"
-      : "📊 *Service summary – all vehicles*";
+  if (!key) {
+    return res.status(401).json({ error: "Missing API key" });
+  }
 
-  if (scope === "vehicle") {
-    const vRes = await ensureCurrentVehicle(userWhatsapp);
-    if (vRes.status === "OK" && vRes.vehicle) {
-      titleLine = "📊 *Service summary – " + vRes.vehicle.registration + "*";
+  try {
+    const keyRes = await pool.query(
+      `
+      UPDATE api_keys
+      SET last_used_at = NOW()
+      WHERE key_hash = $1
+        AND revoked_at IS NULL
+      RETURNING owner_whatsapp
+    `,
+      [hashApiKey(key)]
+    );
+    if (keyRes.rows.length === 0) {
+      return res.status(401).json({ error: "Invalid API key" });
     }
+    req.ownerWhatsapp = keyRes.rows[0].owner_whatsapp;
+    return next();
+  } catch (err) {
+    console.error("❌ Error checking API key:", err.message);
+    return res.status(500).json({ error: "Internal server error" });
   }
+}
 
-  const periodStart = stats.first_ts
-    ? String(stats.first_ts).slice(0, 10)
-    : "-";
-  const periodEnd = stats.last_ts ? String(stats.last_ts).slice(0, 10) : "-";
-  const totalStr = Number(stats.total || 0).toFixed(2);
-  const avgStr = Number(stats.avg || 0).toFixed(2);
-
-  let text = titleLine + "\n";
-  text +=
-    "Period: *" +
-    periodStart +
-    "* → *" +
-    periodEnd +
-    "*\n" +
-    "Services: *" +
-    stats.cnt +
-    "*\n" +
-    "Total service cost: *" +
-    totalStr +
-    "* KES\n" +
-    "Average per service: *" +
-    avgStr +
-    "* KES\n";
-
-  text += "\n🛠️ *Last 5 services*:\n";
-  for (const r of rows) {
-    const d = r.created_at ? String(r.created_at).slice(0, 10) : "";
-    const amtStr = Number(r.cost_amount || 0).toFixed(2);
-    const stype = r.service_type || "Service";
-    const odo =
-      r.odometer != null && r.odometer !== ""
-        ? " @ *" + Number(r.odometer).toFixed(2) + "* km"
-        : "";
-    const reg = r.registration ? " – " + r.registration : "";
-    text +=
-      "• " +
-      d +
-      " – *" +
-      amtStr +
-      "* KES – " +
-      stype +
-      odo +
-      reg +
-      "\n";
-  }
+// Wrap an async route so errors become a JSON 500 instead of a hung request
+function apiRoute(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      console.error("❌ API error:", req.method, req.originalUrl, err.message);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  };
+}
 
-  text +=
-    "\nYou can log a new service anytime with *service*.\n" +
-    "Use *service report* for the current vehicle, or *service report all* for your whole fleet.";
+function apiError(res, status, message) {
+  return res.status(status).json({ error: message.replace(/\*/g, "") });
+}
 
-  return text;
+function parseApiId(value) {
+  const n = parseInt(value, 10);
+  return String(n) === String(value).trim() && n > 0 ? n : null;
 }
 
-// ---------- FUEL REPORT ----------
+function parseApiPagination(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const perPage = Math.min(
+    Math.max(parseInt(query.per_page, 10) || API_PAGE_SIZE, 1),
+    API_MAX_PAGE_SIZE
+  );
+  return { page, perPage, offset: (page - 1) * perPage };
+}
 
-async function buildFuelReport(userWhatsapp, scope) {
-  let whereClause = "user_whatsapp = $1";
-  const params = [userWhatsapp];
+/**
+ * Shared list filters: ?vehicle_id=, ?driver_id=, ?from=YYYY-MM-DD, ?to=YYYY-MM-DD.
+ * Appends to `clauses` / `params` and returns an error message if a value is bad.
+ */
+function applyApiFilters(query, alias, clauses, params, { driver = true } = {}) {
+  if (query.vehicle_id != null) {
+    const id = parseApiId(query.vehicle_id);
+    if (!id) return "vehicle_id must be a positive integer";
+    params.push(id);
+    clauses.push(`${alias}.vehicle_id = $${params.length}`);
+  }
+  if (driver && query.driver_id != null) {
+    const id = parseApiId(query.driver_id);
+    if (!id) return "driver_id must be a positive integer";
+    params.push(id);
+    clauses.push(`${alias}.driver_id = $${params.length}`);
+  }
+  if (query.from != null) {
+    const from = parseIsoDate(query.from);
+    if (!from) return "from must be a YYYY-MM-DD date";
+    params.push(from);
+    clauses.push(`${alias}.created_at >= $${params.length}::date`);
+  }
+  if (query.to != null) {
+    const to = parseIsoDate(query.to);
+    if (!to) return "to must be a YYYY-MM-DD date";
+    params.push(to);
+    clauses.push(`${alias}.created_at < $${params.length}::date + 1`);
+  }
+  return null;
+}
 
-  if (scope === "vehicle") {
-    const vRes = await ensureCurrentVehicle(userWhatsapp);
-    if (vRes.status === "NO_VEHICLES") {
-      return (
-        "You don't have any vehicles yet.\n\n" +
-        "Add one with:\n" +
-        "*add vehicle KDA 123A*"
-      );
+/**
+ * Validate a JSON body against EDITABLE_LOGS-style field definitions using
+ * the same parser as the WhatsApp edit flow. With `partial`, only the keys
+ * present are checked (PATCH); otherwise required fields must be there.
+ */
+function validateApiFields(fields, body, partial) {
+  const values = {};
+  for (const field of fields) {
+    const present = Object.prototype.hasOwnProperty.call(body, field.column);
+    if (!present) {
+      if (!partial && field.required) {
+        return { error: field.column + " is required" };
+      }
+      continue;
     }
-    if (vRes.status === "NEED_SET_CURRENT") {
-      const list = formatVehiclesList(vRes.list, true);
-      return (
-        "You have multiple vehicles. Please set your current vehicle first.\n\n" +
-        list +
-        "\n\nUse *switch to 1* (for example), then send *fuel report* again."
-      );
+
+    const raw = body[field.column];
+    const parsed =
+      raw == null || raw === ""
+        ? parseEditValue(field, "clear")
+        : parseEditValue(field, String(raw));
+    if (parsed.error) {
+      return { error: field.column + ": " + parsed.error };
     }
-    const vehicle = vRes.vehicle;
-    whereClause += " AND vehicle_id = $2";
-    params.push(vehicle.id);
+    values[field.column] = parsed.value;
   }
+  return { values };
+}
 
-  const statsSql = `
-    SELECT
-      COUNT(*)::INT AS cnt,
-      COALESCE(SUM(amount),0)::NUMERIC(12,2) AS total,
-      COALESCE(SUM(litres),0)::NUMERIC(12,3) AS total_litres,
-      MIN(created_at) AS first_ts,
-      MAX(created_at) AS last_ts
-    FROM fuel_logs
-    WHERE ${whereClause}
-  `;
-  const statsRes = await pool.query(statsSql, params);
-  const stats = statsRes.rows[0];
-
-  if (!stats || stats.cnt === 0) {
-    if (scope === "vehicle") {
-      return (
-        "You have no *fuel* entries yet for your current vehicle.\n\n" +
-        "Log one with *fuel*."
-      );
+function serializeApiRow(row, dateColumns) {
+  const out = { ...row };
+  for (const col of dateColumns) {
+    if (out[col] != null) {
+      out[col] = formatEditValue({ type: "date" }, out[col]);
     }
-    return (
-      "You have no *fuel* entries yet across your vehicles.\n\n" +
-      "Log one with *fuel*."
-    );
   }
+  return out;
+}
 
-  const last5Sql = `
-    SELECT
-      f.*,
-      v.registration
-    FROM fuel_logs f
-    LEFT JOIN vehicles v
-      ON v.id = f.vehicle_id
-    WHERE ${whereClause}
-    ORDER BY f.created_at DESC
-    LIMIT 5
-  `;
-  const last5Res = await pool.query(last5Sql, params);
-  const rows = last5Res.rows;
+async function findApiVehicle(ownerWhatsapp, vehicleId) {
+  const res = await pool.query(
+    `
+    SELECT *
+    FROM vehicles
+    WHERE id = $1
+      AND owner_whatsapp = $2
+      AND is_active = TRUE
+  `,
+    [vehicleId, ownerWhatsapp]
+  );
+  return res.rows[0] || null;
+}
 
-  let titleLine =
-    scope === "vehicle"
-      ? "⛽ *Fuel summary – current vehicle*"
-      : "⛽ *Fuel summary – all vehicles*";
+async function findApiDriver(ownerWhatsapp, driverId) {
+  const res = await pool.query(
+    `
+    SELECT *
+    FROM drivers
+    WHERE id = $1
+      AND owner_whatsapp = $2
+      AND is_active = TRUE
+  `,
+    [driverId, ownerWhatsapp]
+  );
+  return res.rows[0] || null;
+}
 
-  if (scope === "vehicle") {
-    const vRes = await ensureCurrentVehicle(userWhatsapp);
-    if (vRes.status === "OK" && vRes.vehicle) {
-      titleLine = "⛽ *Fuel summary – " + vRes.vehicle.registration + "*";
+// Check vehicle_id / driver_id in a body belong to this owner
+async function resolveApiLinks(ownerWhatsapp, body, { partial, driver }) {
+  const links = {};
+
+  if (Object.prototype.hasOwnProperty.call(body, "vehicle_id")) {
+    const id = parseApiId(body.vehicle_id);
+    if (!id || !(await findApiVehicle(ownerWhatsapp, id))) {
+      return { error: "vehicle_id does not match one of your vehicles" };
     }
+    links.vehicle_id = id;
+  } else if (!partial) {
+    return { error: "vehicle_id is required" };
   }
 
-  const periodStart = stats.first_ts
-    ? String(stats.first_ts).slice(0, 10)
-    : "-";
-  const periodEnd = stats.last_ts ? String(stats.last_ts).slice(0, 10) : "-";
-  const totalStr = Number(stats.total || 0).toFixed(2);
-  const totalLitres = Number(stats.total_litres || 0).toFixed(2);
-  const avgPerFill =
-    stats.cnt > 0
-      ? Number((stats.total || 0) / stats.cnt).toFixed(2)
-      : "0.00";
-
-  let text = titleLine + "\n";
-  text +=
-    "Period: *" +
-    periodStart +
-    "* → *" +
-    periodEnd +
-    "*\n" +
-    "Fuel stops: *" +
-    stats.cnt +
-    "*\n" +
-    "Total fuel spend: *" +
-    totalStr +
-    "* KES\n" +
-    "Total litres: *" +
-    totalLitres +
-    "*\n" +
-    "Average spend per fuel stop: *" +
-    avgPerFill +
-    "* KES\n";
-
-  text += "\n⛽ *Last 5 fuel entries*:\n";
-  for (const r of rows) {
-    const d = r.created_at ? String(r.created_at).slice(0, 10) : "";
-    const amtStr = Number(r.amount || 0).toFixed(2);
-    const litresStr =
-      r.litres != null ? Number(r.litres).toFixed(2) + " L" : "n/a";
-    const odo =
-      r.odometer != null && r.odometer !== ""
-        ? " @ *" + Number(r.odometer).toFixed(2) + "* km"
-        : "";
-    const station = r.station || "n/a";
-    const reg = r.registration ? " – " + r.registration : "";
-    text +=
-      "• " +
-      d +
-      " – *" +
-      amtStr +
-      "* KES (" +
-      litresStr +
-      ") – " +
-      station +
-      odo +
-      reg +
-      "\n";
+  if (driver && Object.prototype.hasOwnProperty.call(body, "driver_id")) {
+    if (body.driver_id == null) {
+      links.driver_id = null;
+    } else {
+      const id = parseApiId(body.driver_id);
+      if (!id || !(await findApiDriver(ownerWhatsapp, id))) {
+        return { error: "driver_id does not match one of your drivers" };
+      }
+      links.driver_id = id;
+    }
   }
 
-  text +=
-    "\nYou can log new fuel any time with *fuel*.\n" +
-    "Use *fuel report* for the current vehicle, or *fuel report all* for your whole fleet.";
+  return { links };
+}
 
-  return text;
+const API_LOG_RESOURCES = {
+  "fuel-logs": {
+    logType: "fuel",
+    table: "fuel_logs",
+    fields: EDITABLE_LOGS.fuel.fields,
+  },
+  "service-logs": {
+    logType: "service",
+    table: "service_logs",
+    fields: EDITABLE_LOGS.service.fields,
+  },
+  "expense-logs": {
+    logType: "expense",
+    table: "expense_logs",
+    fields: EDITABLE_LOGS.expense.fields,
+  },
+  // Vehicle documents have no owner column; they belong to the vehicle's owner
+  documents: {
+    logType: "vehicle_document",
+    table: "vehicle_documents",
+    vehicleOwned: true,
+    fields: [
+      { column: "title", label: "Title", type: "text", required: true },
+      { column: "cost", label: "Cost", type: "money", allowZero: true },
+      { column: "expiry_date", label: "Expiry (YYYY-MM-DD)", type: "date" },
+      { column: "notes", label: "Notes", type: "text" },
+    ],
+  },
+};
+
+function apiLogScope(resource) {
+  return resource.vehicleOwned
+    ? `JOIN vehicles v ON v.id = l.vehicle_id WHERE v.owner_whatsapp = $1`
+    : `LEFT JOIN vehicles v ON v.id = l.vehicle_id WHERE l.user_whatsapp = $1`;
 }
 
-// ---------- PERSONAL DOCUMENT FLOW ----------
+function serializeApiLog(resource, row) {
+  return serializeApiRow(
+    row,
+    resource.fields.filter((f) => f.type === "date").map((f) => f.column)
+  );
+}
 
-async function handlePersonalDocumentIntent(userWhatsapp) {
-  await clearPersonalDocumentSession(userWhatsapp);
-  await pool.query(
+async function loadApiLog(resource, ownerWhatsapp, id) {
+  const res = await pool.query(
     `
-    INSERT INTO personal_document_sessions (user_whatsapp, step, status)
-    VALUES ($1, 'title', 'ACTIVE')
+    SELECT l.*, v.registration
+    FROM ${resource.table} l
+    ${apiLogScope(resource)}
+      AND l.id = $2
   `,
-    [userWhatsapp]
-  );
-
-  return (
-    "📄 Let's add your *personal/driver document*.\n" +
-    "What document is this?\n" +
-    "Examples:\n" +
-    "• *DL Main*\n" +
-    "• *PSV Badge*\n" +
-    "• *TSV Certificate*\n" +
-    "• *ID card*"
+    [ownerWhatsapp, id]
   );
+  return res.rows[0] || null;
 }
 
-async function handlePersonalDocumentSessionStep(userWhatsapp, text, session) {
-  const lower = text.trim().toLowerCase();
+// Keep the expiry reminder in line with a vehicle document's expiry date
+async function syncApiDocumentReminder(ownerWhatsapp, doc) {
+  const vehicle = await findApiVehicle(ownerWhatsapp, doc.vehicle_id);
+  await upsertReminder({
+    userWhatsapp: ownerWhatsapp,
+    sourceType: "vehicle_document",
+    sourceId: doc.id,
+    title: (vehicle ? vehicle.registration : "Vehicle") + " – " + (doc.title || "Document"),
+    dueDate: doc.expiry_date ? formatEditValue({ type: "date" }, doc.expiry_date) : null,
+  });
+}
 
-  if (lower === "cancel") {
-    await clearPersonalDocumentSession(userWhatsapp);
+/**
+ * The odometer check the WhatsApp flows run, for a log written through the
+ * API. A reading below the timeline is refused; one that looks too high is
+ * refused unless the body sends "confirm_odometer": true. → error or null
+ */
+async function checkApiOdometer(resource, values, body, existing = null) {
+  const vehicleId = "vehicle_id" in values ? values.vehicle_id : existing && existing.vehicle_id;
+  const odometer = "odometer" in values ? values.odometer : existing && existing.odometer;
+  if (!vehicleId || odometer == null) return null;
+
+  const check = await checkOdometerReading(vehicleId, odometer, {
+    before: existing ? new Date(existing.created_at) : undefined,
+    exclude: existing ? { source: resource.logType, id: existing.id } : null,
+  });
+  if (check.status === "lower") {
+    return (
+      "odometer: " +
+      formatKm(odometer) +
+      " km is lower than the last known reading (" +
+      describeLastReading(check.last) +
+      ")"
+    );
+  }
+  if (check.status === "high" && body.confirm_odometer !== true) {
     return (
-      "✅ I’ve cancelled this personal document entry.\n" +
-      "You can start again with *my document*."
+      "odometer: " +
+      formatKm(check.km) +
+      " km since the last reading (" +
+      describeLastReading(check.last) +
+      ") is more than the vehicle could have driven; " +
+      "send confirm_odometer: true if it is correct"
     );
   }
+  return null;
+}
 
-  if (session.step === "title") {
-    const title = text.trim();
-    if (!title) {
-      return (
-        "Please give this document a name.\n" +
-        "Examples: *DL Main*, *PSV Badge*, *TSV Certificate*"
-      );
-    }
+// Budget alerts, fuel anomaly flags and service due – as after a WhatsApp entry
+async function runApiLogChecks(resource, ownerWhatsapp, row) {
+  try {
+    await checkBudgetAlerts(row.vehicle_id, resource.logType);
+  } catch (err) {
+    console.error("❌ Error checking " + resource.logType + " budget:", err.message);
+  }
 
-    await pool.query(
+  if (resource.logType !== "fuel") return;
+
+  try {
+    await flagFuelAnomalies(row.id, {
+      ownerWhatsapp,
+      driverId: row.driver_id,
+      submittedBy: row.submitted_by || ownerWhatsapp,
+    });
+  } catch (err) {
+    console.error("❌ Error checking fuel anomalies:", err.message);
+  }
+
+  try {
+    await checkServiceDue(row.vehicle_id);
+  } catch (err) {
+    console.error("❌ Error checking service due:", err.message);
+  }
+}
+
+const apiRouter = express.Router();
+
+// ----- Vehicles -----
+
+apiRouter.get(
+  "/vehicles",
+  apiRoute(async (req, res) => {
+    const { page, perPage, offset } = parseApiPagination(req.query);
+    const listRes = await pool.query(
       `
-      UPDATE personal_document_sessions
-      SET doc_title = $1,
-          step = 'type',
-          updated_at = NOW()
-      WHERE id = $2
+      SELECT *, COUNT(*) OVER ()::INT AS total_count
+      FROM vehicles
+      WHERE owner_whatsapp = $1
+        AND is_active = TRUE
+      ORDER BY created_at ASC
+      LIMIT $2 OFFSET $3
     `,
-      [title, session.id]
+      [req.ownerWhatsapp, perPage, offset]
     );
-
-    return (
-      "What *type/category* is this document?\n" +
-      "Examples: *DL*, *PSV*, *TSV*, *Badge*, *ID*.\n" +
-      "Reply *skip* if you want to leave this blank."
+    const total = listRes.rows[0] ? listRes.rows[0].total_count : 0;
+    res.json({
+      data: listRes.rows.map(({ total_count, ...v }) => v),
+      page,
+      per_page: perPage,
+      total,
+    });
+  })
+);
+
+apiRouter.get(
+  "/vehicles/:id",
+  apiRoute(async (req, res) => {
+    const id = parseApiId(req.params.id);
+    const vehicle = id && (await findApiVehicle(req.ownerWhatsapp, id));
+    if (!vehicle) return apiError(res, 404, "Vehicle not found");
+    res.json({ data: vehicle });
+  })
+);
+
+apiRouter.post(
+  "/vehicles",
+  apiRoute(async (req, res) => {
+    const body = req.body || {};
+    const registration = String(body.registration || "").trim().toUpperCase();
+    if (!registration) return apiError(res, 400, "registration is required");
+
+    const existing = await pool.query(
+      `
+      SELECT id
+      FROM vehicles
+      WHERE owner_whatsapp = $1
+        AND registration = $2
+        AND is_active = TRUE
+    `,
+      [req.ownerWhatsapp, registration]
     );
-  }
-
-  if (session.step === "type") {
-    let dtype = null;
-    if (lower !== "skip") {
-      dtype = text.trim();
+    if (existing.rows.length > 0) {
+      return apiError(res, 409, "Vehicle " + registration + " is already on your account");
     }
 
-    await pool.query(
+    // First vehicle becomes the current one, as with *add vehicle*
+    const count = (await getUserVehicles(req.ownerWhatsapp)).length;
+    const inserted = await pool.query(
       `
-      UPDATE personal_document_sessions
-      SET doc_type = $1,
-          step = 'cost',
-          updated_at = NOW()
-      WHERE id = $2
+      INSERT INTO vehicles (owner_whatsapp, registration, nickname, is_default, is_active)
+      VALUES ($1, $2, $3, $4, TRUE)
+      RETURNING *
     `,
-      [dtype, session.id]
+      [
+        req.ownerWhatsapp,
+        registration,
+        body.nickname ? String(body.nickname).trim() : null,
+        count === 0,
+      ]
     );
+    res.status(201).json({ data: inserted.rows[0] });
+  })
+);
+
+apiRouter.patch(
+  "/vehicles/:id",
+  apiRoute(async (req, res) => {
+    const id = parseApiId(req.params.id);
+    const vehicle = id && (await findApiVehicle(req.ownerWhatsapp, id));
+    if (!vehicle) return apiError(res, 404, "Vehicle not found");
+
+    const body = req.body || {};
+    const sets = [];
+    const params = [];
+
+    if (body.registration !== undefined) {
+      const registration = String(body.registration || "").trim().toUpperCase();
+      if (!registration) return apiError(res, 400, "registration can't be blank");
+      const clash = await pool.query(
+        `
+        SELECT id
+        FROM vehicles
+        WHERE owner_whatsapp = $1
+          AND registration = $2
+          AND is_active = TRUE
+          AND id <> $3
+      `,
+        [req.ownerWhatsapp, registration, id]
+      );
+      if (clash.rows.length > 0) {
+        return apiError(res, 409, "Vehicle " + registration + " is already on your account");
+      }
+      params.push(registration);
+      sets.push(`registration = $${params.length}`);
+    }
 
-    return (
-      "How much did you pay for this document? (KES)\n" +
-      "Reply *0* if it was free or you don’t want to record the cost."
-    );
-  }
+    if (body.nickname !== undefined) {
+      params.push(body.nickname ? String(body.nickname).trim() : null);
+      sets.push(`nickname = $${params.length}`);
+    }
 
-  if (session.step === "cost") {
-    const amount = parseNumber(text);
-    if (isNaN(amount) || amount < 0) {
-      return (
-        "Please send the cost as a number in KES.\n" +
-        "Example: *3500* or *0*"
+    if (body.driver_id !== undefined) {
+      let driverId = null;
+      if (body.driver_id != null) {
+        driverId = parseApiId(body.driver_id);
+        if (!driverId || !(await findApiDriver(req.ownerWhatsapp, driverId))) {
+          return apiError(res, 400, "driver_id does not match one of your drivers");
+        }
+      }
+      params.push(driverId);
+      sets.push(`driver_id = $${params.length}`);
+    }
+
+    if (body.is_default === true) {
+      await pool.query(
+        `
+        UPDATE vehicles
+        SET is_default = (id = $1)
+        WHERE owner_whatsapp = $2
+          AND is_active = TRUE
+      `,
+        [id, req.ownerWhatsapp]
+      );
+    }
+
+    if (sets.length > 0) {
+      params.push(id);
+      await pool.query(
+        `
+        UPDATE vehicles
+        SET ${sets.join(", ")},
+            updated_at = NOW()
+        WHERE id = $${params.length}
+      `,
+        params
       );
     }
 
+    res.json({ data: await findApiVehicle(req.ownerWhatsapp, id) });
+  })
+);
+
+apiRouter.delete(
+  "/vehicles/:id",
+  apiRoute(async (req, res) => {
+    const id = parseApiId(req.params.id);
+    const vehicle = id && (await findApiVehicle(req.ownerWhatsapp, id));
+    if (!vehicle) return apiError(res, 404, "Vehicle not found");
+
+    // Vehicles are archived, not deleted, so their history stays in reports
     await pool.query(
       `
-      UPDATE personal_document_sessions
-      SET cost_amount = $1,
-          step = 'expiry',
+      UPDATE vehicles
+      SET is_active = FALSE,
+          is_default = FALSE,
           updated_at = NOW()
-      WHERE id = $2
+      WHERE id = $1
     `,
-      [amount, session.id]
+      [id]
     );
+    res.status(204).end();
+  })
+);
 
-    return (
-      "When does this document *expire*?\n" +
-      "Use *YYYY-MM-DD* format (e.g. *2026-01-01*).\n" +
-      "Reply *skip* if there is *no expiry date*."
-    );
-  }
+// ----- Drivers -----
 
-  if (session.step === "expiry") {
-    let expiryDate = null;
-    if (lower !== "skip") {
-      const d = new Date(text.trim());
-      if (isNaN(d.getTime())) {
-        return (
-          "I couldn't understand that date.\n" +
-          "Please use *YYYY-MM-DD* format (e.g. *2026-01-01*),\n" +
-          "or reply *skip* if there is no expiry."
-        );
-      }
-      expiryDate = text.trim();
+function serializeApiDriver(driver) {
+  return serializeApiRow(driver, ["license_expiry_date"]);
+}
+
+apiRouter.get(
+  "/drivers",
+  apiRoute(async (req, res) => {
+    const { page, perPage, offset } = parseApiPagination(req.query);
+    const params = [req.ownerWhatsapp];
+    let vehicleClause = "";
+    if (req.query.vehicle_id != null) {
+      const vehicleId = parseApiId(req.query.vehicle_id);
+      if (!vehicleId) return apiError(res, 400, "vehicle_id must be a positive integer");
+      params.push(vehicleId);
+      vehicleClause = `AND d.id IN (SELECT driver_id FROM vehicles WHERE id = $${params.length})`;
     }
+    params.push(perPage, offset);
 
-    await pool.query(
+    const listRes = await pool.query(
       `
-      UPDATE personal_document_sessions
-      SET expiry_date = $1,
-          step = 'notes',
-          updated_at = NOW()
-      WHERE id = $2
+      SELECT d.*, COUNT(*) OVER ()::INT AS total_count
+      FROM drivers d
+      WHERE d.owner_whatsapp = $1
+        AND d.is_active = TRUE
+        ${vehicleClause}
+      ORDER BY d.created_at ASC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
     `,
-      [expiryDate, session.id]
+      params
     );
-
-    return (
-      "Any notes about this document?\n" +
-      "Examples: *renew every year*, *for Nairobi only*, *attached to employer*, etc.\n" +
-      "Reply *skip* to leave notes blank."
+    const total = listRes.rows[0] ? listRes.rows[0].total_count : 0;
+    res.json({
+      data: listRes.rows.map(({ total_count, ...d }) => serializeApiDriver(d)),
+      page,
+      per_page: perPage,
+      total,
+    });
+  })
+);
+
+apiRouter.get(
+  "/drivers/:id",
+  apiRoute(async (req, res) => {
+    const id = parseApiId(req.params.id);
+    const driver = id && (await findApiDriver(req.ownerWhatsapp, id));
+    if (!driver) return apiError(res, 404, "Driver not found");
+    res.json({ data: serializeApiDriver(driver) });
+  })
+);
+
+apiRouter.post(
+  "/drivers",
+  apiRoute(async (req, res) => {
+    const body = req.body || {};
+    const fullName = String(body.full_name || "").trim();
+    const phone = String(body.phone || "").trim();
+    if (!fullName) return apiError(res, 400, "full_name is required");
+    if (!phone) return apiError(res, 400, "phone is required");
+
+    const driverWhatsapp = toWhatsAppNumber(phone);
+    const existing = await pool.query(
+      `
+      SELECT id
+      FROM drivers
+      WHERE owner_whatsapp = $1
+        AND driver_whatsapp = $2
+        AND is_active = TRUE
+    `,
+      [req.ownerWhatsapp, driverWhatsapp]
     );
-  }
-
-  if (session.step === "notes") {
-    let notes = null;
-    if (lower !== "skip") {
-      notes = text.trim();
+    if (existing.rows.length > 0) {
+      return apiError(res, 409, "A driver with this phone number is already on your account");
     }
 
-    const res = await pool.query(
+    const inserted = await pool.query(
       `
-      UPDATE personal_document_sessions
-      SET notes = $1,
-          step = 'confirm',
-          updated_at = NOW()
-      WHERE id = $2
+      INSERT INTO drivers (
+        owner_whatsapp,
+        full_name,
+        driver_whatsapp,
+        license_type,
+        license_expiry_date,
+        is_active
+      )
+      VALUES ($1, $2, $3, NULL, NULL, TRUE)
       RETURNING *
     `,
-      [notes, session.id]
+      [req.ownerWhatsapp, fullName, driverWhatsapp]
     );
 
-    const s = res.rows[0];
-    const costNum = s.cost_amount != null ? Number(s.cost_amount) : 0;
-    const costStr = costNum.toFixed(2);
-    const expStr = s.expiry_date
-      ? new Date(s.expiry_date).toDateString()
-      : "No expiry date";
-    const notesStr = s.notes || "None";
-
-    return (
-      "Please confirm this personal document:\n" +
-      "Title: *" +
-      (s.doc_title || "Document") +
-      "*\n" +
-      "Type: *" +
-      (s.doc_type || "n/a") +
-      "*\n" +
-      "Cost: *" +
-      costStr +
-      "* KES\n" +
-      "Expiry: *" +
-      expStr +
-      "*\n" +
-      "Notes: " +
-      notesStr +
-      "\n\n" +
-      "Reply *YES* to save or *NO* to cancel."
-    );
-  }
-
-  if (session.step === "confirm") {
-    if (lower === "yes") {
-      const res = await pool.query(
-        `SELECT * FROM personal_document_sessions WHERE id = $1`,
-        [session.id]
-      );
-      const s = res.rows[0];
-
-      const costNum = s.cost_amount != null ? Number(s.cost_amount) : 0;
+    await sendDriverInvite(driverWhatsapp, fullName, req.ownerWhatsapp);
+    res.status(201).json({ data: serializeApiDriver(inserted.rows[0]) });
+  })
+);
+
+apiRouter.patch(
+  "/drivers/:id",
+  apiRoute(async (req, res) => {
+    const id = parseApiId(req.params.id);
+    const driver = id && (await findApiDriver(req.ownerWhatsapp, id));
+    if (!driver) return apiError(res, 404, "Driver not found");
+
+    const body = req.body || {};
+    const sets = [];
+    const params = [];
+
+    if (body.full_name !== undefined) {
+      const fullName = String(body.full_name || "").trim();
+      if (!fullName) return apiError(res, 400, "full_name can't be blank");
+      params.push(fullName);
+      sets.push(`full_name = $${params.length}`);
+    }
 
-      try {
-        // Save into personal_documents
-        const insertRes = await pool.query(
+    // A new number is a new invite: the driver has to accept again from it
+    let newWhatsapp = null;
+    if (body.phone !== undefined) {
+      const phone = String(body.phone || "").trim();
+      if (!phone) return apiError(res, 400, "phone can't be blank");
+      const driverWhatsapp = toWhatsAppNumber(phone);
+      if (driverWhatsapp !== driver.driver_whatsapp) {
+        const existing = await pool.query(
           `
-          INSERT INTO personal_documents (
-            user_whatsapp,
-            owner_whatsapp,
-            driver_whatsapp,
-            driver_id,
-            doc_title,
-            doc_type,
-            cost_amount,
-            currency,
-            expiry_date,
-            notes
-          )
-          VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
-          RETURNING *
+          SELECT id
+          FROM drivers
+          WHERE owner_whatsapp = $1
+            AND driver_whatsapp = $2
+            AND is_active = TRUE
         `,
-          [
-            userWhatsapp,
-            userWhatsapp,
-            null,
-            null,
-            s.doc_title,
-            s.doc_type,
-            costNum,
-            "KES",
-            s.expiry_date,
-            s.notes,
-          ]
+          [req.ownerWhatsapp, driverWhatsapp]
         );
-
-        const docRow = insertRes.rows[0];
-
-        // Also log as an expense for reporting (if cost > 0)
-        if (costNum > 0) {
-          await pool.query(
-            `
-            INSERT INTO expense_logs (
-              user_whatsapp,
-              vehicle_id,
-              driver_id,
-              title,
-              amount,
-              odometer,
-              notes,
-              message_text
-            )
-            VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
-          `,
-            [
-              userWhatsapp,
-              null,
-              null,
-              "Document: " + (docRow.doc_title || "Document"),
-              costNum,
-              null,
-              docRow.notes,
-              null,
-            ]
-          );
+        if (existing.rows.length > 0) {
+          return apiError(res, 409, "A driver with this phone number is already on your account");
         }
-      } catch (err) {
-        console.error("❌ Error saving personal document:", err.message);
-        await pool.query(
-          `
-          UPDATE personal_document_sessions
-          SET status = 'ERROR',
-              updated_at = NOW()
-          WHERE id = $1
-        `,
-          [session.id]
-        );
-        return (
-          "Sorry, I couldn't save that document due to a system error.\n" +
-          "Please try again later."
-        );
+        newWhatsapp = driverWhatsapp;
+        params.push(driverWhatsapp);
+        sets.push(`driver_whatsapp = $${params.length}`, `accepted_at = NULL`);
       }
+    }
+
+    // Same rule as *dl main YYYY-MM-DD*: a Main DL expiry in the future
+    let expiry = null;
+    if (body.license_expiry_date !== undefined) {
+      expiry = parseIsoDate(body.license_expiry_date);
+      if (!expiry) {
+        return apiError(res, 400, "license_expiry_date must be a YYYY-MM-DD date");
+      }
+      if (expiry <= new Date().toISOString().slice(0, 10)) {
+        return apiError(res, 400, "license_expiry_date must be in the future");
+      }
+      params.push("main licence", expiry);
+      sets.push(
+        `license_type = $${params.length - 1}`,
+        `license_expiry_date = $${params.length}`
+      );
+    }
 
+    if (sets.length > 0) {
+      params.push(id);
       await pool.query(
         `
-        UPDATE personal_document_sessions
-        SET status = 'DONE',
+        UPDATE drivers
+        SET ${sets.join(", ")},
             updated_at = NOW()
-        WHERE id = $1
+        WHERE id = $${params.length}
       `,
-        [session.id]
-      );
-
-      const costStr = costNum.toFixed(2);
-      const expStr = s.expiry_date
-        ? new Date(s.expiry_date).toDateString().slice(0, 10)
-        : "No expiry";
-
-      return (
-        "✅ Personal document saved.\n" +
-        "Title: *" +
-        (s.doc_title || "Document") +
-        "*\n" +
-        "Type: *" +
-        (s.doc_type || "n/a") +
-        "*\n" +
-        "Cost: *" +
-        costStr +
-        "* KES\n" +
-        "Expiry: *" +
-        expStr +
-        "*\n" +
-        "Notes: " +
-        (s.notes || "None") +
-        "\n\n" +
-        "I’ll include this in your *personal compliance* and reminder summaries."
+        params
       );
     }
 
-    if (lower === "no") {
+    const updated = await findApiDriver(req.ownerWhatsapp, id);
+    if (newWhatsapp) {
       await pool.query(
         `
-        UPDATE personal_document_sessions
-        SET status = 'CANCELLED',
+        UPDATE reminders
+        SET user_whatsapp = $2,
             updated_at = NOW()
-        WHERE id = $1
+        WHERE source_type = 'driver_licence'
+          AND source_id = $1
       `,
-        [session.id]
-      );
-      return (
-        "Okay, I’ve cancelled that personal document entry.\n" +
-        "You can start again any time with *my document*."
+        [id, newWhatsapp]
       );
+      await sendDriverInvite(newWhatsapp, updated.full_name, req.ownerWhatsapp);
     }
+    if (expiry) {
+      await upsertReminder({
+        userWhatsapp: updated.driver_whatsapp,
+        ccWhatsapp: updated.owner_whatsapp,
+        sourceType: "driver_licence",
+        sourceId: updated.id,
+        title: "Main Driving Licence – " + (updated.full_name || "Driver"),
+        dueDate: expiry,
+      });
+    }
+    res.json({ data: serializeApiDriver(updated) });
+  })
+);
 
-    return "Please reply *YES* to save or *NO* to cancel this personal document entry.";
-  }
-
-  return (
-    "Something went wrong with this personal document.\n" +
-    "Please start again with *my document*."
-  );
-}
-
-// ---------- AI + MEMORY HELPERS ----------
+apiRouter.delete(
+  "/drivers/:id",
+  apiRoute(async (req, res) => {
+    const id = parseApiId(req.params.id);
+    const driver = id && (await findApiDriver(req.ownerWhatsapp, id));
+    if (!driver) return apiError(res, 404, "Driver not found");
 
-async function saveChatTurn(userWhatsapp, role, message) {
-  try {
     await pool.query(
-      `
-      INSERT INTO chat_turns (user_whatsapp, role, message)
-      VALUES ($1, $2, $3)
-    `,
-      [userWhatsapp, role, message]
+      `UPDATE drivers SET is_active = FALSE, updated_at = NOW() WHERE id = $1`,
+      [id]
     );
-  } catch (err) {
-    console.error("❌ Error saving chat_turn:", err.message);
-  }
-}
-
-async function callN8nAI(from, text) {
-  try {
-    console.log("🤖 Calling n8n AI webhook:", N8N_WEBHOOK_URL);
-    const payload = { from, text };
-    console.log("🤖 Payload to n8n:", payload);
-
-    const response = await axios.post(N8N_WEBHOOK_URL, payload, {
-      timeout: 10000,
-    });
-
-    const data = response.data || {};
-    if (data.reply && typeof data.reply === "string") {
-      return data.reply;
+    await pool.query(
+      `UPDATE vehicles SET driver_id = NULL, updated_at = NOW() WHERE driver_id = $1`,
+      [id]
+    );
+    await upsertReminder({ sourceType: "driver_licence", sourceId: id, dueDate: null });
+    res.status(204).end();
+  })
+);
+
+// ----- Spreadsheet exports -----
+
+// GET /api/v1/exports/fuel?format=xlsx&from=2026-03-01&to=2026-03-31&vehicle_id=&driver_id=
+apiRouter.get(
+  "/exports/:logType",
+  apiRoute(async (req, res) => {
+    const logType = req.params.logType.replace(/-logs$/, "");
+    if (!EXPORT_LOG_TYPES[logType]) {
+      return apiError(res, 404, "Exports are available for fuel, service and expense");
+    }
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (!EXPORT_FORMATS[format]) return apiError(res, 400, "format must be csv or xlsx");
+
+    const month = parseMonthPeriod("");
+    const from = req.query.from != null ? parseIsoDate(req.query.from) : month.from;
+    const to = req.query.to != null ? parseIsoDate(req.query.to) : month.to;
+    if (!from || !to) return apiError(res, 400, "from and to must be YYYY-MM-DD dates");
+
+    const filters = {};
+    for (const [param, key] of [["vehicle_id", "vehicleId"], ["driver_id", "driverId"]]) {
+      if (req.query[param] == null) continue;
+      filters[key] = parseApiId(req.query[param]);
+      if (!filters[key]) return apiError(res, 400, param + " must be a positive integer");
     }
-    return null;
-  } catch (err) {
-    console.error("❌ Error calling n8n AI webhook:", err.message);
-    return null;
-  }
-}
-
-// ---------- WHATSAPP SEND WRAPPER ----------
-
-async function sendWhatsAppMessage(to, body) {
-  if (!to) {
-    console.error("❌ No 'to' provided for WhatsApp message.");
-    return;
-  }
-
-  if (DISABLE_TWILIO_SEND === "true") {
-    console.log("🚫 Twilio send disabled. Would send WhatsApp message:", {
-      to,
-      body,
-    });
-    return;
-  }
 
-  try {
-    await twilioClient.messages.create({
-      from: TWILIO_WHATSAPP_NUMBER,
+    return sendExportFile(res, {
+      logType,
+      from,
       to,
-      body,
+      format,
+      ownerWhatsapp: req.ownerWhatsapp,
+      filters,
+      label: from + " → " + to,
     });
-  } catch (err) {
-    console.error("❌ Error sending WhatsApp message:", err.message);
-  }
+  })
+);
+
+// ----- Report summaries -----
+
+const API_REPORT_STATS = {
+  fuel: getFuelStats,
+  service: getServiceStats,
+  expense: getExpenseStats,
+};
+
+function serializeReportStats(stats) {
+  const out = {
+    count: stats.cnt,
+    total: Number(stats.total || 0),
+    unconverted_count: stats.unconverted,
+  };
+  if (stats.total_litres != null) out.total_litres = Number(stats.total_litres);
+  return out;
 }
 
-// ---------- MAIN INBOUND ROUTE ----------
+// GET /api/v1/reports/fuel?period=last 90 days | from=&to=, &vehicle_id=&driver_id=&include_pending=true&currency=UGX
+apiRouter.get(
+  "/reports/:kind",
+  apiRoute(async (req, res) => {
+    const kind = req.params.kind.replace(/-logs$/, "");
+    if (!API_REPORT_STATS[kind]) {
+      return apiError(res, 404, "Reports are available for fuel, service and expense");
+    }
 
-app.post("/whatsapp/inbound", async (req, res) => {
-  const from = req.body.From || req.body.from;
-  const textRaw =
-    req.body.Body || req.body.body || req.body.text || "";
-  const text = (textRaw || "").trim();
+    let period;
+    if (req.query.from != null || req.query.to != null) {
+      const from = parseIsoDate(req.query.from);
+      const to = parseIsoDate(req.query.to);
+      if (!from || !to) return apiError(res, 400, "from and to must be YYYY-MM-DD dates");
+      if (from > to) return apiError(res, 400, "from must not be after to");
+      period = { from, to, label: from + " → " + to };
+    } else {
+      period = parseReportPeriod(req.query.period || "this month");
+      if (!period) return apiError(res, 400, "Unrecognised period");
+    }
 
-  console.log("📩 Incoming:", { from, text });
+    const clauses = [];
+    const params = [req.ownerWhatsapp];
+    const filterError = applyApiFilters(
+      { vehicle_id: req.query.vehicle_id, driver_id: req.query.driver_id },
+      EXPORT_LOG_TYPES[kind].table,
+      clauses,
+      params
+    );
+    if (filterError) return apiError(res, 400, filterError);
 
-  if (!from) {
-    console.error("❌ Missing 'from' in incoming payload");
-    return res.sendStatus(400);
-  }
+    let currency = await getAccountCurrency(req.ownerWhatsapp);
+    if (req.query.currency != null) {
+      currency = parseCurrencyCode(String(req.query.currency));
+      if (!currency) return apiError(res, 400, "Unsupported currency");
+    }
 
-  if (!text) {
-    await sendWhatsAppMessage(
-      from,
-      "Hi 👋 I’m Saka360. Send *help* to see what I can do."
+    const getStats = API_REPORT_STATS[kind];
+    const filters = await applyReportFilters(
+      EXPORT_LOG_TYPES[kind].table,
+      getStats,
+      ["user_whatsapp = $1", ...clauses].join(" AND "),
+      params,
+      { period, includePending: req.query.include_pending === "true", currency }
     );
-    return res.sendStatus(200);
-  }
+    const current = await getStats(filters.whereClause, params, currency);
+    const previous = filters.previous.stats;
+
+    const change = {};
+    for (const [key, column] of [["count", "cnt"], ["total", "total"], ["total_litres", "total_litres"]]) {
+      if (current[column] === undefined) continue;
+      change[key] = periodChange(current[column], previous[column]);
+    }
 
-  const lower = text.toLowerCase();
+    res.json({
+      data: {
+        kind,
+        currency,
+        period: { from: period.from, to: period.to, ...serializeReportStats(current) },
+        previous_period: {
+          from: filters.previous.period.from,
+          to: filters.previous.period.to,
+          ...serializeReportStats(previous),
+        },
+        change,
+        pending_count: filters.pendingCount,
+      },
+    });
+  })
+);
+
+// ----- Fuel / service / expense logs and vehicle documents -----
+
+for (const [name, resource] of Object.entries(API_LOG_RESOURCES)) {
+  const hasDriver = !resource.vehicleOwned;
+
+  apiRouter.get(
+    "/" + name,
+    apiRoute(async (req, res) => {
+      const { page, perPage, offset } = parseApiPagination(req.query);
+      const clauses = [];
+      const params = [req.ownerWhatsapp];
+      const filterError = applyApiFilters(req.query, "l", clauses, params, {
+        driver: hasDriver,
+      });
+      if (filterError) return apiError(res, 400, filterError);
 
-  // Global cancel
-  if (lower === "cancel" || lower === "stop") {
-    await clearAllSessions(from);
-    const reply =
-      "✅ I’ve cancelled your current entry. You can start again with *fuel*, *service*, or *expense*.";
-    console.log("💬 Reply (global cancel):", reply);
-    await sendWhatsAppMessage(from, reply);
-    await saveChatTurn(from, "user", text);
-    await saveChatTurn(from, "assistant", reply);
-    return res.sendStatus(200);
-  }
+      if (hasDriver && req.query.approval_status != null) {
+        params.push(String(req.query.approval_status));
+        clauses.push(`l.approval_status = $${params.length}`);
+      }
+      params.push(perPage, offset);
 
-  // Check active sessions (personal doc → expense → fuel → service)
-  try {
-    const personalSession = await getActivePersonalDocumentSession(from);
-    if (personalSession) {
-      const reply = await handlePersonalDocumentSessionStep(
-        from,
-        text,
-        personalSession
-      );
-      console.log("💬 Reply (personal document session):", reply);
-      await sendWhatsAppMessage(from, reply);
-      await saveChatTurn(from, "user", text);
-      await saveChatTurn(from, "assistant", reply);
-      return res.sendStatus(200);
-    }
-
-    const expenseSession = await getActiveExpenseSession(from);
-    if (expenseSession) {
-      const reply = await handleExpenseSessionStep(
-        from,
-        text,
-        expenseSession
-      );
-      console.log("💬 Reply (expense session):", reply);
-      await sendWhatsAppMessage(from, reply);
-      await saveChatTurn(from, "user", text);
-      await saveChatTurn(from, "assistant", reply);
-      return res.sendStatus(200);
-    }
-
-    const fuelSession = await getActiveFuelSession(from);
-    if (fuelSession) {
-      const reply = await handleFuelSessionStep(
-        from,
-        text,
-        fuelSession
+      const listRes = await pool.query(
+        `
+        SELECT l.*, v.registration, COUNT(*) OVER ()::INT AS total_count
+        FROM ${resource.table} l
+        ${apiLogScope(resource)}
+        ${clauses.map((c) => "AND " + c).join("\n        ")}
+        ORDER BY l.created_at DESC, l.id DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+      `,
+        params
       );
-      console.log("💬 Reply (fuel session):", reply);
-      await sendWhatsAppMessage(from, reply);
-      await saveChatTurn(from, "user", text);
-      await saveChatTurn(from, "assistant", reply);
-      return res.sendStatus(200);
-    }
-
-    const serviceSession = await getActiveServiceSession(from);
-    if (serviceSession) {
-      const reply = await handleServiceSessionStep(
-        from,
-        text,
-        serviceSession
+      const total = listRes.rows[0] ? listRes.rows[0].total_count : 0;
+      res.json({
+        data: listRes.rows.map(({ total_count, ...row }) =>
+          serializeApiLog(resource, row)
+        ),
+        page,
+        per_page: perPage,
+        total,
+      });
+    })
+  );
+
+  apiRouter.get(
+    "/" + name + "/:id",
+    apiRoute(async (req, res) => {
+      const id = parseApiId(req.params.id);
+      const row = id && (await loadApiLog(resource, req.ownerWhatsapp, id));
+      if (!row) return apiError(res, 404, "Not found");
+      res.json({ data: serializeApiLog(resource, row) });
+    })
+  );
+
+  apiRouter.post(
+    "/" + name,
+    apiRoute(async (req, res) => {
+      let body = req.body || {};
+      const linked = await resolveApiLinks(req.ownerWhatsapp, body, {
+        partial: false,
+        driver: hasDriver,
+      });
+      if (linked.error) return apiError(res, 400, linked.error);
+      if (hasDriver && body.currency == null) {
+        body = { ...body, currency: await getAccountCurrency(req.ownerWhatsapp) };
+      }
+      const checked = validateApiFields(resource.fields, body, false);
+      if (checked.error) return apiError(res, 400, checked.error);
+
+      const values = { ...linked.links, ...checked.values };
+      if (hasDriver) {
+        const odometerError = await checkApiOdometer(resource, values, body);
+        if (odometerError) return apiError(res, 422, odometerError);
+        values.user_whatsapp = req.ownerWhatsapp;
+        values.submitted_by = req.ownerWhatsapp;
+      }
+      const columns = Object.keys(values);
+
+      const inserted = await pool.query(
+        `
+        INSERT INTO ${resource.table} (${columns.join(", ")})
+        VALUES (${columns.map((c, i) => "$" + (i + 1)).join(", ")})
+        RETURNING id
+      `,
+        columns.map((c) => values[c])
       );
-      console.log("💬 Reply (service session):", reply);
-      await sendWhatsAppMessage(from, reply);
-      await saveChatTurn(from, "user", text);
-      await saveChatTurn(from, "assistant", reply);
-      return res.sendStatus(200);
-    }
-  } catch (err) {
-    console.error("❌ Error in session routing:", err.message);
-  }
+      const row = await loadApiLog(resource, req.ownerWhatsapp, inserted.rows[0].id);
 
-  // No active sessions – interpret commands
-  let reply = null;
+      if (hasDriver) {
+        await runApiLogChecks(resource, req.ownerWhatsapp, row);
+      } else {
+        await syncApiDocumentReminder(req.ownerWhatsapp, row);
+      }
 
-  try {
-    // Vehicle commands
-    if (lower.startsWith("add vehicle")) {
-      reply = await handleAddVehicleCommand(from, text);
-    } else if (lower === "my vehicles") {
-      reply = await handleMyVehiclesCommand(from);
-    } else if (lower.startsWith("switch")) {
-      reply = await handleSwitchVehicleCommand(from, text);
-    }
+      res.status(201).json({ data: serializeApiLog(resource, row) });
+    })
+  );
 
-    // Driver commands (owner side)
-    else if (lower.startsWith("add driver")) {
-      reply = await handleAddDriverCommand(from, text);
-    } else if (lower === "my drivers") {
-      reply = await handleMyDriversCommand(from);
-    } else if (lower.startsWith("assign driver")) {
-      reply = await handleAssignDriverCommand(from, text);
-    } else if (lower === "driver report") {
-      reply = await buildDriverComplianceReport(from);
-    }
+  apiRouter.patch(
+    "/" + name + "/:id",
+    apiRoute(async (req, res) => {
+      const id = parseApiId(req.params.id);
+      const row = id && (await loadApiLog(resource, req.ownerWhatsapp, id));
+      if (!row) return apiError(res, 404, "Not found");
+
+      const body = req.body || {};
+      const linked = await resolveApiLinks(req.ownerWhatsapp, body, {
+        partial: true,
+        driver: hasDriver,
+      });
+      if (linked.error) return apiError(res, 400, linked.error);
+      const checked = validateApiFields(resource.fields, body, true);
+      if (checked.error) return apiError(res, 400, checked.error);
+
+      const values = { ...linked.links, ...checked.values };
+      if (hasDriver && ("odometer" in values || "vehicle_id" in values)) {
+        const odometerError = await checkApiOdometer(resource, values, body, row);
+        if (odometerError) return apiError(res, 422, odometerError);
+      }
+      const columns = Object.keys(values);
+      if (columns.length > 0) {
+        await pool.query(
+          `
+          UPDATE ${resource.table}
+          SET ${columns.map((c, i) => c + " = $" + (i + 1)).join(", ")}
+          WHERE id = $${columns.length + 1}
+        `,
+          [...columns.map((c) => values[c]), id]
+        );
+      }
+      const updated = await loadApiLog(resource, req.ownerWhatsapp, id);
+
+      if (hasDriver) {
+        for (const field of resource.fields) {
+          if (!(field.column in checked.values)) continue;
+          const oldValue =
+            row[field.column] == null ? null : formatEditValue(field, row[field.column]);
+          const newValue =
+            updated[field.column] == null ? null : formatEditValue(field, updated[field.column]);
+          if (oldValue === newValue) continue;
+          await recordLogChange({
+            userWhatsapp: req.ownerWhatsapp,
+            logType: resource.logType,
+            logId: id,
+            action: "update",
+            field: field.column,
+            oldValue,
+            newValue,
+          });
+        }
+        if (columns.length > 0) {
+          await runApiLogChecks(resource, req.ownerWhatsapp, updated);
+        }
+      } else {
+        await syncApiDocumentReminder(req.ownerWhatsapp, updated);
+      }
 
-    // Driver commands (driver side)
-    else if (lower === "accept") {
-      reply = await handleDriverAccept(from);
-    } else if (lower.startsWith("dl ")) {
-      reply = await handleDriverLicenceCommand(from, text);
-    } else if (lower === "my licence" || lower === "my license") {
-      reply = await handleMyOwnLicenceStatus(from);
-    }
+      res.json({ data: serializeApiLog(resource, updated) });
+    })
+  );
 
-    // Logging commands
-    else if (lower === "fuel") {
-      reply = await handleFuelIntent(from);
-    } else if (lower === "service") {
-      reply = await handleServiceIntent(from);
-    } else if (lower === "expense") {
-      reply = await handleExpenseIntent(from);
-    } else if (
-      lower === "my document" ||
-      lower === "my documents"
-    ) {
-      reply = await handlePersonalDocumentIntent(from);
-    }
+  apiRouter.delete(
+    "/" + name + "/:id",
+    apiRoute(async (req, res) => {
+      const id = parseApiId(req.params.id);
+      const row = id && (await loadApiLog(resource, req.ownerWhatsapp, id));
+      if (!row) return apiError(res, 404, "Not found");
 
-    // Reports
-    else if (lower === "fuel report") {
-      reply = await buildFuelReport(from, "vehicle");
-    } else if (lower === "fuel report all") {
-      reply = await buildFuelReport(from, "all");
-    } else if (lower === "service report") {
-      reply = await buildServiceReport(from, "vehicle");
-    } else if (lower === "service report all") {
-      reply = await buildServiceReport(from, "all");
-    } else if (lower === "expense report") {
-      reply = await buildExpenseReport(from, "vehicle");
-    } else if (lower === "expense report all") {
-      reply = await buildExpenseReport(from, "all");
-    } else if (lower === "report" || lower === "reports") {
-      reply =
-        "I can show quick summaries for your data:\n" +
-        "• *fuel report* – fuel spend & efficiency (current vehicle)\n" +
-        "• *fuel report all* – fuel summary across all vehicles\n" +
-        "• *service report* – service spend (current vehicle)\n" +
-        "• *service report all* – service summary across all vehicles\n" +
-        "• *expense report* – other expenses (current vehicle)\n" +
-        "• *expense report all* – expenses across all vehicles\n" +
-        "• *driver report* – driver licence compliance\n" +
-        "Please choose one of those.";
-    }
-
-    // Help
-    else if (lower === "help" || lower === "menu") {
-      reply =
-        "Hi 👋 I’m Saka360. Here’s what I can do:\n\n" +
-        "🚗 *Vehicles*\n" +
-        "• *add vehicle KDA 123A* – add a car\n" +
-        "• *my vehicles* – list your vehicles\n" +
-        "• *switch to 1* – change current vehicle\n\n" +
-        "⛽ *Fuel / Service / Expense*\n" +
-        "• *fuel* – log fuel\n" +
-        "• *service* – log service\n" +
-        "• *expense* – log other expenses\n\n" +
-        "📊 *Reports*\n" +
-        "• *fuel report*, *fuel report all*\n" +
-        "• *service report*, *service report all*\n" +
-        "• *expense report*, *expense report all*\n" +
-        "• *driver report*\n\n" +
-        "👨‍✈️ *Drivers*\n" +
-        "• *add driver Name | 07XXXXXXXX*\n" +
-        "• *my drivers*\n" +
-        "• *assign driver 1*\n\n" +
-        "📄 *Documents*\n" +
-        "• *my document* – add a personal/driver document\n\n" +
-        "You can also type anything and I’ll try to understand it with AI. 😊";
-    }
-  } catch (err) {
-    console.error("❌ Error in command handling:", err.message);
-  }
+      // The row and everything hanging off it go together
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        await client.query(`DELETE FROM ${resource.table} WHERE id = $1`, [id]);
 
-  // If we have a direct reply, send it
-  if (reply) {
-    console.log("💬 Reply:", reply);
-    await sendWhatsAppMessage(from, reply);
-    await saveChatTurn(from, "user", text);
-    await saveChatTurn(from, "assistant", reply);
-    return res.sendStatus(200);
-  }
+        if (hasDriver) {
+          await client.query(
+            `DELETE FROM receipts WHERE log_type = $1 AND log_id = $2`,
+            [resource.logType, id]
+          );
+          if (resource.logType === "fuel") {
+            await client.query(`DELETE FROM fuel_anomalies WHERE fuel_log_id = $1`, [id]);
+          }
+          await client.query(
+            `
+            UPDATE entry_approvals
+            SET status = 'withdrawn',
+                decided_at = NOW()
+            WHERE log_type = $1
+              AND log_id = $2
+              AND status = 'pending'
+          `,
+            [resource.logType, id]
+          );
+          await recordLogChange(
+            {
+              userWhatsapp: req.ownerWhatsapp,
+              logType: resource.logType,
+              logId: id,
+              action: "delete",
+              snapshot: row,
+            },
+            client
+          );
+        } else {
+          await upsertReminder(
+            { sourceType: "vehicle_document", sourceId: id, dueDate: null },
+            client
+          );
+        }
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
 
-  // Fallback to AI via n8n
-  const aiReply = await callN8nAI(from, text);
-  const finalReply =
-    aiReply ||
-    "Hi 👋 I’m Saka360. How can I help you with your vehicles and drivers today?";
+      res.status(204).end();
+    })
+  );
+}
 
-  console.log("💬 Reply:", finalReply);
-  await sendWhatsAppMessage(from, finalReply);
-  await saveChatTurn(from, "user", text);
-  await saveChatTurn(from, "assistant", finalReply);
+apiRouter.use((req, res) => apiError(res, 404, "Unknown API endpoint"));
 
-  return res.sendStatus(200);
-});
+app.use("/api/v1", requireApiKey, apiRouter);
 
 // ---------- ROOT & SERVER START ----------
 
@@ -3450,6 +12111,21 @@ app.get("/", (req, res) => {
 });
 
 const port = PORT || 10000;
-app.listen(port, () => {
-  console.log("🚀 Saka360 backend listening on port", port);
-});
+// Bring the schema up to date before taking any traffic
+async function startServer() {
+  try {
+    await runMigrations();
+    await seedBaseExchangeRate();
+  } catch (err) {
+    console.error("❌ Error running database migrations:", err.message);
+    process.exit(1);
+  }
+
+  app.listen(port, () => {
+    console.log("🚀 Saka360 backend listening on port", port);
+    startOutboundWorker();
+    startInboundRecovery();
+    startReminderScheduler();
+  });
+}
+startServer();